@@ -0,0 +1,234 @@
+// api_client.js
+// Client of the version 1 API, see routes/v1_endpoints.js and /api/v1/openapi.json.
+// Methods resolve to the content of the responses and reject with an ApiRequestError,
+// whose `code` tells errors apart (NOT_FOUND, CONFLICT, INVALID_NAME...).
+
+/**
+ * @typedef {object} Project
+ * @property {string} name
+ * @property {string} modified ISO date
+ * @property {?string} template Template it was created from
+ * @property {string} description
+ * @property {string} created ISO date
+ * @property {?string} lastOpened ISO date, openings by its owner only
+ * @property {number} size Bytes, without .git, .venv and caches, measured in the last 10 minutes
+ * @property {number} files
+ * @property {boolean} truncated Too many files to count: size and files are lower bounds
+ * @property {?string} branch Git branch checked out
+ * @property {'viewer'|'editor'} [role] In a workspace shared with the user
+ */
+
+/**
+ * @typedef {object} Entry A file or folder, `path` being relative to its project
+ * @property {string} name
+ * @property {string} path
+ * @property {'file'|'folder'} type
+ * @property {number} size
+ * @property {string} modified ISO date, sent back when saving to detect conflicts
+ */
+
+/**
+ * @typedef {object} FileContent
+ * @property {string} path
+ * @property {string} content
+ * @property {number} size
+ * @property {string} modified
+ */
+
+/**
+ * @typedef {object} Template
+ * @property {string} name
+ * @property {string} label
+ * @property {string} [description]
+ * @property {Object<string, TemplateVariable>} [variables] By name
+ */
+
+/**
+ * @typedef {object} TemplateVariable
+ * @property {string} label
+ * @property {'string'|'boolean'|'choice'} type
+ * @property {string|boolean} [default]
+ * @property {string[]} [options] Values of a `choice` variable
+ */
+
+/**
+ * @typedef {object} TrashItem
+ * @property {string} id Restores the item, see trash_panel.js
+ * @property {string} name
+ * @property {'file'|'folder'} kind
+ * @property {string} originalPath
+ * @property {string} deletedAt
+ * @property {number} [size] Bytes of the item, missing for items trashed by older versions
+ */
+
+/**
+ * @typedef {object} Settings Settings differing from the defaults, by key
+ *   ("editor.tabSize", "workbench.theme"...), see services/editor_settings.js
+ */
+
+class ApiRequestError extends Error {
+    constructor(message, code, status, details) {
+        super(message);
+        this.name = 'ApiRequestError';
+        this.code = code;
+        this.status = status;
+        this.details = details;
+    }
+}
+
+class ApiClient {
+    // `owner` works in the workspace of another user, on the projects they shared
+    constructor({ owner = null } = {}) {
+        this.owner = owner;
+    }
+
+    // Paths of files keep their slashes, each segment being encoded
+    static encodePath(filePath) {
+        return filePath.split('/').map(encodeURIComponent).join('/');
+    }
+
+    async request(method, url, body) {
+        const headers = {};
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+        if (this.owner) headers['X-Workspace-Owner'] = this.owner;
+
+        const response = await fetch(`/api/v1${url}`, {
+            method,
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+
+        let data;
+        try {
+            data = await response.json();
+        } catch (error) {
+            throw new ApiRequestError(`Unexpected answer of the server (HTTP ${response.status}).`, 'INTERNAL', response.status);
+        }
+
+        if (!data.success) {
+            throw new ApiRequestError(data.error, data.code, response.status, data.details);
+        }
+
+        return data;
+    }
+
+    projectUrl(project, suffix = '') {
+        return `/projects/${encodeURIComponent(project)}${suffix}`;
+    }
+
+    // ----- Projects -----
+
+    /** @returns {Promise<Project[]>} */
+    async listProjects() {
+        return (await this.request('GET', '/projects')).projects;
+    }
+
+    /**
+     * @param {{ name: string, template?: string, variables?: object, description?: string }} options
+     * @returns {Promise<{ project: Project, created: string[] }>}
+     */
+    async createProject({ name, template, variables, description }) {
+        const { project, created } = await this.request('POST', '/projects', { name, template, variables, description });
+        return { project, created };
+    }
+
+    /**
+     * @param {{ name?: string, description?: string }} changes Renaming is for the owner only
+     * @returns {Promise<Project>}
+     */
+    async updateProject(name, changes) {
+        return (await this.request('PATCH', this.projectUrl(name), changes)).project;
+    }
+
+    /** @returns {Promise<Project>} */
+    async duplicateProject(name, newName) {
+        return (await this.request('POST', this.projectUrl(name, '/duplicate'), { name: newName })).project;
+    }
+
+    /** @returns {Promise<?string>} When the project was opened, null in a shared workspace */
+    async markProjectOpened(name) {
+        return (await this.request('POST', this.projectUrl(name, '/opened'))).lastOpened;
+    }
+
+    /** @returns {Promise<TrashItem>} */
+    async deleteProject(name) {
+        return (await this.request('DELETE', this.projectUrl(name))).trash;
+    }
+
+    /** @returns {Promise<Template[]>} */
+    async listTemplates() {
+        return (await this.request('GET', '/templates')).templates;
+    }
+
+    // ----- Files -----
+
+    /** @returns {Promise<Entry[]>} */
+    async listFolder(project, folderPath = '') {
+        return (await this.request('GET', this.projectUrl(project, `/folders/${ApiClient.encodePath(folderPath)}`))).entries;
+    }
+
+    /** @returns {Promise<Entry>} */
+    async createFolder(project, folderPath) {
+        return (await this.request('POST', this.projectUrl(project, '/folders'), { path: folderPath })).entry;
+    }
+
+    /** @returns {Promise<TrashItem>} */
+    async deleteFolder(project, folderPath) {
+        return (await this.request('DELETE', this.projectUrl(project, `/folders/${ApiClient.encodePath(folderPath)}`))).trash;
+    }
+
+    /** @returns {Promise<FileContent>} */
+    async readFile(project, filePath) {
+        return (await this.request('GET', this.projectUrl(project, `/files/${ApiClient.encodePath(filePath)}`))).file;
+    }
+
+    /**
+     * @param {{ content?: string, copyFrom?: string }} [options] Empty file by default
+     * @returns {Promise<Entry>}
+     */
+    async createFile(project, filePath, { content, copyFrom } = {}) {
+        return (await this.request('POST', this.projectUrl(project, '/files'), { path: filePath, content, copyFrom })).entry;
+    }
+
+    /**
+     * @param {{ expectedModified?: string }} [options] Fails with CONFLICT if the file changed since
+     * @returns {Promise<Entry>}
+     */
+    async writeFile(project, filePath, content, { expectedModified } = {}) {
+        const url = this.projectUrl(project, `/files/${ApiClient.encodePath(filePath)}`);
+        return (await this.request('PUT', url, { content, expectedModified })).entry;
+    }
+
+    /** @returns {Promise<Entry>} */
+    async moveFile(project, filePath, newPath) {
+        return (await this.request('PATCH', this.projectUrl(project, `/files/${ApiClient.encodePath(filePath)}`), { path: newPath })).entry;
+    }
+
+    /** @returns {Promise<TrashItem>} */
+    async deleteFile(project, filePath) {
+        return (await this.request('DELETE', this.projectUrl(project, `/files/${ApiClient.encodePath(filePath)}`))).trash;
+    }
+
+    // ----- Settings -----
+
+    /** @returns {Promise<{ settings: Settings, defaults: Settings }>} */
+    async getSettings() {
+        const { settings, defaults } = await this.request('GET', '/settings');
+        return { settings, defaults };
+    }
+
+    /** @returns {Promise<Settings>} */
+    async saveSettings(settings) {
+        return (await this.request('PUT', '/settings', settings)).settings;
+    }
+
+    /** @returns {Promise<Settings>} */
+    async getProjectSettings(project) {
+        return (await this.request('GET', this.projectUrl(project, '/settings'))).settings;
+    }
+
+    /** @returns {Promise<Settings>} */
+    async saveProjectSettings(project, settings) {
+        return (await this.request('PUT', this.projectUrl(project, '/settings'), settings)).settings;
+    }
+}
@@ -2,6 +2,20 @@
 class BocIDE {
     constructor() {
         this.projects = [];
+        this.sharedProjects = [];
+        this.templates = [];
+        this.workspace = null;
+        this.fileEvents = null;
+        this.fileEventsOwner = null;
+        this.user = null;
+        this.setupRequired = false;
+        this.api = new ApiClient();
+        this.settings = new EditorSettings(this);
+        this.settingsPanel = new SettingsPanel(this);
+        this.trash = new TrashPanel(this);
+        this.users = new UsersPanel(this);
+        this.shares = new SharePanel(this);
+        this.dashboard = new ProjectDashboard(this);
         this.init();
     }
 
@@ -10,10 +24,114 @@ class BocIDE {
         if (document.readyState === 'loading') {
             document.addEventListener('DOMContentLoaded', () => {
                 this.bindEvents();
-                this.loadProjects();
+                this.checkSession();
             });
         } else {
             this.bindEvents();
+            this.checkSession();
+        }
+    }
+
+    // Show the projects when a session is open, the login form otherwise
+    async checkSession() {
+        try {
+            const response = await fetch('/api/auth/status');
+            const data = await response.json();
+
+            if (data.success && data.user) {
+                this.setUser(data.user);
+                this.showApp();
+            } else {
+                this.showLogin(Boolean(data.setupRequired));
+            }
+        } catch (error) {
+            this.showLogin(false);
+            document.getElementById('login-error').textContent = 'Error contacting the server: ' + error.message;
+        }
+    }
+
+    // Until the first account exists, the form creates it as an admin
+    showLogin(setupRequired) {
+        this.setupRequired = setupRequired;
+
+        document.getElementById('dashboard-view').style.display = 'none';
+        document.getElementById('login-view').classList.add('active');
+        document.getElementById('login-title').textContent = setupRequired ? 'Create the admin account' : 'Log in';
+        document.getElementById('login-hint').textContent = setupRequired
+            ? 'No account exists yet. This first one can manage the others, and gets the projects already on the server.'
+            : '';
+        document.getElementById('login-submit-btn').textContent = setupRequired ? 'Create account' : 'Log in';
+        document.getElementById('login-password-input').autocomplete = setupRequired ? 'new-password' : 'current-password';
+        document.getElementById('login-error').textContent = '';
+        document.getElementById('login-username-input').focus();
+    }
+
+    async login() {
+        const passwordInput = document.getElementById('login-password-input');
+        const error = document.getElementById('login-error');
+
+        try {
+            const response = await fetch(this.setupRequired ? '/api/auth/setup' : '/api/auth/login', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    username: document.getElementById('login-username-input').value.trim(),
+                    password: passwordInput.value
+                })
+            });
+
+            const data = await response.json();
+
+            if (!data.success) {
+                error.textContent = data.error;
+                return;
+            }
+
+            passwordInput.value = '';
+            this.setUser(data.user);
+            this.showApp();
+        } catch (err) {
+            error.textContent = 'Error contacting the server: ' + err.message;
+        }
+    }
+
+    async logout() {
+        try {
+            await fetch('/api/auth/logout', { method: 'POST' });
+        } finally {
+            // Start over from a clean page, without the streams of the old session
+            location.reload();
+        }
+    }
+
+    setUser(user) {
+        this.user = user;
+        document.getElementById('current-user').textContent = `👤 ${user.username}`;
+        document.getElementById('users-btn').hidden = user.role !== 'admin';
+    }
+
+    // The settings apply to everything that follows, the workspace first
+    async showApp() {
+        document.getElementById('login-view').classList.remove('active');
+        document.getElementById('dashboard-view').style.display = '';
+        await this.settings.load();
+        this.restoreView();
+    }
+
+    // Reopen the project from the URL so a page reload keeps the workspace open
+    restoreView() {
+        this.loadTemplates();
+        this.connectFileEvents();
+
+        const match = location.hash.match(/^#\/project\/(.+)$/);
+        const sharedMatch = location.hash.match(/^#\/shared\/([^/]+)\/(.+)$/);
+        if (match) {
+            this.openProject(decodeURIComponent(match[1]));
+        } else if (sharedMatch) {
+            this.openSharedProject(decodeURIComponent(sharedMatch[1]), decodeURIComponent(sharedMatch[2]));
+        } else {
             this.loadProjects();
         }
     }
@@ -30,6 +148,38 @@ class BocIDE {
             console.error('New project button not found');
         }
 
+        // Import a project from a zip archive
+        const importInput = document.getElementById('import-project-input');
+        document.getElementById('import-project-btn').addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', () => {
+            const [file] = importInput.files;
+            importInput.value = '';
+            if (file) this.importProject(file);
+        });
+
+        this.trash.bindEvents();
+        this.users.bindEvents();
+        this.shares.bindEvents();
+        this.dashboard.bindEvents();
+        this.settingsPanel.bindEvents();
+
+        document.getElementById('shared-container').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action="open"]');
+            if (!button) return;
+
+            const card = button.closest('[data-project]');
+            this.openSharedProject(card.dataset.owner, card.dataset.project);
+        });
+
+        document.getElementById('login-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.login();
+        });
+
+        document.getElementById('logout-btn').addEventListener('click', () => {
+            this.logout();
+        });
+
         // Modal events
         const cancelBtn = document.getElementById('cancel-btn');
         const createBtn = document.getElementById('create-btn');
@@ -81,6 +231,28 @@ class BocIDE {
             });
         }
 
+        // Workspace events
+        const workspaceBackBtn = document.getElementById('workspace-back-btn');
+        if (workspaceBackBtn) {
+            workspaceBackBtn.addEventListener('click', () => {
+                this.closeProject();
+            });
+        }
+
+        // Flush pending drafts before the page goes away
+        window.addEventListener('beforeunload', () => {
+            if (this.workspace) {
+                this.workspace.persistSession();
+            }
+        });
+
+        const templateSelect = document.getElementById('project-template-select');
+        if (templateSelect) {
+            templateSelect.addEventListener('change', () => {
+                this.renderTemplateOptions();
+            });
+        }
+
         // Enter key in input
         if (projectNameInput) {
             projectNameInput.addEventListener('keypress', (e) => {
@@ -96,67 +268,140 @@ class BocIDE {
         container.innerHTML = '<div class="loading">Loading projects...</div>';
 
         try {
-            console.log('Fetching projects...');
-            // Try different possible API endpoints
-            let response;
-            try {
-                response = await fetch('/api/folders/arborescence');
-            } catch (e) {
-                console.log('Trying alternative endpoint...');
-                response = await fetch('/folders/arborescence');
-            }
+            this.projects = await this.api.listProjects();
+            this.renderProjects();
+            this.loadSharedProjects();
+        } catch (error) {
+            console.error('Error loading projects:', error);
+            this.showError('Error loading projects: ' + error.message);
+        }
+    }
 
-            console.log('Response status:', response.status);
+    // Projects other users shared with the current user
+    async loadSharedProjects() {
+        try {
+            const response = await fetch('/api/shares/with-me');
             const data = await response.json();
-            console.log('Response data:', data);
 
             if (data.success) {
-                // Filter only folders
-                this.projects = data.contents.filter(item => item.type === 'folder');
-                console.log('Found projects:', this.projects);
-                this.renderProjects();
+                this.sharedProjects = data.projects;
+                this.renderSharedProjects();
             } else {
-                this.showError('Failed to load projects: ' + data.error);
+                console.error('Failed to load shared projects:', data.error);
             }
         } catch (error) {
-            console.error('Error loading projects:', error);
-            this.showError('Error loading projects: ' + error.message + '. Check if the server is running and the API endpoints are accessible.');
+            console.error('Error loading shared projects:', error);
         }
     }
 
-    renderProjects() {
-        const container = document.getElementById('projects-container');
-        
-        if (this.projects.length === 0) {
-            container.innerHTML = `
-                <div class="empty-state">
-                    <span class="folder-icon">📁</span>
-                    <span class="create-project-link" onclick="bocIDE.showCreateModal()">
-                        Create a new project
-                    </span>
-                </div>
-            `;
-            return;
+    // Live Workspace changes pushed by the server, for the workspace of `owner` while
+    // one of their projects is open. EventSource reconnects by itself.
+    connectFileEvents(owner = null) {
+        let disconnected = false;
+
+        if (this.fileEvents) this.fileEvents.close();
+        this.fileEventsOwner = owner;
+
+        const params = owner ? `?owner=${encodeURIComponent(owner)}` : '';
+        this.fileEvents = new EventSource(`/api/watch/events${params}`);
+        this.fileEvents.addEventListener('fs', (e) => this.onFileSystemEvent(JSON.parse(e.data)));
+
+        this.fileEvents.onerror = () => {
+            disconnected = true;
+
+            // Refused: the session expired or was closed, and the stream gave up
+            if (this.fileEvents.readyState === EventSource.CLOSED) {
+                this.onSessionLost();
+            }
+        };
+
+        // Changes made while disconnected were missed: reload what is on screen
+        this.fileEvents.onopen = () => {
+            if (!disconnected) return;
+            disconnected = false;
+
+            if (this.workspace) {
+                this.workspace.refreshTree();
+            } else {
+                this.loadProjects();
+            }
+        };
+    }
+
+    async onSessionLost() {
+        try {
+            const response = await fetch('/api/auth/status');
+            const data = await response.json();
+
+            if (data.success && !data.user) {
+                alert('Your session has ended, please log in again. Unsaved changes are kept as drafts.');
+                location.reload();
+            }
+        } catch (error) {
+            console.error('Error checking the session:', error);
+        }
+    }
+
+    onFileSystemEvent(event) {
+        if (this.workspace) {
+            this.workspace.onFileSystemEvent(event);
+        } else {
+            this.updateProjects(event);
+        }
+    }
+
+    // Keep the dashboard in sync with project folders created, renamed or deleted elsewhere
+    updateProjects(event) {
+        const isProject = folderPath => Boolean(folderPath) && !folderPath.includes('/');
+        if (event.kind !== 'folder' || !(isProject(event.path) || isProject(event.from))) return;
+
+        const removed = event.type === 'delete' ? event.path : event.from;
+        const before = this.projects;
+        if (isProject(removed)) {
+            this.projects = this.projects.filter(project => project.name !== removed);
         }
 
-        const projectsHTML = this.projects.map(project => `
-            <div class="project-card">
+        if (event.type !== 'delete' && isProject(event.path) && !this.projects.some(project => project.name === event.path)) {
+            // A renamed project keeps what the dashboard knew of it
+            const previous = before.find(project => project.name === event.from);
+            this.projects.push({ ...previous, name: event.path, modified: event.modified });
+        }
+
+        this.renderProjects();
+    }
+
+    renderProjects() {
+        this.dashboard.render();
+    }
+
+    renderSharedProjects() {
+        const section = document.getElementById('shared-section');
+        section.hidden = this.sharedProjects.length === 0;
+
+        const projectsHTML = this.sharedProjects.map(project => `
+            <div class="project-card" data-owner="${this.escapeHtml(project.owner)}" data-project="${this.escapeHtml(project.name)}">
                 <div class="project-header">
-                    <span class="project-icon">📁</span>
+                    <span class="project-icon">👥</span>
                     <span class="project-name">${this.escapeHtml(project.name)}</span>
                 </div>
+                <div class="project-owner">
+                    Shared by ${this.escapeHtml(project.owner)} · ${project.role === 'editor' ? 'Editor' : 'Viewer'}
+                </div>
                 <div class="project-actions">
-                    <button class="btn btn-success btn-small" onclick="bocIDE.openProject('${this.escapeHtml(project.name)}')">
-                        Open
-                    </button>
-                    <button class="btn btn-danger btn-small" onclick="bocIDE.showDeleteModal('${this.escapeHtml(project.name)}')">
-                        Delete
-                    </button>
+                    <button class="btn btn-success btn-small" data-action="open">Open</button>
                 </div>
             </div>
         `).join('');
 
-        container.innerHTML = `<div class="project-grid">${projectsHTML}</div>`;
+        document.getElementById('shared-container').innerHTML = `<div class="project-grid">${projectsHTML}</div>`;
+    }
+
+    async loadTemplates() {
+        try {
+            this.templates = await this.api.listTemplates();
+        } catch (error) {
+            console.error('Error loading templates:', error);
+        }
     }
 
     showCreateModal() {
@@ -164,10 +409,87 @@ class BocIDE {
         const input = document.getElementById('project-name-input');
         
         input.value = '';
+        document.getElementById('project-description-input').value = '';
+        this.renderTemplatePicker();
         modal.classList.add('active');
         input.focus();
     }
 
+    renderTemplatePicker() {
+        const select = document.getElementById('project-template-select');
+        const options = this.templates.map(template => `
+            <option value="${this.escapeHtml(template.name)}">${this.escapeHtml(template.label)}</option>
+        `).join('');
+
+        select.innerHTML = `<option value="">Empty project</option>${options}`;
+        if (this.templates.length > 0) {
+            select.value = this.templates[0].name;
+        }
+
+        this.renderTemplateOptions();
+    }
+
+    getSelectedTemplate() {
+        const select = document.getElementById('project-template-select');
+        return this.templates.find(template => template.name === select.value) || null;
+    }
+
+    // Show the description and the variables of the selected template
+    renderTemplateOptions() {
+        const template = this.getSelectedTemplate();
+        const description = document.getElementById('project-template-description');
+        const container = document.getElementById('project-template-variables');
+
+        description.textContent = template ? template.description : 'An empty folder, add your own files.';
+
+        if (!template) {
+            container.innerHTML = '';
+            return;
+        }
+
+        // The project name comes from the name input
+        container.innerHTML = Object.entries(template.variables)
+            .filter(([name]) => name !== 'project_name')
+            .map(([name, variable]) => {
+                const id = `template-variable-${name}`;
+                const label = this.escapeHtml(variable.label || name);
+
+                if (variable.type === 'boolean') {
+                    return `
+                        <label class="template-variable checkbox" for="${id}">
+                            <input type="checkbox" id="${id}" data-variable="${name}" ${variable.default ? 'checked' : ''}>
+                            ${label}
+                        </label>
+                    `;
+                }
+
+                const field = variable.type === 'choice'
+                    ? `<select id="${id}" class="modal-select" data-variable="${name}">
+                            ${variable.options.map(option => `
+                                <option ${option === variable.default ? 'selected' : ''}>${this.escapeHtml(option)}</option>
+                            `).join('')}
+                       </select>`
+                    : `<input type="text" id="${id}" data-variable="${name}" value="${this.escapeHtml(variable.default || '').replace(/"/g, '&quot;')}">`;
+
+                return `
+                    <div class="template-variable">
+                        <label class="modal-label" for="${id}">${label}</label>
+                        ${field}
+                    </div>
+                `;
+            }).join('');
+    }
+
+    getTemplateVariables() {
+        const variables = {};
+
+        document.querySelectorAll('#project-template-variables [data-variable]').forEach(field => {
+            variables[field.dataset.variable] = field.type === 'checkbox' ? field.checked : field.value;
+        });
+
+        return variables;
+    }
+
     hideCreateModal() {
         const modal = document.getElementById('modal-overlay');
         modal.classList.remove('active');
@@ -197,87 +519,146 @@ class BocIDE {
             return;
         }
 
-        if (projectName.length > 20) {
-            alert('Project name must be 20 characters or less');
-            return;
-        }
+        const template = this.getSelectedTemplate();
 
         try {
-            console.log('Creating project:', projectName);
-            let response;
-            try {
-                response = await fetch('/api/folders/create-folder', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify({
-                        folder_path: '',
-                        name: projectName
-                    })
-                });
-            } catch (e) {
-                console.log('Trying alternative endpoint...');
-                response = await fetch('/folders/create-folder', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify({
-                        folder_path: '',
-                        name: projectName
-                    })
-                });
-            }
+            await this.api.createProject({
+                name: projectName,
+                template: template ? template.name : undefined,
+                variables: template ? this.getTemplateVariables() : undefined,
+                description: document.getElementById('project-description-input').value.trim()
+            });
 
+            this.hideCreateModal();
+            this.loadProjects(); // Reload to show new project
+            this.showSuccess(`Project "${projectName}" created successfully!`);
+        } catch (error) {
+            alert('Error creating project: ' + error.message);
+        }
+    }
+
+    // Create a project from a zip archive, exported by BocIDE or not
+    async importProject(file, { name, conflict = 'fail' } = {}) {
+        if (!name) {
+            name = prompt('Project name:', file.name.replace(/\.zip$/i, ''));
+            if (!name || !name.trim()) return;
+            name = name.trim();
+        }
+
+        const params = new URLSearchParams({ name, conflict });
+        const body = new FormData();
+        body.append('archive', file);
+
+        try {
+            const response = await fetch(`/api/archive/import?${params}`, { method: 'POST', body });
             const data = await response.json();
-            console.log('Create response:', data);
 
-            if (data.success) {
-                this.hideCreateModal();
-                this.loadProjects(); // Reload to show new project
-                this.showSuccess(`Project "${projectName}" created successfully!`);
-            } else {
-                alert('Error creating project: ' + data.error);
+            if (data.code === 'PROJECT_EXISTS' && conflict === 'fail' && confirm(`A project named "${name}" already exists. Import it as a copy?`)) {
+                await this.importProject(file, { name, conflict: 'rename' });
+                return;
             }
+
+            if (!data.success) {
+                alert('Error importing project: ' + data.error);
+                return;
+            }
+
+            this.loadProjects();
+            const skipped = data.skipped.length > 0 ? ` (${data.skipped.length} links skipped)` : '';
+            this.showSuccess(`Project "${data.project}" imported with ${data.files} files${skipped}`);
         } catch (error) {
-            console.error('Error creating project:', error);
-            alert('Error creating project: ' + error.message);
+            alert('Error importing project: ' + error.message);
         }
     }
 
     async confirmDelete() {
         if (!this.projectToDelete) return;
 
-        try {
-            const response = await fetch('/api/folders/delete-folder', {
-                method: 'DELETE',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    folder_path: this.projectToDelete
-                })
-            });
+        const projectName = this.projectToDelete;
 
-            const data = await response.json();
+        try {
+            const trash = await this.api.deleteProject(projectName);
 
-            if (data.success) {
-                this.hideDeleteModal();
-                this.loadProjects(); // Reload to remove deleted project
-                this.showSuccess(`Project "${this.projectToDelete}" deleted successfully!`);
-            } else {
-                alert('Error deleting project: ' + data.error);
-            }
+            this.hideDeleteModal();
+            this.loadProjects(); // Reload to remove deleted project
+            this.trash.showUndo(`Project "${projectName}" moved to the trash.`, trash);
         } catch (error) {
             alert('Error deleting project: ' + error.message);
         }
     }
 
-    openProject(projectName) {
-        // TODO: Implement project opening functionality
+    // An item of the trash is back at `restoredPath` (relative to the Workspace)
+    onRestored(restoredPath) {
+        if (this.workspace) {
+            this.workspace.refreshTree();
+        } else if (!restoredPath.includes('/')) {
+            this.loadProjects();
+        }
+    }
+
+    // `share` is { owner, role } to open a project another user shared
+    async openProject(projectName, share = null) {
         console.log('Opening project:', projectName);
-        alert(`Opening project "${projectName}" - functionality not implemented yet`);
+
+        if (this.workspace) {
+            this.workspace.close();
+        }
+
+        const owner = share ? share.owner : null;
+        if (owner !== this.fileEventsOwner) {
+            this.connectFileEvents(owner);
+        }
+
+        document.getElementById('dashboard-view').style.display = 'none';
+        document.getElementById('workspace-view').classList.add('active');
+        history.replaceState(null, '', owner
+            ? `#/shared/${encodeURIComponent(owner)}/${encodeURIComponent(projectName)}`
+            : `#/project/${encodeURIComponent(projectName)}`);
+
+        this.workspace = new ProjectWorkspace(this, projectName, share);
+        await this.workspace.open();
+
+        // For the recent projects of the dashboard
+        if (!owner) {
+            this.api.markProjectOpened(projectName).catch(error => console.error('Error recording project opening:', error));
+        }
+    }
+
+    async openSharedProject(owner, projectName) {
+        const isProject = project => project.owner === owner && project.name === projectName;
+
+        // Opened from the URL, before the dashboard was loaded
+        if (!this.sharedProjects.some(isProject)) {
+            await this.loadSharedProjects();
+        }
+
+        const share = this.sharedProjects.find(isProject);
+        if (!share) {
+            alert(`The project "${projectName}" of ${owner} is not shared with you anymore.`);
+            this.closeProject();
+            return;
+        }
+
+        await this.openProject(projectName, share);
+    }
+
+    closeProject() {
+        if (this.workspace) {
+            // Unsaved edits are kept as drafts and restored when the project is reopened
+            this.workspace.close();
+            this.workspace = null;
+            this.settings.closeProject();
+        }
+
+        document.getElementById('workspace-view').classList.remove('active');
+        document.getElementById('dashboard-view').style.display = '';
+        history.replaceState(null, '', location.pathname);
+
+        if (this.fileEventsOwner) {
+            this.connectFileEvents();
+        }
+
+        this.loadProjects();
     }
 
     showError(message) {
@@ -0,0 +1,545 @@
+// code_assist.js
+// Language features in the editor: diagnostics drawn under the text, hover
+// tooltips, completion, go to definition, find references and rename symbol.
+const DIAGNOSTIC_SEVERITIES = { 1: 'error', 2: 'warning', 3: 'info', 4: 'hint' };
+const MAX_COMPLETIONS = 50;
+
+class CodeAssist {
+    constructor(workspace) {
+        this.workspace = workspace;
+        this.app = workspace.app;
+        this.language = workspace.language;
+        this.hoverTimer = null;
+        this.hoverRequest = 0;
+        // Open completion list: { items, start, selected }
+        this.completion = null;
+        this.completionRequest = 0;
+        this.references = [];
+    }
+
+    bindEvents() {
+        const editor = document.getElementById('code-editor');
+
+        editor.onscroll = () => {
+            this.syncScroll();
+            this.hideTooltip();
+            this.hideCompletion();
+        };
+
+        editor.onmousemove = (e) => {
+            clearTimeout(this.hoverTimer);
+            this.hideTooltip();
+            this.hoverTimer = setTimeout(() => this.showHover(e.clientX, e.clientY), 400);
+        };
+
+        editor.onmouseleave = () => {
+            clearTimeout(this.hoverTimer);
+            this.hideTooltip();
+        };
+
+        // Ctrl+click (Cmd+click) goes to the definition
+        editor.onclick = (e) => {
+            this.hideCompletion();
+            if (!(e.ctrlKey || e.metaKey)) return;
+
+            const position = this.positionAtPoint(e.clientX, e.clientY);
+            if (position) this.goToDefinition(position);
+        };
+
+        const list = document.getElementById('completion-list');
+        // Keep the focus in the editor
+        list.onmousedown = (e) => e.preventDefault();
+        list.onclick = (e) => {
+            const item = e.target.closest('[data-index]');
+            if (item) this.acceptCompletion(Number(item.dataset.index));
+        };
+
+        document.getElementById('references-close-btn').onclick = () => this.hideReferences();
+        document.getElementById('references-list').onclick = (e) => {
+            const item = e.target.closest('[data-index]');
+            if (!item) return;
+
+            const { path, range } = this.references[Number(item.dataset.index)];
+            this.reveal(path, range);
+        };
+    }
+
+    dispose() {
+        clearTimeout(this.hoverTimer);
+        this.hideTooltip();
+        this.hideCompletion();
+        this.hideReferences();
+        document.getElementById('editor-highlights').innerHTML = '';
+    }
+
+    // Called with the editor's keydown events; returns true when the key moved through
+    // the completion list. The other features are commands, see commands.js.
+    onKeyDown(e) {
+        if (!this.completion) return false;
+
+        const handled = {
+            ArrowDown: () => this.moveCompletion(1),
+            ArrowUp: () => this.moveCompletion(-1),
+            Enter: () => this.acceptCompletion(this.completion.selected),
+            Tab: () => this.acceptCompletion(this.completion.selected),
+            Escape: () => this.hideCompletion()
+        }[e.key];
+
+        if (!handled) return false;
+
+        e.preventDefault();
+        handled();
+        return true;
+    }
+
+    // Called after each edit of the active tab
+    onInput() {
+        this.hideTooltip();
+        this.renderDiagnostics();
+
+        const editor = document.getElementById('code-editor');
+        const caret = editor.selectionStart;
+        const typed = editor.value[caret - 1];
+
+        if (typed === '.') {
+            this.triggerCompletion();
+        } else if (this.completion) {
+            if (caret < this.completion.start || !/\w/.test(typed || '')) {
+                this.hideCompletion();
+            } else {
+                this.renderCompletion();
+            }
+        }
+    }
+
+    // Redraw everything after the active tab changed
+    render() {
+        this.hideTooltip();
+        this.hideCompletion();
+        this.renderDiagnostics();
+    }
+
+    activeTab() {
+        return this.workspace.findTab(this.workspace.activePath);
+    }
+
+    // ----- Geometry -----
+
+    // The editor is a textarea: positions are computed from the monospace font metrics
+    metrics() {
+        const editor = document.getElementById('code-editor');
+        const style = getComputedStyle(editor);
+
+        if (!this.charWidth) {
+            const context = document.createElement('canvas').getContext('2d');
+            context.font = `${style.fontSize} ${style.fontFamily}`;
+            this.charWidth = context.measureText('0000000000').width / 10;
+        }
+
+        return {
+            editor,
+            rect: editor.getBoundingClientRect(),
+            charWidth: this.charWidth,
+            lineHeight: parseFloat(style.lineHeight) || 21,
+            paddingLeft: parseFloat(style.paddingLeft),
+            paddingTop: parseFloat(style.paddingTop),
+            tabSize: parseInt(style.tabSize, 10) || 4
+        };
+    }
+
+    // Position ({ line, character }) of the character under a point of the screen
+    positionAtPoint(clientX, clientY) {
+        const { editor, rect, charWidth, lineHeight, paddingLeft, paddingTop, tabSize } = this.metrics();
+        const x = clientX - rect.left - paddingLeft + editor.scrollLeft;
+        const y = clientY - rect.top - paddingTop + editor.scrollTop;
+        const lines = editor.value.split('\n');
+        const line = Math.floor(y / lineHeight);
+
+        if (x < 0 || line < 0 || line >= lines.length) return null;
+
+        // Tabs are wider than the other characters
+        const text = lines[line];
+        let column = 0;
+        let character = 0;
+        while (character < text.length) {
+            const width = text[character] === '\t' ? tabSize - (column % tabSize) : 1;
+            if ((column + width) * charWidth > x) break;
+            column += width;
+            character++;
+        }
+
+        return character < text.length ? { line, character } : null;
+    }
+
+    // Point below a position, relative to the editor container
+    pointBelow(position) {
+        const { editor, charWidth, lineHeight, paddingLeft, paddingTop, tabSize } = this.metrics();
+        const text = editor.value.split('\n')[position.line] || '';
+
+        let column = 0;
+        for (let character = 0; character < position.character; character++) {
+            column += text[character] === '\t' ? tabSize - (column % tabSize) : 1;
+        }
+
+        return {
+            left: paddingLeft + column * charWidth - editor.scrollLeft,
+            top: paddingTop + (position.line + 1) * lineHeight - editor.scrollTop
+        };
+    }
+
+    caretPosition() {
+        const editor = document.getElementById('code-editor');
+        return LanguageClient.positionAt(editor.value, editor.selectionStart);
+    }
+
+    // ----- Diagnostics -----
+
+    // The highlight layer lies under the transparent textarea and holds the same text
+    renderDiagnostics() {
+        const layer = document.getElementById('editor-highlights');
+        const tab = this.activeTab();
+        const diagnostics = tab ? this.language.diagnostics.get(tab.path) || [] : [];
+
+        if (!tab || diagnostics.length === 0) {
+            layer.innerHTML = '';
+            return;
+        }
+
+        const text = tab.content;
+        const marks = diagnostics.map(diagnostic => {
+            const start = LanguageClient.offsetAt(text, diagnostic.range.start);
+            // Empty ranges still get one character underlined
+            const end = Math.max(LanguageClient.offsetAt(text, diagnostic.range.end), start + 1);
+            return { start, end, severity: DIAGNOSTIC_SEVERITIES[diagnostic.severity] || 'error' };
+        }).sort((a, b) => a.start - b.start);
+
+        let html = '';
+        let cursor = 0;
+        for (const mark of marks) {
+            const start = Math.max(mark.start, cursor);
+            if (start >= mark.end) continue;
+
+            html += this.app.escapeHtml(text.slice(cursor, start));
+            html += `<mark class="diagnostic diagnostic-${mark.severity}">${this.app.escapeHtml(text.slice(start, mark.end))}</mark>`;
+            cursor = mark.end;
+        }
+        html += this.app.escapeHtml(text.slice(cursor)) + '\n';
+
+        layer.innerHTML = `<div class="editor-highlights-content">${html}</div>`;
+        this.syncScroll();
+    }
+
+    // Layers under the textarea: diagnostics, the cursors of collaborators and the line
+    // paused on by the debugger; the gutter of line numbers only scrolls vertically
+    syncScroll() {
+        const editor = document.getElementById('code-editor');
+        ['editor-highlights', 'editor-cursors', 'editor-debug-line'].forEach((id) => {
+            const layer = document.getElementById(id);
+            layer.scrollTop = editor.scrollTop;
+            layer.scrollLeft = editor.scrollLeft;
+        });
+        document.getElementById('editor-gutter').scrollTop = editor.scrollTop;
+    }
+
+    diagnosticsAt(tab, position) {
+        const offset = LanguageClient.offsetAt(tab.content, position);
+
+        return (this.language.diagnostics.get(tab.path) || []).filter(diagnostic => {
+            const start = LanguageClient.offsetAt(tab.content, diagnostic.range.start);
+            const end = Math.max(LanguageClient.offsetAt(tab.content, diagnostic.range.end), start + 1);
+            return offset >= start && offset < end;
+        });
+    }
+
+    // ----- Hover -----
+
+    async showHover(clientX, clientY) {
+        const tab = this.activeTab();
+        const position = this.positionAtPoint(clientX, clientY);
+        if (!tab || !position) return;
+
+        const request = ++this.hoverRequest;
+        const sections = this.diagnosticsAt(tab, position).map(diagnostic =>
+            `${diagnostic.message}${diagnostic.source ? ` (${diagnostic.source})` : ''}`);
+
+        try {
+            const hover = await this.language.hover(tab, position);
+            if (hover) sections.push(this.hoverText(hover.contents));
+        } catch (error) {
+            // Hovering is best effort: diagnostics are still shown
+        }
+
+        if (request !== this.hoverRequest || sections.length === 0) return;
+
+        const tooltip = document.getElementById('editor-tooltip');
+        tooltip.textContent = sections.filter(Boolean).join('\n\n');
+        tooltip.style.left = `${clientX + 12}px`;
+        tooltip.style.top = `${clientY + 16}px`;
+        tooltip.classList.add('active');
+    }
+
+    // MarkupContent, MarkedString or MarkedString[] as plain text
+    hoverText(contents) {
+        if (Array.isArray(contents)) return contents.map(content => this.hoverText(content)).join('\n');
+        if (typeof contents === 'string') return contents;
+        return contents ? contents.value : '';
+    }
+
+    // Short notice under the caret, shown like a tooltip
+    showMessage(text) {
+        const container = document.querySelector('.editor-container').getBoundingClientRect();
+        const point = this.pointBelow(this.caretPosition());
+        const tooltip = document.getElementById('editor-tooltip');
+
+        tooltip.textContent = text;
+        tooltip.style.left = `${container.left + point.left}px`;
+        tooltip.style.top = `${container.top + point.top + 4}px`;
+        tooltip.classList.add('active');
+    }
+
+    hideTooltip() {
+        this.hoverRequest++;
+        document.getElementById('editor-tooltip').classList.remove('active');
+    }
+
+    // ----- Completion -----
+
+    async triggerCompletion() {
+        const tab = this.activeTab();
+        if (!tab) return;
+
+        const editor = document.getElementById('code-editor');
+        const caret = editor.selectionStart;
+        const request = ++this.completionRequest;
+
+        let items;
+        try {
+            items = await this.language.completion(tab, LanguageClient.positionAt(editor.value, caret));
+        } catch (error) {
+            this.showMessage(error.message);
+            return;
+        }
+
+        // Typing went on in the meantime, or another request was sent
+        if (request !== this.completionRequest || this.workspace.activePath !== tab.path) return;
+
+        // The word being completed starts at the first identifier character before the caret
+        const before = editor.value.slice(0, editor.selectionStart).match(/\w*$/)[0];
+        this.completion = {
+            items: items.slice().sort((a, b) => (a.sortText || a.label).localeCompare(b.sortText || b.label)),
+            start: editor.selectionStart - before.length,
+            selected: 0
+        };
+        this.renderCompletion();
+    }
+
+    filteredCompletions() {
+        const editor = document.getElementById('code-editor');
+        const prefix = editor.value.slice(this.completion.start, editor.selectionStart).toLowerCase();
+
+        return this.completion.items
+            .filter(item => (item.filterText || item.label).toLowerCase().startsWith(prefix))
+            .slice(0, MAX_COMPLETIONS);
+    }
+
+    renderCompletion() {
+        const list = document.getElementById('completion-list');
+        const items = this.filteredCompletions();
+
+        if (items.length === 0) {
+            this.hideCompletion();
+            return;
+        }
+
+        this.completion.visible = items;
+        this.completion.selected = Math.min(this.completion.selected, items.length - 1);
+
+        list.innerHTML = items.map((item, index) => `
+            <li class="completion-item ${index === this.completion.selected ? 'selected' : ''}" data-index="${index}">
+                <span class="completion-label">${this.app.escapeHtml(item.label)}</span>
+                <span class="completion-detail">${this.app.escapeHtml(item.detail || '')}</span>
+            </li>
+        `).join('');
+
+        const editor = document.getElementById('code-editor');
+        const point = this.pointBelow(LanguageClient.positionAt(editor.value, this.completion.start));
+        list.style.left = `${point.left}px`;
+        list.style.top = `${point.top}px`;
+        list.classList.add('active');
+
+        const selected = list.querySelector('.selected');
+        if (selected) selected.scrollIntoView({ block: 'nearest' });
+    }
+
+    moveCompletion(step) {
+        const count = this.completion.visible.length;
+        this.completion.selected = (this.completion.selected + step + count) % count;
+        this.renderCompletion();
+    }
+
+    acceptCompletion(index) {
+        const item = this.completion && this.completion.visible[index];
+        if (!item) return;
+
+        const editor = document.getElementById('code-editor');
+        const caret = editor.selectionStart;
+        let start = this.completion.start;
+        let text = item.insertText || item.label;
+
+        // The edit range was computed when the list was requested: it ends at the caret now
+        if (item.textEdit) {
+            const range = item.textEdit.range || item.textEdit.insert;
+            start = LanguageClient.offsetAt(editor.value, range.start);
+            text = item.textEdit.newText;
+        }
+
+        this.hideCompletion();
+        editor.setRangeText(text, start, caret, 'end');
+        editor.dispatchEvent(new Event('input'));
+    }
+
+    hideCompletion() {
+        this.completionRequest++;
+        this.completion = null;
+        document.getElementById('completion-list').classList.remove('active');
+    }
+
+    // ----- Navigation -----
+
+    // Open a location of the project and select its range
+    async reveal(filePath, range) {
+        const sameLine = range.start.line === range.end.line;
+        await this.workspace.revealLine(filePath, range.start.line + 1, {
+            column: range.start.character + 1,
+            length: sameLine ? range.end.character - range.start.character : 0
+        });
+    }
+
+    async goToDefinition(position) {
+        const tab = this.activeTab();
+        if (!tab) return;
+
+        try {
+            const [location] = await this.language.definition(tab, position);
+
+            if (!location) {
+                this.showMessage('No definition found.');
+            } else if (!location.path) {
+                this.showMessage('The definition is outside of the project.');
+            } else {
+                await this.reveal(location.path, location.range);
+            }
+        } catch (error) {
+            alert('Go to definition error: ' + error.message);
+        }
+    }
+
+    async findReferences(position) {
+        const tab = this.activeTab();
+        if (!tab) return;
+
+        try {
+            const locations = await this.language.references(tab, position);
+            this.references = locations.filter(location => location.path);
+            this.renderReferences();
+        } catch (error) {
+            alert('Find references error: ' + error.message);
+        }
+    }
+
+    renderReferences() {
+        const panel = document.getElementById('references-panel');
+        const count = this.references.length;
+
+        document.getElementById('references-title').textContent = count === 1 ? '1 reference' : `${count} references`;
+        document.getElementById('references-list').innerHTML = this.references.map((location, index) => {
+            const tab = this.workspace.findTab(location.path);
+            const line = tab ? tab.content.split('\n')[location.range.start.line] || '' : '';
+
+            return `
+                <div class="reference-item" data-index="${index}">
+                    <span class="reference-location">${this.app.escapeHtml(location.path)}:${location.range.start.line + 1}</span>
+                    <span class="reference-preview">${this.app.escapeHtml(line.trim())}</span>
+                </div>
+            `;
+        }).join('');
+
+        panel.classList.add('active');
+    }
+
+    hideReferences() {
+        document.getElementById('references-panel').classList.remove('active');
+        this.references = [];
+    }
+
+    // ----- Rename -----
+
+    async renameSymbol(position) {
+        const tab = this.activeTab();
+        if (!tab) return;
+
+        const offset = LanguageClient.offsetAt(tab.content, position);
+        const word = (tab.content.slice(0, offset).match(/\w*$/)[0] + tab.content.slice(offset).match(/^\w*/)[0]);
+        if (!word) return;
+
+        const newName = prompt(`Rename "${word}" to:`, word);
+        if (!newName || newName.trim() === word) return;
+
+        try {
+            const edit = await this.language.rename(tab, position, newName.trim());
+            if (!edit) {
+                alert('This symbol cannot be renamed.');
+                return;
+            }
+
+            const changed = await this.applyWorkspaceEdit(edit);
+            this.app.showSuccess(`Renamed in ${changed} file${changed === 1 ? '' : 's'}. Save to keep the changes.`);
+        } catch (error) {
+            alert('Rename error: ' + error.message);
+        }
+    }
+
+    // Apply the text edits of a WorkspaceEdit to the tabs, opening the files not open yet.
+    // Nothing is saved: the changes show as unsaved edits. Returns the number of files changed.
+    async applyWorkspaceEdit(edit) {
+        const byPath = new Map();
+        const add = (uri, edits) => {
+            const filePath = LanguageClient.pathOf(uri);
+            if (!filePath) throw new Error('The change touches files outside of the project.');
+            byPath.set(filePath, (byPath.get(filePath) || []).concat(edits));
+        };
+
+        (edit.documentChanges || [])
+            .filter(change => change.textDocument && change.edits)
+            .forEach(change => add(change.textDocument.uri, change.edits));
+        Object.entries(edit.changes || {}).forEach(([uri, edits]) => add(uri, edits));
+
+        for (const filePath of byPath.keys()) {
+            await this.workspace.openFile(filePath, { activate: false });
+            if (!this.workspace.findTab(filePath)) throw new Error(`"${filePath}" could not be opened.`);
+        }
+
+        byPath.forEach((edits, filePath) => {
+            const tab = this.workspace.findTab(filePath);
+            const original = tab.content;
+
+            // From the end of the document, so that earlier offsets stay valid
+            tab.content = edits
+                .map(textEdit => ({
+                    start: LanguageClient.offsetAt(original, textEdit.range.start),
+                    end: LanguageClient.offsetAt(original, textEdit.range.end),
+                    text: textEdit.newText
+                }))
+                .sort((a, b) => b.start - a.start)
+                .reduce((content, change) => content.slice(0, change.start) + change.text + content.slice(change.end), original);
+
+            this.workspace.collab.changeDocument(tab);
+            this.language.changeDocument(tab);
+        });
+
+        this.workspace.renderTabs();
+        this.workspace.renderEditor();
+        this.workspace.persistSession();
+        return byPath.size;
+    }
+}
@@ -0,0 +1,450 @@
+// collaboration_client.js
+// Real-time editing of the open files together with the other users of the project,
+// over a WebSocket (see routes/collaboration_endpoints.js). Each tab is a shared
+// document kept in sync with operational transformation (text_operation.js): local
+// edits are sent one operation at a time, those typed meanwhile wait in a buffer, and
+// the operations of the others are transformed against both. The server saves the file.
+const COLLABORATOR_COLORS = ['#e06c75', '#61afef', '#98c379', '#c678dd', '#d19a66', '#56b6c2', '#e5c07b', '#be5046'];
+
+class CollaborationClient {
+    constructor(workspace) {
+        this.workspace = workspace;
+        this.app = workspace.app;
+        this.socket = null;
+        this.connected = false;
+        this.disposed = false;
+        this.failures = 0;
+        this.reconnectTimer = null;
+
+        // Identifies this editor to the server across reconnections
+        this.session = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+        this.nextSeq = 1;
+
+        // Path -> { document, revision, text, awaiting, awaitingSeq, buffer, joined, clients }
+        // `text` is what the server will have once `awaiting` and `buffer` are applied
+        this.documents = new Map();
+
+        this.selectionTimer = null;
+        this.selectionPath = null;
+        this.onSelectionChange = this.onSelectionChange.bind(this);
+    }
+
+    static colorOf(username) {
+        let hash = 0;
+        for (const character of username) {
+            hash = (hash * 31 + character.charCodeAt(0)) | 0;
+        }
+        return COLLABORATOR_COLORS[Math.abs(hash) % COLLABORATOR_COLORS.length];
+    }
+
+    bindEvents() {
+        const editor = document.getElementById('code-editor');
+        ['keyup', 'mouseup', 'focus', 'select'].forEach(type => editor.addEventListener(type, this.onSelectionChange));
+    }
+
+    // ----- Connection -----
+
+    connect() {
+        const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+        const params = new URLSearchParams({ project: this.workspace.projectName });
+        const socket = new WebSocket(`${protocol}//${location.host}${this.workspace.apiUrl(`/api/collab?${params}`)}`);
+        this.socket = socket;
+
+        socket.onopen = () => {
+            this.connected = true;
+            this.failures = 0;
+            this.documents.forEach((doc, filePath) => this.join(filePath, doc));
+        };
+
+        socket.onmessage = (e) => this.receive(JSON.parse(e.data));
+
+        socket.onclose = () => {
+            if (this.socket !== socket) return;
+
+            this.socket = null;
+            this.connected = false;
+
+            // Local edits are kept and sent again once joined back
+            this.documents.forEach((doc) => {
+                doc.joined = false;
+                doc.clients.clear();
+            });
+            this.renderCursors();
+
+            if (this.disposed) return;
+
+            this.failures++;
+            this.reconnectTimer = setTimeout(() => this.connect(), Math.min(1000 * 2 ** this.failures, 15000));
+        };
+    }
+
+    dispose() {
+        this.disposed = true;
+        clearTimeout(this.reconnectTimer);
+        clearTimeout(this.selectionTimer);
+
+        const editor = document.getElementById('code-editor');
+        ['keyup', 'mouseup', 'focus', 'select'].forEach(type => editor.removeEventListener(type, this.onSelectionChange));
+
+        if (this.socket) {
+            this.socket.close();
+        }
+        this.documents.clear();
+        document.getElementById('editor-cursors').innerHTML = '';
+    }
+
+    send(message) {
+        if (this.connected) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    join(filePath, doc) {
+        this.send({ type: 'join', path: filePath, session: this.session, document: doc.document, revision: doc.revision });
+    }
+
+    // ----- Documents -----
+
+    openDocument(tab) {
+        // Notebooks are edited as cells, not as text: they are saved as any unshared file
+        if (this.documents.has(tab.path) || NotebookView.isNotebook(tab.path)) return;
+
+        const doc = { document: null, revision: 0, text: null, awaiting: null, awaitingSeq: null, buffer: null, joined: false, clients: new Map() };
+        this.documents.set(tab.path, doc);
+        this.join(tab.path, doc);
+    }
+
+    closeDocument(filePath) {
+        if (!this.documents.delete(filePath)) return;
+
+        this.send({ type: 'leave', path: filePath });
+        if (this.selectionPath === filePath) this.selectionPath = null;
+        this.renderCursors();
+    }
+
+    // Whether the tab is edited together with others, the server saving it
+    isShared(filePath) {
+        return this.documents.has(filePath);
+    }
+
+    // Whether the tab is connected to its shared document right now
+    isJoined(filePath) {
+        const doc = this.documents.get(filePath);
+        return Boolean(doc && doc.joined);
+    }
+
+    // Whether the server has every edit of the tab, and will save them
+    isSynced(filePath) {
+        const doc = this.documents.get(filePath);
+        return Boolean(doc && doc.joined && !doc.awaiting && !doc.buffer && doc.text === this.workspace.findTab(filePath).content);
+    }
+
+    // Called after each change of a tab's content, typed or not
+    changeDocument(tab) {
+        const doc = this.documents.get(tab.path);
+        if (!doc || doc.text === null || doc.text === tab.content || this.workspace.readOnly) return;
+
+        const operation = TextOperation.fromDiff(doc.text, tab.content);
+        doc.text = tab.content;
+        this.moveCursors(doc, operation);
+
+        if (doc.awaiting) {
+            doc.buffer = doc.buffer ? doc.buffer.compose(operation) : operation;
+        } else {
+            doc.awaiting = operation;
+            doc.awaitingSeq = this.nextSeq++;
+            this.sendAwaiting(tab.path, doc);
+        }
+    }
+
+    sendAwaiting(filePath, doc) {
+        if (!doc.joined) return;
+
+        this.send({
+            type: 'operation',
+            path: filePath,
+            revision: doc.revision,
+            operation: doc.awaiting,
+            seq: doc.awaitingSeq,
+            selection: filePath === this.workspace.activePath ? this.currentSelection() : undefined
+        });
+    }
+
+    // Save now instead of when edits pause
+    save(tab) {
+        this.changeDocument(tab);
+        this.send({ type: 'save', path: tab.path });
+    }
+
+    // ----- Messages -----
+
+    receive(message) {
+        const doc = this.documents.get(message.path);
+        const tab = this.workspace.findTab(message.path);
+        if (!doc || !tab) return;
+
+        // Left over from before a resync
+        if (!doc.joined && !['joined', 'closed', 'error'].includes(message.type)) return;
+
+        switch (message.type) {
+            case 'joined':
+                this.onJoined(doc, tab, message);
+                break;
+            case 'ack':
+                this.onAck(doc, tab, message);
+                break;
+            case 'operation':
+                this.applyRemote(doc, tab, TextOperation.fromJSON(message.operation));
+                if (message.revision !== doc.revision) {
+                    this.resync(tab.path, doc);
+                    return;
+                }
+                if (message.clientId && doc.clients.has(message.clientId)) {
+                    doc.clients.get(message.clientId).selection = message.selection;
+                }
+                this.renderCursors();
+                break;
+            case 'selection':
+                if (doc.clients.has(message.clientId)) {
+                    doc.clients.get(message.clientId).selection = message.selection;
+                    this.renderCursors();
+                }
+                break;
+            case 'join':
+                doc.clients.set(message.client.id, message.client);
+                this.renderCursors();
+                break;
+            case 'leave':
+                doc.clients.delete(message.clientId);
+                this.renderCursors();
+                break;
+            case 'saved':
+                this.onSaved(doc, tab, message);
+                break;
+            case 'closed':
+                // Deleted or renamed: the file tree events take care of the tab
+                this.documents.delete(message.path);
+                this.renderCursors();
+                break;
+            case 'error':
+                this.onError(doc, tab, message);
+                break;
+        }
+    }
+
+    onJoined(doc, tab, message) {
+        const firstJoin = doc.text === null;
+        doc.document = message.document;
+        doc.clients = new Map(message.clients.map(client => [client.id, client]));
+
+        if (message.operations) {
+            // Back from a disconnection: the operations missed meanwhile, ours among them
+            message.operations.forEach((entry) => {
+                if (entry.session === this.session && doc.awaiting && entry.seq === doc.awaitingSeq) {
+                    doc.revision++;
+                    doc.awaiting = doc.buffer;
+                    doc.awaitingSeq = doc.buffer ? this.nextSeq++ : null;
+                    doc.buffer = null;
+                } else {
+                    this.applyRemote(doc, tab, TextOperation.fromJSON(entry.operation));
+                }
+            });
+        } else {
+            // A new session of the document. Edits the server never got are made again on
+            // top of it; a draft only when nobody has unsaved edits, which would include it.
+            const localEdits = firstJoin
+                ? message.saved && this.workspace.isDirty(tab)
+                : Boolean(doc.awaiting || doc.buffer);
+
+            doc.text = message.text;
+            doc.awaiting = null;
+            doc.buffer = null;
+            if (message.saved) tab.savedContent = message.text;
+
+            if (!localEdits) {
+                this.setTabContent(tab, message.text);
+            }
+        }
+
+        doc.revision = message.revision;
+        doc.joined = true;
+
+        if (doc.awaiting) {
+            this.sendAwaiting(tab.path, doc);
+        } else {
+            this.changeDocument(tab);
+        }
+
+        this.workspace.renderTabs();
+        this.renderCursors();
+    }
+
+    onAck(doc, tab, message) {
+        doc.revision = message.revision;
+        doc.awaiting = null;
+        doc.awaitingSeq = null;
+
+        if (doc.buffer) {
+            doc.awaiting = doc.buffer;
+            doc.awaitingSeq = this.nextSeq++;
+            doc.buffer = null;
+            this.sendAwaiting(tab.path, doc);
+        }
+    }
+
+    applyRemote(doc, tab, operation) {
+        // Edits not handed to changeDocument yet come first
+        this.changeDocument(tab);
+
+        if (doc.awaiting) {
+            [doc.awaiting, operation] = TextOperation.transform(doc.awaiting, operation);
+        }
+        if (doc.buffer) {
+            [doc.buffer, operation] = TextOperation.transform(doc.buffer, operation);
+        }
+
+        doc.revision++;
+        doc.text = operation.apply(doc.text);
+        this.moveCursors(doc, operation);
+        this.setTabContent(tab, doc.text, operation);
+    }
+
+    onSaved(doc, tab, message) {
+        tab.modified = message.modified;
+        if (!doc.awaiting && !doc.buffer && message.revision === doc.revision) {
+            tab.savedContent = doc.text;
+        }
+
+        this.workspace.renderTabs();
+        this.workspace.persistSession();
+        if (message.requested) this.workspace.afterSave(tab);
+    }
+
+    onError(doc, tab, message) {
+        if (message.code === 'RESYNC' || message.code === 'INVALID_OPERATION') {
+            this.resync(tab.path, doc);
+        } else if (message.code === 'NOT_FOUND' || message.code === 'INVALID_PATH') {
+            // Not a text file the server can share: edited alone, saved as usual
+            this.documents.delete(tab.path);
+        } else {
+            alert('Collaboration error: ' + message.error);
+        }
+    }
+
+    // The copies went apart: load the whole document again, keeping local edits
+    resync(filePath, doc) {
+        doc.joined = false;
+        doc.document = null;
+        this.join(filePath, doc);
+    }
+
+    // ----- Editor -----
+
+    // Replace the content of a tab with edits of others, keeping the local selection in place
+    setTabContent(tab, text, operation = null) {
+        if (tab.content === text) return;
+        const before = tab.content;
+        tab.content = text;
+
+        if (tab.path === this.workspace.activePath) {
+            const editor = document.getElementById('code-editor');
+            const { scrollTop, scrollLeft } = editor;
+            const start = operation ? operation.transformIndex(editor.selectionStart) : editor.selectionStart;
+            const end = operation ? operation.transformIndex(editor.selectionEnd) : editor.selectionEnd;
+
+            editor.value = text;
+            editor.setSelectionRange(start, end);
+            editor.scrollTop = scrollTop;
+            editor.scrollLeft = scrollLeft;
+            this.workspace.assist.renderDiagnostics();
+        }
+
+        this.workspace.language.changeDocument(tab);
+        this.workspace.debug.onContentChange(tab, before);
+        this.workspace.renderTabs();
+        this.workspace.schedulePersist();
+    }
+
+    moveCursors(doc, operation) {
+        doc.clients.forEach((client) => {
+            if (!client.selection) return;
+            client.selection = {
+                anchor: operation.transformIndex(client.selection.anchor),
+                head: operation.transformIndex(client.selection.head)
+            };
+        });
+    }
+
+    currentSelection() {
+        const editor = document.getElementById('code-editor');
+        const backward = editor.selectionDirection === 'backward';
+        return {
+            anchor: backward ? editor.selectionEnd : editor.selectionStart,
+            head: backward ? editor.selectionStart : editor.selectionEnd
+        };
+    }
+
+    // Tell the others where the caret is, at most every 100 ms
+    onSelectionChange() {
+        if (this.selectionTimer) return;
+
+        this.selectionTimer = setTimeout(() => {
+            this.selectionTimer = null;
+            const filePath = this.workspace.activePath;
+
+            if (this.selectionPath && this.selectionPath !== filePath && this.isJoined(this.selectionPath)) {
+                this.send({ type: 'selection', path: this.selectionPath, selection: null });
+            }
+
+            this.selectionPath = filePath;
+            if (this.isJoined(filePath)) {
+                this.send({ type: 'selection', path: filePath, selection: this.currentSelection() });
+            }
+        }, 100);
+    }
+
+    // The carets and selections of the others, drawn under the text like diagnostics
+    renderCursors() {
+        const layer = document.getElementById('editor-cursors');
+        const tab = this.workspace.findTab(this.workspace.activePath);
+        const doc = tab && this.documents.get(tab.path);
+        const clients = doc ? Array.from(doc.clients.values()).filter(client => client.selection) : [];
+
+        if (clients.length === 0) {
+            layer.innerHTML = '';
+            return;
+        }
+
+        const text = tab.content;
+        const marks = [];
+        clients.forEach((client) => {
+            const start = Math.min(client.selection.anchor, client.selection.head, text.length);
+            const end = Math.min(Math.max(client.selection.anchor, client.selection.head), text.length);
+            const color = CollaborationClient.colorOf(client.username);
+
+            if (end > start) marks.push({ start, end, color });
+            marks.push({ start: Math.min(client.selection.head, text.length), end: null, color, username: client.username });
+        });
+        marks.sort((a, b) => a.start - b.start);
+
+        let html = '';
+        let cursor = 0;
+        for (const mark of marks) {
+            const start = Math.max(mark.start, cursor);
+            if (mark.end !== null && start >= mark.end) continue;
+
+            html += this.app.escapeHtml(text.slice(cursor, start));
+            if (mark.end === null) {
+                html += `<span class="remote-caret" style="--collaborator-color: ${mark.color}" data-name="${this.workspace.escapeAttr(mark.username)}"></span>`;
+                cursor = start;
+            } else {
+                html += `<span class="remote-selection" style="background: ${mark.color}40">${this.app.escapeHtml(text.slice(start, mark.end))}</span>`;
+                cursor = mark.end;
+            }
+        }
+        html += this.app.escapeHtml(text.slice(cursor)) + '\n';
+
+        layer.innerHTML = `<div class="editor-highlights-content">${html}</div>`;
+        this.workspace.assist.syncScroll();
+    }
+}
@@ -0,0 +1,129 @@
+// command_palette.js
+// Every IDE command (commands.js) with its shortcut, filtered as the user types;
+// Enter runs the selected one.
+class CommandPalette {
+    constructor(workspace) {
+        this.workspace = workspace;
+        this.app = workspace.app;
+        this.matches = [];
+        this.selected = 0;
+        this.returnFocus = null;
+    }
+
+    bindEvents() {
+        const input = document.getElementById('command-palette-input');
+
+        input.oninput = () => {
+            this.selected = 0;
+            this.render();
+        };
+
+        input.onkeydown = (e) => {
+            const handled = {
+                ArrowDown: () => this.move(1),
+                ArrowUp: () => this.move(-1),
+                Enter: () => this.run(this.matches[this.selected]),
+                Escape: () => this.hide()
+            }[e.key];
+
+            if (handled) {
+                e.preventDefault();
+                e.stopPropagation();
+                handled();
+            }
+        };
+
+        // Clicking elsewhere closes it
+        input.onblur = () => setTimeout(() => this.hide({ restoreFocus: false }), 150);
+
+        document.getElementById('command-palette-list').onmousedown = (e) => {
+            const item = e.target.closest('[data-index]');
+            if (!item) return;
+
+            e.preventDefault();
+            this.run(this.matches[Number(item.dataset.index)]);
+        };
+    }
+
+    dispose() {
+        this.hide({ restoreFocus: false });
+    }
+
+    isOpen() {
+        return !document.getElementById('command-palette').hidden;
+    }
+
+    show() {
+        if (this.isOpen()) {
+            this.hide();
+            return;
+        }
+
+        const input = document.getElementById('command-palette-input');
+        this.returnFocus = document.activeElement;
+        this.selected = 0;
+        input.value = '';
+        document.getElementById('command-palette').hidden = false;
+        this.render();
+        input.focus();
+    }
+
+    hide({ restoreFocus = true } = {}) {
+        const palette = document.getElementById('command-palette');
+        if (palette.hidden) return;
+
+        palette.hidden = true;
+        if (restoreFocus && this.returnFocus && document.contains(this.returnFocus)) this.returnFocus.focus();
+        this.returnFocus = null;
+    }
+
+    // Commands whose title or category hold every word typed
+    filter(query) {
+        const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+        return IDE_COMMANDS.filter((command) => {
+            if (command.editing && this.workspace.readOnly) return false;
+            const text = `${command.category}: ${command.title}`.toLowerCase();
+            return words.every(word => text.includes(word));
+        });
+    }
+
+    render() {
+        this.matches = this.filter(document.getElementById('command-palette-input').value);
+        this.selected = Math.min(this.selected, Math.max(this.matches.length - 1, 0));
+
+        const list = document.getElementById('command-palette-list');
+        if (this.matches.length === 0) {
+            list.innerHTML = '<li class="command-palette-empty">No matching command</li>';
+            return;
+        }
+
+        list.innerHTML = this.matches.map((command, index) => {
+            const shortcut = this.workspace.keymap.shortcutOf(command.id);
+            return `
+                <li class="command-palette-item ${index === this.selected ? 'selected' : ''}" data-index="${index}">
+                    <span class="command-palette-title"><span class="command-palette-category">${this.app.escapeHtml(command.category)}:</span> ${this.app.escapeHtml(command.title)}</span>
+                    ${shortcut ? `<kbd class="command-palette-shortcut">${this.app.escapeHtml(shortcut)}</kbd>` : ''}
+                </li>
+            `;
+        }).join('');
+
+        const selected = list.querySelector('.selected');
+        if (selected) selected.scrollIntoView({ block: 'nearest' });
+    }
+
+    move(delta) {
+        if (this.matches.length === 0) return;
+
+        this.selected = (this.selected + delta + this.matches.length) % this.matches.length;
+        this.render();
+    }
+
+    run(command) {
+        if (!command) return;
+
+        // Back in the editor first, for the commands working at the caret
+        this.hide();
+        this.workspace.runCommand(command.id);
+    }
+}
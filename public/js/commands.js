@@ -0,0 +1,46 @@
+// commands.js
+// Every action of the IDE that a shortcut or the command palette can run. Shortcuts
+// come from the keymap preset of the user, see keymap.js. `editing` commands change
+// the project and are left out for viewers.
+const IDE_COMMANDS = [
+    { id: 'palette.show', category: 'View', title: 'Show all commands', run: workspace => workspace.palette.show() },
+    { id: 'settings.show', category: 'Preferences', title: 'Open settings', run: workspace => workspace.app.settingsPanel.show() },
+    { id: 'file.save', category: 'File', title: 'Save', editing: true, run: workspace => workspace.saveTab(workspace.activePath) },
+    { id: 'file.new', category: 'File', title: 'New file', editing: true, run: workspace => workspace.createEntry('file') },
+    { id: 'folder.new', category: 'File', title: 'New folder', editing: true, run: workspace => workspace.createEntry('folder') },
+    { id: 'file.close', category: 'File', title: 'Close the active file', run: workspace => workspace.activePath && workspace.closeTab(workspace.activePath) },
+    { id: 'explorer.refresh', category: 'File', title: 'Refresh the file tree', run: workspace => workspace.refreshTree() },
+    { id: 'editor.format', category: 'Edit', title: 'Format the active file', editing: true, run: workspace => workspace.problems.formatActiveTab() },
+    { id: 'code.completion', category: 'Code', title: 'Trigger completion', run: workspace => workspace.assist.triggerCompletion() },
+    { id: 'code.definition', category: 'Code', title: 'Go to definition', run: workspace => workspace.assist.goToDefinition(workspace.assist.caretPosition()) },
+    { id: 'code.references', category: 'Code', title: 'Find references', run: workspace => workspace.assist.findReferences(workspace.assist.caretPosition()) },
+    { id: 'code.rename', category: 'Code', title: 'Rename symbol', editing: true, run: workspace => workspace.assist.renameSymbol(workspace.assist.caretPosition()) },
+    { id: 'code.lint', category: 'Code', title: 'Lint the project', run: workspace => workspace.problems.lintProject() },
+    { id: 'run.file', category: 'Run', title: 'Run the active file', run: workspace => workspace.runActiveFile() },
+    { id: 'debug.start', category: 'Debug', title: 'Start debugging', run: workspace => workspace.debug.start() },
+    { id: 'debug.stop', category: 'Debug', title: 'Stop debugging', run: workspace => workspace.debug.stop() },
+    { id: 'debug.toggleBreakpoint', category: 'Debug', title: 'Toggle breakpoint', run: workspace => workspace.debug.toggleBreakpointAtCaret() },
+    { id: 'debug.stepOver', category: 'Debug', title: 'Step over', run: workspace => workspace.debug.step('next') },
+    { id: 'debug.stepInto', category: 'Debug', title: 'Step into', run: workspace => workspace.debug.step('stepIn') },
+    { id: 'debug.stepOut', category: 'Debug', title: 'Step out', run: workspace => workspace.debug.step('stepOut') },
+    { id: 'view.files', category: 'View', title: 'Show the files', run: workspace => workspace.showSidebarView('files') },
+    { id: 'view.tests', category: 'View', title: 'Show the tests', run: workspace => workspace.showSidebarView('tests') },
+    {
+        id: 'view.search',
+        category: 'View',
+        title: 'Search in the project',
+        run: (workspace) => {
+            workspace.showSidebarView('search');
+            document.getElementById('search-query').focus();
+        }
+    },
+    { id: 'view.git', category: 'View', title: 'Show Git', run: workspace => workspace.showSidebarView('git') },
+    { id: 'view.history', category: 'View', title: 'Show the local history', run: workspace => workspace.showSidebarView('history') },
+    { id: 'view.debug', category: 'View', title: 'Show the debugger', run: workspace => workspace.showSidebarView('debug') },
+    { id: 'panel.output', category: 'View', title: 'Show the output', run: workspace => workspace.showPanel('output') },
+    { id: 'panel.problems', category: 'View', title: 'Show the problems', run: workspace => workspace.showPanel('problems') },
+    { id: 'panel.terminal', category: 'View', title: 'Show the terminal', editing: true, run: workspace => workspace.showPanel('terminal') },
+    { id: 'panel.debug', category: 'View', title: 'Show the debug console', run: workspace => workspace.showPanel('debug') },
+    { id: 'terminal.new', category: 'Terminal', title: 'New terminal', editing: true, run: workspace => workspace.terminal.create() },
+    { id: 'environment.show', category: 'Run', title: 'Python environment and packages', run: workspace => workspace.environment.show() }
+];
@@ -0,0 +1,84 @@
+// debug_client.js
+// Client of a debug adapter (debugpy), bridged by the IDE server over a WebSocket and
+// speaking the Debug Adapter Protocol. As for the language server, files are named
+// `project:///<path in the project>`. One client lasts one debug session.
+class DebugClient {
+    // `onEvent(event, body)` receives the events of the adapter, `onClose(reason)` the end of the session
+    constructor(workspace, { onEvent, onClose }) {
+        this.workspace = workspace;
+        this.onEvent = onEvent;
+        this.onClose = onClose;
+        this.socket = null;
+        this.nextSeq = 1;
+        this.pending = new Map();
+    }
+
+    // Resolves once the adapter can be talked to
+    connect() {
+        const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+        const params = new URLSearchParams({ project: this.workspace.projectName });
+        const socket = new WebSocket(`${protocol}//${location.host}${this.workspace.apiUrl(`/api/debug?${params}`)}`);
+        this.socket = socket;
+
+        return new Promise((resolve, reject) => {
+            let opened = false;
+
+            socket.onopen = () => {
+                opened = true;
+                resolve();
+            };
+
+            socket.onmessage = (e) => this.receive(JSON.parse(e.data));
+
+            socket.onclose = (e) => {
+                this.socket = null;
+                this.pending.forEach(({ reject: rejectRequest }) => rejectRequest(new Error('The debug session ended.')));
+                this.pending.clear();
+
+                // The server explains why the adapter could not start (debugpy missing...)
+                if (!opened) {
+                    reject(new Error(e.reason || 'The debugger is not available.'));
+                    return;
+                }
+                this.onClose(e.reason);
+            };
+        });
+    }
+
+    // Send a request; resolves with the body of the response
+    request(command, args = {}) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
+            return Promise.reject(new Error('The debug session ended.'));
+        }
+
+        const seq = this.nextSeq++;
+        this.socket.send(JSON.stringify({ seq, type: 'request', command, arguments: args }));
+
+        return new Promise((resolve, reject) => {
+            this.pending.set(seq, { resolve, reject });
+        });
+    }
+
+    receive(message) {
+        if (message.type === 'response') {
+            const pending = this.pending.get(message.request_seq);
+            if (!pending) return;
+
+            this.pending.delete(message.request_seq);
+            if (message.success) {
+                pending.resolve(message.body || {});
+            } else {
+                pending.reject(new Error(message.message || `${message.command} failed.`));
+            }
+        } else if (message.type === 'event') {
+            this.onEvent(message.event, message.body || {});
+        }
+    }
+
+    // Stops the program and the adapter on the server
+    close() {
+        if (this.socket) {
+            this.socket.close();
+        }
+    }
+}
@@ -0,0 +1,712 @@
+// debug_panel.js
+// Step debugger of the project: breakpoints in the gutter of the editor, the call
+// stack, variables and watch expressions in the Debug view, and a console evaluating
+// expressions in the selected frame. Programs run under debugpy, see services/debugger.js.
+const DEBUG_STACK_LEVELS = 100;
+
+class DebugPanel {
+    constructor(workspace) {
+        this.workspace = workspace;
+        this.app = workspace.app;
+        this.client = null;
+        // 'idle', 'starting', 'running' or 'stopped'
+        this.status = 'idle';
+        this.statusText = '';
+        // Breakpoints are sent once the adapter is ready for them
+        this.configured = false;
+        this.threadId = null;
+        this.frames = [];
+        this.frameId = null;
+        // Line of the selected frame, when it is a file of the project: { path, line }
+        this.location = null;
+
+        // Path -> [{ line, condition, verified }], lines are 1-based
+        this.breakpoints = new Map();
+        this.watches = [];
+
+        // Top level of the Variables and Watch views, and the children loaded so far
+        this.scopes = [];
+        this.watchResults = [];
+        this.children = new Map();
+        // Keys of the open nodes, e.g. `scope/Locals/data`
+        this.expanded = new Set(['scope/Locals']);
+
+        this.gutterHtml = null;
+    }
+
+    bindEvents() {
+        document.getElementById('workspace-debug-btn').onclick = () => this.start();
+        document.getElementById('debug-continue-btn').onclick = () => this.start();
+        document.getElementById('debug-pause-btn').onclick = () => this.pause();
+        document.getElementById('debug-step-over-btn').onclick = () => this.step('next');
+        document.getElementById('debug-step-into-btn').onclick = () => this.step('stepIn');
+        document.getElementById('debug-step-out-btn').onclick = () => this.step('stepOut');
+        document.getElementById('debug-stop-btn').onclick = () => this.stop();
+        document.getElementById('debug-clear-btn').onclick = () => {
+            document.getElementById('debug-output').innerHTML = '';
+        };
+
+        const gutter = document.getElementById('editor-gutter');
+        gutter.onclick = (e) => {
+            const line = e.target.closest('[data-line]');
+            if (line) this.toggleBreakpoint(this.workspace.activePath, Number(line.dataset.line));
+        };
+        gutter.oncontextmenu = (e) => {
+            const line = e.target.closest('[data-line]');
+            if (!line) return;
+
+            e.preventDefault();
+            this.editCondition(this.workspace.activePath, Number(line.dataset.line));
+        };
+
+        document.getElementById('debug-stack').onclick = (e) => {
+            const item = e.target.closest('[data-index]');
+            if (item) this.selectFrame(this.frames[Number(item.dataset.index)]);
+        };
+
+        document.getElementById('debug-variables').onclick = (e) => this.toggleNode(e.target);
+        document.getElementById('debug-watches').onclick = (e) => {
+            const remove = e.target.closest('.debug-watch-remove');
+            if (!remove) {
+                this.toggleNode(e.target);
+                return;
+            }
+
+            this.watches.splice(Number(remove.dataset.index), 1);
+            this.workspace.schedulePersist();
+            this.evaluateWatches();
+        };
+
+        document.getElementById('debug-watch-form').onsubmit = (e) => {
+            e.preventDefault();
+            const input = document.getElementById('debug-watch-input');
+            const expression = input.value.trim();
+            input.value = '';
+            if (!expression) return;
+
+            this.watches.push(expression);
+            this.workspace.schedulePersist();
+            this.evaluateWatches();
+        };
+
+        document.getElementById('debug-breakpoints').onclick = (e) => {
+            const item = e.target.closest('[data-path]');
+            if (!item) return;
+
+            if (e.target.closest('.debug-breakpoint-remove')) {
+                this.toggleBreakpoint(item.dataset.path, Number(item.dataset.line));
+            } else {
+                this.workspace.revealLine(item.dataset.path, Number(item.dataset.line));
+            }
+        };
+
+        document.getElementById('debug-console-form').onsubmit = (e) => {
+            e.preventDefault();
+            const input = document.getElementById('debug-console-input');
+            this.evaluate(input.value);
+            input.value = '';
+        };
+
+        this.render();
+    }
+
+    // ----- Breakpoints -----
+
+    isDebuggable(filePath) {
+        return Boolean(filePath) && filePath.endsWith('.py');
+    }
+
+    toggleBreakpoint(filePath, line) {
+        if (!this.isDebuggable(filePath)) return;
+
+        const list = this.breakpoints.get(filePath) || [];
+        const index = list.findIndex(breakpoint => breakpoint.line === line);
+
+        if (index === -1) {
+            list.push({ line, condition: null, verified: false });
+        } else {
+            list.splice(index, 1);
+        }
+
+        this.setBreakpoints(filePath, list);
+    }
+
+    toggleBreakpointAtCaret() {
+        const tab = this.workspace.findTab(this.workspace.activePath);
+        if (!tab) return;
+
+        const editor = document.getElementById('code-editor');
+        this.toggleBreakpoint(tab.path, LanguageClient.positionAt(editor.value, editor.selectionStart).line + 1);
+    }
+
+    editCondition(filePath, line) {
+        if (!this.isDebuggable(filePath)) return;
+
+        const list = this.breakpoints.get(filePath) || [];
+        const existing = list.find(breakpoint => breakpoint.line === line);
+        const condition = prompt('Break when this Python expression is true (empty to always break):', (existing && existing.condition) || '');
+        if (condition === null) return;
+
+        const kept = list.filter(breakpoint => breakpoint.line !== line);
+        kept.push({ line, condition: condition.trim() || null, verified: false });
+        this.setBreakpoints(filePath, kept);
+    }
+
+    // Change the breakpoints of a file, and tell the program being debugged
+    setBreakpoints(filePath, list) {
+        if (list.length > 0) {
+            this.breakpoints.set(filePath, list.sort((a, b) => a.line - b.line));
+        } else {
+            this.breakpoints.delete(filePath);
+        }
+
+        this.workspace.schedulePersist();
+        this.renderGutter();
+        this.renderBreakpoints();
+        this.sendBreakpoints(filePath);
+    }
+
+    async sendBreakpoints(filePath) {
+        if (!this.client || !this.configured) return;
+
+        const list = this.breakpoints.get(filePath) || [];
+        try {
+            const body = await this.client.request('setBreakpoints', {
+                source: { path: LanguageClient.uriOf(filePath) },
+                breakpoints: list.map(breakpoint => (breakpoint.condition
+                    ? { line: breakpoint.line, condition: breakpoint.condition }
+                    : { line: breakpoint.line }))
+            });
+
+            (body.breakpoints || []).forEach((result, index) => {
+                if (list[index]) list[index].verified = result.verified;
+            });
+            this.renderGutter();
+            this.renderBreakpoints();
+        } catch (error) {
+            this.log('info', `[Breakpoints of ${filePath} not set: ${error.message}]\n`);
+        }
+    }
+
+    // Keep breakpoints on their line of code when lines are added or removed above them
+    onContentChange(tab, before) {
+        const list = this.breakpoints.get(tab.path);
+
+        if (list && before !== tab.content) {
+            const operation = TextOperation.fromDiff(before, tab.content);
+            const moved = new Map();
+            let changed = false;
+
+            list.forEach((breakpoint) => {
+                const start = LanguageClient.offsetAt(before, { line: breakpoint.line - 1, character: 0 });
+                const line = LanguageClient.positionAt(tab.content, operation.transformIndex(start)).line + 1;
+
+                changed = changed || line !== breakpoint.line;
+                if (!moved.has(line)) moved.set(line, { ...breakpoint, line });
+            });
+
+            if (changed) {
+                this.setBreakpoints(tab.path, Array.from(moved.values()));
+                return;
+            }
+        }
+
+        if (tab.path === this.workspace.activePath) {
+            this.renderGutter();
+        }
+    }
+
+    // Breakpoints follow their files when renamed or moved, and go away with them
+    retargetBreakpoints(oldPath, newPath) {
+        Array.from(this.breakpoints.keys())
+            .filter(filePath => filePath === oldPath || filePath.startsWith(`${oldPath}/`))
+            .forEach((filePath) => {
+                const list = this.breakpoints.get(filePath);
+                this.breakpoints.delete(filePath);
+                if (newPath) this.breakpoints.set(newPath + filePath.slice(oldPath.length), list);
+            });
+
+        this.renderBreakpoints();
+        this.renderGutter();
+    }
+
+    // ----- Session -----
+
+    // Start debugging what Run would run, or continue when paused
+    async start() {
+        if (this.status === 'stopped') {
+            this.step('continue');
+            return;
+        }
+        if (this.client) return;
+
+        const target = await this.workspace.chooseRunTarget();
+        if (!target || this.client) return;
+
+        const client = new DebugClient(this.workspace, {
+            onEvent: (event, body) => this.onEvent(event, body),
+            onClose: reason => this.onClose(client, reason)
+        });
+        this.client = client;
+        this.status = 'starting';
+        this.statusText = 'Starting…';
+
+        document.getElementById('debug-output').innerHTML = '';
+        this.log('info', `$ python ${target.file || `-m ${target.module}`}\n`);
+        this.workspace.showSidebarView('debug');
+        this.workspace.showPanel('debug');
+        this.render();
+
+        try {
+            await client.connect();
+            await client.request('initialize', {
+                clientID: 'bocide',
+                clientName: 'BocIDE',
+                adapterID: 'python',
+                pathFormat: 'path',
+                linesStartAt1: true,
+                columnsStartAt1: true,
+                supportsVariableType: true
+            });
+
+            // Answered once configured, after the `initialized` event
+            await client.request('launch', target.file ? { program: LanguageClient.uriOf(target.file) } : { module: target.module });
+
+            if (this.client === client && this.status === 'starting') {
+                this.status = 'running';
+                this.statusText = 'Running';
+                this.render();
+            }
+        } catch (error) {
+            if (this.client !== client) return;
+
+            alert('Error starting debugger: ' + error.message);
+            this.end();
+        }
+    }
+
+    // The adapter is ready for the breakpoints
+    async configure() {
+        const client = this.client;
+        this.configured = true;
+
+        try {
+            await Promise.all(Array.from(this.breakpoints.keys()).map(filePath => this.sendBreakpoints(filePath)));
+            await client.request('setExceptionBreakpoints', { filters: ['uncaught'] });
+            await client.request('configurationDone');
+        } catch (error) {
+            this.log('info', `[${error.message}]\n`);
+        }
+    }
+
+    onEvent(event, body) {
+        switch (event) {
+            case 'initialized':
+                this.configure();
+                break;
+            case 'output':
+                if (body.category === 'telemetry') return;
+                this.log({ stderr: 'stderr', console: 'info', important: 'info' }[body.category] || 'stdout', body.output);
+                break;
+            case 'stopped':
+                this.onStopped(body);
+                break;
+            case 'continued':
+                this.onContinued();
+                break;
+            case 'exited':
+                this.log('info', `\n[Process exited with code ${body.exitCode}]\n`);
+                break;
+            case 'terminated':
+                this.end();
+                break;
+            default:
+                break;
+        }
+    }
+
+    async onStopped(body) {
+        this.status = 'stopped';
+        this.threadId = body.threadId;
+        this.statusText = body.reason === 'exception'
+            ? `Paused on exception${body.text ? `: ${body.text}` : ''}`
+            : `Paused on ${body.reason}`;
+
+        try {
+            const { stackFrames } = await this.client.request('stackTrace', { threadId: this.threadId, startFrame: 0, levels: DEBUG_STACK_LEVELS });
+            this.frames = stackFrames || [];
+        } catch (error) {
+            this.frames = [];
+        }
+
+        this.render();
+        if (this.frames.length > 0) {
+            await this.selectFrame(this.frames[0]);
+        }
+    }
+
+    onContinued() {
+        this.status = 'running';
+        this.statusText = 'Running';
+        this.frames = [];
+        this.frameId = null;
+        this.location = null;
+        this.scopes = [];
+        this.children.clear();
+        this.watchResults = this.watches.map(expression => ({ name: expression, value: '', variablesReference: 0 }));
+        this.render();
+    }
+
+    async selectFrame(frame) {
+        if (!frame) return;
+
+        this.frameId = frame.id;
+        const filePath = frame.source ? LanguageClient.pathOf(frame.source.path) : null;
+        this.location = filePath ? { path: filePath, line: frame.line } : null;
+        this.children.clear();
+        this.renderStack();
+
+        if (filePath) {
+            await this.workspace.revealLine(filePath, frame.line);
+        }
+        this.renderGutter();
+
+        await Promise.all([this.loadScopes(), this.evaluateWatches()]);
+    }
+
+    // Resume the program: `continue`, `next`, `stepIn` or `stepOut`
+    async step(command) {
+        if (this.status !== 'stopped') return;
+
+        const threadId = this.threadId;
+        this.onContinued();
+
+        try {
+            await this.client.request(command, { threadId });
+        } catch (error) {
+            this.log('stderr', `${error.message}\n`);
+        }
+    }
+
+    async pause() {
+        if (this.status !== 'running') return;
+
+        try {
+            const { threads } = await this.client.request('threads');
+            if (threads && threads.length > 0) {
+                await this.client.request('pause', { threadId: threads[0].id });
+            }
+        } catch (error) {
+            this.log('stderr', `${error.message}\n`);
+        }
+    }
+
+    // Closing the connection makes the server stop the program
+    stop() {
+        if (!this.client) return;
+
+        this.log('info', '\n[Debug session stopped]\n');
+        this.end();
+    }
+
+    onClose(client, reason) {
+        if (this.client !== client) return;
+
+        if (reason) this.log('info', `\n[${reason}]\n`);
+        this.end();
+    }
+
+    end() {
+        const client = this.client;
+        this.client = null;
+        if (client) client.close();
+
+        this.status = 'idle';
+        this.statusText = '';
+        this.configured = false;
+        this.threadId = null;
+        this.breakpoints.forEach(list => list.forEach((breakpoint) => {
+            breakpoint.verified = false;
+        }));
+        this.onContinued();
+        this.status = 'idle';
+        this.statusText = '';
+        this.render();
+    }
+
+    // ----- Variables, watches and console -----
+
+    async loadScopes() {
+        const frameId = this.frameId;
+
+        try {
+            const { scopes } = await this.client.request('scopes', { frameId });
+            if (frameId !== this.frameId) return;
+
+            this.scopes = (scopes || []).map(scope => ({ name: scope.name, value: '', variablesReference: scope.variablesReference }));
+        } catch (error) {
+            this.scopes = [];
+        }
+
+        await this.refreshVariables();
+    }
+
+    async evaluateWatches() {
+        const frameId = this.frameId;
+
+        this.watchResults = await Promise.all(this.watches.map(async (expression) => {
+            if (!this.client || frameId === null) return { name: expression, value: '', variablesReference: 0 };
+
+            try {
+                const result = await this.client.request('evaluate', { expression, frameId, context: 'watch' });
+                return { name: expression, value: result.result, type: result.type, variablesReference: result.variablesReference || 0 };
+            } catch (error) {
+                return { name: expression, value: error.message, variablesReference: 0, error: true };
+            }
+        }));
+
+        if (frameId === this.frameId) {
+            await this.refreshVariables();
+        }
+    }
+
+    async loadChildren(reference) {
+        if (!this.children.has(reference)) {
+            try {
+                const { variables } = await this.client.request('variables', { variablesReference: reference });
+                this.children.set(reference, variables || []);
+            } catch (error) {
+                this.children.set(reference, [{ name: '', value: error.message, variablesReference: 0, error: true }]);
+            }
+        }
+
+        return this.children.get(reference);
+    }
+
+    // Load the children of the open nodes, then draw the Variables and Watch views
+    async refreshVariables() {
+        const load = async (nodes, parentKey) => {
+            await Promise.all(nodes.map(async (node) => {
+                const key = `${parentKey}/${node.name}`;
+                if (!node.variablesReference || !this.expanded.has(key) || !this.client) return;
+
+                await load(await this.loadChildren(node.variablesReference), key);
+            }));
+        };
+
+        await Promise.all([load(this.scopes, 'scope'), load(this.watchResults, 'watch')]);
+        this.renderVariables();
+    }
+
+    toggleNode(target) {
+        const node = target.closest('[data-key]');
+        if (!node || node.dataset.expandable !== 'true') return;
+
+        const key = node.dataset.key;
+        if (this.expanded.has(key)) {
+            this.expanded.delete(key);
+        } else {
+            this.expanded.add(key);
+        }
+
+        this.refreshVariables();
+    }
+
+    async evaluate(expression) {
+        if (!expression.trim()) return;
+
+        this.log('stdin', `> ${expression}\n`);
+
+        if (this.status !== 'stopped') {
+            this.log('info', '[Expressions are evaluated while the program is paused]\n');
+            return;
+        }
+
+        try {
+            const result = await this.client.request('evaluate', { expression, frameId: this.frameId, context: 'repl' });
+            this.log('stdout', `${result.result}\n`);
+
+            // Statements can change variables
+            this.children.clear();
+            await Promise.all([this.loadScopes(), this.evaluateWatches()]);
+        } catch (error) {
+            this.log('stderr', `${error.message}\n`);
+        }
+    }
+
+    log(stream, text) {
+        const output = document.getElementById('debug-output');
+        const atBottom = output.scrollTop + output.clientHeight >= output.scrollHeight - 5;
+
+        const span = document.createElement('span');
+        span.className = `output-${stream}`;
+        span.textContent = text;
+        output.appendChild(span);
+
+        if (atBottom) {
+            output.scrollTop = output.scrollHeight;
+        }
+    }
+
+    // ----- Rendering -----
+
+    render() {
+        this.renderControls();
+        this.renderStack();
+        this.renderVariables();
+        this.renderBreakpoints();
+        this.renderGutter();
+    }
+
+    renderControls() {
+        const stopped = this.status === 'stopped';
+
+        document.getElementById('debug-status').textContent = this.client ? this.statusText : 'Start debugging with F5, add breakpoints by clicking line numbers.';
+        document.getElementById('debug-continue-btn').disabled = !(this.status === 'idle' || stopped);
+        document.getElementById('debug-pause-btn').disabled = this.status !== 'running';
+        document.getElementById('debug-step-over-btn').disabled = !stopped;
+        document.getElementById('debug-step-into-btn').disabled = !stopped;
+        document.getElementById('debug-step-out-btn').disabled = !stopped;
+        document.getElementById('debug-stop-btn').disabled = !this.client;
+        document.getElementById('workspace-debug-btn').textContent = this.client ? '🐞 Debugging…' : '🐞 Debug';
+    }
+
+    renderStack() {
+        document.getElementById('debug-stack').innerHTML = this.frames.map((frame, index) => {
+            const sourcePath = frame.source && frame.source.path;
+            const filePath = sourcePath ? LanguageClient.pathOf(sourcePath) : null;
+            // Files outside of the project keep the path the server gave
+            const label = filePath || (sourcePath ? sourcePath.split(/[\\/]/).pop() : '');
+
+            return `
+                <li class="debug-frame ${frame.id === this.frameId ? 'active' : ''} ${filePath ? '' : 'external'}" data-index="${index}">
+                    <span class="debug-name">${this.app.escapeHtml(frame.name)}</span>
+                    <span class="debug-location">${this.app.escapeHtml(label)}:${frame.line}</span>
+                </li>
+            `;
+        }).join('');
+    }
+
+    renderNodes(nodes, parentKey, depth) {
+        return nodes.map((node, index) => {
+            const key = `${parentKey}/${node.name}`;
+            const expandable = node.variablesReference > 0;
+            const children = expandable && this.expanded.has(key) ? this.children.get(node.variablesReference) : null;
+
+            return `
+                <li class="debug-node" data-key="${this.workspace.escapeAttr(key)}" data-expandable="${expandable}" style="padding-left: ${8 + depth * 14}px" title="${this.workspace.escapeAttr(node.type || '')}">
+                    <span class="debug-twisty">${expandable ? (children ? '▾' : '▸') : ''}</span>
+                    <span class="debug-name">${this.app.escapeHtml(node.name)}</span>
+                    <span class="debug-value ${node.error ? 'debug-error' : ''}">${this.app.escapeHtml(node.value || '')}</span>
+                    ${depth === 0 && parentKey === 'watch' ? `<button class="icon-btn debug-watch-remove" data-index="${index}" title="Remove">✕</button>` : ''}
+                </li>
+                ${children ? this.renderNodes(children, key, depth + 1) : ''}
+            `;
+        }).join('');
+    }
+
+    renderVariables() {
+        document.getElementById('debug-variables').innerHTML = this.renderNodes(this.scopes, 'scope', 0);
+
+        const watches = this.watchResults.length === this.watches.length
+            ? this.watchResults
+            : this.watches.map(expression => ({ name: expression, value: '', variablesReference: 0 }));
+        document.getElementById('debug-watches').innerHTML = this.renderNodes(watches, 'watch', 0);
+    }
+
+    renderBreakpoints() {
+        const items = [];
+        Array.from(this.breakpoints.keys()).sort().forEach((filePath) => {
+            this.breakpoints.get(filePath).forEach((breakpoint) => {
+                items.push(`
+                    <li class="debug-breakpoint" data-path="${this.workspace.escapeAttr(filePath)}" data-line="${breakpoint.line}">
+                        <span class="debug-breakpoint-dot ${breakpoint.condition ? 'conditional' : ''}"></span>
+                        <span class="debug-name">${this.app.escapeHtml(filePath)}:${breakpoint.line}</span>
+                        <span class="debug-value">${this.app.escapeHtml(breakpoint.condition || '')}</span>
+                        <button class="icon-btn debug-breakpoint-remove" title="Remove">✕</button>
+                    </li>
+                `);
+            });
+        });
+
+        document.getElementById('debug-breakpoints').innerHTML = items.join('');
+    }
+
+    // Line numbers and breakpoints of the active file, and the line the program is paused on
+    renderGutter() {
+        const gutter = document.getElementById('editor-gutter');
+        const layer = document.getElementById('editor-debug-line');
+        const tab = this.workspace.findTab(this.workspace.activePath);
+
+        // Notebooks have no lines of their own
+        if (!tab || this.workspace.notebook.handles(tab)) {
+            gutter.style.display = 'none';
+            gutter.innerHTML = '';
+            layer.innerHTML = '';
+            this.gutterHtml = null;
+            return;
+        }
+
+        const count = tab.content.split('\n').length;
+        const marks = new Map((this.breakpoints.get(tab.path) || []).map(breakpoint => [breakpoint.line, breakpoint]));
+        const current = this.location && this.location.path === tab.path ? this.location.line : null;
+
+        const lines = [];
+        for (let line = 1; line <= count; line++) {
+            const breakpoint = marks.get(line);
+            const classes = ['gutter-line'];
+            if (breakpoint) classes.push(breakpoint.condition ? 'breakpoint conditional' : 'breakpoint');
+            if (breakpoint && this.configured && !breakpoint.verified) classes.push('unverified');
+            if (line === current) classes.push('current');
+
+            const title = breakpoint && breakpoint.condition ? ` title="${this.workspace.escapeAttr(breakpoint.condition)}"` : '';
+            lines.push(`<div class="${classes.join(' ')}" data-line="${line}"${title}>${line}</div>`);
+        }
+
+        const html = `<div class="editor-gutter-content">${lines.join('')}</div>`;
+        gutter.style.display = 'block';
+        if (html !== this.gutterHtml) {
+            gutter.innerHTML = html;
+            this.gutterHtml = html;
+        }
+
+        if (current) {
+            const { lineHeight } = this.workspace.assist.metrics();
+            layer.innerHTML = `
+                <div class="editor-highlights-content debug-line-content" style="height: ${count * lineHeight}px">
+                    <div class="debug-current-line" style="top: ${(current - 1) * lineHeight}px; height: ${lineHeight}px"></div>
+                </div>
+            `;
+        } else {
+            layer.innerHTML = '';
+        }
+
+        this.workspace.assist.syncScroll();
+    }
+
+    // ----- Session persistence -----
+
+    restore({ breakpoints = {}, watches = [] } = {}) {
+        Object.entries(breakpoints).forEach(([filePath, list]) => {
+            this.breakpoints.set(filePath, list.map(({ line, condition }) => ({ line, condition: condition || null, verified: false })));
+        });
+        this.watches = watches.filter(expression => typeof expression === 'string');
+        this.render();
+    }
+
+    serialize() {
+        const breakpoints = {};
+        this.breakpoints.forEach((list, filePath) => {
+            breakpoints[filePath] = list.map(({ line, condition }) => ({ line, condition }));
+        });
+
+        return { breakpoints, watches: this.watches };
+    }
+
+    dispose() {
+        this.end();
+        document.getElementById('editor-gutter').innerHTML = '';
+        document.getElementById('editor-debug-line').innerHTML = '';
+        this.gutterHtml = null;
+    }
+}
@@ -0,0 +1,289 @@
+// editor_keys.js
+// Editing keys of the vim and emacs keymaps in the code editor, on top of those of the
+// textarea. Vim has a normal mode, where keys move and edit, and an insert mode,
+// where they type; emacs moves with Ctrl and Alt and keeps the last killed text to
+// yank it back. Only the common commands are there, without counts or named registers.
+class EditorKeys {
+    constructor(workspace) {
+        this.workspace = workspace;
+        this.settings = workspace.app.settings;
+        this.mode = 'normal';
+        // Vim operator waiting for its second key: d, y or g
+        this.operator = null;
+        // Text of the last vim delete or yank, and of the last emacs kill
+        this.register = '';
+        this.registerLines = false;
+    }
+
+    preset() {
+        return this.settings.get('keymap.preset');
+    }
+
+    editor() {
+        return document.getElementById('code-editor');
+    }
+
+    // Back to the normal mode of vim, e.g. when another file is shown
+    reset() {
+        this.mode = 'normal';
+        this.operator = null;
+        this.render();
+    }
+
+    render() {
+        const vim = this.preset() === 'vim';
+        const indicator = document.getElementById('vim-mode');
+
+        indicator.hidden = !vim;
+        indicator.textContent = this.mode === 'insert' ? '-- INSERT --' : '-- NORMAL --';
+        this.editor().classList.toggle('vim-normal', vim && this.mode === 'normal');
+    }
+
+    // Called with the editor's keydown events; returns true when the key was used here
+    onKeyDown(e) {
+        // The rest of a sequence of the keymap, e.g. Ctrl+S after Ctrl+X
+        if (this.workspace.keymap.pending) return false;
+
+        const preset = this.preset();
+        if (preset === 'vim') return this.onVimKey(e);
+        if (preset === 'emacs') return this.onEmacsKey(e);
+        return false;
+    }
+
+    // ----- Text -----
+
+    lineStart(text, offset) {
+        return text.lastIndexOf('\n', offset - 1) + 1;
+    }
+
+    lineEnd(text, offset) {
+        const end = text.indexOf('\n', offset);
+        return end === -1 ? text.length : end;
+    }
+
+    // Offset on the line above (-1) or below (1), at the same column when it is long enough
+    verticalOffset(text, offset, direction) {
+        const start = this.lineStart(text, offset);
+        const column = offset - start;
+
+        if (direction < 0) {
+            if (start === 0) return offset;
+            const previous = this.lineStart(text, start - 1);
+            return Math.min(previous + column, start - 1);
+        }
+
+        const end = this.lineEnd(text, offset);
+        if (end === text.length) return offset;
+        return Math.min(end + 1 + column, this.lineEnd(text, end + 1));
+    }
+
+    // Start of the next word, or of the previous one
+    wordOffset(text, offset, direction) {
+        const words = /\w+|[^\w\s]+/g;
+        let previous = 0;
+        let match;
+
+        while ((match = words.exec(text)) !== null) {
+            if (direction > 0 && match.index > offset) return match.index;
+            if (direction < 0 && match.index >= offset) return previous;
+            previous = match.index;
+        }
+
+        return direction > 0 ? text.length : previous;
+    }
+
+    moveTo(offset) {
+        this.editor().setSelectionRange(offset, offset);
+    }
+
+    // Replace a range of the text like typing would, then put the caret at `caret`
+    edit(start, end, text, caret = start + text.length) {
+        if (this.workspace.readOnly) return;
+
+        const editor = this.editor();
+        editor.setRangeText(text, start, end, 'end');
+        editor.setSelectionRange(caret, caret);
+        editor.dispatchEvent(new Event('input'));
+    }
+
+    // ----- Vim -----
+
+    setMode(mode) {
+        this.mode = mode;
+        this.operator = null;
+        this.render();
+    }
+
+    onVimKey(e) {
+        const editor = this.editor();
+
+        if (this.mode === 'insert') {
+            if (e.key !== 'Escape') return false;
+
+            e.preventDefault();
+            // Like vim, the caret steps back onto the last character typed
+            const offset = editor.selectionStart;
+            this.setMode('normal');
+            if (offset > this.lineStart(editor.value, offset)) this.moveTo(offset - 1);
+            return true;
+        }
+
+        // Shortcuts of the keymap, and the keys of the textarea that only move
+        if (e.ctrlKey || e.metaKey || e.altKey || /^(F\d+|Arrow\w+|Home|End|Page\w+)$/.test(e.key)) return false;
+        if (e.key.length !== 1 && !['Escape', 'Enter', 'Backspace', 'Delete', 'Tab'].includes(e.key)) return false;
+
+        // Normal mode types nothing
+        e.preventDefault();
+
+        const text = editor.value;
+        const offset = editor.selectionStart;
+        const start = this.lineStart(text, offset);
+        const end = this.lineEnd(text, offset);
+        const operator = this.operator;
+        this.operator = null;
+
+        if (operator) {
+            this.onVimOperator(operator, e.key, text, start, end);
+            return true;
+        }
+
+        const commands = {
+            h: () => this.moveTo(Math.max(offset - 1, start)),
+            l: () => this.moveTo(Math.min(offset + 1, Math.max(end - 1, start))),
+            j: () => this.moveTo(this.verticalOffset(text, offset, 1)),
+            k: () => this.moveTo(this.verticalOffset(text, offset, -1)),
+            Enter: () => this.moveTo(this.verticalOffset(text, offset, 1)),
+            Backspace: () => this.moveTo(Math.max(offset - 1, 0)),
+            w: () => this.moveTo(this.wordOffset(text, offset, 1)),
+            b: () => this.moveTo(this.wordOffset(text, offset, -1)),
+            0: () => this.moveTo(start),
+            '^': () => this.moveTo(start + text.slice(start, end).search(/\S|$/)),
+            $: () => this.moveTo(Math.max(end - 1, start)),
+            G: () => this.moveTo(this.lineStart(text, text.length)),
+            i: () => this.setMode('insert'),
+            a: () => {
+                this.setMode('insert');
+                this.moveTo(Math.min(offset + 1, end));
+            },
+            I: () => {
+                this.setMode('insert');
+                this.moveTo(start + text.slice(start, end).search(/\S|$/));
+            },
+            A: () => {
+                this.setMode('insert');
+                this.moveTo(end);
+            },
+            o: () => this.openLine(text, start, end, 1),
+            O: () => this.openLine(text, start, end, -1),
+            x: () => {
+                if (offset >= end) return;
+                this.register = text[offset];
+                this.registerLines = false;
+                this.edit(offset, offset + 1, '');
+            },
+            D: () => {
+                this.register = text.slice(offset, end);
+                this.registerLines = false;
+                this.edit(offset, end, '');
+            },
+            p: () => this.put(text, offset, start, end),
+            ':': () => this.workspace.palette.show(),
+            d: () => { this.operator = 'd'; },
+            y: () => { this.operator = 'y'; },
+            g: () => { this.operator = 'g'; }
+        };
+
+        const command = commands[e.key];
+        if (command && !(this.workspace.readOnly && 'iaIAoOxDpd'.includes(e.key))) command();
+        return true;
+    }
+
+    // Second key of dd, yy and gg
+    onVimOperator(operator, key, text, start, end) {
+        if (operator !== key) return;
+
+        if (operator === 'g') {
+            this.moveTo(0);
+            return;
+        }
+
+        // The line with its end of line, the last line with the one before it
+        const lineEnd = end < text.length ? end + 1 : end;
+        const lineStart = end === text.length && start > 0 ? start - 1 : start;
+        this.register = `${text.slice(start, end)}\n`;
+        this.registerLines = true;
+
+        if (operator === 'd') {
+            this.edit(lineStart, lineEnd, '');
+            this.moveTo(this.lineStart(this.editor().value, Math.min(lineStart, this.editor().value.length)));
+        }
+    }
+
+    // Paste after the caret, or below the line for whole lines
+    put(text, offset, start, end) {
+        if (!this.register) return;
+
+        if (this.registerLines) {
+            const inserted = end < text.length ? this.register : `\n${this.register.slice(0, -1)}`;
+            const at = end < text.length ? end + 1 : end;
+            this.edit(at, at, inserted, end < text.length ? at : at + 1);
+        } else {
+            const at = Math.min(offset + 1, end);
+            this.edit(at, at, this.register, at + this.register.length - 1);
+        }
+    }
+
+    // Insert a line below (1) or above (-1) the current one, indented like it
+    openLine(text, start, end, direction) {
+        if (this.workspace.readOnly) return;
+
+        const indent = text.slice(start, end).match(/^\s*/)[0];
+        this.setMode('insert');
+
+        if (direction > 0) {
+            this.edit(end, end, `\n${indent}`);
+        } else {
+            this.edit(start, start, `${indent}\n`, start + indent.length);
+        }
+    }
+
+    // ----- Emacs -----
+
+    onEmacsKey(e) {
+        const editor = this.editor();
+        const text = editor.value;
+        const offset = editor.selectionStart;
+        const start = this.lineStart(text, offset);
+        const end = this.lineEnd(text, offset);
+        const ctrl = e.ctrlKey && !e.altKey && !e.shiftKey;
+        const alt = e.altKey && !e.ctrlKey && !e.shiftKey;
+        const key = e.code;
+
+        const commands = ctrl ? {
+            KeyF: () => this.moveTo(Math.min(offset + 1, text.length)),
+            KeyB: () => this.moveTo(Math.max(offset - 1, 0)),
+            KeyN: () => this.moveTo(this.verticalOffset(text, offset, 1)),
+            KeyP: () => this.moveTo(this.verticalOffset(text, offset, -1)),
+            KeyA: () => this.moveTo(start),
+            KeyE: () => this.moveTo(end),
+            KeyD: () => this.edit(offset, Math.min(offset + 1, text.length), ''),
+            // Kill to the end of the line, or the end of line itself
+            KeyK: () => {
+                const killEnd = offset === end ? Math.min(end + 1, text.length) : end;
+                this.register = text.slice(offset, killEnd);
+                this.edit(offset, killEnd, '');
+            },
+            KeyY: () => this.register && this.edit(editor.selectionStart, editor.selectionEnd, this.register)
+        } : alt ? {
+            KeyF: () => this.moveTo(this.wordOffset(text, offset, 1)),
+            KeyB: () => this.moveTo(this.wordOffset(text, offset, -1))
+        } : {};
+
+        const command = commands[key];
+        if (!command) return false;
+
+        e.preventDefault();
+        command();
+        return true;
+    }
+}
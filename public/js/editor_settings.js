@@ -0,0 +1,103 @@
+// editor_settings.js
+// Settings of the editor, kept by the server (services/editor_settings.js) so that
+// they follow the user between browsers. The project open in the workspace may
+// override some of them for everyone working on it: a setting is the one of the
+// project, else the one of the user, else its default.
+const SETTING_FIELDS = [
+    { key: 'editor.tabSize', label: 'Tab size', type: 'number', min: 1, max: 8, project: true },
+    { key: 'editor.insertSpaces', label: 'Indent with spaces', type: 'boolean', project: true },
+    { key: 'editor.formatOnSave', label: 'Format Python files on save', type: 'boolean', project: true },
+    { key: 'editor.fontFamily', label: 'Font', type: 'text' },
+    { key: 'editor.fontSize', label: 'Font size', type: 'number', min: 8, max: 32 },
+    { key: 'workbench.theme', label: 'Theme', type: 'choice', options: { dark: 'Dark', light: 'Light' } },
+    { key: 'keymap.preset', label: 'Keymap', type: 'choice', options: { vscode: 'VS Code', vim: 'Vim', emacs: 'Emacs' } }
+];
+
+class EditorSettings {
+    constructor(app) {
+        this.app = app;
+        this.defaults = {};
+        this.user = {};
+        this.project = {};
+        // Workspace whose project settings are loaded
+        this.workspace = null;
+    }
+
+    async load() {
+        try {
+            const { settings, defaults } = await this.app.api.getSettings();
+            this.defaults = defaults;
+            this.user = settings;
+        } catch (error) {
+            console.error('Error loading settings:', error);
+        }
+
+        this.apply();
+    }
+
+    // Settings of the project of `workspace`, which is opening
+    async loadProject(workspace) {
+        this.workspace = workspace;
+
+        try {
+            this.project = await workspace.api.getProjectSettings(workspace.projectName);
+        } catch (error) {
+            this.project = {};
+            console.error('Error loading project settings:', error);
+        }
+
+        this.apply();
+    }
+
+    closeProject() {
+        this.workspace = null;
+        this.project = {};
+        this.apply();
+    }
+
+    get(key) {
+        const layer = [this.project, this.user, this.defaults].find(settings => Object.prototype.hasOwnProperty.call(settings, key));
+        return layer ? layer[key] : undefined;
+    }
+
+    // What the Tab key inserts
+    indentation() {
+        return this.get('editor.insertSpaces') === false ? '\t' : ' '.repeat(this.get('editor.tabSize') || 4);
+    }
+
+    canEditProject() {
+        return Boolean(this.workspace) && !this.workspace.readOnly;
+    }
+
+    async saveUser(settings) {
+        this.user = await this.app.api.saveSettings(settings);
+        this.apply();
+    }
+
+    async saveProject(settings) {
+        this.project = await this.workspace.api.saveProjectSettings(this.workspace.projectName, settings);
+        this.apply();
+    }
+
+    // Change one setting where it is decided: in the project when it sets it, for the
+    // user otherwise
+    async set(key, value) {
+        if (Object.prototype.hasOwnProperty.call(this.project, key) && this.canEditProject()) {
+            await this.saveProject({ ...this.project, [key]: value });
+        } else {
+            await this.saveUser({ ...this.user, [key]: value });
+        }
+    }
+
+    apply() {
+        const root = document.documentElement;
+        const fontSize = this.get('editor.fontSize');
+
+        if (this.get('workbench.theme')) root.dataset.theme = this.get('workbench.theme');
+        if (this.get('editor.fontFamily')) root.style.setProperty('--editor-font-family', this.get('editor.fontFamily'));
+        if (fontSize) root.style.setProperty('--editor-font-size', `${fontSize}px`);
+        if (this.get('editor.tabSize')) root.style.setProperty('--editor-tab-size', this.get('editor.tabSize'));
+
+        if (this.workspace) this.workspace.onSettingsChange();
+    }
+}
@@ -0,0 +1,153 @@
+// environment_panel.js
+class EnvironmentPanel {
+    constructor(workspace) {
+        this.workspace = workspace;
+        this.app = workspace.app;
+    }
+
+    bindEvents() {
+        const overlay = document.getElementById('env-modal-overlay');
+
+        document.getElementById('workspace-env-btn').onclick = () => this.show();
+        document.getElementById('env-close-btn').onclick = () => this.hide();
+        document.getElementById('env-create-btn').onclick = () => this.startJob('/api/venv/create');
+        document.getElementById('env-install-btn').onclick = () => this.startJob('/api/venv/install');
+
+        overlay.onclick = (e) => {
+            if (e.target === e.currentTarget) this.hide();
+        };
+
+        document.getElementById('env-add-form').onsubmit = (e) => {
+            e.preventDefault();
+            const input = document.getElementById('env-add-input');
+            const requirement = input.value.trim();
+            if (!requirement) return;
+
+            input.value = '';
+            this.startJob('/api/venv/requirements', { requirement });
+        };
+
+        document.getElementById('env-requirements').onclick = (e) => {
+            const button = e.target.closest('[data-remove]');
+            if (!button) return;
+
+            if (confirm(`Uninstall "${button.dataset.remove}" and remove it from requirements.txt?`)) {
+                this.startJob('/api/venv/requirements', { name: button.dataset.remove }, 'DELETE');
+            }
+        };
+    }
+
+    show() {
+        document.getElementById('env-modal-overlay').classList.add('active');
+        this.refresh();
+    }
+
+    hide() {
+        document.getElementById('env-modal-overlay').classList.remove('active');
+    }
+
+    async refresh() {
+        const status = document.getElementById('env-status');
+        const params = new URLSearchParams({ project: this.workspace.projectName });
+
+        status.textContent = 'Loading…';
+
+        try {
+            const response = await this.workspace.fetch(`/api/venv/status?${params}`);
+            const data = await response.json();
+
+            if (!data.success) {
+                status.textContent = data.error;
+                return;
+            }
+
+            const interpreter = data.version ? `${data.version} (${data.python})` : `${data.python} not found`;
+            status.textContent = data.venv
+                ? `Virtual environment ${data.venv} — ${interpreter}`
+                : `No virtual environment, runs use ${interpreter}`;
+
+            document.getElementById('env-create-btn').disabled = Boolean(data.venv);
+            document.getElementById('env-install-btn').disabled = !data.venv;
+            document.getElementById('env-add-input').disabled = !data.venv;
+
+            this.renderRequirements(data.requirements, Boolean(data.venv));
+            await this.loadPackages(Boolean(data.venv));
+        } catch (error) {
+            status.textContent = 'Error loading the environment: ' + error.message;
+        }
+    }
+
+    renderRequirements(requirements, canEdit) {
+        const list = document.getElementById('env-requirements');
+
+        if (requirements.length === 0) {
+            list.innerHTML = '<li class="env-empty">requirements.txt is empty</li>';
+            return;
+        }
+
+        list.innerHTML = requirements.map(requirement => `
+            <li>
+                <span>${this.app.escapeHtml(requirement.spec)}</span>
+                ${canEdit ? `<button class="env-remove" data-remove="${this.app.escapeHtml(requirement.name)}" title="Uninstall">×</button>` : ''}
+            </li>
+        `).join('');
+    }
+
+    async loadPackages(hasVenv) {
+        const list = document.getElementById('env-packages');
+
+        if (!hasVenv) {
+            list.innerHTML = '<li class="env-empty">Create the virtual environment to install packages</li>';
+            return;
+        }
+
+        try {
+            const params = new URLSearchParams({ project: this.workspace.projectName });
+            const response = await this.workspace.fetch(`/api/venv/packages?${params}`);
+            const data = await response.json();
+
+            if (!data.success) {
+                list.innerHTML = `<li class="env-empty">${this.app.escapeHtml(data.error)}</li>`;
+                return;
+            }
+
+            list.innerHTML = data.packages.map(pkg => `
+                <li>
+                    <span>${this.app.escapeHtml(pkg.name)}</span>
+                    <span class="env-version">${this.app.escapeHtml(pkg.version)}</span>
+                </li>
+            `).join('') || '<li class="env-empty">No packages installed</li>';
+        } catch (error) {
+            list.innerHTML = `<li class="env-empty">${this.app.escapeHtml(error.message)}</li>`;
+        }
+    }
+
+    // Start a venv/pip job and follow its log in the output console
+    async startJob(url, body = {}, method = 'POST') {
+        try {
+            const response = await this.workspace.fetch(url, {
+                method,
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ project: this.workspace.projectName, ...body })
+            });
+
+            const data = await response.json();
+
+            if (!data.success) {
+                alert('Environment error: ' + data.error);
+                return;
+            }
+
+            this.workspace.output.attach(data.job, {
+                onExit: () => {
+                    this.refresh();
+                    this.workspace.refreshTree();
+                }
+            });
+        } catch (error) {
+            alert('Environment error: ' + error.message);
+        }
+    }
+}
@@ -0,0 +1,422 @@
+// git_panel.js
+
+// Letters shown for the state of a changed file
+const GIT_BADGES = { modified: 'M', added: 'A', deleted: 'D', renamed: 'R', copied: 'C', untracked: 'U', conflicted: '!' };
+
+// States of the index column of `git status`
+const GIT_INDEX_STATES = { M: 'modified', T: 'modified', A: 'added', D: 'deleted', R: 'renamed', C: 'copied' };
+
+class GitPanel {
+    constructor(workspace) {
+        this.workspace = workspace;
+        this.app = workspace.app;
+        this.status = null;
+        this.branches = [];
+        this.commits = [];
+
+        // File path -> status entry, used for the file tree badges
+        this.fileStates = new Map();
+    }
+
+    bindEvents() {
+        const content = document.getElementById('git-content');
+
+        document.getElementById('git-refresh-btn').onclick = () => this.refresh();
+        document.getElementById('diff-close-btn').onclick = () => this.hideDiff();
+
+        document.getElementById('diff-modal-overlay').onclick = (e) => {
+            if (e.target === e.currentTarget) this.hideDiff();
+        };
+
+        content.onclick = (e) => {
+            const action = e.target.closest('[data-git-action]');
+            if (!action) return;
+
+            const { gitAction, path, staged } = action.dataset;
+
+            switch (gitAction) {
+                case 'init':
+                    this.request('POST', '/api/git/init');
+                    break;
+                case 'stage':
+                case 'unstage':
+                case 'discard':
+                    this.changeFiles(gitAction, path ? [path] : this.pathsOf(gitAction === 'unstage'));
+                    break;
+                case 'diff':
+                    this.showDiff(path, staged === 'true');
+                    break;
+                case 'commit':
+                    this.commit();
+                    break;
+            }
+        };
+
+        content.onchange = (e) => {
+            if (e.target.id === 'git-branch-select') {
+                this.switchBranch(e.target.value);
+            }
+        };
+    }
+
+    // Send a request to the git API for the current project and report failures
+    async request(method, url, body = {}) {
+        try {
+            const response = await this.workspace.fetch(url, {
+                method,
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ project: this.workspace.projectName, ...body })
+            });
+
+            const data = await response.json();
+
+            if (!data.success) {
+                alert('Git error: ' + data.error);
+                return null;
+            }
+
+            return data;
+        } catch (error) {
+            alert('Git error: ' + error.message);
+            return null;
+        } finally {
+            await this.refresh();
+        }
+    }
+
+    async refresh() {
+        const params = new URLSearchParams({ project: this.workspace.projectName });
+
+        try {
+            const response = await this.workspace.fetch(`/api/git/status?${params}`);
+            const data = await response.json();
+
+            if (!data.success) {
+                throw new Error(data.error);
+            }
+
+            this.status = data;
+            this.fileStates = new Map(data.repository ? data.files.map(file => [file.path, file]) : []);
+
+            if (data.repository) {
+                const [branches, log] = await Promise.all([
+                    this.workspace.fetch(`/api/git/branches?${params}`).then(res => res.json()),
+                    this.workspace.fetch(`/api/git/log?${params}`).then(res => res.json())
+                ]);
+                this.branches = branches.success ? branches.branches : [];
+                this.commits = log.success ? log.commits : [];
+            }
+        } catch (error) {
+            this.status = { repository: false, error: error.message };
+            this.fileStates.clear();
+        }
+
+        this.render();
+        this.workspace.renderTree();
+    }
+
+    pathsOf(staged) {
+        return this.status.files.filter(file => (staged ? file.staged : file.unstaged)).map(file => file.path);
+    }
+
+    async changeFiles(action, paths) {
+        if (paths.length === 0) return;
+
+        if (action === 'discard') {
+            const names = paths.length === 1 ? `"${paths[0]}"` : `${paths.length} files`;
+            if (!confirm(`Discard the changes of ${names}? Untracked files are moved to the trash.`)) return;
+        }
+
+        const previous = new Map(this.fileStates);
+        const data = await this.request('POST', `/api/git/${action}`, { paths });
+
+        if (data && action === 'discard') {
+            // The editor must not keep showing the discarded content
+            for (const filePath of data.discarded) {
+                if (!this.workspace.findTab(filePath)) continue;
+
+                const file = previous.get(filePath);
+                if (file && (file.state === 'untracked' || ['A', 'R', 'C'].includes(file.index))) {
+                    this.workspace.forgetTab(filePath);
+                } else {
+                    await this.workspace.reloadTab(filePath);
+                }
+            }
+            await this.workspace.refreshTree();
+        }
+    }
+
+    async commit() {
+        const input = document.getElementById('git-commit-message');
+        const message = input.value.trim();
+
+        if (!message) {
+            input.focus();
+            return;
+        }
+
+        if (!this.status.identity && !await this.askIdentity()) return;
+
+        const data = await this.request('POST', '/api/git/commit', { message });
+        if (data) {
+            document.getElementById('git-commit-message').value = '';
+        }
+    }
+
+    // Commits need an author: ask for one and store it in the project's git config
+    async askIdentity() {
+        const name = prompt('Author name for the commits of this project:');
+        if (!name || !name.trim()) return false;
+
+        const email = prompt('Author email:');
+        if (!email || !email.trim()) return false;
+
+        return Boolean(await this.request('PUT', '/api/git/identity', { name, email }));
+    }
+
+    async createBranch() {
+        const name = prompt('New branch name:');
+        if (!name || !name.trim()) {
+            this.render();
+            return;
+        }
+
+        await this.request('POST', '/api/git/branches', { name: name.trim() });
+        await this.workspace.refreshTree();
+    }
+
+    async switchBranch(branch) {
+        if (branch === '__new__') {
+            await this.createBranch();
+            return;
+        }
+
+        if (this.workspace.hasUnsavedChanges() && !confirm('Some files have unsaved changes. Switch branch anyway?')) {
+            this.render();
+            return;
+        }
+
+        const data = await this.request('POST', '/api/git/switch', { branch });
+        if (!data) return;
+
+        // Files may differ on the other branch
+        for (const tab of this.workspace.tabs.slice()) {
+            if (!this.workspace.isDirty(tab)) await this.workspace.reloadTab(tab.path);
+        }
+        await this.workspace.refreshTree();
+    }
+
+    // Badge shown next to a file of the tree, or next to a folder containing changes
+    badgeFor(entryPath, isFolder) {
+        if (isFolder) {
+            const prefix = `${entryPath}/`;
+            for (const filePath of this.fileStates.keys()) {
+                if (filePath.startsWith(prefix)) return { letter: '•', state: 'modified' };
+            }
+            return null;
+        }
+
+        const file = this.fileStates.get(entryPath);
+        if (!file) return null;
+
+        return { letter: GIT_BADGES[file.state] || 'M', state: file.state };
+    }
+
+    render() {
+        const content = document.getElementById('git-content');
+        const escape = text => this.app.escapeHtml(text);
+
+        if (!this.status) {
+            content.innerHTML = '<div class="loading">Loading...</div>';
+            return;
+        }
+
+        if (!this.status.repository) {
+            content.innerHTML = `
+                ${this.status.error ? `<div class="tree-error">${escape(this.status.error)}</div>` : ''}
+                <div class="git-empty">
+                    <p>This project is not a git repository.</p>
+                    <button class="btn btn-primary btn-small" data-git-action="init">Initialize repository</button>
+                </div>
+            `;
+            return;
+        }
+
+        // Keep the commit message being typed across refreshes
+        const messageInput = document.getElementById('git-commit-message');
+        const message = messageInput ? messageInput.value : '';
+
+        const staged = this.status.files.filter(file => file.staged);
+        const changes = this.status.files.filter(file => file.unstaged);
+
+        const branchOptions = this.branches.map(branch => `
+            <option value="${this.workspace.escapeAttr(branch.name)}" ${branch.current ? 'selected' : ''}>${escape(branch.name)}</option>
+        `).join('');
+
+        content.innerHTML = `
+            <div class="git-branch">
+                <select id="git-branch-select" class="git-select" title="Branch">
+                    ${this.status.branch ? '' : '<option selected disabled>(detached HEAD)</option>'}
+                    ${branchOptions}
+                    <option value="__new__">+ New branch…</option>
+                </select>
+            </div>
+
+            <div class="git-commit">
+                <textarea id="git-commit-message" rows="2" placeholder="Commit message"></textarea>
+                <button class="btn btn-primary btn-small" data-git-action="commit" ${staged.length === 0 ? 'disabled' : ''}>Commit</button>
+            </div>
+
+            ${this.renderSection('Staged changes', staged, true)}
+            ${this.renderSection('Changes', changes, false)}
+
+            <div class="git-section-title">History</div>
+            <ul class="git-log">
+                ${this.commits.map(commit => `
+                    <li title="${this.workspace.escapeAttr(`${commit.hash}\n${commit.author} <${commit.email}>\n${new Date(commit.date).toLocaleString()}`)}">
+                        <span class="git-hash">${escape(commit.shortHash)}</span>
+                        <span class="git-subject">${escape(commit.subject)}</span>
+                    </li>
+                `).join('') || '<li class="git-none">No commits yet</li>'}
+            </ul>
+        `;
+
+        document.getElementById('git-commit-message').value = message;
+    }
+
+    renderSection(title, files, staged) {
+        const groupActions = staged
+            ? '<button class="icon-btn" data-git-action="unstage" title="Unstage all">−</button>'
+            : `<button class="icon-btn" data-git-action="discard" title="Discard all">↺</button>
+               <button class="icon-btn" data-git-action="stage" title="Stage all">+</button>`;
+
+        const rows = files.map(file => {
+            // Staged rows show what the index changed, other rows the working tree state
+            const state = staged ? (GIT_INDEX_STATES[file.index] || 'modified') : file.state;
+            const filePath = this.workspace.escapeAttr(file.path);
+            const fileActions = staged
+                ? `<button class="icon-btn" data-git-action="unstage" data-path="${filePath}" title="Unstage">−</button>`
+                : `<button class="icon-btn" data-git-action="discard" data-path="${filePath}" title="Discard changes">↺</button>
+                   <button class="icon-btn" data-git-action="stage" data-path="${filePath}" title="Stage">+</button>`;
+
+            return `
+                <li class="git-file" data-git-action="diff" data-path="${filePath}" data-staged="${staged}" title="${filePath}">
+                    <span class="git-file-name">${this.app.escapeHtml(file.path)}</span>
+                    <span class="git-file-actions">${fileActions}</span>
+                    <span class="git-badge git-${state}">${GIT_BADGES[state] || 'M'}</span>
+                </li>
+            `;
+        }).join('');
+
+        return `
+            <div class="git-section-title">
+                <span>${title} (${files.length})</span>
+                ${files.length > 0 ? `<span class="git-file-actions">${groupActions}</span>` : ''}
+            </div>
+            <ul class="git-files">${rows || '<li class="git-none">None</li>'}</ul>
+        `;
+    }
+
+    // ----- Diff viewer -----
+
+    async showDiff(filePath, staged) {
+        const params = new URLSearchParams({ project: this.workspace.projectName, path: filePath, staged });
+
+        try {
+            const response = await this.workspace.fetch(`/api/git/diff?${params}`);
+            const data = await response.json();
+
+            if (!data.success) {
+                alert('Git error: ' + data.error);
+                return;
+            }
+
+            document.getElementById('diff-title').textContent = `${filePath} — ${staged ? 'staged' : 'working tree'}`;
+            document.getElementById('diff-view').innerHTML = this.renderDiff(data.diff);
+            document.getElementById('diff-modal-overlay').classList.add('active');
+        } catch (error) {
+            alert('Git error: ' + error.message);
+        }
+    }
+
+    hideDiff() {
+        document.getElementById('diff-modal-overlay').classList.remove('active');
+    }
+
+    // Turn a unified diff into side-by-side rows: removed lines on the left,
+    // added lines on the right, paired when they replace each other
+    parseDiff(diff) {
+        const rows = [];
+        let removed = [];
+        let added = [];
+        let oldLine = 0;
+        let newLine = 0;
+        let inHunk = false;
+
+        const flush = () => {
+            for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+                rows.push({ type: 'change', left: removed[i] || null, right: added[i] || null });
+            }
+            removed = [];
+            added = [];
+        };
+
+        diff.split('\n').forEach(line => {
+            const hunk = line.match(/^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@(.*)$/);
+
+            if (hunk) {
+                flush();
+                oldLine = Number(hunk[1]);
+                newLine = Number(hunk[2]);
+                inHunk = true;
+                rows.push({ type: 'hunk', text: line });
+            } else if (!inHunk || line.startsWith('\\')) {
+                // File headers and "\ No newline at end of file"
+            } else if (line.startsWith('-')) {
+                removed.push({ number: oldLine++, text: line.slice(1) });
+            } else if (line.startsWith('+')) {
+                added.push({ number: newLine++, text: line.slice(1) });
+            } else if (line.startsWith(' ')) {
+                flush();
+                rows.push({
+                    type: 'context',
+                    left: { number: oldLine++, text: line.slice(1) },
+                    right: { number: newLine++, text: line.slice(1) }
+                });
+            }
+        });
+
+        flush();
+        return rows;
+    }
+
+    renderDiff(diff) {
+        if (!diff.trim()) {
+            return '<div class="git-none">No changes</div>';
+        }
+
+        if (/^Binary files .* differ$/m.test(diff)) {
+            return '<div class="git-none">Binary file changed</div>';
+        }
+
+        const escape = text => this.app.escapeHtml(text);
+        const cell = (line, side) => {
+            if (!line) return '<td class="diff-number"></td><td class="diff-code diff-blank"></td>';
+            return `<td class="diff-number">${line.number}</td><td class="diff-code diff-${side}">${escape(line.text)}</td>`;
+        };
+
+        const rows = this.parseDiff(diff).map(row => {
+            if (row.type === 'hunk') {
+                return `<tr class="diff-hunk"><td colspan="4">${escape(row.text)}</td></tr>`;
+            }
+            if (row.type === 'context') {
+                return `<tr>${cell(row.left, 'context')}${cell(row.right, 'context')}</tr>`;
+            }
+            return `<tr>${cell(row.left, 'removed')}${cell(row.right, 'added')}</tr>`;
+        }).join('');
+
+        return `<table class="diff-table">${rows}</table>`;
+    }
+}
@@ -0,0 +1,172 @@
+// history_panel.js
+// Timeline of the local history snapshots the server keeps of the active file,
+// one per save with a different content.
+class HistoryPanel {
+    constructor(workspace) {
+        this.workspace = workspace;
+        this.app = workspace.app;
+        this.filePath = null;
+        this.snapshots = [];
+    }
+
+    bindEvents() {
+        document.getElementById('history-refresh-btn').onclick = () => this.refresh();
+
+        document.getElementById('history-list').onclick = (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            const snapshot = this.snapshots.find(candidate => candidate.id === button.closest('li').dataset.id);
+            if (button.dataset.action === 'diff') {
+                this.showDiff(snapshot);
+            } else {
+                this.restore(snapshot);
+            }
+        };
+    }
+
+    isVisible() {
+        return document.querySelector('.sidebar-view[data-view="history"]').classList.contains('active');
+    }
+
+    // Follow the active file, when the timeline is on screen
+    onActiveFileChanged() {
+        if (this.isVisible()) this.refresh();
+    }
+
+    async refresh() {
+        const summary = document.getElementById('history-summary');
+        const tab = this.workspace.findTab(this.workspace.activePath);
+
+        this.filePath = tab ? tab.path : null;
+        this.snapshots = [];
+        this.render();
+
+        if (!tab) {
+            summary.textContent = 'Open a file to see its history.';
+            return;
+        }
+
+        try {
+            const params = new URLSearchParams({ file_path: this.workspace.toWorkspacePath(tab.path) });
+            const response = await this.workspace.fetch(`/api/history?${params}`);
+            const data = await response.json();
+
+            // Another file was activated in the meantime
+            if (this.filePath !== tab.path) return;
+
+            if (!data.success) {
+                summary.textContent = data.error;
+                return;
+            }
+
+            this.snapshots = data.snapshots;
+            summary.textContent = this.snapshots.length > 0
+                ? `${tab.path} — ${this.snapshots.length} snapshot${this.snapshots.length === 1 ? '' : 's'}`
+                : `${tab.path} — no snapshots yet, one is kept at each save`;
+            this.render();
+        } catch (error) {
+            summary.textContent = 'Error loading history: ' + error.message;
+        }
+    }
+
+    render() {
+        const list = document.getElementById('history-list');
+        const tab = this.workspace.findTab(this.filePath);
+        const current = tab && !this.workspace.isDirty(tab) ? this.snapshots[0] : null;
+
+        list.innerHTML = this.snapshots.map(snapshot => `
+            <li class="history-entry" data-id="${this.app.escapeHtml(snapshot.id)}">
+                <span class="history-time" title="${this.app.escapeHtml(snapshot.savedAt)}">
+                    ${this.app.escapeHtml(new Date(snapshot.savedAt).toLocaleString())}
+                    ${snapshot === current ? '<span class="history-current">current</span>' : ''}
+                </span>
+                <span class="history-size">${this.formatSize(snapshot.size)}</span>
+                <span class="history-actions">
+                    <button class="icon-btn" data-action="diff" title="Compare with the editor">⇄</button>
+                    <button class="icon-btn" data-action="restore" title="Restore this version">↺</button>
+                </span>
+            </li>
+        `).join('');
+    }
+
+    formatSize(bytes) {
+        return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+    }
+
+    // Side-by-side diff from the snapshot to the editor content, saved or not
+    async showDiff(snapshot) {
+        const tab = this.workspace.findTab(this.filePath);
+        if (!tab) return;
+
+        try {
+            const response = await this.workspace.fetch('/api/history/diff', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ file_path: this.workspace.toWorkspacePath(tab.path), id: snapshot.id, content: tab.content })
+            });
+
+            const data = await response.json();
+
+            if (!data.success) {
+                alert('History error: ' + data.error);
+                return;
+            }
+
+            document.getElementById('diff-title').textContent = `${tab.path} — ${new Date(snapshot.savedAt).toLocaleString()} → editor`;
+            document.getElementById('diff-view').innerHTML = this.workspace.git.renderDiff(data.diff);
+            document.getElementById('diff-modal-overlay').classList.add('active');
+        } catch (error) {
+            alert('History error: ' + error.message);
+        }
+    }
+
+    async restore(snapshot) {
+        const tab = this.workspace.findTab(this.filePath);
+        if (!tab) return;
+
+        const question = this.workspace.isDirty(tab)
+            ? `Restore "${tab.path}" to its version of ${new Date(snapshot.savedAt).toLocaleString()}? Your unsaved changes will be lost.`
+            : `Restore "${tab.path}" to its version of ${new Date(snapshot.savedAt).toLocaleString()}?`;
+        if (!confirm(question)) return;
+
+        // The write must not be mistaken for an external change
+        tab.saving = true;
+
+        try {
+            const response = await this.workspace.fetch('/api/history/restore', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ file_path: this.workspace.toWorkspacePath(tab.path), id: snapshot.id })
+            });
+
+            const data = await response.json();
+
+            if (!data.success) {
+                alert('History error: ' + data.error);
+                return;
+            }
+
+            // A shared file gets the restored content from the server, as an edit
+            if (!this.workspace.collab.isShared(tab.path)) {
+                tab.content = data.content;
+                tab.savedContent = data.content;
+                tab.modified = data.modified;
+                this.workspace.language.changeDocument(tab);
+                this.workspace.renderTabs();
+                this.workspace.renderEditor();
+                this.workspace.persistSession();
+            }
+            this.app.showSuccess(`"${tab.path}" restored. The replaced version is kept in its history.`);
+            this.refresh();
+        } catch (error) {
+            alert('History error: ' + error.message);
+        } finally {
+            tab.saving = false;
+        }
+    }
+}
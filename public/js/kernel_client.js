@@ -0,0 +1,116 @@
+// kernel_client.js
+// Connection to the Jupyter kernel of one notebook, see routes/notebook_endpoints.js.
+// Kernels run on the server and keep their variables across page reloads: the
+// connection is opened again when lost, and missed messages are replayed by the server.
+class KernelClient {
+    // `onMessage(message)` receives the messages of the kernel, `onExit(kernel)` its end
+    constructor(workspace, kernel, { onMessage, onExit }) {
+        this.workspace = workspace;
+        this.kernel = kernel;
+        this.onMessage = onMessage;
+        this.onExit = onExit;
+        this.socket = null;
+        // Sent once connected
+        this.queue = [];
+        this.failures = 0;
+        this.reconnectTimer = null;
+        this.closed = false;
+    }
+
+    connect() {
+        const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+        const params = new URLSearchParams({ id: this.kernel.id });
+        const socket = new WebSocket(`${protocol}//${location.host}${this.workspace.apiUrl(`/api/notebooks/kernels/attach?${params}`)}`);
+        this.socket = socket;
+
+        socket.onopen = () => {
+            this.failures = 0;
+            this.queue.splice(0).forEach(message => socket.send(JSON.stringify(message)));
+        };
+
+        socket.onmessage = (e) => {
+            const message = JSON.parse(e.data);
+
+            if (message.type === 'status') {
+                this.kernel = message.kernel;
+            }
+
+            if (message.type === 'exit') {
+                this.kernel = message.kernel;
+                this.closed = true;
+                this.onExit(message.kernel);
+            } else {
+                this.onMessage(message);
+            }
+        };
+
+        socket.onclose = () => {
+            if (this.socket !== socket) return;
+
+            this.socket = null;
+            if (this.closed) return;
+
+            this.failures++;
+            this.reconnectTimer = setTimeout(() => this.reconnect(), Math.min(1000 * 2 ** this.failures, 15000));
+        };
+    }
+
+    // The kernel may have been shut down, or the server restarted, while the connection was lost
+    async reconnect() {
+        try {
+            const params = new URLSearchParams({ project: this.workspace.projectName });
+            const response = await this.workspace.fetch(`/api/notebooks/kernels?${params}`);
+            const data = await response.json();
+
+            if (data.success && !data.kernels.some(kernel => kernel.id === this.kernel.id)) {
+                this.closed = true;
+                this.onExit(null);
+                return;
+            }
+        } catch (error) {
+            // Server unreachable: connecting fails and is tried again later
+        }
+
+        if (!this.closed) {
+            this.connect();
+        }
+    }
+
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        } else {
+            this.queue.push(message);
+        }
+    }
+
+    execute(cellId, code) {
+        this.send({ type: 'execute', cellId, code });
+    }
+
+    interrupt() {
+        this.send({ type: 'interrupt' });
+    }
+
+    restart() {
+        this.send({ type: 'restart' });
+    }
+
+    async shutdown() {
+        const response = await this.workspace.fetch(`/api/notebooks/kernels/${this.kernel.id}`, { method: 'DELETE' });
+        const data = await response.json();
+
+        if (!data.success) throw new Error(data.error);
+    }
+
+    // Leaves the kernel running on the server
+    close() {
+        this.closed = true;
+        clearTimeout(this.reconnectTimer);
+
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+    }
+}
@@ -0,0 +1,190 @@
+// keymap.js
+// Shortcuts of the IDE commands (commands.js): those of the preset the user chose,
+// replaced by their own `keymap.bindings`. A shortcut is written "Ctrl+Shift+P"; a
+// sequence of them, such as "Ctrl+X Ctrl+S", is typed one after the other. Cmd counts
+// as Ctrl. Browsers keep a few shortcuts to themselves (Ctrl+N, Ctrl+T, Ctrl+W), they
+// cannot be bound.
+const SHARED_SHORTCUTS = {
+    'palette.show': 'Ctrl+Shift+P',
+    'settings.show': 'Ctrl+,',
+    'file.save': 'Ctrl+S',
+    'editor.format': 'Shift+Alt+F',
+    'code.completion': 'Ctrl+Space',
+    'code.definition': 'F12',
+    'code.references': 'Shift+F12',
+    'code.rename': 'F2',
+    'run.file': 'Ctrl+Alt+N',
+    'debug.start': 'F5',
+    'debug.stop': 'Shift+F5',
+    'debug.toggleBreakpoint': 'F9',
+    'debug.stepOver': 'F10',
+    'debug.stepInto': 'F11',
+    'debug.stepOut': 'Shift+F11',
+    'view.files': 'Ctrl+Shift+E',
+    'view.search': 'Ctrl+Shift+F',
+    'view.git': 'Ctrl+Shift+G',
+    'view.debug': 'Ctrl+Shift+D',
+    'panel.problems': 'Ctrl+Shift+M',
+    'panel.terminal': 'Ctrl+`'
+};
+
+const KEYMAP_PRESETS = {
+    vscode: SHARED_SHORTCUTS,
+    // Editing keys of vim are handled by editor_keys.js, ":" opens the palette
+    vim: SHARED_SHORTCUTS,
+    emacs: {
+        ...SHARED_SHORTCUTS,
+        'palette.show': 'Alt+X',
+        'file.save': 'Ctrl+X Ctrl+S',
+        'file.new': 'Ctrl+X Ctrl+F',
+        'file.close': 'Ctrl+X K',
+        'editor.format': 'Ctrl+C Ctrl+F',
+        'code.completion': 'Alt+/',
+        'code.definition': 'Alt+.',
+        'code.references': 'Alt+Shift+/',
+        'run.file': 'Ctrl+C Ctrl+C'
+    }
+};
+
+const MODIFIERS = ['Ctrl', 'Alt', 'Shift'];
+
+// Keys named by their place on the keyboard, so that Shift or Alt do not change them
+const CODE_KEYS = {
+    Backquote: '`',
+    Minus: '-',
+    Equal: '=',
+    BracketLeft: '[',
+    BracketRight: ']',
+    Backslash: '\\',
+    Semicolon: ';',
+    Quote: '\'',
+    Comma: ',',
+    Period: '.',
+    Slash: '/',
+    Space: 'Space'
+};
+
+const NAMED_KEYS = ['Enter', 'Escape', 'Tab', 'Backspace', 'Delete', 'Insert', 'Home', 'End', 'PageUp', 'PageDown',
+    'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Space'];
+
+// Time allowed between the keys of a sequence
+const SEQUENCE_TIMEOUT_MS = 2000;
+
+class Keymap {
+    constructor(workspace) {
+        this.workspace = workspace;
+        this.settings = workspace.app.settings;
+
+        // Command id -> shortcut, and shortcut -> command id
+        this.shortcuts = new Map();
+        this.commands = new Map();
+        // First keys of the sequences
+        this.prefixes = new Set();
+
+        this.pending = null;
+        this.pendingTimer = null;
+    }
+
+    // Shortcut of a keydown event, null for a modifier alone
+    static eventShortcut(e) {
+        let key;
+        if (/^Key[A-Z]$/.test(e.code)) {
+            key = e.code.slice(3);
+        } else if (/^Digit\d$/.test(e.code)) {
+            key = e.code.slice(5);
+        } else if (CODE_KEYS[e.code]) {
+            key = CODE_KEYS[e.code];
+        } else if (['Control', 'Alt', 'Shift', 'Meta', 'AltGraph', 'CapsLock'].includes(e.key)) {
+            return null;
+        } else {
+            key = e.key.length === 1 ? e.key.toUpperCase() : e.key;
+        }
+
+        const modifiers = [e.ctrlKey || e.metaKey, e.altKey, e.shiftKey];
+        return [...MODIFIERS.filter((modifier, index) => modifiers[index]), key].join('+');
+    }
+
+    // Write a shortcut typed by the user the way events are, "ctrl+shift+p" as
+    // "Ctrl+Shift+P"; null if it cannot be typed
+    static normalize(shortcut) {
+        const strokes = shortcut.trim().split(/\s+/).filter(Boolean).map((stroke) => {
+            const parts = stroke.split('+');
+            const key = parts.pop();
+            const modifiers = new Set(parts.map((part) => {
+                const name = part.toLowerCase();
+                if (['ctrl', 'control', 'cmd', 'meta'].includes(name)) return 'Ctrl';
+                if (['alt', 'option'].includes(name)) return 'Alt';
+                if (name === 'shift') return 'Shift';
+                return null;
+            }));
+            if (modifiers.has(null) || !key) return null;
+
+            const named = NAMED_KEYS.find(name => name.toLowerCase() === key.toLowerCase())
+                || (/^f([1-9]|1[0-9]|2[0-4])$/i.test(key) ? key.toUpperCase() : null)
+                || (key.length === 1 ? key.toUpperCase() : null);
+            if (!named) return null;
+
+            return [...MODIFIERS.filter(modifier => modifiers.has(modifier)), named].join('+');
+        });
+
+        return strokes.length > 0 && !strokes.includes(null) ? strokes.join(' ') : null;
+    }
+
+    // Build the shortcuts again from the settings
+    update() {
+        const preset = KEYMAP_PRESETS[this.settings.get('keymap.preset')] || KEYMAP_PRESETS.vscode;
+        const bindings = { ...preset, ...this.settings.get('keymap.bindings') };
+
+        this.shortcuts.clear();
+        this.commands.clear();
+        this.prefixes.clear();
+        this.cancel();
+
+        Object.entries(bindings).forEach(([id, shortcut]) => {
+            const normalized = shortcut ? Keymap.normalize(shortcut) : null;
+            if (!normalized || !IDE_COMMANDS.some(command => command.id === id)) return;
+
+            this.shortcuts.set(id, normalized);
+            this.commands.set(normalized, id);
+
+            const strokes = normalized.split(' ');
+            for (let length = 1; length < strokes.length; length++) {
+                this.prefixes.add(strokes.slice(0, length).join(' '));
+            }
+        });
+    }
+
+    shortcutOf(commandId) {
+        return this.shortcuts.get(commandId) || null;
+    }
+
+    // Command bound to the keys typed so far and this one, or null. The key may also
+    // start or continue a sequence: `pending` then holds what was typed.
+    match(e) {
+        const shortcut = Keymap.eventShortcut(e);
+        if (!shortcut) return null;
+
+        const typed = this.pending ? `${this.pending} ${shortcut}` : shortcut;
+        this.cancel();
+
+        if (this.commands.has(typed)) return this.commands.get(typed);
+
+        if (this.prefixes.has(typed)) {
+            this.pending = typed;
+            this.pendingTimer = setTimeout(() => this.cancel(), SEQUENCE_TIMEOUT_MS);
+        }
+        return null;
+    }
+
+    // Whether a key runs a command by itself, without starting a sequence: terminals
+    // keep the other keys, Ctrl+C first
+    runsCommand(e) {
+        const shortcut = Keymap.eventShortcut(e);
+        return Boolean(shortcut) && !this.pending && this.commands.has(shortcut);
+    }
+
+    cancel() {
+        clearTimeout(this.pendingTimer);
+        this.pending = null;
+    }
+}
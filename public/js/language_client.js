@@ -0,0 +1,296 @@
+// language_client.js
+// Client of the project's Python language server, bridged by the IDE server over a
+// WebSocket. Documents are named `project:///<path in the project>`.
+const LANGUAGE_SERVER_RETRIES = 3;
+
+class LanguageClient {
+    constructor(workspace) {
+        this.workspace = workspace;
+        this.socket = null;
+        this.ready = false;
+        this.disposed = false;
+        this.failures = 0;
+        this.reconnectTimer = null;
+
+        this.nextId = 1;
+        this.pending = new Map();
+
+        // Open documents: path -> version, and changes waiting to be sent
+        this.versions = new Map();
+        this.changeTimers = new Map();
+
+        // Path -> diagnostics published by the server
+        this.diagnostics = new Map();
+    }
+
+    static uriOf(filePath) {
+        return 'project:///' + filePath.split('/').map(encodeURIComponent).join('/');
+    }
+
+    // Path in the project of a document URI, or null for files outside of it
+    static pathOf(uri) {
+        const prefix = 'project:///';
+        return uri && uri.startsWith(prefix) ? uri.slice(prefix.length).split('/').map(decodeURIComponent).join('/') : null;
+    }
+
+    // LSP positions count UTF-16 code units, like JavaScript strings
+    static offsetAt(text, position) {
+        let offset = 0;
+        for (let line = 0; line < position.line; line++) {
+            const end = text.indexOf('\n', offset);
+            if (end === -1) return text.length;
+            offset = end + 1;
+        }
+
+        const lineEnd = text.indexOf('\n', offset);
+        return Math.min(offset + position.character, lineEnd === -1 ? text.length : lineEnd);
+    }
+
+    static positionAt(text, offset) {
+        const before = text.slice(0, offset);
+        const line = before.split('\n').length - 1;
+        return { line, character: offset - (before.lastIndexOf('\n') + 1) };
+    }
+
+    isPython(filePath) {
+        return filePath.endsWith('.py') || filePath.endsWith('.pyi');
+    }
+
+    // ----- Connection -----
+
+    connect() {
+        const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+        const params = new URLSearchParams({ project: this.workspace.projectName });
+        const socket = new WebSocket(`${protocol}//${location.host}${this.workspace.apiUrl(`/api/lsp?${params}`)}`);
+        this.socket = socket;
+        this.setStatus('Starting…');
+
+        socket.onopen = () => this.initialize();
+        socket.onmessage = (e) => this.receive(JSON.parse(e.data));
+
+        socket.onclose = (e) => {
+            if (this.socket !== socket) return;
+
+            this.socket = null;
+            this.ready = false;
+            this.pending.forEach(({ reject }) => reject(new Error('The language server stopped.')));
+            this.pending.clear();
+            this.versions.clear();
+            this.changeTimers.forEach(timer => clearTimeout(timer));
+            this.changeTimers.clear();
+            this.diagnostics.clear();
+            this.workspace.assist.render();
+
+            if (this.disposed) return;
+
+            // 1013: too many servers are running, retrying would not help
+            this.failures++;
+            if (e.code !== 1013 && this.failures < LANGUAGE_SERVER_RETRIES) {
+                this.setStatus('Restarting…');
+                this.reconnectTimer = setTimeout(() => this.connect(), 2000 * this.failures);
+            } else {
+                this.setStatus(e.reason || 'Not available', 'error');
+            }
+        };
+    }
+
+    async initialize() {
+        try {
+            const result = await this.request('initialize', {
+                processId: null,
+                rootUri: 'project:///',
+                capabilities: {
+                    textDocument: {
+                        synchronization: { didSave: true },
+                        publishDiagnostics: {},
+                        hover: { contentFormat: ['plaintext'] },
+                        completion: { completionItem: { snippetSupport: false } },
+                        definition: {},
+                        references: {},
+                        rename: {}
+                    },
+                    workspace: {
+                        configuration: true,
+                        workspaceEdit: { documentChanges: true }
+                    }
+                }
+            });
+
+            this.notify('initialized', {});
+            this.ready = true;
+            this.failures = 0;
+            this.setStatus(result.serverInfo ? result.serverInfo.name : 'Ready');
+
+            this.workspace.tabs.forEach(tab => this.openDocument(tab));
+        } catch (error) {
+            this.setStatus(error.message, 'error');
+        }
+    }
+
+    dispose() {
+        this.disposed = true;
+        clearTimeout(this.reconnectTimer);
+
+        if (this.socket) {
+            this.socket.close();
+        }
+        this.setStatus('');
+    }
+
+    setStatus(text, state = '') {
+        const status = document.getElementById('lsp-status');
+        status.textContent = text ? `Python: ${text}` : '';
+        status.className = `lsp-status ${state}`;
+    }
+
+    // ----- JSON-RPC -----
+
+    request(method, params) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
+            return Promise.reject(new Error('The language server is not running.'));
+        }
+
+        const id = this.nextId++;
+        this.socket.send(JSON.stringify({ jsonrpc: '2.0', id, method, params }));
+
+        return new Promise((resolve, reject) => this.pending.set(id, { resolve, reject }));
+    }
+
+    notify(method, params) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify({ jsonrpc: '2.0', method, params }));
+        }
+    }
+
+    receive(message) {
+        // Answer to one of our requests
+        if (message.id !== undefined && !message.method) {
+            const pending = this.pending.get(message.id);
+            if (!pending) return;
+
+            this.pending.delete(message.id);
+            if (message.error) {
+                pending.reject(new Error(message.error.message));
+            } else {
+                pending.resolve(message.result);
+            }
+            return;
+        }
+
+        if (message.method === 'textDocument/publishDiagnostics') {
+            const filePath = LanguageClient.pathOf(message.params.uri);
+            if (!filePath) return;
+
+            this.diagnostics.set(filePath, message.params.diagnostics);
+            if (filePath === this.workspace.activePath) {
+                this.workspace.assist.renderDiagnostics();
+            }
+            return;
+        }
+
+        // Requests of the server this client has no use for (progress, registrations...)
+        if (message.id !== undefined) {
+            this.socket.send(JSON.stringify({ jsonrpc: '2.0', id: message.id, result: null }));
+        }
+    }
+
+    // ----- Documents -----
+
+    openDocument(tab) {
+        if (!this.ready || !this.isPython(tab.path) || this.versions.has(tab.path)) return;
+
+        this.versions.set(tab.path, 1);
+        this.notify('textDocument/didOpen', {
+            textDocument: { uri: LanguageClient.uriOf(tab.path), languageId: 'python', version: 1, text: tab.content }
+        });
+    }
+
+    // Edits are sent as the whole document, once typing pauses
+    changeDocument(tab) {
+        if (!this.versions.has(tab.path)) return;
+
+        clearTimeout(this.changeTimers.get(tab.path));
+        this.changeTimers.set(tab.path, setTimeout(() => this.flushDocument(tab), 300));
+    }
+
+    flushDocument(tab) {
+        clearTimeout(this.changeTimers.get(tab.path));
+        this.changeTimers.delete(tab.path);
+        if (!this.versions.has(tab.path)) return;
+
+        const version = this.versions.get(tab.path) + 1;
+        this.versions.set(tab.path, version);
+        this.notify('textDocument/didChange', {
+            textDocument: { uri: LanguageClient.uriOf(tab.path), version },
+            contentChanges: [{ text: tab.content }]
+        });
+    }
+
+    saveDocument(tab) {
+        if (!this.versions.has(tab.path)) return;
+
+        this.flushDocument(tab);
+        this.notify('textDocument/didSave', { textDocument: { uri: LanguageClient.uriOf(tab.path) } });
+    }
+
+    closeDocument(filePath) {
+        clearTimeout(this.changeTimers.get(filePath));
+        this.changeTimers.delete(filePath);
+        this.diagnostics.delete(filePath);
+
+        if (!this.versions.has(filePath)) return;
+
+        this.versions.delete(filePath);
+        this.notify('textDocument/didClose', { textDocument: { uri: LanguageClient.uriOf(filePath) } });
+    }
+
+    // ----- Language features -----
+
+    // Send a request about a position of an open document, with its latest edits
+    requestAt(method, tab, position, params = {}) {
+        if (!this.versions.has(tab.path)) {
+            return Promise.reject(new Error(this.ready ? 'Only Python files are analyzed.' : 'The language server is not running.'));
+        }
+
+        if (this.changeTimers.has(tab.path)) {
+            this.flushDocument(tab);
+        }
+
+        return this.request(method, { textDocument: { uri: LanguageClient.uriOf(tab.path) }, position, ...params });
+    }
+
+    hover(tab, position) {
+        return this.requestAt('textDocument/hover', tab, position);
+    }
+
+    async completion(tab, position) {
+        const result = await this.requestAt('textDocument/completion', tab, position);
+        if (!result) return [];
+        return Array.isArray(result) ? result : result.items;
+    }
+
+    // Locations of the definition, as { path, range }; path is null outside of the project
+    async definition(tab, position) {
+        const result = await this.requestAt('textDocument/definition', tab, position);
+        return this.toLocations(result);
+    }
+
+    async references(tab, position) {
+        const result = await this.requestAt('textDocument/references', tab, position, { context: { includeDeclaration: true } });
+        return this.toLocations(result);
+    }
+
+    rename(tab, position, newName) {
+        return this.requestAt('textDocument/rename', tab, position, { newName });
+    }
+
+    // Location, Location[] and LocationLink[] answers, as one list
+    toLocations(result) {
+        if (!result) return [];
+
+        return (Array.isArray(result) ? result : [result]).map(location => ({
+            path: LanguageClient.pathOf(location.uri || location.targetUri),
+            range: location.targetSelectionRange || location.range
+        }));
+    }
+}
@@ -0,0 +1,834 @@
+// notebook_view.js
+// Jupyter notebooks (.ipynb) open in a view of their code and markdown cells instead of
+// the text editor. The tab still holds the text of the file: the notebook is written
+// back to it the way Jupyter writes nbformat 4, so saving, drafts and conflicts work as
+// for any file. Code cells run in a kernel of the server, see kernel_client.js.
+const NOTEBOOK_EXTENSION = '.ipynb';
+// Mime types of outputs, by order of preference
+const OUTPUT_MIME_TYPES = ['text/html', 'text/markdown', 'image/svg+xml', 'image/png', 'image/jpeg', 'application/json', 'text/latex', 'text/plain'];
+// Besides text/*, the mime types Jupyter writes as lists of lines
+const SPLIT_MIME_TYPES = ['application/javascript', 'image/svg+xml'];
+const ANSI_ESCAPES = /\u001b\[[0-9;]*[A-Za-z]/g;
+// Edits and outputs are written to the tab once they pause for this long
+const NOTEBOOK_WRITE_DELAY_MS = 200;
+
+const KERNEL_STATES = {
+    starting: 'Starting kernel…',
+    idle: 'Kernel idle',
+    busy: 'Kernel busy',
+    restarting: 'Restarting kernel…',
+    dead: 'Kernel died, restart it',
+    exited: 'No kernel'
+};
+
+class NotebookView {
+    constructor(workspace) {
+        this.workspace = workspace;
+        this.app = workspace.app;
+        // Tab -> { text, notebook, error, asText, selected, editing, running, clearOnOutput, timer }
+        this.states = new WeakMap();
+        // Notebook path -> KernelClient, or the promise of one being started
+        this.kernels = new Map();
+        this.starting = new Map();
+        // Shown tab, and the state it was drawn from
+        this.tab = null;
+        this.renderedState = null;
+        this.message = '';
+        // Cells whose prompt and outputs are drawn again on the next frame
+        this.pendingCells = new Set();
+        this.frame = null;
+    }
+
+    static isNotebook(filePath) {
+        return Boolean(filePath) && filePath.toLowerCase().endsWith(NOTEBOOK_EXTENSION);
+    }
+
+    // ----- nbformat -----
+
+    static createCellId() {
+        return Array.from(crypto.getRandomValues(new Uint8Array(4)), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    static createCell(type) {
+        const cell = { id: NotebookView.createCellId(), cell_type: type, metadata: {}, source: '' };
+        if (type === 'code') {
+            cell.execution_count = null;
+            cell.outputs = [];
+        }
+        return cell;
+    }
+
+    static createNotebook() {
+        return {
+            cells: [NotebookView.createCell('code')],
+            metadata: {
+                kernelspec: { display_name: 'Python 3', language: 'python', name: 'python3' },
+                language_info: { name: 'python' }
+            },
+            nbformat: 4,
+            nbformat_minor: 5
+        };
+    }
+
+    static isSplitMimeType(type) {
+        return type.startsWith('text/') || SPLIT_MIME_TYPES.includes(type);
+    }
+
+    // Multiline strings of nbformat are a string or a list of lines
+    static joinLines(value) {
+        return Array.isArray(value) ? value.join('') : (value || '');
+    }
+
+    static splitLines(text) {
+        return text ? text.match(/[^\n]*\n|[^\n]+$/g) : [];
+    }
+
+    static mapOutputText(output, convert) {
+        const mapped = { ...output };
+        if ('text' in mapped) mapped.text = convert(mapped.text);
+        if (mapped.data) {
+            mapped.data = { ...mapped.data };
+            Object.keys(mapped.data)
+                .filter(type => NotebookView.isSplitMimeType(type))
+                .forEach((type) => {
+                    mapped.data[type] = convert(mapped.data[type]);
+                });
+        }
+        return mapped;
+    }
+
+    // Notebook of the text of a file, with sources and outputs as plain strings and an id for each cell
+    static parse(text) {
+        if (!text.trim()) return NotebookView.createNotebook();
+
+        const notebook = JSON.parse(text);
+        if (!notebook || notebook.nbformat !== 4 || !Array.isArray(notebook.cells)) {
+            throw new Error('only nbformat 4 notebooks can be opened.');
+        }
+
+        const ids = new Set();
+        notebook.metadata = notebook.metadata || {};
+        notebook.cells.forEach((cell) => {
+            cell.source = NotebookView.joinLines(cell.source);
+            cell.metadata = cell.metadata || {};
+            if (typeof cell.id !== 'string' || ids.has(cell.id)) cell.id = NotebookView.createCellId();
+            ids.add(cell.id);
+
+            if (cell.cell_type === 'code') {
+                cell.outputs = (cell.outputs || []).map(output => NotebookView.mapOutputText(output, NotebookView.joinLines));
+                if (cell.execution_count === undefined) cell.execution_count = null;
+            }
+        });
+
+        return notebook;
+    }
+
+    static sortKeys(value) {
+        if (Array.isArray(value)) return value.map(item => NotebookView.sortKeys(item));
+        if (!value || typeof value !== 'object') return value;
+
+        return Object.keys(value).sort().reduce((sorted, key) => {
+            sorted[key] = NotebookView.sortKeys(value[key]);
+            return sorted;
+        }, {});
+    }
+
+    // Same text as Jupyter: sorted keys, one space of indentation, lists of lines and a
+    // final newline. Cell ids need nbformat 4.5.
+    static serialize(notebook) {
+        const cells = notebook.cells.map((cell) => {
+            const written = { ...cell, source: NotebookView.splitLines(cell.source) };
+            if (cell.cell_type === 'code') {
+                written.outputs = cell.outputs.map(output => NotebookView.mapOutputText(output, NotebookView.splitLines));
+            }
+            return written;
+        });
+
+        const written = { ...notebook, cells, nbformat_minor: Math.max(notebook.nbformat_minor || 0, 5) };
+        return `${JSON.stringify(NotebookView.sortKeys(written), null, 1)}\n`;
+    }
+
+    // ----- Tabs -----
+
+    // The notebook of a tab, parsed again when the text of the tab changed (reloaded...)
+    stateOf(tab) {
+        const current = this.states.get(tab);
+        if (current && current.text === tab.content) return current;
+
+        const state = {
+            text: tab.content,
+            notebook: null,
+            error: null,
+            asText: Boolean(current && current.asText),
+            selected: null,
+            // Markdown cells shown as their source
+            editing: new Set(),
+            running: new Set(),
+            // Cells whose outputs go away with their next output (clear_output(wait=True))
+            clearOnOutput: new Set(),
+            timer: null
+        };
+
+        try {
+            state.notebook = NotebookView.parse(tab.content);
+            state.selected = state.notebook.cells.length > 0 ? state.notebook.cells[0].id : null;
+        } catch (error) {
+            state.error = error.message;
+        }
+
+        this.states.set(tab, state);
+        return state;
+    }
+
+    // Whether a tab is shown by this view rather than the text editor
+    handles(tab) {
+        return Boolean(tab) && NotebookView.isNotebook(tab.path) && !this.stateOf(tab).asText;
+    }
+
+    // The notebook changed: written to the tab once the edits pause
+    changed(tab, state) {
+        if (this.workspace.readOnly) return;
+
+        clearTimeout(state.timer);
+        state.timer = setTimeout(() => this.flush(tab), NOTEBOOK_WRITE_DELAY_MS);
+    }
+
+    // Write the notebook of a tab to its text now, e.g. before saving it
+    flush(tab) {
+        const state = this.states.get(tab);
+        if (!state || !state.timer) return;
+
+        clearTimeout(state.timer);
+        state.timer = null;
+        tab.content = NotebookView.serialize(state.notebook);
+        state.text = tab.content;
+
+        this.workspace.renderTabs();
+        this.workspace.schedulePersist();
+    }
+
+    show(tab) {
+        document.getElementById('notebook-view').style.display = 'flex';
+
+        const state = this.stateOf(tab);
+        if (this.tab !== tab || this.renderedState !== state) {
+            this.tab = tab;
+            this.render();
+        } else {
+            this.renderToolbar();
+        }
+    }
+
+    hide() {
+        this.tab = null;
+        this.renderedState = null;
+        document.getElementById('notebook-view').style.display = 'none';
+    }
+
+    // ----- Events -----
+
+    bindEvents() {
+        document.getElementById('notebook-run-btn').onclick = () => this.runSelected({ advance: true });
+        document.getElementById('notebook-run-all-btn').onclick = () => this.runAll();
+        document.getElementById('notebook-interrupt-btn').onclick = () => this.interrupt();
+        document.getElementById('notebook-restart-btn').onclick = () => this.restart();
+        document.getElementById('notebook-shutdown-btn').onclick = () => this.shutdown();
+        document.getElementById('notebook-clear-btn').onclick = () => this.clearOutputs();
+        document.getElementById('notebook-add-code-btn').onclick = () => this.addCell('code');
+        document.getElementById('notebook-add-markdown-btn').onclick = () => this.addCell('markdown');
+
+        const cells = document.getElementById('notebook-cells');
+
+        cells.onclick = (e) => {
+            if (e.target.closest('#notebook-open-text-btn')) {
+                this.openAsText();
+                return;
+            }
+
+            const element = e.target.closest('.notebook-cell');
+            if (!element) return;
+
+            this.select(element.dataset.id);
+
+            const button = e.target.closest('[data-action]');
+            if (button) this.runAction(button.dataset.action, element.dataset.id);
+        };
+
+        cells.ondblclick = (e) => {
+            const element = e.target.closest('.notebook-cell');
+            if (element && e.target.closest('.notebook-markdown') && !this.workspace.readOnly) {
+                this.editMarkdown(element.dataset.id);
+            }
+        };
+
+        cells.addEventListener('focusin', (e) => {
+            const element = e.target.closest('.notebook-cell');
+            if (element) this.select(element.dataset.id);
+        });
+
+        cells.oninput = (e) => {
+            if (!e.target.classList.contains('notebook-source')) return;
+
+            const cell = this.findCell(e.target.closest('.notebook-cell').dataset.id);
+            if (!cell) return;
+
+            cell.source = e.target.value;
+            this.fitHeight(e.target);
+            this.changed(this.tab, this.stateOf(this.tab));
+        };
+
+        cells.onchange = (e) => {
+            if (e.target.classList.contains('notebook-cell-type')) {
+                this.changeType(e.target.closest('.notebook-cell').dataset.id, e.target.value);
+            }
+        };
+
+        cells.onkeydown = (e) => {
+            if (!e.target.classList.contains('notebook-source')) return;
+
+            if (e.key === 'Enter' && (e.shiftKey || e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                this.runSelected({ advance: e.shiftKey });
+            } else if (e.key === 'Tab' && !this.workspace.readOnly) {
+                // Indent instead of moving focus
+                e.preventDefault();
+                e.target.setRangeText(this.app.settings.indentation(), e.target.selectionStart, e.target.selectionEnd, 'end');
+                e.target.dispatchEvent(new Event('input', { bubbles: true }));
+            } else if (e.key === 'Escape') {
+                e.target.blur();
+            }
+        };
+    }
+
+    runAction(action, cellId) {
+        switch (action) {
+            case 'run':
+                this.runSelected({ advance: false });
+                break;
+            case 'up':
+                this.moveCell(cellId, -1);
+                break;
+            case 'down':
+                this.moveCell(cellId, 1);
+                break;
+            case 'delete':
+                this.deleteCell(cellId);
+                break;
+            default:
+                break;
+        }
+    }
+
+    // ----- Cells -----
+
+    findCell(cellId) {
+        const state = this.tab && this.stateOf(this.tab);
+        return state && state.notebook ? state.notebook.cells.find(cell => cell.id === cellId) : null;
+    }
+
+    select(cellId) {
+        const state = this.stateOf(this.tab);
+        if (state.selected === cellId) return;
+
+        state.selected = cellId;
+        document.querySelectorAll('#notebook-cells .notebook-cell').forEach((element) => {
+            element.classList.toggle('selected', element.dataset.id === cellId);
+        });
+    }
+
+    focusCell(cellId) {
+        const element = document.querySelector(`#notebook-cells .notebook-cell[data-id="${CSS.escape(cellId)}"]`);
+        if (!element) return;
+
+        const source = element.querySelector('.notebook-source');
+        if (source) {
+            source.focus();
+        } else {
+            element.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    addCell(type) {
+        if (this.workspace.readOnly || !this.tab) return;
+
+        const state = this.stateOf(this.tab);
+        if (!state.notebook) return;
+
+        const cells = state.notebook.cells;
+        const index = cells.findIndex(cell => cell.id === state.selected);
+        const cell = NotebookView.createCell(type);
+        cells.splice(index === -1 ? cells.length : index + 1, 0, cell);
+        state.selected = cell.id;
+
+        this.changed(this.tab, state);
+        this.render();
+        this.focusCell(cell.id);
+    }
+
+    moveCell(cellId, offset) {
+        const state = this.stateOf(this.tab);
+        const cells = state.notebook.cells;
+        const index = cells.findIndex(cell => cell.id === cellId);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= cells.length) return;
+
+        [cells[index], cells[target]] = [cells[target], cells[index]];
+        this.changed(this.tab, state);
+        this.render();
+    }
+
+    deleteCell(cellId) {
+        const state = this.stateOf(this.tab);
+        const cells = state.notebook.cells;
+        const index = cells.findIndex(cell => cell.id === cellId);
+        if (index === -1) return;
+
+        if (cells[index].source.trim() && !confirm('Delete this cell?')) return;
+
+        cells.splice(index, 1);
+        const next = cells[index] || cells[index - 1];
+        state.selected = next ? next.id : null;
+
+        this.changed(this.tab, state);
+        this.render();
+    }
+
+    changeType(cellId, type) {
+        const state = this.stateOf(this.tab);
+        const cell = this.findCell(cellId);
+        if (!cell || cell.cell_type === type) return;
+
+        cell.cell_type = type;
+        if (type === 'code') {
+            cell.execution_count = null;
+            cell.outputs = [];
+            delete cell.attachments;
+        } else {
+            delete cell.execution_count;
+            delete cell.outputs;
+        }
+        if (type === 'markdown') state.editing.add(cell.id);
+
+        this.changed(this.tab, state);
+        this.render();
+        this.focusCell(cell.id);
+    }
+
+    editMarkdown(cellId) {
+        const state = this.stateOf(this.tab);
+        state.editing.add(cellId);
+        this.render();
+        this.focusCell(cellId);
+    }
+
+    clearOutputs() {
+        if (!this.tab) return;
+
+        const state = this.stateOf(this.tab);
+        if (!state.notebook) return;
+
+        state.notebook.cells.filter(cell => cell.cell_type === 'code').forEach((cell) => {
+            cell.outputs = [];
+            cell.execution_count = null;
+        });
+
+        this.changed(this.tab, state);
+        this.render();
+    }
+
+    // ----- Running -----
+
+    // Run the selected cell; `advance` then selects the next one, adding it at the end
+    async runSelected({ advance }) {
+        if (!this.tab) return;
+
+        const tab = this.tab;
+        const state = this.stateOf(tab);
+        if (!state.notebook) return;
+
+        const cells = state.notebook.cells;
+        const index = cells.findIndex(cell => cell.id === state.selected);
+        if (index === -1) return;
+
+        const cell = cells[index];
+        if (advance) {
+            if (index === cells.length - 1 && !this.workspace.readOnly) {
+                cells.push(NotebookView.createCell('code'));
+                this.changed(tab, state);
+            }
+            if (cells[index + 1]) state.selected = cells[index + 1].id;
+        }
+
+        await this.runCells(tab, [cell]);
+        if (advance && this.tab === tab) this.focusCell(state.selected);
+    }
+
+    async runAll() {
+        if (!this.tab) return;
+
+        const state = this.stateOf(this.tab);
+        if (state.notebook) await this.runCells(this.tab, state.notebook.cells);
+    }
+
+    // Markdown cells are rendered, code cells sent to the kernel in order
+    async runCells(tab, cells) {
+        const state = this.stateOf(tab);
+        cells.filter(cell => cell.cell_type === 'markdown').forEach(cell => state.editing.delete(cell.id));
+
+        const code = cells.filter(cell => cell.cell_type === 'code');
+        if (code.length === 0) {
+            if (this.tab === tab) this.render();
+            return;
+        }
+
+        const kernel = await this.ensureKernel(tab.path);
+        if (!kernel) return;
+
+        code.forEach((cell) => {
+            cell.outputs = [];
+            cell.execution_count = null;
+            state.running.add(cell.id);
+            state.clearOnOutput.delete(cell.id);
+            kernel.execute(cell.id, cell.source);
+        });
+
+        this.changed(tab, state);
+        if (this.tab === tab) this.render();
+    }
+
+    // The kernel of a notebook, started when it has none
+    async ensureKernel(notebookPath) {
+        const running = this.kernels.get(notebookPath);
+        if (running) return running;
+        if (this.starting.has(notebookPath)) return this.starting.get(notebookPath);
+
+        const start = (async () => {
+            try {
+                const response = await this.workspace.fetch('/api/notebooks/kernels', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({ project: this.workspace.projectName, path: notebookPath })
+                });
+
+                const data = await response.json();
+
+                if (!data.success) {
+                    alert('Error starting kernel: ' + data.error);
+                    return null;
+                }
+
+                return this.attach(data.kernel);
+            } catch (error) {
+                alert('Error starting kernel: ' + error.message);
+                return null;
+            } finally {
+                this.starting.delete(notebookPath);
+            }
+        })();
+
+        this.starting.set(notebookPath, start);
+        this.message = '';
+        this.renderToolbar();
+        return start;
+    }
+
+    attach(kernel) {
+        const client = new KernelClient(this.workspace, kernel, {
+            onMessage: message => this.onKernelMessage(kernel.path, message),
+            onExit: summary => this.onKernelExit(kernel.path, client, summary)
+        });
+
+        this.kernels.set(kernel.path, client);
+        client.connect();
+        this.renderToolbar();
+        return client;
+    }
+
+    // Attach again to the kernels still running, e.g. after a page reload
+    async restore() {
+        try {
+            const params = new URLSearchParams({ project: this.workspace.projectName });
+            const response = await this.workspace.fetch(`/api/notebooks/kernels?${params}`);
+            const data = await response.json();
+
+            if (!data.success) throw new Error(data.error);
+            data.kernels.forEach(kernel => this.attach(kernel));
+        } catch (error) {
+            console.error('Failed to restore kernels:', error);
+        }
+    }
+
+    onKernelMessage(notebookPath, message) {
+        if (message.type === 'status' || message.type === 'error') {
+            if (message.type === 'error') this.message = message.message;
+            if (this.tab && this.tab.path === notebookPath) this.renderToolbar();
+            return;
+        }
+
+        const tab = this.workspace.findTab(notebookPath);
+        const state = tab && this.states.get(tab);
+        if (!state || !state.notebook) return;
+
+        if (message.type === 'reply') {
+            state.running.delete(message.cellId);
+            state.clearOnOutput.delete(message.cellId);
+        }
+
+        const cell = state.notebook.cells.find(item => item.id === message.cellId);
+        if (!cell || cell.cell_type !== 'code') return;
+
+        switch (message.type) {
+            case 'started':
+                // Also replayed after a page reload
+                state.running.add(cell.id);
+                cell.execution_count = message.executionCount;
+                break;
+            case 'output':
+                if (state.clearOnOutput.delete(cell.id)) cell.outputs = [];
+                this.appendOutput(cell, message.output);
+                break;
+            case 'clear':
+                if (message.wait) {
+                    state.clearOnOutput.add(cell.id);
+                } else {
+                    cell.outputs = [];
+                }
+                break;
+            default:
+                break;
+        }
+
+        this.changed(tab, state);
+        if (this.tab === tab) this.scheduleCellUpdate(cell);
+    }
+
+    // Printed text is one output per stream, as in Jupyter
+    appendOutput(cell, output) {
+        const last = cell.outputs[cell.outputs.length - 1];
+
+        if (output.output_type === 'stream' && last && last.output_type === 'stream' && last.name === output.name) {
+            last.text += output.text;
+        } else {
+            cell.outputs.push(output);
+        }
+    }
+
+    onKernelExit(notebookPath, client, kernel) {
+        if (this.kernels.get(notebookPath) === client) {
+            this.kernels.delete(notebookPath);
+        }
+
+        const tab = this.workspace.findTab(notebookPath);
+        const state = tab && this.states.get(tab);
+        if (state) {
+            state.running.clear();
+            state.clearOnOutput.clear();
+        }
+
+        this.message = kernel && kernel.reason === 'idle' ? 'The kernel was shut down after being idle.' : '';
+        if (this.tab === tab && state) this.render();
+    }
+
+    interrupt() {
+        const kernel = this.tab && this.kernels.get(this.tab.path);
+        if (kernel) kernel.interrupt();
+    }
+
+    restart() {
+        const kernel = this.tab && this.kernels.get(this.tab.path);
+        if (!kernel || !confirm('Restart the kernel? Its variables will be lost.')) return;
+
+        this.message = '';
+        kernel.restart();
+    }
+
+    async shutdown() {
+        const kernel = this.tab && this.kernels.get(this.tab.path);
+        if (!kernel) return;
+
+        try {
+            await kernel.shutdown();
+        } catch (error) {
+            alert('Error shutting down kernel: ' + error.message);
+        }
+    }
+
+    openAsText() {
+        const state = this.stateOf(this.tab);
+        state.asText = true;
+        this.hide();
+        this.workspace.renderEditor();
+    }
+
+    // ----- Rendering -----
+
+    render() {
+        const tab = this.tab;
+        if (!tab) return;
+
+        const state = this.stateOf(tab);
+        const container = document.getElementById('notebook-cells');
+        const scrollTop = this.renderedState && this.renderedState.notebook === state.notebook ? container.scrollTop : 0;
+        this.renderedState = state;
+        this.pendingCells.clear();
+
+        if (state.error) {
+            container.innerHTML = `
+                <div class="notebook-error">
+                    <p>This notebook cannot be shown: ${this.app.escapeHtml(state.error)}</p>
+                    <button id="notebook-open-text-btn" class="btn btn-secondary btn-small">Open as text</button>
+                </div>
+            `;
+        } else {
+            container.innerHTML = state.notebook.cells.map(cell => this.renderCell(state, cell)).join('');
+            container.querySelectorAll('.notebook-source').forEach(source => this.fitHeight(source));
+        }
+
+        container.scrollTop = scrollTop;
+        this.renderToolbar();
+    }
+
+    renderToolbar() {
+        if (!this.tab) return;
+
+        const kernel = this.kernels.get(this.tab.path);
+        const starting = this.starting.has(this.tab.path);
+        let status = kernel ? KERNEL_STATES[kernel.kernel.state] || kernel.kernel.state : 'No kernel';
+        if (starting) status = KERNEL_STATES.starting;
+
+        document.getElementById('notebook-kernel-status').textContent = this.message ? `${status} · ${this.message}` : status;
+        document.getElementById('notebook-kernel-status').className = `notebook-kernel-status kernel-${starting ? 'starting' : (kernel ? kernel.kernel.state : 'none')}`;
+        document.getElementById('notebook-interrupt-btn').disabled = !kernel;
+        document.getElementById('notebook-restart-btn').disabled = !kernel;
+        document.getElementById('notebook-shutdown-btn').disabled = !kernel;
+    }
+
+    renderCell(state, cell) {
+        const escape = text => this.app.escapeHtml(text);
+        const readOnly = this.workspace.readOnly;
+        const isCode = cell.cell_type === 'code';
+        const showSource = cell.cell_type !== 'markdown' || state.editing.has(cell.id) || !cell.source.trim();
+
+        const classes = ['notebook-cell', `notebook-cell-${cell.cell_type}`];
+        if (cell.id === state.selected) classes.push('selected');
+
+        const body = showSource
+            ? `<textarea class="notebook-source" spellcheck="false" wrap="off" ${readOnly ? 'readonly' : ''}
+                   placeholder="${cell.cell_type === 'markdown' ? 'Markdown' : ''}">${escape(cell.source)}</textarea>`
+            : `<div class="notebook-markdown" title="Double-click to edit">${this.renderMarkdown(cell.source)}</div>`;
+
+        return `
+            <div class="${classes.join(' ')}" data-id="${this.workspace.escapeAttr(cell.id)}">
+                <div class="notebook-prompt">${isCode ? this.renderPrompt(state, cell) : ''}</div>
+                <div class="notebook-cell-body">
+                    ${body}
+                    ${isCode ? `<div class="notebook-outputs">${cell.outputs.map(output => this.renderOutput(output)).join('')}</div>` : ''}
+                </div>
+                <div class="notebook-cell-actions">
+                    ${isCode ? '<button class="icon-btn" data-action="run" title="Run (Ctrl+Enter)">▶</button>' : ''}
+                    <select class="notebook-cell-type editing" title="Cell type">
+                        ${['code', 'markdown', 'raw'].map(type => `<option value="${type}" ${type === cell.cell_type ? 'selected' : ''}>${type}</option>`).join('')}
+                    </select>
+                    <button class="icon-btn editing" data-action="up" title="Move up">↑</button>
+                    <button class="icon-btn editing" data-action="down" title="Move down">↓</button>
+                    <button class="icon-btn editing" data-action="delete" title="Delete">✕</button>
+                </div>
+            </div>
+        `;
+    }
+
+    renderPrompt(state, cell) {
+        if (state.running.has(cell.id)) return '[*]:';
+        return `[${cell.execution_count || ' '}]:`;
+    }
+
+    scheduleCellUpdate(cell) {
+        this.pendingCells.add(cell);
+        if (this.frame) return;
+
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            const state = this.tab && this.stateOf(this.tab);
+            const cells = Array.from(this.pendingCells);
+            this.pendingCells.clear();
+            if (state && state.notebook) cells.forEach(item => this.updateCell(state, item));
+        });
+    }
+
+    // Draw the prompt and outputs of a cell again, leaving its source as it is
+    updateCell(state, cell) {
+        const element = document.querySelector(`#notebook-cells .notebook-cell[data-id="${CSS.escape(cell.id)}"]`);
+        if (!element) return;
+
+        element.querySelector('.notebook-prompt').textContent = this.renderPrompt(state, cell);
+        element.querySelector('.notebook-outputs').innerHTML = cell.outputs.map(output => this.renderOutput(output)).join('');
+    }
+
+    renderOutput(output) {
+        const escape = text => this.app.escapeHtml(text);
+        const stripAnsi = text => String(text).replace(ANSI_ESCAPES, '');
+
+        switch (output.output_type) {
+            case 'stream':
+                return `<pre class="notebook-stream ${output.name === 'stderr' ? 'notebook-stderr' : ''}">${escape(stripAnsi(output.text))}</pre>`;
+            case 'error':
+                return `<pre class="notebook-stream notebook-stderr">${escape(stripAnsi((output.traceback || []).join('\n') || `${output.ename}: ${output.evalue}`))}</pre>`;
+            case 'display_data':
+            case 'execute_result':
+                return this.renderData(output.data || {});
+            default:
+                return '';
+        }
+    }
+
+    // Richest representation of a mime bundle the view can show
+    renderData(data) {
+        const type = OUTPUT_MIME_TYPES.find(mime => data[mime] !== undefined);
+        const value = data[type];
+
+        switch (type) {
+            case 'text/html':
+                return `<div class="notebook-html">${this.sanitize(value)}</div>`;
+            case 'text/markdown':
+                return `<div class="notebook-markdown">${this.renderMarkdown(value)}</div>`;
+            case 'image/svg+xml':
+                // Images do not run the scripts an SVG may hold
+                return `<img class="notebook-image" alt="" src="data:image/svg+xml;charset=utf-8,${encodeURIComponent(value)}">`;
+            case 'image/png':
+            case 'image/jpeg':
+                return `<img class="notebook-image" alt="" src="data:${type};base64,${this.workspace.escapeAttr(value.replace(/\s/g, ''))}">`;
+            case 'application/json':
+                return `<pre class="notebook-stream">${this.app.escapeHtml(JSON.stringify(value, null, 2))}</pre>`;
+            case undefined:
+                return '';
+            default:
+                return `<pre class="notebook-stream">${this.app.escapeHtml(String(value).replace(ANSI_ESCAPES, ''))}</pre>`;
+        }
+    }
+
+    // Notebooks may come from anyone: no scripts, and no style sheets restyling the IDE
+    sanitize(html) {
+        return DOMPurify.sanitize(html, { FORBID_TAGS: ['style'] });
+    }
+
+    renderMarkdown(text) {
+        return this.sanitize(marked.parse(text));
+    }
+
+    fitHeight(source) {
+        source.style.height = 'auto';
+        source.style.height = `${source.scrollHeight + 2}px`;
+    }
+
+    dispose() {
+        this.workspace.tabs.forEach(tab => this.flush(tab));
+        this.kernels.forEach(kernel => kernel.close());
+        this.kernels.clear();
+        cancelAnimationFrame(this.frame);
+        this.frame = null;
+        this.hide();
+        document.getElementById('notebook-cells').innerHTML = '';
+    }
+}
@@ -0,0 +1,207 @@
+// output_console.js
+class OutputConsole {
+    constructor(workspace) {
+        this.workspace = workspace;
+        this.app = workspace.app;
+        this.run = null;
+        this.eventSource = null;
+        this.onExit = null;
+    }
+
+    // Endpoints of the processes shown in the console: program runs and environment jobs
+    baseUrl(run) {
+        return { install: '/api/venv/jobs', test: '/api/tests' }[run.kind] || '/api/run';
+    }
+
+    bindEvents() {
+        document.getElementById('run-stop-btn').onclick = () => this.stop();
+        document.getElementById('run-clear-btn').onclick = () => this.clear();
+
+        document.getElementById('run-stdin-form').onsubmit = (e) => {
+            e.preventDefault();
+            const input = document.getElementById('run-stdin-input');
+            this.sendInput(input.value);
+            input.value = '';
+        };
+
+        this.renderStatus();
+    }
+
+    // Reattach to a run of the project that is still going, e.g. after a page reload
+    async restore() {
+        try {
+            const params = new URLSearchParams({ project: this.workspace.projectName });
+            const response = await this.workspace.fetch(`/api/run?${params}`);
+            const data = await response.json();
+
+            if (!data.success || data.runs.length === 0) return;
+
+            const latest = data.runs.sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt))[0];
+            this.attach(latest);
+        } catch (error) {
+            console.error('Failed to restore runs:', error);
+        }
+    }
+
+    async start({ file, module }) {
+        if (this.isRunning() && !confirm('A process is already running in the output console. Stop it and start a new one?')) {
+            return;
+        }
+
+        await this.stop();
+
+        try {
+            const response = await this.workspace.fetch('/api/run/start', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ project: this.workspace.projectName, file, module })
+            });
+
+            const data = await response.json();
+
+            if (!data.success) {
+                alert('Error starting run: ' + data.error);
+                return;
+            }
+
+            this.clear();
+            this.attach(data.run);
+        } catch (error) {
+            alert('Error starting run: ' + error.message);
+        }
+    }
+
+    // Follow the output of a run or environment job; `onExit` is called once it ends
+    attach(run, { onExit } = {}) {
+        this.detach();
+        this.run = run;
+        this.onExit = onExit || null;
+        this.workspace.showPanel('output');
+        this.clear();
+        this.append('info', `$ ${run.label}\n`);
+        this.renderStatus();
+
+        this.eventSource = new EventSource(this.workspace.apiUrl(`${this.baseUrl(run)}/${run.id}/events`));
+
+        this.eventSource.addEventListener('output', (e) => {
+            const entry = JSON.parse(e.data);
+            this.append(entry.stream, entry.data);
+        });
+
+        this.eventSource.addEventListener('exit', (e) => {
+            this.run = JSON.parse(e.data);
+            this.append('info', `\n${this.describeExit(this.run)}\n`);
+            this.detach();
+            this.renderStatus();
+
+            if (this.onExit) {
+                this.onExit(this.run);
+                this.onExit = null;
+            }
+        });
+
+        this.eventSource.onerror = () => {
+            // The server ends the stream after the exit event, anything else is a lost connection
+            if (this.eventSource && this.eventSource.readyState === EventSource.CLOSED) {
+                this.append('info', '\n[Connection to the run lost]\n');
+                this.detach();
+            }
+        };
+    }
+
+    detach() {
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+    }
+
+    isRunning() {
+        return Boolean(this.run) && this.run.status !== 'exited';
+    }
+
+    async stop() {
+        if (!this.isRunning()) return;
+
+        try {
+            await this.workspace.fetch(`${this.baseUrl(this.run)}/${this.run.id}/stop`, { method: 'POST' });
+        } catch (error) {
+            console.error('Failed to stop run:', error);
+        }
+    }
+
+    async sendInput(text) {
+        if (!this.isRunning() || this.run.kind !== 'run') return;
+
+        this.append('stdin', `${text}\n`);
+
+        try {
+            const response = await this.workspace.fetch(`/api/run/${this.run.id}/stdin`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ data: `${text}\n` })
+            });
+
+            const data = await response.json();
+            if (!data.success) {
+                this.append('info', `[${data.error}]\n`);
+            }
+        } catch (error) {
+            this.append('info', `[Failed to send input: ${error.message}]\n`);
+        }
+    }
+
+    describeExit(run) {
+        switch (run.reason) {
+            case 'timeout':
+                return `[Stopped: time limit of ${run.timeLimitMs / 1000}s reached]`;
+            case 'output-limit':
+                return '[Stopped: output limit reached]';
+            case 'stopped':
+                return '[Stopped by user]';
+            case 'spawn-error':
+                return '[The process could not be started]';
+            default:
+                return run.signal
+                    ? `[Process killed by ${run.signal}]`
+                    : `[Process exited with code ${run.exitCode}]`;
+        }
+    }
+
+    append(stream, text) {
+        const output = document.getElementById('run-output');
+        const atBottom = output.scrollTop + output.clientHeight >= output.scrollHeight - 5;
+
+        const span = document.createElement('span');
+        span.className = `output-${stream}`;
+        span.textContent = text;
+        output.appendChild(span);
+
+        if (atBottom) {
+            output.scrollTop = output.scrollHeight;
+        }
+    }
+
+    clear() {
+        document.getElementById('run-output').innerHTML = '';
+    }
+
+    renderStatus() {
+        const status = document.getElementById('run-status');
+        const running = this.isRunning();
+
+        status.textContent = running ? 'Running…' : '';
+        document.getElementById('run-stop-btn').disabled = !running;
+        document.getElementById('run-stdin-input').disabled = !running || this.run.kind !== 'run';
+        document.getElementById('workspace-run-btn').textContent = running ? '⟳ Restart' : '▶ Run';
+    }
+
+    dispose() {
+        this.detach();
+        this.run = null;
+    }
+}
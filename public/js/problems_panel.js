@@ -0,0 +1,290 @@
+// problems_panel.js
+// Lint problems of the project, grouped by file, and the formatter of the project.
+// Both tools are chosen by the project's pyproject.toml, see /api/quality. Formatting
+// on save is the editor.formatOnSave setting, see editor_settings.js.
+const PROBLEM_ICONS = { error: '✖', warning: '⚠' };
+
+class ProblemsPanel {
+    constructor(workspace) {
+        this.workspace = workspace;
+        this.app = workspace.app;
+        this.linter = null;
+
+        // Path -> problems of the file, and the content they were found in
+        // (null when the saved file was linted)
+        this.problems = new Map();
+        this.sources = new Map();
+    }
+
+    // Offset in `text` of a 1-based line and column; linters count columns in characters,
+    // JavaScript strings in UTF-16 code units
+    static offsetOf(text, line, column) {
+        let start = 0;
+        for (let current = 1; current < line; current++) {
+            const end = text.indexOf('\n', start);
+            if (end === -1) return text.length;
+            start = end + 1;
+        }
+
+        const lineEnd = text.indexOf('\n', start);
+        const lineText = text.slice(start, lineEnd === -1 ? text.length : lineEnd);
+        return start + Array.from(lineText).slice(0, column - 1).join('').length;
+    }
+
+    bindEvents() {
+        document.getElementById('problems-lint-btn').onclick = () => this.lintProject();
+        document.getElementById('workspace-format-btn').onclick = () => this.formatActiveTab();
+
+        const toggle = document.getElementById('format-on-save-input');
+        this.renderFormatOnSave();
+        toggle.onchange = async () => {
+            try {
+                await this.app.settings.set('editor.formatOnSave', toggle.checked);
+            } catch (error) {
+                alert('Error saving settings: ' + error.message);
+                this.renderFormatOnSave();
+            }
+        };
+
+        document.getElementById('problems-list').onclick = (e) => {
+            const file = e.target.closest('.problems-file');
+            if (file) {
+                this.workspace.openFile(file.dataset.path);
+                return;
+            }
+
+            const item = e.target.closest('.problem');
+            if (!item) return;
+
+            const problem = this.problems.get(item.dataset.path)[Number(item.dataset.index)];
+            if (e.target.closest('.problem-fix')) {
+                this.applyFix(item.dataset.path, problem);
+            } else {
+                const length = problem.endLine === problem.line ? problem.endColumn - problem.column : 0;
+                this.workspace.revealLine(item.dataset.path, problem.line, { column: problem.column, length });
+            }
+        };
+
+        this.render();
+    }
+
+    setStatus(text) {
+        document.getElementById('problems-status').textContent = text;
+    }
+
+    // ----- Linting -----
+
+    async requestLint(body) {
+        const response = await this.workspace.fetch('/api/quality/lint', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ project: this.workspace.projectName, ...body })
+        });
+
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.error);
+        }
+
+        this.linter = data.linter;
+        return data.problems;
+    }
+
+    // Lint the content of a tab, saved or not
+    async lintFile(tab) {
+        const content = tab.content;
+
+        try {
+            const problems = await this.requestLint({ path: tab.path, content });
+
+            this.problems.delete(tab.path);
+            this.sources.delete(tab.path);
+            if (problems.length > 0) {
+                this.problems.set(tab.path, problems);
+                this.sources.set(tab.path, content);
+            }
+
+            this.setStatus('');
+            this.render();
+        } catch (error) {
+            this.setStatus(`Not linted: ${error.message}`);
+        }
+    }
+
+    // Lint every saved file of the project
+    async lintProject() {
+        this.workspace.showPanel('problems');
+        this.setStatus('Linting…');
+
+        try {
+            const problems = await this.requestLint({});
+
+            this.problems.clear();
+            this.sources.clear();
+            problems.forEach(problem => {
+                if (!this.problems.has(problem.path)) {
+                    this.problems.set(problem.path, []);
+                    this.sources.set(problem.path, null);
+                }
+                this.problems.get(problem.path).push(problem);
+            });
+
+            const files = this.problems.size === 1 ? '1 file' : `${this.problems.size} files`;
+            this.setStatus(problems.length > 0 ? `${this.linter}: ${problems.length} problems in ${files}` : `${this.linter}: no problems`);
+            this.render();
+        } catch (error) {
+            this.setStatus(`Not linted: ${error.message}`);
+        }
+    }
+
+    // Drop the problems of a file that was deleted
+    forget(filePath) {
+        if (this.problems.delete(filePath)) {
+            this.sources.delete(filePath);
+            this.render();
+        }
+    }
+
+    // Apply the edits of a problem's fix to its tab, as unsaved changes
+    async applyFix(filePath, problem) {
+        if (!problem.fix) return;
+        if (!problem.fix.safe && !confirm(`${problem.fix.message}\n\nThis fix may change what the code does. Apply it?`)) {
+            return;
+        }
+
+        await this.workspace.openFile(filePath);
+        const tab = this.workspace.findTab(filePath);
+        if (!tab) return;
+
+        const source = this.sources.get(filePath);
+        const linted = source === null ? tab.savedContent : source;
+        if (tab.content !== linted) {
+            alert('Quick fix error: the file changed since it was linted. Lint it again.');
+            return;
+        }
+
+        // From the end of the file, so that earlier offsets stay valid
+        tab.content = problem.fix.edits
+            .map(edit => ({
+                start: ProblemsPanel.offsetOf(linted, edit.line, edit.column),
+                end: ProblemsPanel.offsetOf(linted, edit.endLine, edit.endColumn),
+                text: edit.text
+            }))
+            .sort((a, b) => b.start - a.start)
+            .reduce((content, change) => content.slice(0, change.start) + change.text + content.slice(change.end), linted);
+
+        this.workspace.collab.changeDocument(tab);
+        this.workspace.language.changeDocument(tab);
+        this.workspace.renderTabs();
+        this.workspace.renderEditor();
+        this.workspace.persistSession();
+
+        await this.lintFile(tab);
+    }
+
+    render() {
+        const container = document.getElementById('problems-list');
+        const escape = text => this.app.escapeHtml(text);
+        const total = Array.from(this.problems.values()).reduce((count, problems) => count + problems.length, 0);
+
+        document.getElementById('problems-count').textContent = total > 0 ? total : '';
+
+        if (total === 0) {
+            container.innerHTML = '<div class="problems-empty">No problems found. Lint the project to check every file.</div>';
+            return;
+        }
+
+        const paths = Array.from(this.problems.keys()).sort((a, b) => a.localeCompare(b));
+
+        container.innerHTML = paths.map(filePath => {
+            const problems = this.problems.get(filePath);
+            const items = problems.map((problem, index) => `
+                <div class="problem" data-path="${this.workspace.escapeAttr(filePath)}" data-index="${index}">
+                    <span class="problem-icon problem-${problem.severity}">${PROBLEM_ICONS[problem.severity]}</span>
+                    <span class="problem-message">${escape(problem.message)}</span>
+                    <span class="problem-code">${escape(problem.code)}</span>
+                    <span class="problem-location">${problem.line}:${problem.column}</span>
+                    ${problem.fix ? `<button class="icon-btn problem-fix" title="${this.workspace.escapeAttr(problem.fix.message)}">Fix</button>` : ''}
+                </div>
+            `).join('');
+
+            return `
+                <div class="problems-file" data-path="${this.workspace.escapeAttr(filePath)}">
+                    <span class="search-file-name">${escape(filePath)}</span>
+                    <span class="search-count">${problems.length}</span>
+                </div>
+                ${items}
+            `;
+        }).join('');
+    }
+
+    // ----- Formatting -----
+
+    // Replace the content of a tab with its formatted version. Throws when it cannot be formatted.
+    async formatTab(tab) {
+        const content = tab.content;
+
+        const response = await this.workspace.fetch('/api/quality/format', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ project: this.workspace.projectName, path: tab.path, content })
+        });
+
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.error);
+        }
+
+        // Edits typed while the formatter ran win
+        if (!data.changed || tab.content !== content) return;
+
+        const editor = document.getElementById('code-editor');
+        const selection = editor.selectionStart;
+
+        tab.content = data.content;
+        this.workspace.collab.changeDocument(tab);
+        this.workspace.language.changeDocument(tab);
+        this.workspace.renderTabs();
+
+        if (tab.path === this.workspace.activePath) {
+            this.workspace.renderEditor();
+            editor.setSelectionRange(Math.min(selection, tab.content.length), Math.min(selection, tab.content.length));
+        }
+    }
+
+    async formatActiveTab() {
+        const tab = this.workspace.findTab(this.workspace.activePath);
+        if (!tab) return;
+
+        if (!this.workspace.language.isPython(tab.path)) {
+            alert('Format error: only Python files can be formatted.');
+            return;
+        }
+
+        try {
+            await this.formatTab(tab);
+            this.workspace.schedulePersist();
+        } catch (error) {
+            alert('Format error: ' + error.message);
+        }
+    }
+
+    renderFormatOnSave() {
+        document.getElementById('format-on-save-input').checked = Boolean(this.app.settings.get('editor.formatOnSave'));
+    }
+
+    // Called before a tab is saved; a file that cannot be formatted is saved as it is
+    async formatBeforeSave(tab) {
+        if (!this.app.settings.get('editor.formatOnSave') || !this.workspace.language.isPython(tab.path)) return;
+
+        try {
+            await this.formatTab(tab);
+        } catch (error) {
+            this.setStatus(`Not formatted: ${error.message}`);
+        }
+    }
+}
@@ -0,0 +1,278 @@
+// project_dashboard.js
+// Projects of the dashboard: search, filter and sort, list or grid, the recently opened
+// ones, and the actions on a project. What a project shows comes from its manifest,
+// see services/project_manifest.js.
+const DASHBOARD_KEY = 'bocide.dashboard';
+const RECENT_PROJECTS = 4;
+
+const PROJECT_SORTS = {
+    recent: (a, b) => (b.lastOpened || '').localeCompare(a.lastOpened || '') || a.name.localeCompare(b.name),
+    name: (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base', numeric: true }),
+    modified: (a, b) => new Date(b.modified) - new Date(a.modified),
+    created: (a, b) => (b.created || '').localeCompare(a.created || ''),
+    size: (a, b) => (b.size || 0) - (a.size || 0)
+};
+
+class ProjectDashboard {
+    constructor(app) {
+        this.app = app;
+        this.query = '';
+        this.filter = 'all';
+        this.sort = 'recent';
+        this.view = 'grid';
+
+        try {
+            const stored = JSON.parse(localStorage.getItem(DASHBOARD_KEY)) || {};
+            if (PROJECT_SORTS[stored.sort]) this.sort = stored.sort;
+            if (stored.view === 'list') this.view = 'list';
+        } catch (error) {
+            // Broken preferences are replaced on the next change
+        }
+    }
+
+    bindEvents() {
+        const search = document.getElementById('project-search-input');
+        const filter = document.getElementById('project-filter-select');
+        const sort = document.getElementById('project-sort-select');
+
+        sort.value = this.sort;
+
+        search.addEventListener('input', () => {
+            this.query = search.value.trim().toLowerCase();
+            this.render();
+        });
+
+        filter.addEventListener('change', () => {
+            this.filter = filter.value;
+            this.render();
+        });
+
+        sort.addEventListener('change', () => {
+            this.sort = sort.value;
+            this.savePreferences();
+            this.render();
+        });
+
+        document.getElementById('project-view-btn').addEventListener('click', () => {
+            this.view = this.view === 'grid' ? 'list' : 'grid';
+            this.savePreferences();
+            this.render();
+        });
+
+        ['projects-container', 'recent-container'].forEach((id) => {
+            document.getElementById(id).addEventListener('click', (e) => {
+                const button = e.target.closest('[data-action]');
+                if (button) this.runAction(button.dataset.action, button.closest('[data-project]').dataset.project);
+            });
+        });
+    }
+
+    savePreferences() {
+        localStorage.setItem(DASHBOARD_KEY, JSON.stringify({ sort: this.sort, view: this.view }));
+    }
+
+    runAction(action, name) {
+        switch (action) {
+            case 'open':
+                this.app.openProject(name);
+                break;
+            case 'rename':
+                this.rename(name);
+                break;
+            case 'duplicate':
+                this.duplicate(name);
+                break;
+            case 'describe':
+                this.editDescription(name);
+                break;
+            case 'share':
+                this.app.shares.show(name);
+                break;
+            case 'delete':
+                this.app.showDeleteModal(name);
+                break;
+        }
+    }
+
+    // ----- Rendering -----
+
+    render() {
+        const { projects } = this.app;
+
+        document.getElementById('project-view-btn').textContent = this.view === 'grid' ? '☰ List' : '▦ Grid';
+        this.renderFilterOptions();
+        this.renderRecent();
+
+        const container = document.getElementById('projects-container');
+
+        if (projects.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <span class="folder-icon">📁</span>
+                    <span class="create-project-link" onclick="bocIDE.showCreateModal()">
+                        Create a new project
+                    </span>
+                </div>
+            `;
+            return;
+        }
+
+        const visible = this.visibleProjects();
+        if (visible.length === 0) {
+            container.innerHTML = '<div class="empty-state">No project matches the search.</div>';
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="${this.view === 'grid' ? 'project-grid' : 'project-list'}">
+                ${visible.map(project => this.renderProject(project)).join('')}
+            </div>
+        `;
+    }
+
+    visibleProjects() {
+        return this.app.projects
+            .filter((project) => {
+                if (this.filter === 'git') return Boolean(project.branch);
+                if (this.filter === 'none') return !project.template;
+                if (this.filter.startsWith('template:')) return project.template === this.filter.slice('template:'.length);
+                return true;
+            })
+            .filter(project => !this.query
+                || project.name.toLowerCase().includes(this.query)
+                || (project.description || '').toLowerCase().includes(this.query))
+            .sort(PROJECT_SORTS[this.sort]);
+    }
+
+    // One entry per template the projects were made from
+    renderFilterOptions() {
+        const select = document.getElementById('project-filter-select');
+        const templates = Array.from(new Set(this.app.projects.map(project => project.template).filter(Boolean))).sort();
+        const options = [
+            ['all', 'All projects'],
+            ['git', 'Git repositories'],
+            ['none', 'No template'],
+            ...templates.map(name => [`template:${name}`, `Template: ${this.templateLabel(name)}`])
+        ];
+
+        // A template no project uses anymore
+        if (!options.some(([value]) => value === this.filter)) this.filter = 'all';
+
+        select.innerHTML = options.map(([value, label]) => `
+            <option value="${this.app.escapeHtml(value)}">${this.app.escapeHtml(label)}</option>
+        `).join('');
+        select.value = this.filter;
+    }
+
+    renderRecent() {
+        const recent = this.app.projects
+            .filter(project => project.lastOpened)
+            .sort(PROJECT_SORTS.recent)
+            .slice(0, RECENT_PROJECTS);
+
+        document.getElementById('recent-projects').hidden = recent.length === 0;
+        document.getElementById('recent-container').innerHTML = recent.map(project => `
+            <button class="recent-project" data-project="${this.app.escapeHtml(project.name)}" data-action="open">
+                <span class="project-name">${this.app.escapeHtml(project.name)}</span>
+                <span class="project-meta">Opened ${this.formatDate(project.lastOpened)}</span>
+            </button>
+        `).join('');
+    }
+
+    renderProject(project) {
+        const escape = text => this.app.escapeHtml(text);
+        const details = [
+            project.template ? escape(this.templateLabel(project.template)) : 'No template',
+            `${project.truncated ? 'over ' : ''}${project.files || 0} files · ${this.formatSize(project.size || 0)}`,
+            project.branch ? `⎇ ${escape(project.branch)}` : null,
+            project.lastOpened ? `Opened ${this.formatDate(project.lastOpened)}` : null,
+            !project.lastOpened && project.created ? `Created ${this.formatDate(project.created)}` : null
+        ].filter(Boolean);
+
+        return `
+            <div class="project-card" data-project="${escape(project.name)}">
+                <div class="project-header">
+                    <span class="project-icon">📁</span>
+                    <span class="project-name" title="${escape(project.name)}">${escape(project.name)}</span>
+                </div>
+                <div class="project-description" data-action="describe" title="Edit the description">
+                    ${project.description ? escape(project.description) : '<span class="placeholder">Add a description</span>'}
+                </div>
+                <div class="project-meta">${details.join(' · ')}</div>
+                <div class="project-actions">
+                    <button class="btn btn-success btn-small" data-action="open">Open</button>
+                    <button class="btn btn-secondary btn-small" data-action="rename">Rename</button>
+                    <button class="btn btn-secondary btn-small" data-action="duplicate">Duplicate</button>
+                    <button class="btn btn-secondary btn-small" data-action="share">Share</button>
+                    <a class="btn btn-secondary btn-small" href="/api/archive/export?path=${encodeURIComponent(project.name)}" download>
+                        Export
+                    </a>
+                    <button class="btn btn-danger btn-small" data-action="delete">Delete</button>
+                </div>
+            </div>
+        `;
+    }
+
+    templateLabel(name) {
+        const template = this.app.templates.find(candidate => candidate.name === name);
+        return template ? template.label : name;
+    }
+
+    formatSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    // "5 minutes ago" for recent dates, the date itself after a week
+    formatDate(iso) {
+        const seconds = Math.round((Date.now() - new Date(iso).getTime()) / 1000);
+        const format = new Intl.RelativeTimeFormat(undefined, { numeric: 'auto' });
+
+        if (seconds < 60) return format.format(0, 'second');
+        if (seconds < 3600) return format.format(-Math.floor(seconds / 60), 'minute');
+        if (seconds < 86400) return format.format(-Math.floor(seconds / 3600), 'hour');
+        if (seconds < 7 * 86400) return format.format(-Math.floor(seconds / 86400), 'day');
+        return `on ${new Date(iso).toLocaleDateString()}`;
+    }
+
+    // ----- Actions -----
+
+    async rename(name) {
+        const newName = prompt('New name of the project:', name);
+        if (!newName || newName.trim() === name) return;
+
+        try {
+            await this.app.api.updateProject(name, { name: newName.trim() });
+            this.app.loadProjects();
+        } catch (error) {
+            alert('Error renaming project: ' + error.message);
+        }
+    }
+
+    async duplicate(name) {
+        const newName = prompt('Name of the copy:', `${name} copy`);
+        if (!newName || !newName.trim()) return;
+
+        try {
+            await this.app.api.duplicateProject(name, newName.trim());
+            this.app.loadProjects();
+            this.app.showSuccess(`Project "${name}" duplicated as "${newName.trim()}"`);
+        } catch (error) {
+            alert('Error duplicating project: ' + error.message);
+        }
+    }
+
+    async editDescription(name) {
+        const project = this.app.projects.find(candidate => candidate.name === name);
+        const description = prompt('Description of the project:', project.description || '');
+        if (description === null) return;
+
+        try {
+            Object.assign(project, await this.app.api.updateProject(name, { description: description.trim() }));
+            this.render();
+        } catch (error) {
+            alert('Error saving description: ' + error.message);
+        }
+    }
+}
@@ -0,0 +1,307 @@
+// search_panel.js
+class SearchPanel {
+    constructor(workspace) {
+        this.workspace = workspace;
+        this.app = workspace.app;
+        this.options = { caseSensitive: false, wholeWord: false, regex: false };
+        this.results = [];
+        this.eventSource = null;
+        this.searchTimer = null;
+        this.plan = null;
+    }
+
+    bindEvents() {
+        const form = document.getElementById('search-form');
+
+        form.onsubmit = (e) => {
+            e.preventDefault();
+            this.search();
+        };
+
+        // Search as the query or the filters change
+        form.oninput = (e) => {
+            if (e.target.id === 'search-replacement') return;
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.search(), 300);
+        };
+
+        form.querySelectorAll('.search-toggle[data-option]').forEach(button => {
+            button.classList.toggle('active', this.options[button.dataset.option]);
+            button.onclick = () => {
+                this.options[button.dataset.option] = !this.options[button.dataset.option];
+                button.classList.toggle('active', this.options[button.dataset.option]);
+                this.search();
+            };
+        });
+
+        document.getElementById('search-replace-btn').onclick = () => this.previewReplace();
+        document.getElementById('search-clear-btn').onclick = () => this.clear();
+        document.getElementById('replace-cancel-btn').onclick = () => this.hideReplace();
+        document.getElementById('replace-confirm-btn').onclick = () => this.applyReplace();
+
+        document.getElementById('replace-modal-overlay').onclick = (e) => {
+            if (e.target === e.currentTarget) this.hideReplace();
+        };
+
+        document.getElementById('search-results').onclick = (e) => {
+            const match = e.target.closest('.search-match');
+            if (match) {
+                this.openMatch(match.dataset.path, Number(match.dataset.line), Number(match.dataset.column), Number(match.dataset.length));
+            }
+        };
+    }
+
+    dispose() {
+        clearTimeout(this.searchTimer);
+        this.stop();
+        this.hideReplace();
+    }
+
+    stop() {
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+    }
+
+    getQuery() {
+        const query = {
+            query: document.getElementById('search-query').value,
+            include: document.getElementById('search-include').value,
+            exclude: document.getElementById('search-exclude').value,
+            useGitignore: document.getElementById('search-gitignore').checked,
+            ...this.options
+        };
+
+        if (!document.getElementById('search-workspace').checked) {
+            query.project = this.workspace.projectName;
+        }
+
+        return query;
+    }
+
+    search() {
+        clearTimeout(this.searchTimer);
+        this.stop();
+
+        const query = this.getQuery();
+        this.results = [];
+        this.renderResults();
+
+        if (!query.query) {
+            this.setSummary('');
+            return;
+        }
+
+        this.setSummary('Searching…');
+
+        const params = new URLSearchParams(query);
+        const eventSource = new EventSource(this.workspace.apiUrl(`/api/search?${params}`));
+        this.eventSource = eventSource;
+
+        eventSource.addEventListener('file', (e) => {
+            this.results.push(JSON.parse(e.data));
+            this.renderResults();
+        });
+
+        eventSource.addEventListener('done', (e) => {
+            const summary = JSON.parse(e.data);
+            const files = summary.files === 1 ? '1 file' : `${summary.files} files`;
+            this.setSummary(`${summary.matches} results in ${files}${summary.truncated ? ' (stopped at the result limit)' : ''}`);
+            this.stop();
+        });
+
+        // Sent by the server for invalid queries; a failed connection has no data
+        eventSource.addEventListener('error', (e) => {
+            this.setSummary(e.data ? JSON.parse(e.data).error : 'Search failed: connection lost.');
+            this.stop();
+        });
+    }
+
+    clear() {
+        this.stop();
+        document.getElementById('search-query').value = '';
+        document.getElementById('search-replacement').value = '';
+        this.results = [];
+        this.renderResults();
+        this.setSummary('');
+    }
+
+    setSummary(text) {
+        document.getElementById('search-summary').textContent = text;
+    }
+
+    renderResults() {
+        const container = document.getElementById('search-results');
+        const escape = text => this.app.escapeHtml(text);
+
+        container.innerHTML = this.results.map(file => {
+            const matches = file.matches.map(match => {
+                const { text, matchStart, matchLength } = match.preview;
+                return `
+                    <div class="search-match" data-path="${this.workspace.escapeAttr(file.path)}" data-line="${match.line}"
+                         data-column="${match.column}" data-length="${match.length}">
+                        <span class="search-line">${match.line}</span>
+                        <span class="search-preview">${escape(text.slice(0, matchStart))}<mark>${escape(text.slice(matchStart, matchStart + matchLength))}</mark>${escape(text.slice(matchStart + matchLength))}</span>
+                    </div>
+                `;
+            }).join('');
+
+            return `
+                <div class="search-file" title="${this.workspace.escapeAttr(file.path)}">
+                    <span class="search-file-name">${escape(this.displayPath(file.path))}</span>
+                    <span class="search-count">${file.matches.length}</span>
+                </div>
+                ${matches}
+            `;
+        }).join('');
+    }
+
+    // Results are relative to the Workspace; those of this project are shown without its name
+    displayPath(workspacePath) {
+        const prefix = `${this.workspace.projectName}/`;
+        return workspacePath.startsWith(prefix) ? workspacePath.slice(prefix.length) : workspacePath;
+    }
+
+    async openMatch(workspacePath, line, column, length) {
+        const prefix = `${this.workspace.projectName}/`;
+
+        if (workspacePath.startsWith(prefix)) {
+            await this.workspace.revealLine(workspacePath.slice(prefix.length), line, { column, length });
+            return;
+        }
+
+        // A match of another project: switch to it
+        const [project, ...rest] = workspacePath.split('/');
+        if (!confirm(`Open project "${project}"?`)) return;
+
+        await this.app.openProject(project);
+        await this.app.workspace.revealLine(rest.join('/'), line, { column, length });
+    }
+
+    // ----- Replace -----
+
+    async previewReplace() {
+        const query = this.getQuery();
+        if (!query.query) return;
+
+        const body = { ...query, replacement: document.getElementById('search-replacement').value };
+
+        try {
+            const response = await this.workspace.fetch('/api/search/replace', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(body)
+            });
+
+            const data = await response.json();
+
+            if (!data.success) {
+                alert('Replace error: ' + data.error);
+                return;
+            }
+
+            if (data.files.length === 0) {
+                alert('Nothing to replace.');
+                return;
+            }
+
+            this.plan = { body, files: data.files };
+            this.renderReplacePreview(data);
+            document.getElementById('replace-modal-overlay').classList.add('active');
+        } catch (error) {
+            alert('Replace error: ' + error.message);
+        }
+    }
+
+    renderReplacePreview(data) {
+        const escape = text => this.app.escapeHtml(text);
+        const files = data.files.length === 1 ? '1 file' : `${data.files.length} files`;
+
+        document.getElementById('replace-summary').textContent = `${data.total} replacements in ${files}`;
+        document.getElementById('replace-preview').innerHTML = data.files.map((file, index) => `
+            <div class="replace-file">
+                <label>
+                    <input type="checkbox" data-index="${index}" checked>
+                    ${escape(file.path)} <span class="replace-count">(${file.count})</span>
+                </label>
+                ${file.changes.map(change => `
+                    <div class="replace-change">
+                        <span class="replace-line">${change.line}</span>
+                        <div>
+                            <div class="replace-before">${escape(change.before)}</div>
+                            <div class="replace-after">${escape(change.after)}</div>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `).join('');
+    }
+
+    hideReplace() {
+        document.getElementById('replace-modal-overlay').classList.remove('active');
+        this.plan = null;
+    }
+
+    async applyReplace() {
+        if (!this.plan) return;
+
+        const checked = Array.from(document.querySelectorAll('#replace-preview input[type="checkbox"]:checked'));
+        const files = checked.map(input => this.plan.files[Number(input.dataset.index)]);
+        if (files.length === 0) return;
+
+        // Replacing works on the files on disk: unsaved edits would be lost or conflict
+        const prefix = `${this.workspace.projectName}/`;
+        const tabs = files
+            .filter(file => file.path.startsWith(prefix))
+            .map(file => this.workspace.findTab(file.path.slice(prefix.length)))
+            .filter(Boolean);
+        const dirty = tabs.filter(tab => this.workspace.isDirty(tab));
+
+        if (dirty.length > 0) {
+            alert(`Save or revert these files first:\n${dirty.map(tab => tab.path).join('\n')}`);
+            return;
+        }
+
+        // The reload below already shows the new content: no "changed on disk" prompt
+        tabs.forEach(tab => {
+            tab.saving = true;
+        });
+
+        try {
+            const response = await this.workspace.fetch('/api/search/replace', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    ...this.plan.body,
+                    apply: true,
+                    files: files.map(file => ({ path: file.path, modified: file.modified }))
+                })
+            });
+
+            const data = await response.json();
+
+            if (!data.success) {
+                alert('Replace error: ' + data.error);
+                return;
+            }
+
+            this.hideReplace();
+            for (const tab of tabs) {
+                await this.workspace.reloadTab(tab.path);
+            }
+            this.app.showSuccess(`Replaced ${data.total} occurrences in ${data.replaced.length} files`);
+            this.search();
+        } catch (error) {
+            alert('Replace error: ' + error.message);
+        } finally {
+            tabs.forEach(tab => {
+                tab.saving = false;
+            });
+        }
+    }
+}
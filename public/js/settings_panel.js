@@ -0,0 +1,209 @@
+// settings_panel.js
+// The settings modal: the settings of the user, or those of the open project, and the
+// shortcuts of the IDE commands. A field left empty keeps the value it inherits.
+class SettingsPanel {
+    constructor(app) {
+        this.app = app;
+        this.scope = 'user';
+        // Command id -> shortcut typed in the modal, '' to remove the one of the preset
+        this.bindings = {};
+    }
+
+    get settings() {
+        return this.app.settings;
+    }
+
+    bindEvents() {
+        const overlay = document.getElementById('settings-modal-overlay');
+
+        document.getElementById('settings-btn').onclick = () => this.show();
+        document.getElementById('workspace-settings-btn').onclick = () => this.show();
+        document.getElementById('settings-cancel-btn').onclick = () => this.hide();
+
+        overlay.onclick = (e) => {
+            if (e.target === e.currentTarget) this.hide();
+        };
+
+        document.getElementById('settings-scopes').onclick = (e) => {
+            const button = e.target.closest('[data-scope]');
+            if (button) this.showScope(button.dataset.scope);
+        };
+
+        document.getElementById('settings-form').onsubmit = (e) => {
+            e.preventDefault();
+            this.save();
+        };
+
+        // Shortcuts are recorded as they are typed; Backspace goes back to the preset,
+        // Delete removes the shortcut
+        document.getElementById('settings-shortcuts').onkeydown = (e) => {
+            const input = e.target.closest('input[data-command]');
+            if (!input || e.key === 'Tab' || e.key === 'Escape') return;
+
+            e.preventDefault();
+            e.stopPropagation();
+
+            const id = input.dataset.command;
+            if (e.key === 'Backspace' && !e.ctrlKey && !e.altKey) {
+                delete this.bindings[id];
+            } else if (e.key === 'Delete' && !e.ctrlKey && !e.altKey) {
+                this.bindings[id] = '';
+            } else {
+                const shortcut = Keymap.eventShortcut(e);
+                if (!shortcut) return;
+
+                // A second key typed soon after the first makes a sequence
+                const recent = this.lastRecorded && this.lastRecorded.id === id && Date.now() - this.lastRecorded.time < SEQUENCE_TIMEOUT_MS;
+                this.bindings[id] = recent && this.bindings[id] ? `${this.bindings[id]} ${shortcut}` : shortcut;
+                this.lastRecorded = { id, time: Date.now() };
+            }
+
+            this.renderShortcut(input);
+        };
+    }
+
+    show() {
+        this.bindings = { ...(this.settings.user['keymap.bindings'] || {}) };
+        document.getElementById('settings-modal-overlay').classList.add('active');
+        this.showScope('user');
+    }
+
+    hide() {
+        document.getElementById('settings-modal-overlay').classList.remove('active');
+    }
+
+    showScope(scope) {
+        const workspace = this.settings.workspace;
+        this.scope = workspace ? scope : 'user';
+
+        const scopes = document.getElementById('settings-scopes');
+        scopes.hidden = !workspace;
+        scopes.querySelectorAll('[data-scope]').forEach(button => {
+            button.classList.toggle('active', button.dataset.scope === this.scope);
+        });
+
+        const hint = document.getElementById('settings-scope-hint');
+        if (this.scope === 'project') {
+            hint.textContent = this.settings.canEditProject()
+                ? `Shared by everyone working on "${workspace.projectName}", and kept in .bocide/settings.json for its repository.`
+                : `Settings of "${workspace.projectName}". Only its editors can change them.`;
+        } else {
+            hint.textContent = 'Your settings, in every browser you log in from.';
+        }
+
+        this.renderFields();
+        document.getElementById('settings-shortcuts-section').hidden = this.scope !== 'user';
+        this.renderShortcuts();
+    }
+
+    // Value a setting gets when the current scope does not set it
+    inheritedValue(key) {
+        if (this.scope === 'project' && Object.prototype.hasOwnProperty.call(this.settings.user, key)) {
+            return this.settings.user[key];
+        }
+        return this.settings.defaults[key];
+    }
+
+    describe(field, value) {
+        if (field.type === 'boolean') return value ? 'On' : 'Off';
+        if (field.type === 'choice') return field.options[value] || value;
+        return String(value);
+    }
+
+    renderFields() {
+        const stored = this.scope === 'project' ? this.settings.project : this.settings.user;
+        const readOnly = this.scope === 'project' && !this.settings.canEditProject();
+        const fields = SETTING_FIELDS.filter(field => this.scope === 'user' || field.project);
+
+        document.getElementById('settings-fields').innerHTML = fields.map((field) => {
+            const id = `setting-${field.key.replace('.', '-')}`;
+            const value = Object.prototype.hasOwnProperty.call(stored, field.key) ? stored[field.key] : '';
+            const inherited = this.describe(field, this.inheritedValue(field.key));
+            const disabled = readOnly ? 'disabled' : '';
+            const label = `<label class="modal-label" for="${id}">${this.app.escapeHtml(field.label)}</label>`;
+
+            if (field.type === 'boolean' || field.type === 'choice') {
+                const options = field.type === 'boolean' ? { true: 'On', false: 'Off' } : field.options;
+                return `
+                    <div class="settings-field">
+                        ${label}
+                        <select id="${id}" class="modal-select" data-setting="${field.key}" ${disabled}>
+                            <option value="">${this.scope === 'project' ? 'As set by each user' : 'Default'} (${this.app.escapeHtml(inherited)})</option>
+                            ${Object.entries(options).map(([option, text]) => `
+                                <option value="${this.app.escapeHtml(option)}" ${String(value) === option ? 'selected' : ''}>${this.app.escapeHtml(text)}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                `;
+            }
+
+            const range = field.type === 'number' ? `type="number" min="${field.min}" max="${field.max}"` : 'type="text"';
+            return `
+                <div class="settings-field">
+                    ${label}
+                    <input ${range} id="${id}" data-setting="${field.key}" value="${this.app.escapeHtml(String(value)).replace(/"/g, '&quot;')}"
+                        placeholder="${this.app.escapeHtml(inherited).replace(/"/g, '&quot;')}" ${disabled}>
+                </div>
+            `;
+        }).join('');
+
+        document.getElementById('settings-save-btn').disabled = readOnly;
+    }
+
+    renderShortcuts() {
+        const preset = KEYMAP_PRESETS[this.settings.user['keymap.preset'] || this.settings.defaults['keymap.preset']] || KEYMAP_PRESETS.vscode;
+
+        document.getElementById('settings-shortcuts').innerHTML = IDE_COMMANDS.map(command => `
+            <li>
+                <span class="settings-command">${this.app.escapeHtml(command.category)}: ${this.app.escapeHtml(command.title)}</span>
+                <input type="text" readonly data-command="${command.id}" placeholder="${this.app.escapeHtml(preset[command.id] || 'None')}">
+            </li>
+        `).join('');
+
+        document.querySelectorAll('#settings-shortcuts input[data-command]').forEach(input => this.renderShortcut(input));
+    }
+
+    renderShortcut(input) {
+        const binding = this.bindings[input.dataset.command];
+        input.value = binding === undefined ? '' : (binding || 'None');
+        input.classList.toggle('changed', binding !== undefined);
+    }
+
+    // Settings typed in the modal, without the empty fields
+    collect() {
+        const settings = {};
+
+        document.querySelectorAll('#settings-fields [data-setting]').forEach(input => {
+            const field = SETTING_FIELDS.find(candidate => candidate.key === input.dataset.setting);
+            const value = input.value.trim();
+            if (value === '') return;
+
+            if (field.type === 'number') {
+                settings[field.key] = Number(value);
+            } else if (field.type === 'boolean') {
+                settings[field.key] = value === 'true';
+            } else {
+                settings[field.key] = value;
+            }
+        });
+
+        return settings;
+    }
+
+    async save() {
+        const settings = this.collect();
+
+        try {
+            if (this.scope === 'project') {
+                await this.settings.saveProject(settings);
+            } else {
+                if (Object.keys(this.bindings).length > 0) settings['keymap.bindings'] = this.bindings;
+                await this.settings.saveUser(settings);
+            }
+
+            this.hide();
+        } catch (error) {
+            alert('Error saving settings: ' + error.message);
+        }
+    }
+}
@@ -0,0 +1,148 @@
+// share_panel.js
+// Sharing of a project: the share modal, where its owner gives other users access to
+// it as viewers or editors, changes their role or takes it back.
+class SharePanel {
+    constructor(app) {
+        this.app = app;
+        this.project = null;
+        this.shares = [];
+    }
+
+    bindEvents() {
+        const overlay = document.getElementById('share-modal-overlay');
+
+        document.getElementById('share-close-btn').onclick = () => this.hide();
+
+        overlay.onclick = (e) => {
+            if (e.target === e.currentTarget) this.hide();
+        };
+
+        document.getElementById('share-add-form').onsubmit = (e) => {
+            e.preventDefault();
+            const usernameInput = document.getElementById('share-add-username');
+            this.share(usernameInput.value.trim(), document.getElementById('share-add-role').value)
+                .then(shared => {
+                    if (shared) usernameInput.value = '';
+                });
+        };
+
+        const list = document.getElementById('share-list');
+
+        list.onchange = (e) => {
+            if (!e.target.matches('[data-action="role"]')) return;
+            this.share(e.target.closest('li').dataset.username, e.target.value);
+        };
+
+        list.onclick = (e) => {
+            const button = e.target.closest('button[data-action="unshare"]');
+            if (button) this.unshare(button.closest('li').dataset.username);
+        };
+    }
+
+    show(projectName) {
+        this.project = projectName;
+        this.shares = [];
+        this.render();
+        document.getElementById('share-title').textContent = `Share "${projectName}"`;
+        document.getElementById('share-add-username').value = '';
+        document.getElementById('share-modal-overlay').classList.add('active');
+        document.getElementById('share-add-username').focus();
+        this.refresh();
+    }
+
+    hide() {
+        document.getElementById('share-modal-overlay').classList.remove('active');
+        this.project = null;
+    }
+
+    async refresh() {
+        const status = document.getElementById('share-status');
+
+        try {
+            const response = await fetch(`/api/shares?project=${encodeURIComponent(this.project)}`);
+            const data = await response.json();
+
+            if (!data.success) {
+                status.textContent = data.error;
+                return;
+            }
+
+            this.shares = data.shares;
+            status.textContent = this.shares.length === 0
+                ? 'Only you can see this project.'
+                : `Shared with ${this.shares.length} user${this.shares.length === 1 ? '' : 's'}.`;
+            this.render();
+        } catch (error) {
+            status.textContent = 'Error loading shares: ' + error.message;
+        }
+    }
+
+    render() {
+        document.getElementById('share-list').innerHTML = this.shares.map(share => `
+            <li data-username="${this.app.escapeHtml(share.username)}">
+                <span class="user-name">${this.app.escapeHtml(share.username)}</span>
+                <span class="user-actions">
+                    <select class="users-role" data-action="role">
+                        <option value="viewer" ${share.role === 'viewer' ? 'selected' : ''}>Viewer</option>
+                        <option value="editor" ${share.role === 'editor' ? 'selected' : ''}>Editor</option>
+                    </select>
+                    <button class="btn btn-danger btn-small" data-action="unshare">Remove</button>
+                </span>
+            </li>
+        `).join('');
+    }
+
+    // Share the project with a user, or change their role. Resolves to whether it worked.
+    async share(username, role) {
+        try {
+            const response = await fetch('/api/shares', {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ project: this.project, username, role })
+            });
+
+            const data = await response.json();
+
+            if (!data.success) {
+                alert('Share error: ' + data.error);
+                this.refresh();
+                return false;
+            }
+
+            this.app.showSuccess(data.message);
+            this.refresh();
+            return true;
+        } catch (error) {
+            alert('Share error: ' + error.message);
+            return false;
+        }
+    }
+
+    async unshare(username) {
+        if (!confirm(`Stop sharing "${this.project}" with "${username}"?`)) return;
+
+        try {
+            const response = await fetch('/api/shares', {
+                method: 'DELETE',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ project: this.project, username })
+            });
+
+            const data = await response.json();
+
+            if (!data.success) {
+                alert('Share error: ' + data.error);
+                return;
+            }
+
+            this.app.showSuccess(data.message);
+            this.refresh();
+        } catch (error) {
+            alert('Share error: ' + error.message);
+        }
+    }
+}
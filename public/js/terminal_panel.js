@@ -0,0 +1,308 @@
+// terminal_panel.js
+// Shells of the project in the bottom panel, each shown by its own xterm.js terminal.
+// The shells run on the server and survive page reloads, see routes/terminal_endpoints.js.
+class TerminalPanel {
+    constructor(workspace) {
+        this.workspace = workspace;
+        this.app = workspace.app;
+        // Session id -> { session, number, terminal, fit, element, socket, failures, reconnectTimer, exited }
+        this.terminals = new Map();
+        this.activeId = null;
+        this.count = 0;
+        this.resizeObserver = null;
+        this.disposed = false;
+    }
+
+    bindEvents() {
+        document.getElementById('terminal-new-btn').onclick = () => this.create();
+        document.getElementById('terminal-kill-btn').onclick = () => this.kill(this.activeId);
+
+        document.getElementById('terminal-tabs').onclick = (e) => {
+            const tab = e.target.closest('.terminal-tab');
+            if (!tab) return;
+
+            if (e.target.closest('.terminal-tab-close')) {
+                this.kill(tab.dataset.id);
+            } else {
+                this.activate(tab.dataset.id);
+            }
+        };
+
+        this.resizeObserver = new ResizeObserver(() => this.fit());
+        this.resizeObserver.observe(document.getElementById('terminal-container'));
+
+        this.render();
+    }
+
+    // Attach again to the shells still running, e.g. after a page reload
+    async restore() {
+        if (this.workspace.readOnly) return;
+
+        try {
+            const sessions = await this.list();
+            sessions.forEach(session => this.attach(session));
+        } catch (error) {
+            console.error('Failed to restore terminals:', error);
+        }
+    }
+
+    async list() {
+        const params = new URLSearchParams({ project: this.workspace.projectName });
+        const response = await this.workspace.fetch(`/api/terminals?${params}`);
+        const data = await response.json();
+
+        if (!data.success) throw new Error(data.error);
+        return data.terminals;
+    }
+
+    async create() {
+        try {
+            const response = await this.workspace.fetch('/api/terminals', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ project: this.workspace.projectName })
+            });
+
+            const data = await response.json();
+
+            if (!data.success) {
+                alert('Error starting terminal: ' + data.error);
+                return;
+            }
+
+            this.workspace.showPanel('terminal');
+            this.attach(data.terminal);
+            this.activate(data.terminal.id);
+        } catch (error) {
+            alert('Error starting terminal: ' + error.message);
+        }
+    }
+
+    attach(session) {
+        const element = document.createElement('div');
+        element.className = 'terminal-view';
+        document.getElementById('terminal-container').appendChild(element);
+
+        const terminal = new Terminal({ cursorBlink: true, ...this.options() });
+        const fit = new FitAddon.FitAddon();
+        terminal.loadAddon(fit);
+        terminal.open(element);
+
+        const entry = { session, number: ++this.count, terminal, fit, element, socket: null, failures: 0, reconnectTimer: null, exited: false };
+        this.terminals.set(session.id, entry);
+
+        // Shortcuts of the IDE, such as Ctrl+S, run their command instead of reaching the shell
+        terminal.attachCustomKeyEventHandler(e => !this.workspace.keymap.runsCommand(e));
+        terminal.onData(data => this.send(entry, { type: 'input', data }));
+        terminal.onResize(({ cols, rows }) => this.send(entry, { type: 'resize', cols, rows }));
+
+        this.connect(entry);
+
+        if (!this.activeId) {
+            this.activate(session.id);
+        } else {
+            this.render();
+        }
+    }
+
+    connect(entry) {
+        const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+        const params = new URLSearchParams({ id: entry.session.id });
+        const socket = new WebSocket(`${protocol}//${location.host}${this.workspace.apiUrl(`/api/terminals/attach?${params}`)}`);
+        entry.socket = socket;
+
+        socket.onopen = () => {
+            entry.failures = 0;
+            // The server starts with the output printed so far
+            entry.terminal.reset();
+            this.send(entry, { type: 'resize', cols: entry.terminal.cols, rows: entry.terminal.rows });
+        };
+
+        socket.onmessage = (e) => {
+            const message = JSON.parse(e.data);
+
+            if (message.type === 'output') {
+                entry.terminal.write(message.data);
+            } else if (message.type === 'exit') {
+                this.onExit(entry, message.session);
+            }
+        };
+
+        socket.onclose = () => {
+            if (entry.socket !== socket) return;
+
+            entry.socket = null;
+            if (this.disposed || entry.exited) return;
+
+            entry.failures++;
+            entry.reconnectTimer = setTimeout(() => this.reconnect(entry), Math.min(1000 * 2 ** entry.failures, 15000));
+        };
+    }
+
+    // The shell may have ended, or the server restarted, while the connection was lost
+    async reconnect(entry) {
+        try {
+            const sessions = await this.list();
+            if (!sessions.some(session => session.id === entry.session.id)) {
+                this.onExit(entry, null);
+                return;
+            }
+        } catch (error) {
+            // Server unreachable: connecting fails and is tried again later
+        }
+
+        if (!this.disposed && this.terminals.get(entry.session.id) === entry) {
+            this.connect(entry);
+        }
+    }
+
+    send(entry, message) {
+        if (entry.socket && entry.socket.readyState === WebSocket.OPEN) {
+            entry.socket.send(JSON.stringify(message));
+        }
+    }
+
+    onExit(entry, session) {
+        entry.exited = true;
+        entry.terminal.write(`\r\n${this.describeExit(session)}\r\n`);
+        this.render();
+    }
+
+    describeExit(session) {
+        if (!session) return '[Terminal closed]';
+
+        switch (session.reason) {
+            case 'idle':
+                return '[Terminal closed after being idle]';
+            case 'killed':
+                return '[Terminal killed]';
+            default:
+                return session.signal
+                    ? `[Shell killed by signal ${session.signal}]`
+                    : `[Shell exited with code ${session.exitCode}]`;
+        }
+    }
+
+    async kill(id) {
+        const entry = this.terminals.get(id);
+        if (!entry) return;
+
+        if (!entry.exited) {
+            try {
+                const response = await this.workspace.fetch(`/api/terminals/${id}`, { method: 'DELETE' });
+                const data = await response.json();
+
+                // Already gone when 404
+                if (!data.success && response.status !== 404) {
+                    alert('Error killing terminal: ' + data.error);
+                    return;
+                }
+            } catch (error) {
+                alert('Error killing terminal: ' + error.message);
+                return;
+            }
+        }
+
+        this.remove(entry);
+    }
+
+    remove(entry) {
+        clearTimeout(entry.reconnectTimer);
+
+        const socket = entry.socket;
+        entry.socket = null;
+        if (socket) socket.close();
+
+        entry.terminal.dispose();
+        entry.element.remove();
+        this.terminals.delete(entry.session.id);
+
+        if (this.activeId === entry.session.id) {
+            const next = Array.from(this.terminals.keys()).pop();
+            this.activeId = null;
+            if (next) {
+                this.activate(next);
+                return;
+            }
+        }
+
+        this.render();
+    }
+
+    activate(id) {
+        this.activeId = id;
+        this.render();
+        this.fit();
+
+        const entry = this.terminals.get(id);
+        if (entry) entry.terminal.focus();
+    }
+
+    // Font of the editor, a size smaller, and colours of the theme
+    options() {
+        const style = getComputedStyle(document.documentElement);
+        const color = name => style.getPropertyValue(name).trim();
+
+        return {
+            fontFamily: this.app.settings.get('editor.fontFamily'),
+            fontSize: Math.max(this.app.settings.get('editor.fontSize') - 1, 8),
+            theme: {
+                background: color('--ide-panel-bg'),
+                foreground: color('--ide-text'),
+                cursor: color('--ide-text'),
+                selectionBackground: color('--ide-selected')
+            }
+        };
+    }
+
+    // Called when the settings changed
+    applySettings() {
+        const options = this.options();
+
+        this.terminals.forEach(entry => {
+            Object.assign(entry.terminal.options, options);
+        });
+        this.fit();
+    }
+
+    // Size the active terminal to the panel, which only works while it is shown
+    fit() {
+        const entry = this.terminals.get(this.activeId);
+        if (!entry || entry.element.offsetParent === null) return;
+
+        entry.fit.fit();
+    }
+
+    render() {
+        const tabs = document.getElementById('terminal-tabs');
+
+        tabs.innerHTML = Array.from(this.terminals.values()).map(entry => `
+            <button class="terminal-tab ${entry.session.id === this.activeId ? 'active' : ''} ${entry.exited ? 'exited' : ''}" data-id="${entry.session.id}">
+                ${this.app.escapeHtml(entry.session.shell)} ${entry.number}
+                <span class="terminal-tab-close" title="Kill">✕</span>
+            </button>
+        `).join('');
+
+        this.terminals.forEach((entry, id) => {
+            entry.element.classList.toggle('active', id === this.activeId);
+        });
+
+        document.getElementById('terminal-empty').style.display = this.terminals.size === 0 ? 'block' : 'none';
+        document.getElementById('terminal-kill-btn').disabled = !this.activeId;
+    }
+
+    // Leaving the project: the shells keep running until they are idle for too long
+    dispose() {
+        this.disposed = true;
+
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+
+        this.activeId = null;
+        Array.from(this.terminals.values()).forEach(entry => this.remove(entry));
+    }
+}
@@ -0,0 +1,221 @@
+// test_explorer.js
+class TestExplorer {
+    constructor(workspace) {
+        this.workspace = workspace;
+        this.app = workspace.app;
+        this.results = null;
+        this.selectedId = null;
+        this.collapsed = new Set();
+    }
+
+    bindEvents() {
+        document.getElementById('tests-run-all-btn').onclick = () => this.run();
+        document.getElementById('tests-rerun-failed-btn').onclick = () => this.rerunFailed();
+
+        document.getElementById('test-tree').onclick = (e) => {
+            const node = e.target.closest('.test-node');
+            if (!node) return;
+
+            if (e.target.closest('.test-run')) {
+                this.run([node.dataset.target]);
+            } else if (node.dataset.kind === 'test') {
+                this.selectTest(node.dataset.target);
+            } else {
+                this.toggleGroup(node.dataset.target);
+            }
+        };
+
+        this.render();
+    }
+
+    async run(targets = []) {
+        const tab = this.workspace.findTab(this.workspace.activePath);
+        if (tab && this.workspace.isDirty(tab)) {
+            await this.workspace.saveTab(tab.path);
+        }
+
+        try {
+            const response = await this.workspace.fetch('/api/tests/run', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ project: this.workspace.projectName, targets })
+            });
+
+            const data = await response.json();
+
+            if (!data.success) {
+                alert('Error running tests: ' + data.error);
+                return;
+            }
+
+            this.setSummary('Running tests…');
+            this.workspace.output.attach(data.run, { onExit: run => this.loadResults(run.id) });
+        } catch (error) {
+            alert('Error running tests: ' + error.message);
+        }
+    }
+
+    rerunFailed() {
+        const failed = this.getTests().filter(test => test.status === 'failed' || test.status === 'error');
+        if (failed.length === 0) return;
+
+        this.run(failed.map(test => test.id));
+    }
+
+    async loadResults(runId) {
+        try {
+            const response = await this.workspace.fetch(`/api/tests/${runId}`);
+            const data = await response.json();
+
+            if (!data.success || !data.results) {
+                this.setSummary('No test report, see the output panel for details.');
+                return;
+            }
+
+            this.merge(data.results);
+            this.render();
+        } catch (error) {
+            this.setSummary('Error loading test results: ' + error.message);
+        }
+    }
+
+    // Results of a partial run update the matching tests and keep the others
+    merge(results) {
+        const previous = this.results ? this.results.tests : [];
+        const updated = new Map(previous.map(test => [test.id, test]));
+        results.tests.forEach(test => updated.set(test.id, test));
+
+        this.results = { tests: Array.from(updated.values()), lastRun: results.summary };
+    }
+
+    getTests() {
+        return this.results ? this.results.tests : [];
+    }
+
+    selectTest(testId) {
+        const test = this.getTests().find(item => item.id === testId);
+        if (!test) return;
+
+        this.selectedId = testId;
+        this.render();
+
+        // Failures open at the failing line when it is in the project, other tests at their definition
+        const inProject = test.location && !test.location.file.startsWith('/') && !test.location.file.startsWith('..');
+        const target = inProject ? test.location : { file: test.file, line: test.line };
+
+        if (target.file) {
+            this.workspace.revealLine(target.file, target.line);
+        }
+    }
+
+    toggleGroup(groupId) {
+        if (this.collapsed.has(groupId)) {
+            this.collapsed.delete(groupId);
+        } else {
+            this.collapsed.add(groupId);
+        }
+        this.render();
+    }
+
+    setSummary(text) {
+        document.getElementById('tests-summary').textContent = text;
+    }
+
+    statusIcon(status) {
+        return { passed: '✔', failed: '✘', error: '⚠', skipped: '⊘' }[status] || '○';
+    }
+
+    // Status of a group: the worst status of its tests
+    groupStatus(tests) {
+        for (const status of ['error', 'failed', 'passed', 'skipped']) {
+            if (tests.some(test => test.status === status)) return status;
+        }
+        return 'unknown';
+    }
+
+    render() {
+        const tree = document.getElementById('test-tree');
+        const details = document.getElementById('test-details');
+        const tests = this.getTests();
+
+        document.getElementById('tests-rerun-failed-btn').disabled = !tests.some(test => test.status === 'failed' || test.status === 'error');
+
+        if (tests.length === 0) {
+            tree.innerHTML = '<div class="tree-empty">Run the tests to see the results</div>';
+            details.style.display = 'none';
+            this.setSummary('');
+            return;
+        }
+
+        const count = (...statuses) => tests.filter(test => statuses.includes(test.status)).length;
+        this.setSummary(`${count('passed')} passed, ${count('failed', 'error')} failed, ${count('skipped')} skipped`
+            + ` (last run ${this.results.lastRun.duration.toFixed(2)}s)`);
+
+        // file -> class path -> tests
+        const files = new Map();
+        tests.forEach(test => {
+            const [file, ...rest] = test.id.split('::');
+            const group = rest.slice(0, -1).join('::');
+            if (!files.has(file)) files.set(file, new Map());
+            const groups = files.get(file);
+            if (!groups.has(group)) groups.set(group, []);
+            groups.get(group).push(test);
+        });
+
+        tree.innerHTML = Array.from(files.entries()).map(([file, groups]) => {
+            const fileTests = Array.from(groups.values()).flat();
+            const fileOpen = !this.collapsed.has(file);
+
+            const children = !fileOpen ? '' : Array.from(groups.entries()).map(([group, groupTests]) => {
+                if (!group) {
+                    return groupTests.map(test => this.renderTest(test, 1)).join('');
+                }
+
+                const groupId = `${file}::${group}`;
+                const groupOpen = !this.collapsed.has(groupId);
+                return this.renderGroup(groupId, group, groupTests, 1, groupOpen)
+                    + (groupOpen ? groupTests.map(test => this.renderTest(test, 2)).join('') : '');
+            }).join('');
+
+            return this.renderGroup(file, file, fileTests, 0, fileOpen) + children;
+        }).join('');
+
+        const selected = tests.find(test => test.id === this.selectedId);
+        if (selected && selected.traceback) {
+            details.style.display = 'block';
+            details.textContent = selected.traceback;
+        } else {
+            details.style.display = 'none';
+        }
+    }
+
+    renderGroup(groupId, label, tests, depth, open) {
+        const status = this.groupStatus(tests);
+
+        return `
+            <div class="tree-node test-node test-group" data-kind="group" data-target="${this.workspace.escapeAttr(groupId)}" style="padding-left: ${8 + depth * 14}px">
+                <span class="tree-caret">${open ? '▾' : '▸'}</span>
+                <span class="test-status test-${status}">${this.statusIcon(status)}</span>
+                <span class="test-label">${this.app.escapeHtml(label)}</span>
+                <span class="test-run" title="Run">▶</span>
+            </div>
+        `;
+    }
+
+    renderTest(test, depth) {
+        const classes = ['tree-node', 'test-node'];
+        if (test.id === this.selectedId) classes.push('active');
+
+        return `
+            <div class="${classes.join(' ')}" data-kind="test" data-target="${this.workspace.escapeAttr(test.id)}"
+                 style="padding-left: ${22 + depth * 14}px" title="${this.workspace.escapeAttr(test.message || test.id)}">
+                <span class="test-status test-${test.status}">${this.statusIcon(test.status)}</span>
+                <span class="test-label">${this.app.escapeHtml(test.name)}</span>
+                <span class="test-duration">${(test.duration * 1000).toFixed(0)}ms</span>
+                <span class="test-run" title="Run">▶</span>
+            </div>
+        `;
+    }
+}
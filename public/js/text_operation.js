@@ -0,0 +1,292 @@
+// text_operation.js
+// Operational transformation of plain text, used by collaborative editing in the
+// browser and on the server (services/collaboration.js).
+//
+// An operation walks over a whole document: a positive number keeps that many
+// characters, a negative number deletes that many, a string inserts itself.
+class TextOperation {
+    constructor() {
+        this.ops = [];
+        // Length of the documents the operation applies to, and produces
+        this.baseLength = 0;
+        this.targetLength = 0;
+    }
+
+    static isRetain(op) {
+        return typeof op === 'number' && op > 0;
+    }
+
+    static isDelete(op) {
+        return typeof op === 'number' && op < 0;
+    }
+
+    static isInsert(op) {
+        return typeof op === 'string';
+    }
+
+    // Build an operation from its JSON form, as sent over the network
+    static fromJSON(ops) {
+        if (!Array.isArray(ops)) {
+            throw new Error('An operation must be an array.');
+        }
+
+        const operation = new TextOperation();
+        ops.forEach(op => {
+            if (TextOperation.isRetain(op) && Number.isInteger(op)) {
+                operation.retain(op);
+            } else if (TextOperation.isDelete(op) && Number.isInteger(op)) {
+                operation.delete(-op);
+            } else if (TextOperation.isInsert(op) && op) {
+                operation.insert(op);
+            } else {
+                throw new Error('Invalid operation component.');
+            }
+        });
+
+        return operation;
+    }
+
+    // The operation turning `before` into `after`, as one replaced range
+    static fromDiff(before, after) {
+        let prefix = 0;
+        const maxPrefix = Math.min(before.length, after.length);
+        while (prefix < maxPrefix && before[prefix] === after[prefix]) prefix++;
+
+        let suffix = 0;
+        const maxSuffix = maxPrefix - prefix;
+        while (suffix < maxSuffix && before[before.length - 1 - suffix] === after[after.length - 1 - suffix]) suffix++;
+
+        return new TextOperation()
+            .retain(prefix)
+            .delete(before.length - prefix - suffix)
+            .insert(after.slice(prefix, after.length - suffix))
+            .retain(suffix);
+    }
+
+    toJSON() {
+        return this.ops;
+    }
+
+    retain(count) {
+        if (count <= 0) return this;
+
+        this.baseLength += count;
+        this.targetLength += count;
+
+        const last = this.ops.length - 1;
+        if (TextOperation.isRetain(this.ops[last])) {
+            this.ops[last] += count;
+        } else {
+            this.ops.push(count);
+        }
+        return this;
+    }
+
+    insert(text) {
+        if (!text) return this;
+
+        this.targetLength += text.length;
+
+        // Inserts always come before deletes at the same place, so that equal
+        // operations have equal components
+        const ops = this.ops;
+        const last = ops.length - 1;
+        if (TextOperation.isInsert(ops[last])) {
+            ops[last] += text;
+        } else if (TextOperation.isDelete(ops[last])) {
+            if (TextOperation.isInsert(ops[last - 1])) {
+                ops[last - 1] += text;
+            } else {
+                ops.push(ops[last]);
+                ops[last] = text;
+            }
+        } else {
+            ops.push(text);
+        }
+        return this;
+    }
+
+    delete(count) {
+        if (count <= 0) return this;
+
+        this.baseLength += count;
+
+        const last = this.ops.length - 1;
+        if (TextOperation.isDelete(this.ops[last])) {
+            this.ops[last] -= count;
+        } else {
+            this.ops.push(-count);
+        }
+        return this;
+    }
+
+    isNoop() {
+        return this.ops.length === 0 || (this.ops.length === 1 && TextOperation.isRetain(this.ops[0]));
+    }
+
+    apply(text) {
+        if (text.length !== this.baseLength) {
+            throw new Error('The operation does not match the length of the document.');
+        }
+
+        const parts = [];
+        let index = 0;
+        this.ops.forEach(op => {
+            if (TextOperation.isRetain(op)) {
+                parts.push(text.slice(index, index + op));
+                index += op;
+            } else if (TextOperation.isInsert(op)) {
+                parts.push(op);
+            } else {
+                index -= op;
+            }
+        });
+
+        return parts.join('');
+    }
+
+    // One operation doing this one, then `other`
+    compose(other) {
+        if (this.targetLength !== other.baseLength) {
+            throw new Error('The second operation must apply to the result of the first one.');
+        }
+
+        const result = new TextOperation();
+        const ops1 = this.ops;
+        const ops2 = other.ops;
+        let i1 = 0;
+        let i2 = 0;
+        let op1 = ops1[i1++];
+        let op2 = ops2[i2++];
+
+        while (op1 !== undefined || op2 !== undefined) {
+            if (TextOperation.isDelete(op1)) {
+                result.delete(-op1);
+                op1 = ops1[i1++];
+                continue;
+            }
+
+            if (TextOperation.isInsert(op2)) {
+                result.insert(op2);
+                op2 = ops2[i2++];
+                continue;
+            }
+
+            if (op1 === undefined || op2 === undefined) {
+                throw new Error('The operations cannot be composed.');
+            }
+
+            if (TextOperation.isRetain(op1) && TextOperation.isRetain(op2)) {
+                const length = Math.min(op1, op2);
+                result.retain(length);
+                op1 = op1 === length ? ops1[i1++] : op1 - length;
+                op2 = op2 === length ? ops2[i2++] : op2 - length;
+            } else if (TextOperation.isInsert(op1) && TextOperation.isDelete(op2)) {
+                // Inserted, then deleted: nothing left of it
+                const length = Math.min(op1.length, -op2);
+                op1 = op1.length === length ? ops1[i1++] : op1.slice(length);
+                op2 = -op2 === length ? ops2[i2++] : op2 + length;
+            } else if (TextOperation.isInsert(op1) && TextOperation.isRetain(op2)) {
+                const length = Math.min(op1.length, op2);
+                result.insert(op1.slice(0, length));
+                op1 = op1.length === length ? ops1[i1++] : op1.slice(length);
+                op2 = op2 === length ? ops2[i2++] : op2 - length;
+            } else {
+                // Retained, then deleted
+                const length = Math.min(op1, -op2);
+                result.delete(length);
+                op1 = op1 === length ? ops1[i1++] : op1 - length;
+                op2 = -op2 === length ? ops2[i2++] : op2 + length;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Transform two operations made at the same time on the same document.
+     * Returns [a', b'] such that applying a then b' gives the same document as
+     * applying b then a'. At the same place, the inserts of `a` come first.
+     *
+     * @param {TextOperation} a
+     * @param {TextOperation} b
+     * @returns {TextOperation[]}
+     */
+    static transform(a, b) {
+        if (a.baseLength !== b.baseLength) {
+            throw new Error('Both operations must apply to the same document.');
+        }
+
+        const a1 = new TextOperation();
+        const b1 = new TextOperation();
+        const ops1 = a.ops;
+        const ops2 = b.ops;
+        let i1 = 0;
+        let i2 = 0;
+        let op1 = ops1[i1++];
+        let op2 = ops2[i2++];
+
+        while (op1 !== undefined || op2 !== undefined) {
+            if (TextOperation.isInsert(op1)) {
+                a1.insert(op1);
+                b1.retain(op1.length);
+                op1 = ops1[i1++];
+                continue;
+            }
+
+            if (TextOperation.isInsert(op2)) {
+                a1.retain(op2.length);
+                b1.insert(op2);
+                op2 = ops2[i2++];
+                continue;
+            }
+
+            if (op1 === undefined || op2 === undefined) {
+                throw new Error('The operations cannot be transformed.');
+            }
+
+            const length = Math.min(Math.abs(op1), Math.abs(op2));
+
+            if (TextOperation.isRetain(op1) && TextOperation.isRetain(op2)) {
+                a1.retain(length);
+                b1.retain(length);
+            } else if (TextOperation.isDelete(op1) && TextOperation.isRetain(op2)) {
+                a1.delete(length);
+            } else if (TextOperation.isRetain(op1) && TextOperation.isDelete(op2)) {
+                b1.delete(length);
+            }
+            // Deleted by both: nothing left to do for either
+
+            op1 = Math.abs(op1) === length ? ops1[i1++] : op1 - Math.sign(op1) * length;
+            op2 = Math.abs(op2) === length ? ops2[i2++] : op2 - Math.sign(op2) * length;
+        }
+
+        return [a1, b1];
+    }
+
+    // Where a position of the document ends up once the operation is applied
+    transformIndex(index) {
+        let remaining = index;
+        let newIndex = index;
+
+        for (const op of this.ops) {
+            if (TextOperation.isRetain(op)) {
+                remaining -= op;
+            } else if (TextOperation.isInsert(op)) {
+                newIndex += op.length;
+            } else {
+                newIndex -= Math.min(remaining, -op);
+                remaining += op;
+            }
+
+            if (remaining < 0) break;
+        }
+
+        return newIndex;
+    }
+}
+
+// The server loads this file too
+if (typeof module !== 'undefined') {
+    module.exports = { TextOperation };
+}
@@ -0,0 +1,181 @@
+// trash_panel.js
+// Deleted projects, folders and files, kept by the server until they are restored,
+// purged or older than its retention period.
+const UNDO_TOAST_MS = 6000;
+
+class TrashPanel {
+    constructor(app) {
+        this.app = app;
+        this.items = [];
+    }
+
+    bindEvents() {
+        const overlay = document.getElementById('trash-modal-overlay');
+
+        document.getElementById('trash-btn').onclick = () => this.show();
+        document.getElementById('trash-close-btn').onclick = () => this.hide();
+        document.getElementById('trash-empty-btn').onclick = () => this.empty();
+
+        overlay.onclick = (e) => {
+            if (e.target === e.currentTarget) this.hide();
+        };
+
+        document.getElementById('trash-list').onclick = (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            const item = this.items.find(candidate => candidate.id === button.closest('li').dataset.id);
+            if (button.dataset.action === 'restore') {
+                this.restore(item);
+            } else {
+                this.purge(item);
+            }
+        };
+    }
+
+    show() {
+        document.getElementById('trash-modal-overlay').classList.add('active');
+        this.refresh();
+    }
+
+    hide() {
+        document.getElementById('trash-modal-overlay').classList.remove('active');
+    }
+
+    isVisible() {
+        return document.getElementById('trash-modal-overlay').classList.contains('active');
+    }
+
+    async refresh() {
+        const status = document.getElementById('trash-status');
+
+        try {
+            const response = await fetch('/api/trash');
+            const data = await response.json();
+
+            if (!data.success) {
+                status.textContent = data.error;
+                return;
+            }
+
+            this.items = data.items;
+            status.textContent = `Deleted items are kept for ${data.retentionDays} days.`;
+            this.render();
+        } catch (error) {
+            status.textContent = 'Error loading the trash: ' + error.message;
+        }
+    }
+
+    render() {
+        const list = document.getElementById('trash-list');
+        document.getElementById('trash-empty-btn').disabled = this.items.length === 0;
+
+        if (this.items.length === 0) {
+            list.innerHTML = '<li class="env-empty">The trash is empty</li>';
+            return;
+        }
+
+        list.innerHTML = this.items.map(item => `
+            <li data-id="${this.app.escapeHtml(item.id)}">
+                <span class="trash-item" title="${this.app.escapeHtml(item.originalPath)}">
+                    ${item.kind === 'folder' ? '📁' : '📄'} ${this.app.escapeHtml(item.originalPath)}
+                    <span class="env-version">${new Date(item.deletedAt).toLocaleString()}</span>
+                </span>
+                <span class="trash-actions">
+                    <button class="btn btn-secondary btn-small" data-action="restore">Restore</button>
+                    <button class="btn btn-danger btn-small" data-action="purge">Delete</button>
+                </span>
+            </li>
+        `).join('');
+    }
+
+    // Put an item back; when its location was taken since, offer to restore it under another name
+    async restore(item, conflict = 'fail') {
+        try {
+            const response = await fetch(`/api/trash/${encodeURIComponent(item.id)}/restore`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ conflict })
+            });
+
+            const data = await response.json();
+
+            if (response.status === 409 && conflict !== 'rename') {
+                if (confirm(`${data.error}\n\nRestore it under another name?`)) {
+                    await this.restore(item, 'rename');
+                }
+                return;
+            }
+
+            if (!data.success) {
+                alert('Restore error: ' + data.error);
+                return;
+            }
+
+            this.app.showSuccess(data.message);
+            if (this.isVisible()) this.refresh();
+            this.app.onRestored(data.path);
+        } catch (error) {
+            alert('Restore error: ' + error.message);
+        }
+    }
+
+    async purge(item) {
+        if (!confirm(`Delete "${item.originalPath}" permanently? This action cannot be undone.`)) return;
+
+        try {
+            const response = await fetch(`/api/trash/${encodeURIComponent(item.id)}`, { method: 'DELETE' });
+            const data = await response.json();
+
+            if (!data.success) {
+                alert('Trash error: ' + data.error);
+                return;
+            }
+
+            this.refresh();
+        } catch (error) {
+            alert('Trash error: ' + error.message);
+        }
+    }
+
+    async empty() {
+        if (!confirm('Delete every item of the trash permanently? This action cannot be undone.')) return;
+
+        try {
+            const response = await fetch('/api/trash', { method: 'DELETE' });
+            const data = await response.json();
+
+            if (!data.success) {
+                alert('Trash error: ' + data.error);
+                return;
+            }
+
+            this.refresh();
+        } catch (error) {
+            alert('Trash error: ' + error.message);
+        }
+    }
+
+    // Toast offering to undo a delete for a few seconds
+    showUndo(message, item) {
+        const toast = document.createElement('div');
+        toast.className = 'undo-toast';
+        toast.innerHTML = `<span></span><button class="btn btn-small">Undo</button>`;
+        toast.querySelector('span').textContent = message;
+
+        const dismiss = () => {
+            clearTimeout(timer);
+            toast.remove();
+        };
+        const timer = setTimeout(dismiss, UNDO_TOAST_MS);
+
+        toast.querySelector('button').onclick = () => {
+            dismiss();
+            this.restore(item);
+        };
+
+        document.body.appendChild(toast);
+    }
+}
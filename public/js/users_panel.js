@@ -0,0 +1,235 @@
+// users_panel.js
+// Accounts: the users modal, where admins create, change and delete them, and the
+// password change of the current user.
+class UsersPanel {
+    constructor(app) {
+        this.app = app;
+        this.users = [];
+    }
+
+    bindEvents() {
+        const overlay = document.getElementById('users-modal-overlay');
+        const passwordOverlay = document.getElementById('password-modal-overlay');
+
+        document.getElementById('users-btn').onclick = () => this.show();
+        document.getElementById('users-close-btn').onclick = () => this.hide();
+        document.getElementById('password-btn').onclick = () => this.showPasswordModal();
+        document.getElementById('password-cancel-btn').onclick = () => this.hidePasswordModal();
+
+        overlay.onclick = (e) => {
+            if (e.target === e.currentTarget) this.hide();
+        };
+
+        passwordOverlay.onclick = (e) => {
+            if (e.target === e.currentTarget) this.hidePasswordModal();
+        };
+
+        document.getElementById('users-add-form').onsubmit = (e) => {
+            e.preventDefault();
+            this.create();
+        };
+
+        document.getElementById('password-form').onsubmit = (e) => {
+            e.preventDefault();
+            this.changePassword();
+        };
+
+        const list = document.getElementById('users-list');
+
+        list.onchange = (e) => {
+            if (!e.target.matches('[data-action="role"]')) return;
+            this.update(e.target.closest('li').dataset.username, { role: e.target.value });
+        };
+
+        list.onclick = (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const username = button.closest('li').dataset.username;
+            if (button.dataset.action === 'password') {
+                this.resetPassword(username);
+            } else {
+                this.remove(username);
+            }
+        };
+    }
+
+    show() {
+        document.getElementById('users-modal-overlay').classList.add('active');
+        this.refresh();
+    }
+
+    hide() {
+        document.getElementById('users-modal-overlay').classList.remove('active');
+    }
+
+    async refresh() {
+        const status = document.getElementById('users-status');
+
+        try {
+            const response = await fetch('/api/users');
+            const data = await response.json();
+
+            if (!data.success) {
+                status.textContent = data.error;
+                return;
+            }
+
+            this.users = data.users;
+            status.textContent = `${this.users.length} user${this.users.length === 1 ? '' : 's'}. Each one has a workspace of their own.`;
+            this.render();
+        } catch (error) {
+            status.textContent = 'Error loading users: ' + error.message;
+        }
+    }
+
+    render() {
+        const current = this.app.user.username;
+
+        document.getElementById('users-list').innerHTML = this.users.map(user => `
+            <li data-username="${this.app.escapeHtml(user.username)}">
+                <span class="user-name">
+                    ${this.app.escapeHtml(user.username)}${user.username === current ? ' <span class="env-version">(you)</span>' : ''}
+                </span>
+                <span class="user-actions">
+                    <select class="users-role" data-action="role">
+                        <option value="user" ${user.role === 'user' ? 'selected' : ''}>User</option>
+                        <option value="admin" ${user.role === 'admin' ? 'selected' : ''}>Admin</option>
+                    </select>
+                    <button class="btn btn-secondary btn-small" data-action="password">Reset password</button>
+                    <button class="btn btn-danger btn-small" data-action="delete" ${user.username === current ? 'disabled' : ''}>Delete</button>
+                </span>
+            </li>
+        `).join('');
+    }
+
+    async create() {
+        const usernameInput = document.getElementById('users-add-username');
+        const passwordInput = document.getElementById('users-add-password');
+
+        try {
+            const response = await fetch('/api/users', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    username: usernameInput.value.trim(),
+                    password: passwordInput.value,
+                    role: document.getElementById('users-add-role').value
+                })
+            });
+
+            const data = await response.json();
+
+            if (!data.success) {
+                alert('User error: ' + data.error);
+                return;
+            }
+
+            usernameInput.value = '';
+            passwordInput.value = '';
+            this.app.showSuccess(data.message);
+            this.refresh();
+        } catch (error) {
+            alert('User error: ' + error.message);
+        }
+    }
+
+    async update(username, changes) {
+        try {
+            const response = await fetch(`/api/users/${encodeURIComponent(username)}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(changes)
+            });
+
+            const data = await response.json();
+
+            if (!data.success) {
+                alert('User error: ' + data.error);
+            } else {
+                this.app.showSuccess(data.message);
+            }
+
+            // An admin who gave up the role cannot manage users anymore
+            if (data.success && username === this.app.user.username) {
+                this.app.setUser(data.user);
+                if (data.user.role !== 'admin') {
+                    this.hide();
+                    return;
+                }
+            }
+
+            this.refresh();
+        } catch (error) {
+            alert('User error: ' + error.message);
+        }
+    }
+
+    resetPassword(username) {
+        const password = prompt(`New password for "${username}". They will be logged out everywhere:`);
+        if (password) this.update(username, { password });
+    }
+
+    async remove(username) {
+        if (!confirm(`Delete the account "${username}"?`)) return;
+        const deleteFiles = confirm(`Delete the projects of "${username}" too?\n\nCancel keeps them on the server: an account created later with the same name gets them back.`);
+
+        try {
+            const params = deleteFiles ? '?deleteFiles=true' : '';
+            const response = await fetch(`/api/users/${encodeURIComponent(username)}${params}`, { method: 'DELETE' });
+            const data = await response.json();
+
+            if (!data.success) {
+                alert('User error: ' + data.error);
+                return;
+            }
+
+            this.app.showSuccess(data.message);
+            this.refresh();
+        } catch (error) {
+            alert('User error: ' + error.message);
+        }
+    }
+
+    showPasswordModal() {
+        document.getElementById('password-current-input').value = '';
+        document.getElementById('password-new-input').value = '';
+        document.getElementById('password-modal-overlay').classList.add('active');
+        document.getElementById('password-current-input').focus();
+    }
+
+    hidePasswordModal() {
+        document.getElementById('password-modal-overlay').classList.remove('active');
+    }
+
+    async changePassword() {
+        try {
+            const response = await fetch('/api/auth/password', {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    currentPassword: document.getElementById('password-current-input').value,
+                    newPassword: document.getElementById('password-new-input').value
+                })
+            });
+
+            const data = await response.json();
+
+            if (!data.success) {
+                alert('Password error: ' + data.error);
+                return;
+            }
+
+            this.hidePasswordModal();
+            this.app.showSuccess(data.message);
+        } catch (error) {
+            alert('Password error: ' + error.message);
+        }
+    }
+}
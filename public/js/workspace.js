@@ -0,0 +1,1126 @@
+// workspace.js
+class ProjectWorkspace {
+    // `share` is { owner, role } for a project another user shared, null for one's own
+    constructor(app, projectName, share = null) {
+        this.app = app;
+        this.projectName = projectName;
+        this.owner = share ? share.owner : null;
+        this.readOnly = Boolean(share) && share.role === 'viewer';
+        // Users sharing a browser each keep their own drafts
+        this.storageKey = `bocide.workspace.${app.user.username}.${this.owner ? `${this.owner}/` : ''}${projectName}`;
+        this.api = new ApiClient({ owner: this.owner });
+
+        // Tree state: folder path (relative to project) -> entries
+        this.treeCache = new Map();
+        this.expanded = new Set(['']);
+        this.selectedFolder = '';
+
+        // Editor state
+        this.tabs = [];
+        this.activePath = null;
+        this.persistTimer = null;
+        this.gitRefreshTimer = null;
+
+        this.menuPath = null;
+
+        // Program output panel
+        this.output = new OutputConsole(this);
+        this.terminal = new TerminalPanel(this);
+        this.debug = new DebugPanel(this);
+        this.environment = new EnvironmentPanel(this);
+        this.tests = new TestExplorer(this);
+        this.git = new GitPanel(this);
+        this.search = new SearchPanel(this);
+        this.problems = new ProblemsPanel(this);
+        this.history = new HistoryPanel(this);
+        this.notebook = new NotebookView(this);
+
+        // Language server features of the editor
+        this.language = new LanguageClient(this);
+        this.assist = new CodeAssist(this);
+
+        // Editing the open files together with the other users of the project
+        this.collab = new CollaborationClient(this);
+
+        // Shortcuts of the commands, the command palette and the vim and emacs editing keys
+        this.keymap = new Keymap(this);
+        this.palette = new CommandPalette(this);
+        this.editorKeys = new EditorKeys(this);
+
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.onDocumentClick = this.onDocumentClick.bind(this);
+    }
+
+    async open() {
+        const nameLabel = document.getElementById('workspace-project-name');
+        nameLabel.textContent = this.owner
+            ? `${this.projectName} — shared by ${this.owner}${this.readOnly ? ' (view only)' : ''}`
+            : this.projectName;
+
+        // Viewers can read and run the code, not change it
+        document.getElementById('workspace-view').classList.toggle('read-only', this.readOnly);
+        document.getElementById('code-editor').readOnly = this.readOnly;
+
+        await this.app.settings.loadProject(this);
+
+        this.bindEvents();
+        this.output.bindEvents();
+        this.terminal.bindEvents();
+        this.debug.bindEvents();
+        this.environment.bindEvents();
+        this.tests.bindEvents();
+        this.git.bindEvents();
+        this.search.bindEvents();
+        this.problems.bindEvents();
+        this.history.bindEvents();
+        this.notebook.bindEvents();
+        this.assist.bindEvents();
+        this.collab.bindEvents();
+        this.palette.bindEvents();
+        this.language.connect();
+        this.collab.connect();
+        this.showSidebarView('files');
+        this.showPanel('output');
+        this.renderTabs();
+        this.renderEditor();
+        this.output.restore();
+        this.terminal.restore();
+        this.notebook.restore();
+
+        const session = this.loadSession();
+        session.expanded.forEach(folder => this.expanded.add(folder));
+        this.debug.restore(session.debug);
+
+        await this.refreshTree();
+
+        for (const filePath of session.openTabs) {
+            await this.openFile(filePath, { activate: false, draft: session.drafts[filePath] });
+        }
+
+        const active = session.active && this.findTab(session.active) ? session.active : (this.tabs[0] && this.tabs[0].path);
+        if (active) {
+            this.activateTab(active);
+        }
+    }
+
+    close() {
+        document.removeEventListener('keydown', this.onKeyDown);
+        document.removeEventListener('click', this.onDocumentClick);
+        this.hideFileMenu();
+        document.getElementById('workspace-view').classList.remove('read-only');
+        document.getElementById('code-editor').readOnly = false;
+        this.environment.hide();
+        this.git.hideDiff();
+        this.search.dispose();
+        this.assist.dispose();
+        this.language.dispose();
+        this.collab.dispose();
+        this.output.dispose();
+        this.terminal.dispose();
+        this.debug.dispose();
+        this.notebook.dispose();
+        this.palette.dispose();
+        this.keymap.cancel();
+        this.editorKeys.reset();
+        clearTimeout(this.gitRefreshTimer);
+        this.persistSession();
+    }
+
+    bindEvents() {
+        const tree = document.getElementById('file-tree');
+        const tabs = document.getElementById('editor-tabs');
+        const editor = document.getElementById('code-editor');
+
+        tree.onclick = (e) => {
+            const node = e.target.closest('.tree-node');
+            if (!node) return;
+
+            if (node.dataset.type === 'folder') {
+                this.toggleFolder(node.dataset.path);
+            } else {
+                this.openFile(node.dataset.path);
+            }
+        };
+
+        tree.oncontextmenu = (e) => {
+            const node = e.target.closest('.tree-node');
+            if (!node) return;
+
+            e.preventDefault();
+            this.showFileMenu(node.dataset.path, e.clientX, e.clientY, node.dataset.type);
+        };
+
+        // Files and folders dropped from the desktop are uploaded to the folder under the pointer
+        tree.ondragover = (e) => {
+            if (!e.dataTransfer.types.includes('Files')) return;
+
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            this.setDropTarget(this.dropFolderAt(e.target));
+        };
+
+        tree.ondragleave = (e) => {
+            if (!tree.contains(e.relatedTarget)) this.setDropTarget(null);
+        };
+
+        tree.ondrop = async (e) => {
+            if (!e.dataTransfer.types.includes('Files') || this.readOnly) return;
+
+            e.preventDefault();
+            const folder = this.dropFolderAt(e.target);
+            this.setDropTarget(null);
+
+            try {
+                await this.uploadFiles(folder, await this.readDroppedFiles(e.dataTransfer));
+            } catch (error) {
+                alert('Upload error: ' + error.message);
+            }
+        };
+
+        document.getElementById('tree-context-menu').onclick = (e) => {
+            const item = e.target.closest('[data-action]');
+            if (!item) return;
+
+            const filePath = this.menuPath;
+            this.hideFileMenu();
+            this.runFileAction(item.dataset.action, filePath);
+        };
+
+        tabs.onclick = (e) => {
+            const tab = e.target.closest('.editor-tab');
+            if (!tab) return;
+
+            if (e.target.closest('.tab-close')) {
+                this.closeTab(tab.dataset.path);
+            } else {
+                this.activateTab(tab.dataset.path);
+            }
+        };
+
+        editor.oninput = () => {
+            const tab = this.findTab(this.activePath);
+            if (!tab) return;
+
+            const before = tab.content;
+            tab.content = editor.value;
+            this.collab.changeDocument(tab);
+            this.debug.onContentChange(tab, before);
+            this.renderTabs();
+            this.schedulePersist();
+            this.language.changeDocument(tab);
+            this.assist.onInput();
+        };
+
+        editor.onkeydown = (e) => {
+            if (this.assist.onKeyDown(e) || this.editorKeys.onKeyDown(e)) return;
+
+            // Indent instead of moving focus
+            if (e.key === 'Tab' && !e.ctrlKey && !e.altKey && !e.metaKey) {
+                e.preventDefault();
+                const start = editor.selectionStart;
+                const end = editor.selectionEnd;
+                editor.setRangeText(this.app.settings.indentation(), start, end, 'end');
+                editor.dispatchEvent(new Event('input'));
+            }
+        };
+
+        document.getElementById('workspace-save-btn').onclick = () => this.saveTab(this.activePath);
+        document.getElementById('workspace-run-btn').onclick = () => this.runActiveFile();
+        document.getElementById('workspace-palette-btn').onclick = () => this.palette.show();
+        document.getElementById('new-file-btn').onclick = () => this.createEntry('file');
+        document.getElementById('new-folder-btn').onclick = () => this.createEntry('folder');
+        document.getElementById('refresh-tree-btn').onclick = () => this.refreshTree();
+
+        const uploadInput = document.getElementById('upload-files-input');
+        document.getElementById('upload-files-btn').onclick = () => uploadInput.click();
+        uploadInput.onchange = () => {
+            const files = Array.from(uploadInput.files).map(file => ({ file, path: file.name }));
+            uploadInput.value = '';
+            this.uploadFiles(this.selectedFolder, files);
+        };
+
+        document.querySelectorAll('.sidebar-tab').forEach(button => {
+            button.onclick = () => this.showSidebarView(button.dataset.view);
+        });
+
+        document.querySelectorAll('.panel-tab').forEach(button => {
+            button.onclick = () => this.showPanel(button.dataset.panel);
+        });
+
+        document.addEventListener('keydown', this.onKeyDown);
+        document.addEventListener('click', this.onDocumentClick);
+    }
+
+    onDocumentClick(e) {
+        if (!e.target.closest('#tree-context-menu')) {
+            this.hideFileMenu();
+        }
+    }
+
+    // Shortcuts of the commands, anywhere in the page unless something else used the key
+    onKeyDown(e) {
+        if (e.defaultPrevented || document.getElementById('settings-modal-overlay').classList.contains('active')) return;
+
+        const command = this.keymap.match(e);
+        if (command || this.keymap.pending) e.preventDefault();
+        if (command) this.runCommand(command);
+    }
+
+    runCommand(id) {
+        const command = IDE_COMMANDS.find(candidate => candidate.id === id);
+        if (!command || (command.editing && this.readOnly)) return;
+
+        command.run(this);
+    }
+
+    // Called when the settings changed, and once those of the project are loaded
+    onSettingsChange() {
+        this.keymap.update();
+        this.editorKeys.reset();
+        // Metrics of the editor font
+        this.assist.charWidth = null;
+        this.assist.render();
+        this.debug.renderGutter();
+        this.problems.renderFormatOnSave();
+        this.terminal.applySettings();
+
+        // Buttons tell the shortcut of their command
+        document.querySelectorAll('.workspace-toolbar [data-command]').forEach(button => {
+            const shortcut = this.keymap.shortcutOf(button.dataset.command);
+            button.title = shortcut ? `${button.dataset.title} (${shortcut})` : button.dataset.title;
+        });
+    }
+
+    // Switch the sidebar between the file tree and the test explorer
+    showSidebarView(view) {
+        document.querySelectorAll('.sidebar-tab').forEach(button => {
+            button.classList.toggle('active', button.dataset.view === view);
+        });
+        document.querySelectorAll('.sidebar-view').forEach(panel => {
+            panel.classList.toggle('active', panel.dataset.view === view);
+        });
+
+        if (view === 'history') this.history.refresh();
+    }
+
+    // Switch the bottom panel between the program output, the lint problems and the terminals
+    showPanel(panel) {
+        document.querySelectorAll('.panel-tab').forEach(button => {
+            button.classList.toggle('active', button.dataset.panel === panel);
+        });
+        document.querySelectorAll('.panel-section').forEach(section => {
+            section.classList.toggle('active', section.dataset.panel === panel);
+        });
+
+        if (panel === 'terminal') this.terminal.fit();
+    }
+
+    // ----- Paths -----
+
+    // Path of an entry relative to the Workspace root, as expected by the API
+    toWorkspacePath(relativePath) {
+        return relativePath ? `${this.projectName}/${relativePath}` : this.projectName;
+    }
+
+    joinPath(folder, name) {
+        return folder ? `${folder}/${name}` : name;
+    }
+
+    // ----- API -----
+
+    // Requests for a shared project name its owner, the server answers from their workspace
+    fetch(url, options = {}) {
+        if (!this.owner) return fetch(url, options);
+
+        return fetch(url, { ...options, headers: { ...options.headers, 'X-Workspace-Owner': this.owner } });
+    }
+
+    // Same for the URLs of streams and downloads, which cannot carry headers
+    apiUrl(url) {
+        if (!this.owner) return url;
+
+        return `${url}${url.includes('?') ? '&' : '?'}owner=${encodeURIComponent(this.owner)}`;
+    }
+
+    // ----- File tree -----
+
+    async loadFolder(folder) {
+        const contents = await this.api.listFolder(this.projectName, folder);
+
+        // The repository internals are managed through the Git view only, the
+        // manifest of the project through the dashboard
+        const entries = contents.filter(entry => entry.name !== '.git' && entry.name !== '.bocide').sort((a, b) => {
+            if (a.type !== b.type) return a.type === 'folder' ? -1 : 1;
+            return a.name.localeCompare(b.name);
+        });
+
+        this.treeCache.set(folder, entries);
+        return entries;
+    }
+
+    async refreshTree() {
+        const container = document.getElementById('file-tree');
+
+        try {
+            this.treeCache.clear();
+
+            // Walk the tree level by level, only descending into expanded folders
+            let level = [''];
+            while (level.length > 0) {
+                const results = await Promise.all(level.map(folder =>
+                    this.loadFolder(folder).catch((error) => {
+                        // A failing project root is reported, vanished subfolders are just collapsed
+                        if (!folder) throw error;
+                        this.expanded.delete(folder);
+                        return [];
+                    })
+                ));
+
+                level = level.flatMap((folder, index) => results[index]
+                    .filter(entry => entry.type === 'folder')
+                    .map(entry => this.joinPath(folder, entry.name))
+                    .filter(entryPath => this.expanded.has(entryPath)));
+            }
+
+            this.renderTree();
+            this.git.refresh();
+        } catch (error) {
+            container.innerHTML = `<div class="tree-error">${this.app.escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    async toggleFolder(folder) {
+        this.selectedFolder = folder;
+
+        if (this.expanded.has(folder)) {
+            this.expanded.delete(folder);
+        } else {
+            this.expanded.add(folder);
+            if (!this.treeCache.has(folder)) {
+                try {
+                    await this.loadFolder(folder);
+                } catch (error) {
+                    this.expanded.delete(folder);
+                    alert('Error opening folder: ' + error.message);
+                }
+            }
+        }
+
+        this.renderTree();
+        this.schedulePersist();
+    }
+
+    renderTree() {
+        const container = document.getElementById('file-tree');
+        const html = this.renderFolderEntries('', 0);
+        container.innerHTML = html || '<div class="tree-empty">This project is empty</div>';
+    }
+
+    renderFolderEntries(folder, depth) {
+        const entries = this.treeCache.get(folder) || [];
+
+        return entries.map(entry => {
+            const entryPath = this.joinPath(folder, entry.name);
+            const isFolder = entry.type === 'folder';
+            const isOpen = isFolder && this.expanded.has(entryPath);
+            const icon = isFolder ? (isOpen ? '📂' : '📁') : '📄';
+            const classes = ['tree-node', `tree-${entry.type}`];
+            const badge = this.git.badgeFor(entryPath, isFolder);
+
+            if (entryPath === this.activePath) classes.push('active');
+
+            const node = `
+                <div class="${classes.join(' ')}" data-path="${this.escapeAttr(entryPath)}" data-type="${entry.type}"
+                     style="padding-left: ${8 + depth * 14}px">
+                    <span class="tree-caret">${isFolder ? (isOpen ? '▾' : '▸') : ''}</span>
+                    <span class="tree-icon">${icon}</span>
+                    <span class="tree-label">${this.app.escapeHtml(entry.name)}</span>
+                    ${badge ? `<span class="git-badge git-${badge.state}">${badge.letter}</span>` : ''}
+                </div>
+            `;
+
+            return isOpen ? node + this.renderFolderEntries(entryPath, depth + 1) : node;
+        }).join('');
+    }
+
+    async createEntry(type) {
+        const label = type === 'file' ? 'file' : 'folder';
+        const name = prompt(`New ${label} name${this.selectedFolder ? ` in "${this.selectedFolder}"` : ''}:`);
+        if (!name || !name.trim()) return;
+
+        const entryPath = this.joinPath(this.selectedFolder, name.trim());
+
+        try {
+            const entry = type === 'file'
+                ? await this.api.createFile(this.projectName, entryPath)
+                : await this.api.createFolder(this.projectName, entryPath);
+
+            this.expanded.add(this.selectedFolder);
+            await this.refreshTree();
+            this.app.showSuccess(`${type === 'file' ? 'File' : 'Folder'} '${entry.name}' created.`);
+        } catch (error) {
+            alert(`Error creating ${label}: ` + error.message);
+        }
+    }
+
+    // ----- File actions -----
+
+    showFileMenu(filePath, x, y, type = 'file') {
+        const menu = document.getElementById('tree-context-menu');
+        menu.querySelectorAll('[data-for]').forEach(item => {
+            item.hidden = item.dataset.for !== type || (this.readOnly && item.classList.contains('editing'));
+        });
+
+        this.menuPath = filePath;
+        menu.style.left = `${x}px`;
+        menu.style.top = `${y}px`;
+        menu.classList.add('active');
+    }
+
+    hideFileMenu() {
+        const menu = document.getElementById('tree-context-menu');
+        if (menu) menu.classList.remove('active');
+        this.menuPath = null;
+    }
+
+    async runFileAction(action, filePath) {
+        const name = filePath.split('/').pop();
+        const folder = filePath.includes('/') ? filePath.slice(0, filePath.lastIndexOf('/')) : '';
+        // Runs the action, resolving with the message to show and the trash item of a delete
+        let request;
+
+        switch (action) {
+            case 'upload':
+                this.selectedFolder = filePath;
+                document.getElementById('upload-files-input').click();
+                return;
+            case 'export':
+                window.location.href = this.apiUrl(`/api/archive/export?${new URLSearchParams({ path: this.toWorkspacePath(filePath) })}`);
+                return;
+            case 'rename': {
+                const newName = prompt('New file name:', name);
+                if (!newName || newName.trim() === name) return;
+                request = async () => {
+                    const entry = await this.api.moveFile(this.projectName, filePath, this.joinPath(folder, newName.trim()));
+                    this.retargetTab(filePath, entry.path);
+                    this.debug.retargetBreakpoints(filePath, entry.path);
+                    return { message: `File renamed to '${entry.name}'.` };
+                };
+                break;
+            }
+            case 'copy': {
+                const dot = name.lastIndexOf('.');
+                const suggestion = dot > 0 ? `${name.slice(0, dot)}-copy${name.slice(dot)}` : `${name}-copy`;
+                const newName = prompt('Name of the copy:', suggestion);
+                if (!newName || !newName.trim()) return;
+                request = async () => {
+                    const entry = await this.api.createFile(this.projectName, this.joinPath(folder, newName.trim()), { copyFrom: filePath });
+                    return { message: `File copied to '${entry.path}'.` };
+                };
+                break;
+            }
+            case 'move': {
+                const destination = prompt('Move to folder (relative to the project, empty for the root):', folder);
+                if (destination === null || destination.trim() === folder) return;
+                const target = destination.trim().replace(/^\/+|\/+$/g, '');
+                request = async () => {
+                    const entry = await this.api.moveFile(this.projectName, filePath, this.joinPath(target, name));
+                    this.retargetTab(filePath, entry.path);
+                    this.debug.retargetBreakpoints(filePath, entry.path);
+                    return { message: `File moved to '${target || '/'}'.` };
+                };
+                break;
+            }
+            case 'delete': {
+                if (!confirm(`Delete "${filePath}"? It can be restored from the trash.`)) return;
+                request = async () => {
+                    const item = await this.api.deleteFile(this.projectName, filePath);
+                    this.forgetTab(filePath);
+                    this.debug.retargetBreakpoints(filePath, null);
+                    return { message: `File '${filePath}' moved to the trash.`, item };
+                };
+                break;
+            }
+            default:
+                return;
+        }
+
+        try {
+            const result = await request();
+            await this.refreshTree();
+
+            // The trash of a shared project is its owner's
+            if (action === 'delete' && !this.owner) {
+                this.app.trash.showUndo(result.message, result.item);
+            } else {
+                this.app.showSuccess(result.message);
+            }
+        } catch (error) {
+            alert(`Error (${action}): ` + error.message);
+        }
+    }
+
+    // Point an open tab at the new location of its file
+    retargetTab(oldPath, newPath) {
+        const tab = this.findTab(oldPath);
+        if (!tab) return;
+
+        this.language.closeDocument(oldPath);
+        this.collab.closeDocument(oldPath);
+        tab.path = newPath;
+        this.language.openDocument(tab);
+        this.collab.openDocument(tab);
+
+        if (this.activePath === oldPath) {
+            this.activePath = newPath;
+        }
+
+        this.renderTabs();
+        this.persistSession();
+    }
+
+    // Drop a tab whose file no longer exists, without asking about unsaved changes
+    forgetTab(filePath) {
+        const tab = this.findTab(filePath);
+        if (!tab) return;
+
+        tab.savedContent = tab.content;
+        this.closeTab(filePath);
+    }
+
+    // ----- Uploads -----
+
+    // Folder receiving a drop on `target`: the folder itself, the parent of a file, or the project root
+    dropFolderAt(target) {
+        const node = target.closest('.tree-node');
+        if (!node) return '';
+
+        const nodePath = node.dataset.path;
+        if (node.dataset.type === 'folder') return nodePath;
+        return nodePath.includes('/') ? nodePath.slice(0, nodePath.lastIndexOf('/')) : '';
+    }
+
+    setDropTarget(folder) {
+        const tree = document.getElementById('file-tree');
+        tree.classList.toggle('drop-target', folder === '');
+        tree.querySelectorAll('.tree-node.drop-target').forEach(node => node.classList.remove('drop-target'));
+
+        if (folder) {
+            const node = tree.querySelector(`.tree-node[data-path="${CSS.escape(folder)}"]`);
+            if (node) node.classList.add('drop-target');
+        }
+    }
+
+    // Dropped files with their path relative to the drop, dropped folders included
+    async readDroppedFiles(dataTransfer) {
+        // Entries must be taken before the first await: the browser empties the transfer after the event
+        const entries = Array.from(dataTransfer.items || [])
+            .map(item => item.webkitGetAsEntry && item.webkitGetAsEntry())
+            .filter(Boolean);
+
+        if (entries.length === 0) {
+            return Array.from(dataTransfer.files).map(file => ({ file, path: file.name }));
+        }
+
+        const files = [];
+        for (const entry of entries) {
+            await this.collectEntry(entry, '', files);
+        }
+        return files;
+    }
+
+    async collectEntry(entry, prefix, files) {
+        const entryPath = prefix + entry.name;
+
+        if (entry.isFile) {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            files.push({ file, path: entryPath });
+            return;
+        }
+
+        // Folder children come in batches, until an empty one
+        const reader = entry.createReader();
+        let batch;
+        do {
+            batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            for (const child of batch) {
+                await this.collectEntry(child, `${entryPath}/`, files);
+            }
+        } while (batch.length > 0);
+    }
+
+    // Upload files to a folder of the project. Taken names are skipped first, then
+    // overwritten if the user agrees.
+    async uploadFiles(folder, files, conflict = 'skip') {
+        if (files.length === 0) return;
+
+        const params = new URLSearchParams({ path: this.toWorkspacePath(folder), conflict });
+        const body = new FormData();
+        files.forEach(({ file, path }) => body.append('files', file, path));
+
+        try {
+            const response = await this.fetch(`/api/archive/upload?${params}`, { method: 'POST', body });
+            const data = await response.json();
+
+            if (!data.success) {
+                alert('Upload error: ' + data.error);
+                return;
+            }
+
+            this.expanded.add(folder);
+            await this.refreshTree();
+
+            if (data.uploaded.length > 0) {
+                this.app.showSuccess(`Uploaded ${data.uploaded.length} file${data.uploaded.length === 1 ? '' : 's'}`);
+            }
+
+            if (data.skipped.length > 0 && conflict === 'skip') {
+                const shown = data.skipped.slice(0, 10).join('\n');
+                const more = data.skipped.length > 10 ? `\n… and ${data.skipped.length - 10} more` : '';
+
+                if (confirm(`These files already exist:\n${shown}${more}\n\nOverwrite them?`)) {
+                    await this.uploadFiles(folder, files.filter(({ path }) => data.skipped.includes(path)), 'overwrite');
+                }
+            }
+        } catch (error) {
+            alert('Upload error: ' + error.message);
+        }
+    }
+
+    // ----- Tabs & editor -----
+
+    findTab(filePath) {
+        return this.tabs.find(tab => tab.path === filePath);
+    }
+
+    isDirty(tab) {
+        return tab.content !== tab.savedContent;
+    }
+
+    async openFile(filePath, { activate = true, draft } = {}) {
+        this.selectedFolder = filePath.includes('/') ? filePath.slice(0, filePath.lastIndexOf('/')) : '';
+
+        if (this.findTab(filePath)) {
+            if (activate) this.activateTab(filePath);
+            return;
+        }
+
+        try {
+            const file = await this.api.readFile(this.projectName, filePath);
+
+            const tab = {
+                path: filePath,
+                savedContent: file.content,
+                content: typeof draft === 'string' ? draft : file.content,
+                modified: file.modified
+            };
+            this.tabs.push(tab);
+            this.language.openDocument(tab);
+            this.collab.openDocument(tab);
+
+            if (activate) {
+                this.activateTab(filePath);
+            } else {
+                this.renderTabs();
+            }
+        } catch (error) {
+            if (activate) alert('Error opening file: ' + error.message);
+        }
+    }
+
+    activateTab(filePath) {
+        this.activePath = filePath;
+        this.editorKeys.reset();
+        this.renderTabs();
+        this.renderEditor();
+        this.renderTree();
+        this.schedulePersist();
+        this.history.onActiveFileChanged();
+    }
+
+    async saveTab(filePath, { force = false } = {}) {
+        const tab = this.findTab(filePath);
+        if (!tab || this.readOnly) return;
+
+        this.notebook.flush(tab);
+
+        // Shared edits are saved by the server, which answers when it is done
+        if (this.collab.isShared(filePath)) {
+            if (!this.collab.isJoined(filePath)) {
+                alert('Error saving file: the connection to the server was lost. Your edits are saved once it is back.');
+                return;
+            }
+
+            await this.problems.formatBeforeSave(tab);
+            this.collab.save(tab);
+            return;
+        }
+
+        // Our own write must not be mistaken for an external change
+        tab.saving = true;
+
+        try {
+            await this.problems.formatBeforeSave(tab);
+
+            const content = tab.content;
+            const entry = await this.api.writeFile(this.projectName, filePath, content, {
+                // Without it the server overwrites whatever is on disk
+                expectedModified: force ? undefined : tab.modified
+            });
+
+            tab.savedContent = content;
+            tab.modified = entry.modified;
+            this.afterSave(tab);
+        } catch (error) {
+            if (error.code === 'CONFLICT') {
+                await this.resolveSaveConflict(tab);
+            } else {
+                alert('Error saving file: ' + error.message);
+            }
+        } finally {
+            tab.saving = false;
+        }
+    }
+
+    afterSave(tab) {
+        this.renderTabs();
+        this.persistSession();
+        this.git.refresh();
+        this.language.saveDocument(tab);
+        if (this.language.isPython(tab.path)) this.problems.lintFile(tab);
+        if (tab.path === this.activePath) this.history.onActiveFileChanged();
+    }
+
+    // The file changed on disk since it was opened: let the user pick which version wins
+    async resolveSaveConflict(tab) {
+        if (confirm(`"${tab.path}" was changed on disk since you opened it.\n\nOverwrite it with your version?`)) {
+            await this.saveTab(tab.path, { force: true });
+        } else if (confirm('Reload the file from disk? Your unsaved changes will be lost.')) {
+            await this.reloadTab(tab.path);
+        }
+    }
+
+    async reloadTab(filePath) {
+        const tab = this.findTab(filePath);
+        if (!tab) return;
+
+        try {
+            const file = await this.api.readFile(this.projectName, filePath);
+
+            tab.content = file.content;
+            tab.savedContent = file.content;
+            tab.modified = file.modified;
+            this.language.changeDocument(tab);
+            this.renderTabs();
+            this.renderEditor();
+            this.persistSession();
+        } catch (error) {
+            alert('Error reloading file: ' + error.message);
+        }
+    }
+
+    closeTab(filePath) {
+        const tab = this.findTab(filePath);
+        if (!tab) return;
+
+        // Shared edits the server has are saved once the tab is closed
+        if (this.isDirty(tab) && !this.collab.isSynced(filePath) && !confirm(`"${filePath}" has unsaved changes. Close it anyway?`)) {
+            return;
+        }
+
+        const index = this.tabs.indexOf(tab);
+        this.tabs.splice(index, 1);
+        this.language.closeDocument(filePath);
+        this.collab.closeDocument(filePath);
+
+        if (this.activePath === filePath) {
+            const next = this.tabs[index] || this.tabs[index - 1];
+            this.activePath = next ? next.path : null;
+        }
+
+        this.renderTabs();
+        this.renderEditor();
+        this.renderTree();
+        this.persistSession();
+        this.history.onActiveFileChanged();
+    }
+
+    hasUnsavedChanges() {
+        return this.tabs.some(tab => this.isDirty(tab));
+    }
+
+    renderTabs() {
+        const container = document.getElementById('editor-tabs');
+
+        container.innerHTML = this.tabs.map(tab => {
+            const name = tab.path.split('/').pop();
+            const classes = ['editor-tab'];
+            if (tab.path === this.activePath) classes.push('active');
+            if (this.isDirty(tab)) classes.push('dirty');
+
+            return `
+                <div class="${classes.join(' ')}" data-path="${this.escapeAttr(tab.path)}" title="${this.escapeAttr(tab.path)}">
+                    <span class="tab-name">${this.app.escapeHtml(name)}</span>
+                    <span class="tab-dirty">●</span>
+                    <span class="tab-close" title="Close">×</span>
+                </div>
+            `;
+        }).join('');
+
+        const tab = this.findTab(this.activePath);
+        document.getElementById('workspace-save-btn').disabled = !tab || !this.isDirty(tab);
+    }
+
+    renderEditor() {
+        const editor = document.getElementById('code-editor');
+        const placeholder = document.getElementById('editor-placeholder');
+        const tab = this.findTab(this.activePath);
+
+        if (!tab) {
+            editor.style.display = 'none';
+            placeholder.style.display = 'flex';
+            editor.value = '';
+            this.notebook.hide();
+            this.assist.render();
+            this.collab.renderCursors();
+            this.debug.renderGutter();
+            return;
+        }
+
+        placeholder.style.display = 'none';
+
+        // Notebooks are shown as cells, see notebook_view.js
+        if (this.notebook.handles(tab)) {
+            editor.style.display = 'none';
+            editor.value = '';
+            this.notebook.show(tab);
+            this.assist.render();
+            this.collab.renderCursors();
+            this.debug.renderGutter();
+            return;
+        }
+
+        this.notebook.hide();
+        editor.style.display = 'block';
+        if (editor.value !== tab.content) {
+            editor.value = tab.content;
+        }
+        editor.focus();
+        this.assist.render();
+        this.collab.renderCursors();
+        this.debug.renderGutter();
+    }
+
+    // Open a file and select one of its lines (1-based), or only `length`
+    // characters from `column` (1-based) when given
+    async revealLine(filePath, line, { column, length } = {}) {
+        await this.openFile(filePath);
+        if (this.activePath !== filePath || !line) return;
+
+        const editor = document.getElementById('code-editor');
+        const lines = editor.value.split('\n');
+        const index = Math.min(line, lines.length) - 1;
+        const start = lines.slice(0, index).reduce((total, text) => total + text.length + 1, 0);
+
+        editor.focus();
+        if (column) {
+            editor.setSelectionRange(start + column - 1, start + column - 1 + (length || 0));
+        } else {
+            editor.setSelectionRange(start, start + lines[index].length);
+        }
+
+        const lineHeight = parseFloat(getComputedStyle(editor).lineHeight) || 20;
+        editor.scrollTop = Math.max(0, index * lineHeight - editor.clientHeight / 3);
+    }
+
+    // ----- External changes -----
+
+    // Apply a change pushed by the server's Workspace watcher (paths relative to the Workspace)
+    onFileSystemEvent(event) {
+        const prefix = `${this.projectName}/`;
+        const toProjectPath = workspacePath => (workspacePath && workspacePath.startsWith(prefix) ? workspacePath.slice(prefix.length) : null);
+
+        const entryPath = toProjectPath(event.path);
+        const fromPath = toProjectPath(event.from);
+
+        if (fromPath) {
+            this.removeTreeEntry(fromPath);
+            this.retargetTabs(fromPath, entryPath);
+            this.debug.retargetBreakpoints(fromPath, entryPath);
+        }
+
+        if (entryPath && event.type === 'delete') {
+            this.removeTreeEntry(entryPath);
+            this.problems.forget(entryPath);
+            this.debug.retargetBreakpoints(entryPath, null);
+
+            // A tab with unsaved edits is kept, saving it recreates the file
+            const tab = this.findTab(entryPath);
+            if (tab && !this.isDirty(tab)) this.forgetTab(entryPath);
+        } else if (entryPath) {
+            this.addTreeEntry(entryPath, event);
+        }
+
+        if (entryPath && event.type === 'change') {
+            this.checkExternalChange(entryPath, event.modified);
+        }
+
+        if (entryPath || fromPath) {
+            this.renderTree();
+            this.scheduleGitRefresh();
+        }
+    }
+
+    addTreeEntry(entryPath, event) {
+        const slash = entryPath.lastIndexOf('/');
+        const folder = slash === -1 ? '' : entryPath.slice(0, slash);
+        const name = entryPath.slice(slash + 1);
+        const entries = this.treeCache.get(folder);
+
+        // Folders that were never opened are loaded when they are
+        if (!entries) return;
+
+        const existing = entries.find(entry => entry.name === name);
+        if (existing) {
+            existing.modified = event.modified;
+            return;
+        }
+
+        entries.push({ name, type: event.kind, modified: event.modified });
+        entries.sort((a, b) => {
+            if (a.type !== b.type) return a.type === 'folder' ? -1 : 1;
+            return a.name.localeCompare(b.name);
+        });
+    }
+
+    removeTreeEntry(entryPath) {
+        const slash = entryPath.lastIndexOf('/');
+        const folder = slash === -1 ? '' : entryPath.slice(0, slash);
+        const name = entryPath.slice(slash + 1);
+        const entries = this.treeCache.get(folder);
+
+        if (entries) {
+            this.treeCache.set(folder, entries.filter(entry => entry.name !== name));
+        }
+
+        for (const cached of Array.from(this.treeCache.keys())) {
+            if (cached === entryPath || cached.startsWith(`${entryPath}/`)) {
+                this.treeCache.delete(cached);
+                this.expanded.delete(cached);
+            }
+        }
+    }
+
+    // Follow a file or folder renamed outside of the IDE
+    retargetTabs(oldPath, newPath) {
+        this.tabs
+            .filter(tab => tab.path === oldPath || tab.path.startsWith(`${oldPath}/`))
+            .forEach(tab => {
+                if (newPath) {
+                    this.retargetTab(tab.path, newPath + tab.path.slice(oldPath.length));
+                } else if (!this.isDirty(tab)) {
+                    this.forgetTab(tab.path);
+                }
+            });
+    }
+
+    async checkExternalChange(filePath, modified) {
+        const tab = this.findTab(filePath);
+        // Changes of a shared file reach its editors as edits
+        if (!tab || tab.saving || tab.promptOpen || this.collab.isShared(filePath)) return;
+
+        const changedAt = new Date(modified).getTime();
+        if (changedAt === new Date(tab.modified).getTime() || changedAt === tab.ignoredModified) return;
+
+        const question = this.isDirty(tab) ? 'Reload it and lose your unsaved changes?' : 'Reload it?';
+
+        tab.promptOpen = true;
+        const reload = confirm(`"${filePath}" changed on disk.\n${question}`);
+        tab.promptOpen = false;
+
+        if (reload) {
+            await this.reloadTab(filePath);
+        } else {
+            // Not asked again for this version; saving will report the conflict
+            tab.ignoredModified = changedAt;
+        }
+    }
+
+    scheduleGitRefresh() {
+        clearTimeout(this.gitRefreshTimer);
+        this.gitRefreshTimer = setTimeout(() => this.git.refresh(), 500);
+    }
+
+    // ----- Running code -----
+
+    // What Run and Debug start: the active file when it is a Python file of src/,
+    // otherwise a module asked for. Null when cancelled or the file could not be saved.
+    async chooseRunTarget() {
+        const tab = this.findTab(this.activePath);
+
+        if (tab && this.isDirty(tab)) {
+            await this.saveTab(tab.path);
+            if (this.isDirty(tab)) return null;
+        }
+
+        if (tab && tab.path.startsWith('src/') && tab.path.endsWith('.py')) {
+            return { file: tab.path };
+        }
+
+        const moduleName = prompt('Only Python files of src/ can be run directly.\nModule to run (e.g. main or package.module):');
+        return moduleName && moduleName.trim() ? { module: moduleName.trim() } : null;
+    }
+
+    async runActiveFile() {
+        const target = await this.chooseRunTarget();
+        if (target) {
+            await this.output.start(target);
+        }
+    }
+
+    // ----- Session persistence -----
+
+    loadSession() {
+        const empty = { openTabs: [], active: null, drafts: {}, expanded: [], debug: { breakpoints: {}, watches: [] } };
+
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            return stored ? { ...empty, ...stored } : empty;
+        } catch (error) {
+            return empty;
+        }
+    }
+
+    schedulePersist() {
+        clearTimeout(this.persistTimer);
+        this.persistTimer = setTimeout(() => this.persistSession(), 300);
+    }
+
+    persistSession() {
+        clearTimeout(this.persistTimer);
+
+        // Only unsaved edits are kept as drafts, saved content is reloaded from the server
+        const drafts = {};
+        this.tabs.filter(tab => this.isDirty(tab)).forEach(tab => {
+            drafts[tab.path] = tab.content;
+        });
+
+        const session = {
+            openTabs: this.tabs.map(tab => tab.path),
+            active: this.activePath,
+            drafts,
+            expanded: Array.from(this.expanded),
+            debug: this.debug.serialize()
+        };
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(session));
+        } catch (error) {
+            console.error('Failed to persist workspace session:', error);
+        }
+    }
+
+    escapeAttr(text) {
+        return this.app.escapeHtml(text).replace(/"/g, '&quot;');
+    }
+}
@@ -0,0 +1,302 @@
+// Server/routes/archive_endpoints.js
+const express = require('express');
+const fs = require('fs').promises;
+const path = require('path');
+const {
+  getHistoryPath,
+  getWorkspacePath,
+  normalizeRelativePath,
+  resolveInside,
+  resolveWorkspacePath,
+  toWorkspaceRelative,
+  pathExists,
+  findFreePath,
+  sendPathError
+} = require('../utils/workspace_paths');
+const { validateFolderName } = require('../utils/folder_names');
+const { UploadError, MAX_UPLOAD_TOTAL_BYTES, receiveFiles, removeUpload } = require('../utils/uploads');
+const { ArchiveError, exportFolder, extractZip } = require('../services/archive');
+const { audit } = require('../services/audit_log');
+const { QuotaError, checkQuota, getFreeSpace, forgetUsage } = require('../services/quotas');
+const { MANIFEST_FOLDER, writeManifestIgnore } = require('../services/project_manifest');
+const { HISTORY_MAX_FILE_BYTES, recordSnapshot } = require('../services/local_history');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+// What to do with an uploaded file whose name is already taken
+const CONFLICT_STRATEGIES = ['skip', 'overwrite', 'rename'];
+
+// Utility function answering the errors shared by the archive routes
+const sendArchiveError = (res, err) => {
+  if (sendPathError(res, err)) return;
+
+  if (err instanceof ArchiveError || err instanceof UploadError || err instanceof QuotaError) {
+    return res.status(err.status).json({ success: false, error: err.message, code: err.code });
+  }
+
+  if (err.code === 'ENOENT') {
+    return res.status(404).json({ success: false, error: 'Folder not found.' });
+  }
+
+  res.status(500).json({ success: false, error: err.message });
+};
+
+// Utility function to resolve a client path that must be an existing folder
+const resolveFolder = async (req, folderPath) => {
+  const absolutePath = await resolveWorkspacePath(req, folderPath);
+  const stat = await fs.stat(absolutePath);
+
+  if (!stat.isDirectory()) {
+    throw new ArchiveError('Specified path is not a folder.', 400, 'NOT_A_FOLDER');
+  }
+
+  return absolutePath;
+};
+
+// Utility function to create the folder of an imported project. With `rename`, a
+// taken name gets a numeric suffix (`name-2`, `name-3`...) instead of failing.
+const createProjectFolder = async (req, name, rename) => {
+  for (let index = 1; index <= 100; index++) {
+    const candidate = index === 1 ? name : `${name}-${index}`;
+
+    // The suffix can make the name too long
+    if (!validateFolderName(candidate).valid) break;
+
+    const projectPath = await resolveWorkspacePath(req, candidate);
+
+    try {
+      await fs.mkdir(projectPath, { recursive: false });
+      return projectPath;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+      if (!rename) break;
+    }
+  }
+
+  throw new ArchiveError(`A project named '${name}' already exists.`, 409, 'PROJECT_EXISTS');
+};
+
+// Utility function to create the folder where an upload into `folder` is staged: in
+// the manifest folder of its project, left out of the file tree, the watcher and git,
+// and on the same file system as the files it is moved to
+const createStagingFolder = async (req, folder) => {
+  const project = toWorkspaceRelative(req, folder).split('/')[0];
+  const projectPath = path.join(getWorkspacePath(req), project);
+
+  await fs.mkdir(path.join(projectPath, MANIFEST_FOLDER), { recursive: true });
+  await writeManifestIgnore(projectPath);
+  return fs.mkdtemp(path.join(projectPath, MANIFEST_FOLDER, 'upload-'));
+};
+
+// Utility function to keep the local history of a file an upload replaced, like saves
+// do, from where it was set aside. Failures are logged, they must not fail the upload.
+const snapshotReplaced = async (req, absolutePath, replacedPath) => {
+  const relativePath = toWorkspaceRelative(req, absolutePath);
+
+  try {
+    const { size } = await fs.stat(replacedPath);
+    if (size > HISTORY_MAX_FILE_BYTES) return;
+
+    await recordSnapshot(getHistoryPath(req), relativePath, await fs.readFile(replacedPath));
+  } catch (err) {
+    logger.error('Failed to keep the history of a file', { path: relativePath, error: err });
+  }
+};
+
+// Utility function to undo the moves of an upload, latest first: moved files are
+// removed, the files they replaced put back and the folders created for them removed
+const rollBackUpload = async (moves, createdFolders) => {
+  for (const { target, replaced, placed } of [...moves].reverse()) {
+    if (placed) await fs.rm(target, { force: true });
+    if (replaced) await fs.rename(replaced, target);
+  }
+
+  for (const folder of [...createdFolders].reverse()) {
+    await fs.rm(folder, { recursive: true, force: true });
+  }
+};
+
+// Download a project or any folder below it as a zip archive, streamed as it is built
+router.get('/export', async (req, res) => {
+  let folder;
+
+  try {
+    folder = await resolveFolder(req, req.query.path);
+  } catch (err) {
+    return sendArchiveError(res, err);
+  }
+
+  res.attachment(`${path.basename(folder)}.zip`);
+
+  const archive = exportFolder(folder, res);
+
+  archive.on('error', (err) => {
+    logger.error('Export failed', { error: err });
+    archive.unpipe(res);
+
+    if (res.headersSent) {
+      res.destroy(err);
+    } else {
+      res.removeHeader('Content-Disposition');
+      sendArchiveError(res, err);
+    }
+  });
+
+  // Stop compressing when the client leaves before the end
+  res.on('close', () => {
+    if (!res.writableFinished) archive.abort();
+  });
+});
+
+// Create a project from an uploaded zip archive (multipart field of any name).
+// The project is named after `name`, or after the archive. `conflict=rename` picks
+// a free name when it is taken; otherwise the import fails with 409.
+router.post('/import', async (req, res) => {
+  let upload = null;
+
+  try {
+    upload = await receiveFiles(req, { maxFiles: 1, maxFileBytes: MAX_UPLOAD_TOTAL_BYTES });
+
+    const [archive] = upload.files;
+    if (!archive) {
+      throw new UploadError('A zip archive is required.');
+    }
+
+    const archiveName = archive.name.split(/[\\/]/).pop().replace(/\.zip$/i, '');
+    const { valid, sanitized, error } = validateFolderName(req.query.name || upload.fields.name || archiveName);
+    if (!valid) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    // The extracted files take at least the size of the archive, and at most the space
+    // left: extraction stops before writing anything when they declare more
+    await checkQuota(req.workspace, archive.size);
+    const maxBytes = await getFreeSpace(req.workspace);
+    const projectPath = await createProjectFolder(req, sanitized, req.query.conflict === 'rename');
+
+    try {
+      const { files, skipped } = await extractZip(archive.tempPath, projectPath, { maxBytes });
+      forgetUsage(req.workspace);
+
+      audit(req, 'project.import', { path: toWorkspaceRelative(req, projectPath), files });
+      res.status(201).json({ success: true, project: toWorkspaceRelative(req, projectPath), files, skipped });
+    } catch (err) {
+      // No half-imported project
+      await fs.rm(projectPath, { recursive: true, force: true });
+      forgetUsage(req.workspace);
+      throw err;
+    }
+  } catch (err) {
+    sendArchiveError(res, err);
+  } finally {
+    if (upload) await removeUpload(upload);
+  }
+});
+
+// Upload files into a folder. File names may hold a relative path (dropped folders),
+// resolved inside the target folder. `conflict` decides what happens to taken names:
+// `skip` (default), `overwrite` or `rename`. Nothing is written unless every file
+// was received within the limits; files are then copied to a staging folder, and only
+// moved into place once all of them were. When a move fails, the previous ones are
+// undone: an upload lands whole or not at all. Overwritten files are kept in the local
+// history. Names in the answer are those of the upload.
+router.post('/upload', async (req, res) => {
+  const { conflict = 'skip' } = req.query;
+  let upload = null;
+  let staging = null;
+
+  if (!CONFLICT_STRATEGIES.includes(conflict)) {
+    return res.status(400).json({ success: false, error: `Conflict must be one of: ${CONFLICT_STRATEGIES.join(', ')}.` });
+  }
+
+  try {
+    const folder = await resolveFolder(req, req.query.path);
+    upload = await receiveFiles(req);
+
+    if (upload.files.length === 0) {
+      throw new UploadError('No file received.');
+    }
+
+    // Check every name before writing anything
+    const planned = [];
+    for (const file of upload.files) {
+      const name = normalizeRelativePath(file.name);
+      planned.push({ ...file, name, target: await resolveInside(folder, name) });
+    }
+
+    await checkQuota(req.workspace, planned.reduce((total, file) => total + file.size, 0));
+
+    staging = await createStagingFolder(req, folder);
+    const staged = planned.map((file, index) => path.join(staging, String(index)));
+    for (const [index, file] of planned.entries()) {
+      await fs.copyFile(file.tempPath, staged[index]);
+    }
+
+    const result = { uploaded: [], skipped: [], renamed: [] };
+    // What was done to the folder, to undo it if a move fails. Replaced files are set
+    // aside in the staging folder until every move succeeded.
+    const moves = [];
+    const createdFolders = [];
+
+    try {
+      for (const [index, file] of planned.entries()) {
+        const move = { target: file.target, replaced: null, placed: false };
+
+        if (await pathExists(move.target)) {
+          const stat = await fs.lstat(move.target);
+
+          if (conflict === 'skip' || (conflict === 'overwrite' && !stat.isFile())) {
+            result.skipped.push(file.name);
+            continue;
+          }
+
+          if (conflict === 'rename') {
+            move.target = await findFreePath(move.target);
+            result.renamed.push({ from: file.name, to: path.relative(folder, move.target).split(path.sep).join('/') });
+          } else {
+            move.replaced = `${staged[index]}.replaced`;
+          }
+        }
+
+        moves.push(move);
+        if (move.replaced) await fs.rename(move.target, move.replaced);
+
+        const createdFolder = await fs.mkdir(path.dirname(move.target), { recursive: true });
+        if (createdFolder) createdFolders.push(createdFolder);
+
+        await fs.rename(staged[index], move.target);
+        move.placed = true;
+        result.uploaded.push(file.name);
+      }
+    } catch (err) {
+      try {
+        await rollBackUpload(moves, createdFolders);
+      } catch (rollBackError) {
+        // The replaced files are still in the staging folder: it is kept for them
+        logger.error('Failed to undo an upload', { staging, error: rollBackError });
+        staging = null;
+      }
+      forgetUsage(req.workspace);
+      throw err;
+    }
+
+    for (const { target, replaced } of moves) {
+      if (replaced) await snapshotReplaced(req, target, replaced);
+    }
+
+    forgetUsage(req.workspace);
+    if (result.uploaded.length > 0) {
+      audit(req, 'file.upload', { path: toWorkspaceRelative(req, folder), files: result.uploaded.length });
+    }
+
+    res.status(201).json({ success: true, path: toWorkspaceRelative(req, folder), ...result });
+  } catch (err) {
+    sendArchiveError(res, err);
+  } finally {
+    if (staging) await fs.rm(staging, { recursive: true, force: true });
+    if (upload) await removeUpload(upload);
+  }
+});
+
+module.exports = router;
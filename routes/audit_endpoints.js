@@ -0,0 +1,23 @@
+// Server/routes/audit_endpoints.js
+// The audit log (services/audit_log.js), for admins only (see server.js)
+const express = require('express');
+const { readAudit } = require('../services/audit_log');
+const { sendApiError } = require('../utils/api_errors');
+
+const router = express.Router();
+
+const MAX_AUDIT_ENTRIES = 1000;
+
+// Last entries, newest first, optionally of one user or one workspace only
+router.get('/', async (req, res) => {
+  const { user, workspace } = req.query;
+  const limit = Math.min(Number(req.query.limit) || 100, MAX_AUDIT_ENTRIES);
+
+  try {
+    res.json({ success: true, entries: await readAudit({ user, workspace, limit }) });
+  } catch (err) {
+    sendApiError(res, err);
+  }
+});
+
+module.exports = router;
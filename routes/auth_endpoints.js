@@ -0,0 +1,174 @@
+// Server/routes/auth_endpoints.js
+// Login and logout. Until the first account exists, /setup creates it as an admin
+// without asking for credentials; the projects created before accounts existed
+// become theirs.
+const crypto = require('crypto');
+const express = require('express');
+const fs = require('fs').promises;
+const path = require('path');
+const users = require('../services/users');
+const sessions = require('../services/sessions');
+const {
+  authenticate,
+  authenticateRequest,
+  setSessionCookie,
+  clearSessionCookie
+} = require('../utils/auth');
+
+const router = express.Router();
+
+// Failed logins allowed per client and username before they are refused for a while
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_LOCK_MS = 15 * 60 * 1000;
+
+// `${ip} ${username}` -> { failures, lockedUntil }
+const loginFailures = new Map();
+const LOGIN_FAILURES_TRACKED = 10000;
+
+// Utility function answering the errors shared by every auth route
+const sendAuthError = (res, err) => {
+  if (err instanceof users.UserError) {
+    return res.status(err.status).json({ success: false, error: err.message, code: err.code });
+  }
+
+  res.status(500).json({ success: false, error: err.message });
+};
+
+// Utility function to answer a login with the session cookie, or with the token
+// itself for clients that asked for one (`mode: 'token'`)
+const sendSession = async (req, res, user, status = 200) => {
+  const { token, expiresAt } = await sessions.createSession(req.app.locals.authPath, user.username);
+
+  if (req.body.mode === 'token') {
+    return res.status(status).json({ success: true, user, token, expiresAt: new Date(expiresAt) });
+  }
+
+  setSessionCookie(req, res, token, expiresAt);
+  res.status(status).json({ success: true, user, expiresAt: new Date(expiresAt) });
+};
+
+// Move everything found directly in `root` to its `username` folder, even an
+// entry that is itself called `username`
+const moveIntoUserFolder = async (root, username) => {
+  let names;
+  try {
+    names = await fs.readdir(root);
+  } catch (err) {
+    if (err.code === 'ENOENT') return;
+    throw err;
+  }
+
+  if (names.length === 0) return;
+
+  const staging = path.join(root, `.setup-${crypto.randomBytes(4).toString('hex')}`);
+  await fs.mkdir(staging);
+  for (const name of names) {
+    await fs.rename(path.join(root, name), path.join(staging, name));
+  }
+  await fs.rename(staging, path.join(root, username));
+};
+
+// Whether the first account must still be created, and who is logged in
+router.get('/status', async (req, res) => {
+  try {
+    const setupRequired = !(await users.hasUsers(req.app.locals.authPath));
+    const user = setupRequired ? null : await authenticateRequest(req);
+
+    res.json({ success: true, setupRequired, user });
+  } catch (err) {
+    sendAuthError(res, err);
+  }
+});
+
+// Create the first account, an admin, and log them in
+router.post('/setup', async (req, res) => {
+  const { username, password } = req.body;
+  const { authPath, workspaceRoot, trashRoot, historyRoot } = req.app.locals;
+
+  try {
+    const user = await users.createUser(authPath, { username, password, role: 'admin' }, { onlyIfFirst: true });
+
+    // Projects, trash and history of the single user Workspace
+    await moveIntoUserFolder(workspaceRoot, user.username);
+    await moveIntoUserFolder(trashRoot, user.username);
+    await moveIntoUserFolder(historyRoot, user.username);
+
+    await sendSession(req, res, user, 201);
+  } catch (err) {
+    sendAuthError(res, err);
+  }
+});
+
+router.post('/login', async (req, res) => {
+  const { username, password } = req.body;
+  const key = `${req.ip} ${username}`;
+  const failure = loginFailures.get(key);
+
+  if (failure && failure.lockedUntil > Date.now()) {
+    return res.status(429).json({ success: false, error: 'Too many failed logins, try again later.', code: 'TOO_MANY_ATTEMPTS' });
+  }
+
+  try {
+    const user = await users.verifyCredentials(req.app.locals.authPath, username, password);
+
+    if (!user) {
+      const failures = failure && failure.failures < LOGIN_MAX_FAILURES ? failure.failures + 1 : 1;
+
+      // Forget the clients that are not locked out, rather than growing without bounds
+      if (loginFailures.size >= LOGIN_FAILURES_TRACKED) {
+        loginFailures.forEach((entry, entryKey) => {
+          if (entry.lockedUntil <= Date.now()) loginFailures.delete(entryKey);
+        });
+      }
+
+      loginFailures.set(key, {
+        failures,
+        lockedUntil: failures >= LOGIN_MAX_FAILURES ? Date.now() + LOGIN_LOCK_MS : 0
+      });
+      return res.status(401).json({ success: false, error: 'Invalid username or password.', code: 'INVALID_CREDENTIALS' });
+    }
+
+    loginFailures.delete(key);
+    await sendSession(req, res, user);
+  } catch (err) {
+    sendAuthError(res, err);
+  }
+});
+
+router.post('/logout', async (req, res) => {
+  try {
+    if (await authenticateRequest(req)) {
+      await sessions.deleteSession(req.app.locals.authPath, req.sessionToken);
+    }
+
+    clearSessionCookie(res);
+    res.json({ success: true, message: 'Logged out.' });
+  } catch (err) {
+    sendAuthError(res, err);
+  }
+});
+
+router.get('/me', authenticate, (req, res) => {
+  res.json({ success: true, user: req.user });
+});
+
+// Change one's own password; the other sessions of the user are closed
+router.put('/password', authenticate, async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  const { authPath } = req.app.locals;
+
+  try {
+    if (!(await users.verifyCredentials(authPath, req.user.username, currentPassword))) {
+      return res.status(403).json({ success: false, error: 'Current password is wrong.', code: 'INVALID_CREDENTIALS' });
+    }
+
+    await users.updateUser(authPath, req.user.username, { password: newPassword });
+    await sessions.deleteUserSessions(authPath, req.user.username, req.sessionToken);
+
+    res.json({ success: true, message: 'Password changed.' });
+  } catch (err) {
+    sendAuthError(res, err);
+  }
+});
+
+module.exports = router;
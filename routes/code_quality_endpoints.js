@@ -0,0 +1,81 @@
+// Server/routes/code_quality_endpoints.js
+const express = require('express');
+const path = require('path');
+const { resolveInside, resolveProjectPath, sendPathError } = require('../utils/workspace_paths');
+const quality = require('../services/code_quality');
+const { allowViewers } = require('../utils/auth');
+
+const router = express.Router();
+
+// Utility function answering the errors shared by every format and lint route
+const sendQualityError = (res, err) => {
+  if (sendPathError(res, err)) return;
+
+  if (err instanceof quality.CodeQualityError) {
+    return res.status(err.status).json({ success: false, error: err.message, code: err.code });
+  }
+
+  if (err.code === 'ENOENT') {
+    return res.status(404).json({ success: false, error: 'Project not found.' });
+  }
+
+  res.status(500).json({ success: false, error: err.message });
+};
+
+// Utility function to check a client path and make it relative to the project, e.g. src/main.py
+const toProjectRelative = async (projectPath, filePath) => {
+  const absolutePath = await resolveInside(projectPath, filePath);
+  return path.relative(projectPath, absolutePath).split(path.sep).join('/');
+};
+
+// Tools chosen by a project's pyproject.toml
+router.get('/config', async (req, res) => {
+  try {
+    const projectPath = await resolveProjectPath(req, req.query.project);
+    const { formatter, linter } = await quality.readConfig(projectPath);
+
+    res.json({ success: true, formatter, linter, formatters: quality.FORMATTERS, linters: quality.LINTERS });
+  } catch (err) {
+    sendQualityError(res, err);
+  }
+});
+
+// Format the content of a file, as the editor holds it; nothing is saved
+router.post('/format', allowViewers, async (req, res) => {
+  const { project, path: filePath, content } = req.body;
+
+  if (typeof content !== 'string') {
+    return res.status(400).json({ success: false, error: 'File content is required.' });
+  }
+
+  try {
+    const projectPath = await resolveProjectPath(req, project);
+    const relativePath = await toProjectRelative(projectPath, filePath);
+    const result = await quality.formatSource(projectPath, relativePath, content);
+
+    res.json({ success: true, path: relativePath, formatter: result.formatter, content: result.content, changed: result.content !== content });
+  } catch (err) {
+    sendQualityError(res, err);
+  }
+});
+
+// Lint a file (its unsaved content when given) or the whole project
+router.post('/lint', allowViewers, async (req, res) => {
+  const { project, path: filePath, content } = req.body;
+
+  if (content !== undefined && (typeof content !== 'string' || !filePath)) {
+    return res.status(400).json({ success: false, error: 'Content can only be linted with the path of its file.' });
+  }
+
+  try {
+    const projectPath = await resolveProjectPath(req, project);
+    const relativePath = filePath ? await toProjectRelative(projectPath, filePath) : null;
+    const result = await quality.lint(projectPath, { path: relativePath, content });
+
+    res.json({ success: true, path: relativePath, ...result });
+  } catch (err) {
+    sendQualityError(res, err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,141 @@
+// Server/routes/collaboration_endpoints.js
+// WebSocket of collaborative editing: /api/collab?project=<name>. Each text frame holds
+// one JSON message about a file of the project, named by its `path` in the project.
+//
+//   editor -> server   join { session, document?, revision? }, leave,
+//                      operation { revision, operation, seq, selection? },
+//                      selection { selection }, save
+//   server -> editor   joined, join, leave, ack, operation, selection, saved, closed, error
+//
+// `session` identifies an editor across reconnections. See services/collaboration.js.
+const path = require('path');
+const { WebSocketServer } = require('ws');
+const { resolveInside, resolveProjectPath, toWorkspaceRelative } = require('../utils/workspace_paths');
+const { CollaborationError, documents } = require('../services/collaboration');
+const { logger } = require('../utils/logger');
+const { parseMessage } = require('../utils/upgrades');
+
+const MAX_MESSAGE_BYTES = 16 * 1024 * 1024;
+
+const sockets = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+
+let nextClientId = 1;
+
+// Utility function to describe the errors of a message for the editor
+const toErrorMessage = (err) => {
+  if (err.code === 'ENOENT') return { error: 'File not found.', code: 'NOT_FOUND' };
+  if (err.code === 'EISDIR') return { error: 'Specified path is not a file.', code: 'INVALID_PATH' };
+  if (err.status) return { error: err.message, code: err.code };
+
+  logger.error('Collaboration error', { error: err });
+  return { error: err.message, code: 'COLLABORATION_ERROR' };
+};
+
+const connect = (ws, { req, projectPath, canEdit }) => {
+  const clientId = String(nextClientId++);
+  // Path in the project -> document joined over this socket
+  const joined = new Map();
+
+  const send = (message) => {
+    if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+  };
+
+  const leave = (filePath) => {
+    const document = joined.get(filePath);
+    if (!document) return;
+
+    joined.delete(filePath);
+    documents.leave(document, clientId);
+  };
+
+  const join = async (filePath, { session, document, revision }) => {
+    const absolutePath = await resolveInside(projectPath, filePath);
+    const shared = await documents.open(absolutePath, {
+      workspace: req.workspace,
+      historyPath: req.workspace.historyPath,
+      filePath: toWorkspaceRelative(req, absolutePath)
+    });
+
+    if (ws.readyState !== ws.OPEN) return;
+
+    // Joining again, after a resync
+    if (joined.get(filePath) === shared) {
+      shared.leave(clientId);
+    } else {
+      leave(filePath);
+    }
+
+    joined.set(filePath, shared);
+    shared.join({
+      id: clientId,
+      username: req.user.username,
+      session: typeof session === 'string' ? session : clientId,
+      canEdit,
+      send: message => send({ ...message, path: filePath })
+    }, { document, revision });
+  };
+
+  const handle = async (message) => {
+    const filePath = message.path;
+    if (typeof filePath !== 'string') {
+      throw new CollaborationError('Missing path.', 400, 'INVALID_MESSAGE');
+    }
+
+    if (message.type === 'join') {
+      await join(filePath, message);
+      return;
+    }
+
+    if (message.type === 'leave') {
+      leave(filePath);
+      return;
+    }
+
+    const document = joined.get(filePath);
+    if (!document) {
+      throw new CollaborationError('The document is not open.', 409, 'NOT_JOINED');
+    }
+
+    if (message.type === 'operation') {
+      document.receive(clientId, message);
+    } else if (message.type === 'selection') {
+      document.select(clientId, message.selection);
+    } else if (message.type === 'save') {
+      if (!canEdit) throw new CollaborationError('You can only view this file.', 403, 'FORBIDDEN');
+      await document.save({ snapshot: true });
+      // Answered even when there was nothing to write
+      send({ type: 'saved', path: filePath, revision: document.savedRevision, modified: document.modified, requested: true });
+    } else {
+      throw new CollaborationError(`Unknown message type '${message.type}'.`, 400, 'INVALID_MESSAGE');
+    }
+  };
+
+  ws.on('message', async (data) => {
+    const message = parseMessage(data);
+    if (!message) return;
+
+    const filePath = typeof message.path === 'string' ? message.path : undefined;
+    try {
+      await handle(message);
+    } catch (err) {
+      send({ type: 'error', path: filePath, ...toErrorMessage(err) });
+    }
+  });
+
+  ws.on('close', () => {
+    Array.from(joined.keys()).forEach(leave);
+  });
+};
+
+// Upgrade handler of /api/collab, see utils/upgrades.js
+const upgradeCollaboration = async (req, socket, head, url) => {
+  const projectPath = await resolveProjectPath(req, url.searchParams.get('project'));
+
+  // Viewers of a shared project follow the edits of the others without making any
+  const { shared } = req.workspace;
+  const canEdit = !shared || shared.get(path.basename(projectPath)) === 'editor';
+
+  sockets.handleUpgrade(req, socket, head, ws => connect(ws, { req, projectPath, canEdit }));
+};
+
+module.exports = { upgradeCollaboration };
@@ -0,0 +1,76 @@
+// Server/routes/debugger_endpoints.js
+// WebSocket bridge between the editor and a debug adapter: /api/debug?project=<name>.
+// Each text frame holds one Debug Adapter Protocol message, in both directions.
+const { WebSocketServer } = require('ws');
+const { resolveProjectPath } = require('../utils/workspace_paths');
+const { CLOSE_SERVER_ERROR, CLOSE_TRY_AGAIN_LATER, closeReason, parseMessage } = require('../utils/upgrades');
+const { DebugSession } = require('../services/debugger');
+const { logger } = require('../utils/logger');
+
+const MAX_MESSAGE_BYTES = 16 * 1024 * 1024;
+
+const sockets = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+
+const bridge = (ws, projectPath) => {
+  const session = new DebugSession(projectPath);
+  // Messages are forwarded one at a time: launching checks the program first
+  let forwarding = Promise.resolve();
+  let started = false;
+
+  const send = (message) => {
+    if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+  };
+
+  const forward = async (message) => {
+    try {
+      await session.send(message);
+    } catch (err) {
+      if (message.type !== 'request') return;
+
+      send({
+        seq: 0,
+        type: 'response',
+        request_seq: message.seq,
+        command: message.command,
+        success: false,
+        message: err.code === 'ENOENT' ? 'File not found.' : err.message
+      });
+    }
+  };
+
+  ws.on('message', (data) => {
+    const message = parseMessage(data);
+    if (!message || typeof message.type !== 'string') return;
+
+    // A failure must not stop the messages after it
+    forwarding = forwarding
+      .then(() => forward(message))
+      .catch(err => logger.error('Failed to forward a debugger message', { error: err }));
+  });
+
+  ws.on('close', () => {
+    if (started) session.stop();
+  });
+
+  session.on('message', send);
+
+  session.on('exit', () => ws.close(1000, 'Debug session ended.'));
+
+  // Messages received meanwhile wait for the adapter
+  forwarding = session.start()
+    .then(() => {
+      started = true;
+      if (ws.readyState !== ws.OPEN) session.stop();
+    })
+    .catch((err) => {
+      ws.close(err.status === 503 ? CLOSE_TRY_AGAIN_LATER : CLOSE_SERVER_ERROR, closeReason(err.message));
+    });
+};
+
+// Upgrade handler of /api/debug, see utils/upgrades.js
+const upgradeDebugger = async (req, socket, head, url) => {
+  const projectPath = await resolveProjectPath(req, url.searchParams.get('project'));
+  sockets.handleUpgrade(req, socket, head, ws => bridge(ws, projectPath));
+};
+
+module.exports = { upgradeDebugger };
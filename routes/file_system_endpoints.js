@@ -1,68 +1,46 @@
 // Server/routes/folders.js
+// Deprecated: replaced by the folders and files of /api/v1 (routes/v1_endpoints.js),
+// kept working for existing clients. Paths are relative to the Workspace here.
 const express = require('express');
-const fs = require('fs').promises;
 const path = require('path');
+const {
+  normalizeRelativePath,
+  resolveWorkspacePath,
+  resolveWorkspaceChild,
+  toWorkspaceRelative
+} = require('../utils/workspace_paths');
+const { sanitizeFileName, validateFolderName } = require('../utils/folder_names');
+const { isNotebookPath, serializeNotebook, createEmptyNotebook } = require('../utils/notebooks');
+const { sendApiError } = require('../utils/api_errors');
+const { deprecated } = require('../utils/api_router');
+const {
+  listFolder,
+  createFolder,
+  createFile,
+  readFile,
+  writeFile,
+  moveFile,
+  copyFile,
+  deleteEntry
+} = require('../services/workspace_files');
+const { deleteProject } = require('../services/projects');
+const { audit } = require('../services/audit_log');
 
 const router = express.Router();
 
-// Utility function to get workspace path
-const getWorkspacePath = (req) => req.app.locals.workspacePath;
-
-// Utility function to sanitize folder names
-const sanitizeFolderName = (name) => {
-  return name
-    .replace(/[<>:"/\\|?*]/g, '') // Remove invalid characters
-    .replace(/\s+/g, '-') // Replace spaces with hyphens
-    .toLowerCase()
-    .trim();
-};
-
-// Utility function to validate folder name
-const validateFolderName = (name) => {
-  if (!name || typeof name !== 'string') {
-    return { valid: false, error: 'Folder name is required and must be a string' };
-  }
-
-  const sanitized = sanitizeFolderName(name);
-
-  if (!sanitized || sanitized.length === 0) {
-    return { valid: false, error: 'Invalid folder name' };
-  }
-
-  if (sanitized.length > 20) {
-    return { valid: false, error: 'Folder name too long (max 20 characters)' };
-  }
-
-  const reserved = ['con', 'prn', 'aux', 'nul', 'com1', 'com2', 'com3', 'com4', 'com5', 'com6', 'com7', 'com8', 'com9', 'lpt1', 'lpt2', 'lpt3', 'lpt4', 'lpt5', 'lpt6', 'lpt7', 'lpt8', 'lpt9'];
-  if (reserved.includes(sanitized.toLowerCase())) {
-    return { valid: false, error: 'Reserved folder name not allowed' };
-  }
-
-  return { valid: true, sanitized };
-};
+router.use(deprecated('/api/v1/openapi.json'));
 
 // Fetch arborescence in a folder
 router.get('/arborescence', async (req, res) => {
   const { folder_path = '' } = req.query;
-  const basePath = path.join(getWorkspacePath(req), folder_path);
 
   try {
-    const entries = await fs.readdir(basePath, { withFileTypes: true });
-    const structure = await Promise.all(entries.map(async (entry) => {
-      const entryPath = path.join(basePath, entry.name);
-      const stat = await fs.stat(entryPath);
-
-      return {
-        name: entry.name,
-        type: entry.isDirectory() ? 'folder' : 'file',
-        size: stat.size,
-        modified: stat.mtime
-      };
-    }));
-
-    res.json({ success: true, contents: structure });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    const basePath = await resolveWorkspacePath(req, folder_path, { allowRoot: true });
+    const relativePath = normalizeRelativePath(folder_path);
+    const project = relativePath !== '' && !relativePath.includes('/');
+    res.json({ success: true, contents: await listFolder(basePath, { project }) });
+  } catch (err) {
+    sendApiError(res, err);
   }
 });
 
@@ -71,45 +49,40 @@ router.post('/create-folder', async (req, res) => {
   const { folder_path, name } = req.body;
   const { valid, sanitized, error } = validateFolderName(name);
 
-  if (!valid) return res.status(400).json({ success: false, error });
-
-  const newFolderPath = path.join(getWorkspacePath(req), folder_path, sanitized);
+  if (!valid) return res.status(400).json({ success: false, error, code: 'INVALID_NAME' });
 
   try {
-    await fs.mkdir(newFolderPath, { recursive: false });
-    res.status(201).json({ success: true, message: `Folder '${sanitized}' created successfully.` });
+    const newFolderPath = await resolveWorkspaceChild(req, folder_path, sanitized);
+    await createFolder(req.workspace, newFolderPath);
+    audit(req, 'folder.create', { path: toWorkspaceRelative(req, newFolderPath) });
+    res.status(201).json({ success: true, message: `Folder '${sanitized}' created successfully.`, path: toWorkspaceRelative(req, newFolderPath) });
   } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
+    sendApiError(res, err);
   }
 });
 
-// Delete a folder at a given path
+// Delete a folder at a given path. It is moved to the trash, `trash.id` restores it.
 router.delete('/delete-folder', async (req, res) => {
   const { folder_path } = req.body;
 
   if (!folder_path || typeof folder_path !== 'string') {
-    return res.status(400).json({ success: false, error: 'Invalid or missing folder_path.' });
+    return res.status(400).json({ success: false, error: 'Invalid or missing folder_path.', code: 'VALIDATION_FAILED' });
   }
 
-  const absolutePath = path.join(getWorkspacePath(req), folder_path);
-
   try {
-    // Optional: Make sure the folder exists
-    const stat = await fs.stat(absolutePath);
-    if (!stat.isDirectory()) {
-      return res.status(400).json({ success: false, error: 'Specified path is not a folder.' });
-    }
+    const absolutePath = await resolveWorkspacePath(req, folder_path);
 
-    // Delete folder and its contents
-    await fs.rm(absolutePath, { recursive: true, force: true });
+    // A project folder: only its owner deletes it, and it is not shared anymore
+    const relativePath = toWorkspaceRelative(req, absolutePath);
+    const isProject = !relativePath.includes('/');
+    const item = isProject
+      ? await deleteProject(req.app.locals.authPath, req.workspace, absolutePath)
+      : await deleteEntry(req.workspace, absolutePath, 'folder');
+    audit(req, isProject ? 'project.delete' : 'folder.delete', { path: relativePath });
 
-    res.status(200).json({ success: true, message: `Folder '${folder_path}' deleted successfully.` });
+    res.status(200).json({ success: true, message: `Folder '${folder_path}' moved to the trash.`, trash: item });
   } catch (err) {
-    if (err.code === 'ENOENT') {
-      return res.status(404).json({ success: false, error: 'Folder not found.' });
-    }
-
-    res.status(500).json({ success: false, error: err.message });
+    sendApiError(res, err);
   }
 });
 
@@ -119,17 +92,162 @@ router.post('/create-file', async (req, res) => {
   const { folder_path, name } = req.body;
 
   if (!name || typeof name !== 'string') {
-    return res.status(400).json({ success: false, error: 'File name is required and must be a string' });
+    return res.status(400).json({ success: false, error: 'File name is required and must be a string', code: 'VALIDATION_FAILED' });
   }
 
-  const sanitized = sanitizeFolderName(name);
-  const newFilePath = path.join(getWorkspacePath(req), folder_path, sanitized);
+  const sanitized = sanitizeFileName(name);
+
+  try {
+    const newFilePath = await resolveWorkspaceChild(req, folder_path, sanitized);
+    // An empty file is not a notebook Jupyter can open
+    await createFile(req.workspace, newFilePath, isNotebookPath(sanitized) ? serializeNotebook(createEmptyNotebook()) : '');
+    audit(req, 'file.create', { path: toWorkspaceRelative(req, newFilePath) });
+    res.status(201).json({ success: true, message: `File '${sanitized}' created successfully.`, path: toWorkspaceRelative(req, newFilePath) });
+  } catch (err) {
+    sendApiError(res, err);
+  }
+});
+
+// Read the content of a file at a given path
+router.get('/file', async (req, res) => {
+  const { file_path } = req.query;
+
+  if (!file_path || typeof file_path !== 'string') {
+    return res.status(400).json({ success: false, error: 'Invalid or missing file_path.', code: 'VALIDATION_FAILED' });
+  }
+
+  try {
+    const file = await readFile(await resolveWorkspacePath(req, file_path));
+    res.json({ success: true, ...file });
+  } catch (err) {
+    sendApiError(res, err);
+  }
+});
+
+// Save the content of an existing file at a given path.
+// When `expected_modified` is sent, the save is rejected with a 409 if the file
+// changed on disk in the meantime, instead of silently overwriting it.
+router.put('/file', async (req, res) => {
+  const { file_path, content, expected_modified } = req.body;
+
+  if (!file_path || typeof file_path !== 'string') {
+    return res.status(400).json({ success: false, error: 'Invalid or missing file_path.', code: 'VALIDATION_FAILED' });
+  }
+
+  if (typeof content !== 'string') {
+    return res.status(400).json({ success: false, error: 'File content must be a string.', code: 'VALIDATION_FAILED' });
+  }
+
+  try {
+    const absolutePath = await resolveWorkspacePath(req, file_path);
+    const saved = await writeFile(req.workspace, absolutePath, content, { expectedModified: expected_modified });
+
+    res.json({ success: true, message: `File '${file_path}' saved successfully.`, ...saved });
+  } catch (err) {
+    // Clients of this route read the date of the file on disk at the top level
+    if (err.code === 'CONFLICT' && err.details) {
+      return res.status(409).json({ success: false, error: err.message, code: err.code, modified: err.details.modified });
+    }
+
+    sendApiError(res, err);
+  }
+});
+
+// Rename a file inside its current folder
+router.post('/rename-file', async (req, res) => {
+  const { file_path, new_name } = req.body;
+
+  if (!file_path || typeof file_path !== 'string') {
+    return res.status(400).json({ success: false, error: 'Invalid or missing file_path.', code: 'VALIDATION_FAILED' });
+  }
+
+  if (!new_name || typeof new_name !== 'string') {
+    return res.status(400).json({ success: false, error: 'New file name is required and must be a string', code: 'VALIDATION_FAILED' });
+  }
+
+  const sanitized = sanitizeFileName(new_name);
+  if (!sanitized) {
+    return res.status(400).json({ success: false, error: 'Invalid file name', code: 'INVALID_NAME' });
+  }
+
+  try {
+    const absolutePath = await resolveWorkspacePath(req, file_path);
+    const targetPath = await resolveWorkspaceChild(req, path.posix.dirname(normalizeRelativePath(file_path)), sanitized);
+    await moveFile(req.workspace, absolutePath, targetPath);
+    audit(req, 'file.move', { path: toWorkspaceRelative(req, absolutePath), to: toWorkspaceRelative(req, targetPath) });
+
+    res.json({ success: true, message: `File renamed to '${sanitized}'.`, path: toWorkspaceRelative(req, targetPath) });
+  } catch (err) {
+    sendApiError(res, err);
+  }
+});
+
+// Move a file into another folder, keeping its name
+router.post('/move-file', async (req, res) => {
+  const { file_path, destination_path = '' } = req.body;
+
+  if (!file_path || typeof file_path !== 'string') {
+    return res.status(400).json({ success: false, error: 'Invalid or missing file_path.', code: 'VALIDATION_FAILED' });
+  }
+
+  if (typeof destination_path !== 'string') {
+    return res.status(400).json({ success: false, error: 'Invalid destination_path.', code: 'VALIDATION_FAILED' });
+  }
+
+  try {
+    const absolutePath = await resolveWorkspacePath(req, file_path);
+    const targetPath = await resolveWorkspaceChild(req, destination_path, path.basename(absolutePath));
+    await moveFile(req.workspace, absolutePath, targetPath);
+    audit(req, 'file.move', { path: toWorkspaceRelative(req, absolutePath), to: toWorkspaceRelative(req, targetPath) });
+
+    res.json({ success: true, message: `File moved to '${destination_path || '/'}'.`, path: toWorkspaceRelative(req, targetPath) });
+  } catch (err) {
+    sendApiError(res, err);
+  }
+});
+
+// Copy a file into a folder, optionally under a new name
+router.post('/copy-file', async (req, res) => {
+  const { file_path, destination_path, new_name } = req.body;
+
+  if (!file_path || typeof file_path !== 'string') {
+    return res.status(400).json({ success: false, error: 'Invalid or missing file_path.', code: 'VALIDATION_FAILED' });
+  }
+
+  if (new_name !== undefined && (typeof new_name !== 'string' || !sanitizeFileName(new_name))) {
+    return res.status(400).json({ success: false, error: 'Invalid file name', code: 'INVALID_NAME' });
+  }
+
+  try {
+    const absolutePath = await resolveWorkspacePath(req, file_path);
+    const name = new_name !== undefined ? sanitizeFileName(new_name) : path.basename(absolutePath);
+    const destinationRelative = typeof destination_path === 'string' ? destination_path : path.posix.dirname(normalizeRelativePath(file_path));
+    const targetPath = await resolveWorkspaceChild(req, destinationRelative, name);
+    await copyFile(req.workspace, absolutePath, targetPath);
+    const newPath = toWorkspaceRelative(req, targetPath);
+    audit(req, 'file.copy', { path: toWorkspaceRelative(req, absolutePath), to: newPath });
+
+    res.status(201).json({ success: true, message: `File copied to '${newPath}'.`, path: newPath });
+  } catch (err) {
+    sendApiError(res, err);
+  }
+});
+
+// Delete a file at a given path. It is moved to the trash, `trash.id` restores it.
+router.delete('/delete-file', async (req, res) => {
+  const { file_path } = req.body;
+
+  if (!file_path || typeof file_path !== 'string') {
+    return res.status(400).json({ success: false, error: 'Invalid or missing file_path.', code: 'VALIDATION_FAILED' });
+  }
 
   try {
-    await fs.writeFile(newFilePath, '', { flag: 'wx' }); // 'wx' fails if file exists
-    res.status(201).json({ success: true, message: `File '${sanitized}' created successfully.` });
+    const absolutePath = await resolveWorkspacePath(req, file_path);
+    const item = await deleteEntry(req.workspace, absolutePath, 'file');
+    audit(req, 'file.delete', { path: toWorkspaceRelative(req, absolutePath) });
+    res.json({ success: true, message: `File '${file_path}' moved to the trash.`, trash: item });
   } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
+    sendApiError(res, err);
   }
 });
 
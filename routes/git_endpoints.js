@@ -0,0 +1,213 @@
+// Server/routes/git_endpoints.js
+const express = require('express');
+const path = require('path');
+const { resolveInside, resolveProjectPath, toWorkspaceRelative, sendPathError } = require('../utils/workspace_paths');
+const git = require('../services/git');
+const { audit } = require('../services/audit_log');
+const { QuotaError, requireQuota } = require('../services/quotas');
+
+const router = express.Router();
+
+const MAX_LOG_ENTRIES = 500;
+
+// Utility function answering the errors shared by every git route
+const sendGitError = (res, err) => {
+  if (sendPathError(res, err)) return;
+
+  if (err instanceof git.GitError || err instanceof QuotaError) {
+    return res.status(err.status).json({ success: false, error: err.message, code: err.code });
+  }
+
+  if (err.code === 'ENOENT') {
+    return res.status(404).json({ success: false, error: 'Project not found.' });
+  }
+
+  res.status(500).json({ success: false, error: err.message });
+};
+
+// Utility function to check client paths and make them relative to the project, e.g. src/main.py
+const resolveGitPaths = async (projectPath, paths) => {
+  if (!Array.isArray(paths) || paths.length === 0) {
+    throw new git.GitError('At least one path is required.', 400, 'INVALID_PATHS');
+  }
+
+  const resolved = await Promise.all(paths.map(filePath => resolveInside(projectPath, filePath)));
+  return resolved.map(absolutePath => path.relative(projectPath, absolutePath).split(path.sep).join('/'));
+};
+
+// Repository state of a project: branch, identity and per-file changes
+router.get('/status', async (req, res) => {
+  try {
+    const projectPath = await resolveProjectPath(req, req.query.project);
+
+    if (!await git.isRepository(projectPath)) {
+      return res.json({ success: true, repository: false });
+    }
+
+    const [status, identity] = await Promise.all([git.getStatus(projectPath), git.getIdentity(projectPath)]);
+    res.json({ success: true, repository: true, identity, ...status });
+  } catch (err) {
+    sendGitError(res, err);
+  }
+});
+
+// Turn a project into a git repository
+router.post('/init', requireQuota, async (req, res) => {
+  try {
+    const projectPath = await resolveProjectPath(req, req.body.project);
+    await git.init(projectPath);
+    audit(req, 'git.init', { path: toWorkspaceRelative(req, projectPath) });
+
+    res.status(201).json({ success: true, message: 'Git repository initialized.' });
+  } catch (err) {
+    sendGitError(res, err);
+  }
+});
+
+// Unified diff of a file (or of the whole project), staged or not
+router.get('/diff', async (req, res) => {
+  const { project, path: filePath, staged } = req.query;
+
+  try {
+    const projectPath = await resolveProjectPath(req, project);
+    const [relativePath] = filePath ? await resolveGitPaths(projectPath, [filePath]) : [''];
+
+    const diff = await git.getDiff(projectPath, relativePath, { staged: staged === 'true' });
+    res.json({ success: true, path: relativePath || null, staged: staged === 'true', diff });
+  } catch (err) {
+    sendGitError(res, err);
+  }
+});
+
+// Add files to the index
+router.post('/stage', requireQuota, async (req, res) => {
+  try {
+    const projectPath = await resolveProjectPath(req, req.body.project);
+    await git.stage(projectPath, await resolveGitPaths(projectPath, req.body.paths));
+
+    res.json({ success: true });
+  } catch (err) {
+    sendGitError(res, err);
+  }
+});
+
+// Remove files from the index, keeping their changes in the working tree
+router.post('/unstage', async (req, res) => {
+  try {
+    const projectPath = await resolveProjectPath(req, req.body.project);
+    await git.unstage(projectPath, await resolveGitPaths(projectPath, req.body.paths));
+
+    res.json({ success: true });
+  } catch (err) {
+    sendGitError(res, err);
+  }
+});
+
+// Throw away the changes of files
+router.post('/discard', async (req, res) => {
+  try {
+    const projectPath = await resolveProjectPath(req, req.body.project);
+    const paths = await resolveGitPaths(projectPath, req.body.paths);
+    const discarded = await git.discard(projectPath, paths, req.workspace);
+    audit(req, 'git.discard', { path: toWorkspaceRelative(req, projectPath), files: paths });
+
+    res.json({ success: true, discarded });
+  } catch (err) {
+    sendGitError(res, err);
+  }
+});
+
+// Author name and email used for the commits of a project
+router.put('/identity', async (req, res) => {
+  const { project, name, email } = req.body;
+
+  if (typeof name !== 'string' || !name.trim() || typeof email !== 'string' || !/^[^\s@<>]+@[^\s@<>]+$/.test(email.trim())) {
+    return res.status(400).json({ success: false, error: 'A name and a valid email are required.' });
+  }
+
+  try {
+    const projectPath = await resolveProjectPath(req, project);
+    await git.setIdentity(projectPath, { name: name.trim(), email: email.trim() });
+
+    res.json({ success: true, identity: await git.getIdentity(projectPath) });
+  } catch (err) {
+    sendGitError(res, err);
+  }
+});
+
+// Commit the staged changes
+router.post('/commit', requireQuota, async (req, res) => {
+  const { project, message } = req.body;
+
+  if (typeof message !== 'string' || !message.trim()) {
+    return res.status(400).json({ success: false, error: 'Commit message is required.' });
+  }
+
+  try {
+    const projectPath = await resolveProjectPath(req, project);
+    const commit = await git.commit(projectPath, message.trim());
+    audit(req, 'git.commit', { path: toWorkspaceRelative(req, projectPath), commit: commit.hash });
+
+    res.status(201).json({ success: true, commit });
+  } catch (err) {
+    sendGitError(res, err);
+  }
+});
+
+// Latest commits of the current branch, `limit` of them (50 by default)
+router.get('/log', async (req, res) => {
+  const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+
+  if (!Number.isInteger(limit)) {
+    return res.status(400).json({ success: false, error: 'limit must be an integer.', code: 'VALIDATION_FAILED' });
+  }
+
+  try {
+    const projectPath = await resolveProjectPath(req, req.query.project);
+    res.json({ success: true, commits: await git.getLog(projectPath, { limit: Math.max(1, Math.min(limit, MAX_LOG_ENTRIES)) }) });
+  } catch (err) {
+    sendGitError(res, err);
+  }
+});
+
+// Local branches
+router.get('/branches', async (req, res) => {
+  try {
+    const projectPath = await resolveProjectPath(req, req.query.project);
+    res.json({ success: true, branches: await git.getBranches(projectPath) });
+  } catch (err) {
+    sendGitError(res, err);
+  }
+});
+
+// Create a branch, switching to it unless `checkout` is false
+router.post('/branches', requireQuota, async (req, res) => {
+  const { project, name, checkout = true } = req.body;
+
+  try {
+    const projectPath = await resolveProjectPath(req, project);
+    await git.createBranch(projectPath, name, { checkout: checkout !== false });
+    audit(req, 'git.branch', { path: toWorkspaceRelative(req, projectPath), branch: name });
+
+    res.status(201).json({ success: true, branches: await git.getBranches(projectPath) });
+  } catch (err) {
+    sendGitError(res, err);
+  }
+});
+
+// Switch to another branch
+router.post('/switch', requireQuota, async (req, res) => {
+  const { project, branch } = req.body;
+
+  try {
+    const projectPath = await resolveProjectPath(req, project);
+    await git.switchBranch(projectPath, branch);
+    audit(req, 'git.switch', { path: toWorkspaceRelative(req, projectPath), branch });
+
+    res.json({ success: true, branches: await git.getBranches(projectPath) });
+  } catch (err) {
+    sendGitError(res, err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,69 @@
+// Server/routes/health_endpoints.js
+// State of the server. `health` answers load balancers and uptime checks, without a
+// session. The router serves /api/metrics to admins: memory, disk usage of each
+// workspace against its quota, free space of the disk, and what runs for the users.
+const express = require('express');
+const fs = require('fs').promises;
+const path = require('path');
+const { getQuota, getUsage } = require('../services/quotas');
+const { processManager } = require('../services/process_manager');
+const { terminals } = require('../services/terminal');
+const { kernels } = require('../services/notebook_kernels');
+const { documents } = require('../services/collaboration');
+const { countLanguageServers } = require('../services/language_server');
+const { countDebugSessions } = require('../services/debugger');
+const { sendApiError } = require('../utils/api_errors');
+
+const router = express.Router();
+
+// Express handler of GET /api/health
+const health = (req, res) => {
+  res.json({ success: true, status: 'ok', uptime: Math.round(process.uptime()) });
+};
+
+// Utility function to measure the workspace of every user, below the Workspace root
+const measureWorkspaces = async (workspaceRoot) => {
+  const folders = (await fs.readdir(workspaceRoot, { withFileTypes: true })).filter(entry => entry.isDirectory());
+
+  return Promise.all(folders.map(async ({ name }) => ({
+    owner: name,
+    usedBytes: await getUsage(path.join(workspaceRoot, name)),
+    quotaBytes: getQuota(name)
+  })));
+};
+
+router.get('/', async (req, res) => {
+  const { workspaceRoot } = req.app.locals;
+
+  try {
+    const [workspaces, disk] = await Promise.all([measureWorkspaces(workspaceRoot), fs.statfs(workspaceRoot)]);
+
+    const running = processManager.active().reduce((counts, managed) => {
+      counts[managed.kind] = (counts[managed.kind] || 0) + 1;
+      return counts;
+    }, {});
+
+    res.json({
+      success: true,
+      uptime: Math.round(process.uptime()),
+      memory: process.memoryUsage(),
+      disk: {
+        freeBytes: disk.bavail * disk.bsize,
+        totalBytes: disk.blocks * disk.bsize,
+        workspaces
+      },
+      processes: {
+        ...running,
+        terminals: terminals.list().length,
+        kernels: kernels.list().length,
+        languageServers: countLanguageServers(),
+        debugSessions: countDebugSessions(),
+        collaborativeDocuments: documents.documents.size
+      }
+    });
+  } catch (err) {
+    sendApiError(res, err);
+  }
+});
+
+module.exports = { health, router };
@@ -0,0 +1,135 @@
+// Server/routes/history_endpoints.js
+// Local history of the files of the Workspace. `file_path` is relative to the
+// Workspace, as for /api/folders.
+const express = require('express');
+const fs = require('fs').promises;
+const { createTwoFilesPatch } = require('diff');
+const {
+  getHistoryPath,
+  resolveWorkspacePath,
+  toWorkspaceRelative,
+  sendPathError
+} = require('../utils/workspace_paths');
+const history = require('../services/local_history');
+const { allowViewers } = require('../utils/auth');
+const { audit } = require('../services/audit_log');
+const { QuotaError, checkQuota, forgetUsage } = require('../services/quotas');
+
+const router = express.Router();
+
+// Utility function answering the errors shared by every history route
+const sendHistoryError = (res, err) => {
+  if (sendPathError(res, err)) return;
+
+  if (err instanceof history.HistoryError || err instanceof QuotaError) {
+    return res.status(err.status).json({ success: false, error: err.message, code: err.code });
+  }
+
+  if (err.code === 'ENOENT') {
+    return res.status(404).json({ success: false, error: 'File not found.' });
+  }
+
+  res.status(500).json({ success: false, error: err.message });
+};
+
+// Utility function to check a client path, returning it in its normalized form too
+const resolveHistoryFile = async (req, filePath) => {
+  if (!filePath || typeof filePath !== 'string') {
+    throw new history.HistoryError('Invalid or missing file_path.', 400, 'INVALID_PATH');
+  }
+
+  const absolutePath = await resolveWorkspacePath(req, filePath);
+  return { absolutePath, relativePath: toWorkspaceRelative(req, absolutePath) };
+};
+
+// Snapshots of a file, newest first
+router.get('/', async (req, res) => {
+  try {
+    const { relativePath } = await resolveHistoryFile(req, req.query.file_path);
+    const snapshots = await history.listSnapshots(getHistoryPath(req), relativePath);
+
+    res.json({ success: true, path: relativePath, snapshots });
+  } catch (err) {
+    sendHistoryError(res, err);
+  }
+});
+
+// Content of one snapshot
+router.get('/snapshot', async (req, res) => {
+  try {
+    const { relativePath } = await resolveHistoryFile(req, req.query.file_path);
+    const { snapshot, content } = await history.readSnapshot(getHistoryPath(req), relativePath, req.query.id);
+
+    res.json({ success: true, path: relativePath, snapshot, content });
+  } catch (err) {
+    sendHistoryError(res, err);
+  }
+});
+
+// Unified diff from a snapshot to the current version of the file: `content` when
+// sent (unsaved edits of the editor), the saved file otherwise
+router.post('/diff', allowViewers, async (req, res) => {
+  const { file_path, id, content } = req.body;
+
+  if (content !== undefined && typeof content !== 'string') {
+    return res.status(400).json({ success: false, error: 'File content must be a string.' });
+  }
+
+  try {
+    const { absolutePath, relativePath } = await resolveHistoryFile(req, file_path);
+    const { snapshot, content: snapshotContent } = await history.readSnapshot(getHistoryPath(req), relativePath, id);
+    const current = typeof content === 'string' ? content : await fs.readFile(absolutePath, 'utf8');
+
+    const diff = createTwoFilesPatch(`a/${relativePath}`, `b/${relativePath}`, snapshotContent, current, snapshot.savedAt, 'current');
+    res.json({ success: true, path: relativePath, snapshot, diff });
+  } catch (err) {
+    sendHistoryError(res, err);
+  }
+});
+
+// Write a snapshot back to its file. The replaced content is kept as a snapshot,
+// so a restore can be undone from the timeline too.
+router.post('/restore', async (req, res) => {
+  const { file_path, id } = req.body;
+
+  try {
+    const { absolutePath, relativePath } = await resolveHistoryFile(req, file_path);
+    const historyPath = getHistoryPath(req);
+    const { snapshot, content } = await history.readSnapshot(historyPath, relativePath, id);
+
+    // A deleted file is recreated
+    let previous = null;
+    try {
+      previous = await fs.readFile(absolutePath);
+    } catch (err) {
+      if (err.code === 'EISDIR') {
+        return res.status(400).json({ success: false, error: 'Specified path is not a file.' });
+      }
+      if (err.code !== 'ENOENT') throw err;
+    }
+
+    await checkQuota(req.workspace, Buffer.byteLength(content) - (previous ? previous.length : 0));
+
+    if (previous) {
+      await history.recordSnapshot(historyPath, relativePath, previous);
+    }
+
+    await fs.writeFile(absolutePath, content, 'utf8');
+    await history.recordSnapshot(historyPath, relativePath, content);
+    const saved = await fs.stat(absolutePath);
+    forgetUsage(req.workspace);
+    audit(req, 'file.restore', { path: relativePath, snapshot: snapshot.id });
+
+    res.json({
+      success: true,
+      message: `'${relativePath}' restored to its snapshot of ${snapshot.savedAt}.`,
+      path: relativePath,
+      content,
+      modified: saved.mtime
+    });
+  } catch (err) {
+    sendHistoryError(res, err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,72 @@
+// Server/routes/language_server_endpoints.js
+// WebSocket bridge between the editor and a language server: /api/lsp?project=<name>.
+// Each text frame holds one JSON-RPC message, in both directions.
+const { WebSocketServer } = require('ws');
+const { resolveProjectPath } = require('../utils/workspace_paths');
+const { CLOSE_SERVER_ERROR, CLOSE_TRY_AGAIN_LATER, closeReason, parseMessage } = require('../utils/upgrades');
+const { LanguageServerSession } = require('../services/language_server');
+
+const MAX_MESSAGE_BYTES = 16 * 1024 * 1024;
+
+const sockets = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+
+const isMessageId = id => typeof id === 'string' || Number.isInteger(id);
+
+// Utility function to check the shape of a JSON-RPC 2.0 message of the editor: a request
+// or notification (`method`), or the response to a request of the server (`id`)
+const isJsonRpcMessage = (message) => {
+  if (message.jsonrpc !== '2.0') return false;
+  if (typeof message.method === 'string') return message.id === undefined || isMessageId(message.id);
+  return (isMessageId(message.id) || message.id === null) && ('result' in message || 'error' in message);
+};
+
+const bridge = (ws, projectPath) => {
+  const session = new LanguageServerSession(projectPath);
+  // Messages received while the language server starts
+  let queue = [];
+
+  const forward = (message) => {
+    try {
+      session.send(message);
+    } catch (err) {
+      // Requests are answered, notifications and responses have nobody waiting
+      const { id, method } = message;
+      if (id !== undefined && method !== undefined && ws.readyState === ws.OPEN) {
+        ws.send(JSON.stringify({ jsonrpc: '2.0', id, error: { code: -32602, message: err.message } }));
+      }
+    }
+  };
+
+  ws.on('message', (data) => {
+    const message = parseMessage(data);
+    if (!message || !isJsonRpcMessage(message)) return;
+
+    if (queue) queue.push(message);
+    else forward(message);
+  });
+
+  ws.on('close', () => session.stop());
+
+  session.on('message', (message) => {
+    if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+  });
+
+  session.on('exit', () => ws.close(CLOSE_SERVER_ERROR, 'Language server exited.'));
+
+  session.start()
+    .then(() => {
+      queue.forEach(forward);
+      queue = null;
+    })
+    .catch((err) => {
+      ws.close(err.status === 503 ? CLOSE_TRY_AGAIN_LATER : CLOSE_SERVER_ERROR, closeReason(err.message));
+    });
+};
+
+// Upgrade handler of /api/lsp, see utils/upgrades.js
+const upgradeLanguageServer = async (req, socket, head, url) => {
+  const projectPath = await resolveProjectPath(req, url.searchParams.get('project'));
+  sockets.handleUpgrade(req, socket, head, ws => bridge(ws, projectPath));
+};
+
+module.exports = { upgradeLanguageServer };
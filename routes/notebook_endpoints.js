@@ -0,0 +1,151 @@
+// Server/routes/notebook_endpoints.js
+// Kernels of the notebooks of a project. Kernels are started and shut down over HTTP,
+// and used over the WebSocket /api/notebooks/kernels/attach?id=<kernel id> with JSON
+// text frames:
+//
+//   browser -> server   execute { cellId, code }, interrupt, restart
+//   server -> browser   the messages of a KernelSession (services/notebook_kernels.js),
+//                       exit { kernel }
+//
+// The messages sent while no browser was attached are replayed first.
+const express = require('express');
+const fs = require('fs').promises;
+const { WebSocketServer } = require('ws');
+const {
+  canAccessProject,
+  getWorkspacePath,
+  normalizeRelativePath,
+  resolveInside,
+  resolveProjectPath,
+  toWorkspaceRelative,
+  sendPathError
+} = require('../utils/workspace_paths');
+const { allowViewers } = require('../utils/auth');
+const { audit } = require('../services/audit_log');
+const { requireQuota } = require('../services/quotas');
+const { isNotebookPath } = require('../utils/notebooks');
+const { parseMessage } = require('../utils/upgrades');
+const { KernelError, kernels } = require('../services/notebook_kernels');
+
+const router = express.Router();
+
+const MAX_MESSAGE_BYTES = 16 * 1024 * 1024;
+
+const sockets = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+
+// Utility function to find a kernel of the current user by id
+const findKernel = (req, id) => kernels.get(id, { workspacePath: getWorkspacePath(req), username: req.user.username });
+
+// Utility function answering the errors shared by every kernel route
+const sendKernelError = (res, err) => {
+  if (sendPathError(res, err)) return;
+
+  if (err instanceof KernelError) {
+    return res.status(err.status).json({ success: false, error: err.message, code: err.code });
+  }
+
+  if (err.code === 'ENOENT') {
+    return res.status(404).json({ success: false, error: 'Notebook not found.' });
+  }
+
+  res.status(500).json({ success: false, error: err.message });
+};
+
+// Kernels of the current user in a project
+router.get('/kernels', async (req, res) => {
+  try {
+    const projectPath = await resolveProjectPath(req, req.query.project);
+    const sessions = kernels.list({ projectPath, username: req.user.username });
+
+    res.json({ success: true, kernels: sessions.map(session => session.summary()) });
+  } catch (err) {
+    sendKernelError(res, err);
+  }
+});
+
+// Start the kernel of a notebook, `path` being relative to the project. Running code is
+// open to viewers, as with /api/run.
+router.post('/kernels', allowViewers, requireQuota, async (req, res) => {
+  const { project, path: notebookPath } = req.body;
+
+  if (typeof notebookPath !== 'string' || !isNotebookPath(notebookPath)) {
+    return res.status(400).json({ success: false, error: 'A notebook (.ipynb) path is required.' });
+  }
+
+  try {
+    const projectPath = await resolveProjectPath(req, project);
+    const normalized = normalizeRelativePath(notebookPath);
+    const stat = await fs.stat(await resolveInside(projectPath, normalized));
+
+    if (!stat.isFile()) {
+      return res.status(400).json({ success: false, error: 'Specified path is not a file.' });
+    }
+
+    const session = await kernels.create({ projectPath, notebookPath: normalized, username: req.user.username });
+    audit(req, 'kernel.start', { path: toWorkspaceRelative(req, await resolveInside(projectPath, normalized)) });
+    res.status(201).json({ success: true, kernel: session.summary() });
+  } catch (err) {
+    sendKernelError(res, err);
+  }
+});
+
+router.delete('/kernels/:id', allowViewers, (req, res) => {
+  const session = findKernel(req, req.params.id);
+
+  if (!session) {
+    return res.status(404).json({ success: false, error: 'Kernel not found.' });
+  }
+
+  session.kill();
+  res.json({ success: true });
+});
+
+const attach = (ws, session) => {
+  const send = (message) => {
+    if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+  };
+
+  const onExit = (summary) => {
+    send({ type: 'exit', kernel: summary });
+    ws.close();
+  };
+
+  send({ type: 'status', kernel: session.summary() });
+  session.attach().forEach(send);
+  session.on('message', send);
+  session.on('exit', onExit);
+
+  ws.on('message', (data) => {
+    const message = parseMessage(data);
+    if (!message) return;
+
+    if (message.type === 'execute' && typeof message.cellId === 'string' && typeof message.code === 'string') {
+      session.execute(message.cellId, message.code);
+    } else if (message.type === 'interrupt') {
+      session.interrupt();
+    } else if (message.type === 'restart') {
+      session.restart();
+    }
+  });
+
+  // The kernel keeps its variables, for the next page to attach to it
+  ws.on('close', () => {
+    session.off('message', send);
+    session.off('exit', onExit);
+    session.detach();
+  });
+};
+
+// Upgrade handler of /api/notebooks/kernels/attach, see utils/upgrades.js
+const upgradeKernel = async (req, socket, head, url) => {
+  const session = findKernel(req, url.searchParams.get('id'));
+
+  // Whoever started it may have lost access to the project since
+  if (!session || !canAccessProject(req, session.project)) {
+    throw new KernelError('Kernel not found.', 404, 'NOT_FOUND');
+  }
+
+  sockets.handleUpgrade(req, socket, head, ws => attach(ws, session));
+};
+
+module.exports = { router, upgradeKernel };
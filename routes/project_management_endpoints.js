@@ -1,74 +1,45 @@
+// Server/routes/project_management_endpoints.js
+// Deprecated: replaced by /api/v1/templates and the `template` of POST /api/v1/projects
+// (routes/v1_endpoints.js), kept working for existing clients.
 const express = require('express');
-const fs = require('fs').promises;
-const path = require('path');
+const { resolveWorkspacePath } = require('../utils/workspace_paths');
+const { listTemplates } = require('../utils/project_templates');
+const { sendApiError } = require('../utils/api_errors');
+const { deprecated } = require('../utils/api_router');
+const { applyTemplate } = require('../services/projects');
+const { audit } = require('../services/audit_log');
+const { requireQuota, forgetUsage } = require('../services/quotas');
 
 const router = express.Router();
 
-// Utility to get workspace path
-const getWorkspacePath = (req) => req.app.locals.workspacePath;
-
-// Supported architectures
-const supportedArchitectures = ['python-basic', 'python-data'];
-
-const defaultFiles = {
-  'README.md': '# Project\n\nGenerated by API.\n',
-  'requirements.txt': '',
-  '.gitignore': 'logs/\n',
-};
-
-const baseFolders = ['src', 'tests', 'logs'];
+router.use(deprecated('/api/v1/openapi.json'));
 
+// List the available project templates
+router.get('/templates', async (req, res) => {
+  try {
+    const templates = await listTemplates();
+    res.json({ success: true, templates });
+  } catch (err) {
+    sendApiError(res, err);
+  }
+});
 
-router.post('/generate-archi', async (req, res) => {
-  const { folder, archi_name } = req.body;
+// Generate a template inside a project folder
+router.post('/generate-archi', requireQuota, async (req, res) => {
+  const { folder, archi_name, variables = {} } = req.body;
 
-  if (!supportedArchitectures.includes(archi_name)) {
-    return res.status(400).json({ success: false, error: 'Unsupported architecture name' });
+  if (!archi_name || typeof archi_name !== 'string') {
+    return res.status(400).json({ success: false, error: 'Template name is required and must be a string', code: 'VALIDATION_FAILED' });
   }
 
-  const basePath = path.join(getWorkspacePath(req), folder);
-
   try {
-    // Ensure base folder exists
-    await fs.mkdir(basePath, { recursive: true });
-
-    // Create folders
-    const foldersToCreate = [...baseFolders];
-    if (archi_name === 'python-data') {
-      foldersToCreate.push('data');
-    }
-
-    await Promise.all(
-      foldersToCreate.map(subfolder =>
-        fs.mkdir(path.join(basePath, subfolder), { recursive: true })
-      )
-    );
-
-    // .gitignore adjustments
-    let gitignoreContent = defaultFiles['.gitignore'];
-    if (archi_name === 'python-data') {
-      gitignoreContent += 'data/\n';
-    }
-
-    // Create files
-    const filesToCreate = {
-      ...defaultFiles,
-      '.gitignore': gitignoreContent,
-    };
-
-    await Promise.all(
-      Object.entries(filesToCreate).map(([filename, content]) =>
-        fs.writeFile(path.join(basePath, filename), content)
-      )
-    );
-
-    res.json({ success: true, message: `Architecture '${archi_name}' generated in ${folder}` });
+    const created = await applyTemplate(await resolveWorkspacePath(req, folder), archi_name, variables);
+    forgetUsage(req.workspace);
+    audit(req, 'template.apply', { path: folder, template: archi_name });
+    res.json({ success: true, message: `Architecture '${archi_name}' generated in ${folder}`, created });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ success: false, error: 'Failed to generate architecture' });
+    sendApiError(res, err);
   }
 });
 
-
-
 module.exports = router;
@@ -0,0 +1,158 @@
+// Server/routes/run_endpoints.js
+const express = require('express');
+const fs = require('fs').promises;
+const path = require('path');
+const {
+  canAccessProject,
+  getWorkspacePath,
+  isInside,
+  normalizeRelativePath,
+  resolveInside,
+  resolveProjectPath,
+  toWorkspaceRelative,
+  sendPathError
+} = require('../utils/workspace_paths');
+const { streamProcessEvents } = require('../utils/sse');
+const { processManager, DEFAULT_TIME_LIMIT_MS, DEFAULT_OUTPUT_LIMIT_BYTES } = require('../services/process_manager');
+const { SOURCE_FOLDER, getPythonCommand, getRunEnvironment, isValidModuleName } = require('../services/python_env');
+const { allowViewers } = require('../utils/auth');
+const { audit } = require('../services/audit_log');
+const { requireQuota } = require('../services/quotas');
+
+const router = express.Router();
+
+// Utility function to find a run by id and answer 404 when it is unknown
+const findRun = (req, res) => {
+  const run = processManager.get(req.params.id, { workspacePath: getWorkspacePath(req), kind: 'run' });
+
+  if (!run || !canAccessProject(req, run.project)) {
+    res.status(404).json({ success: false, error: 'Run not found.' });
+    return null;
+  }
+
+  return run;
+};
+
+// Start `python` on a file or module of a project's src/ folder
+router.post('/start', allowViewers, requireQuota, async (req, res) => {
+  const { project, file, module: moduleName, args = [] } = req.body;
+
+  if (!file === !moduleName) {
+    return res.status(400).json({ success: false, error: 'Either file or module is required.' });
+  }
+
+  if (moduleName !== undefined && !isValidModuleName(moduleName)) {
+    return res.status(400).json({ success: false, error: 'Invalid module name.' });
+  }
+
+  if (!Array.isArray(args) || !args.every(arg => typeof arg === 'string')) {
+    return res.status(400).json({ success: false, error: 'Arguments must be an array of strings.' });
+  }
+
+  try {
+    const projectPath = await resolveProjectPath(req, project);
+    const sourcePath = path.join(projectPath, SOURCE_FOLDER);
+    const pythonArgs = ['-u'];
+    let label;
+
+    if (file) {
+      // `file` is relative to the project, e.g. src/main.py
+      const filePath = await resolveInside(projectPath, file);
+
+      if (!isInside(sourcePath, filePath) || filePath === sourcePath) {
+        return res.status(400).json({ success: false, error: `Only files inside ${SOURCE_FOLDER}/ can be run.` });
+      }
+
+      const stat = await fs.stat(filePath);
+      if (!stat.isFile()) {
+        return res.status(400).json({ success: false, error: 'Specified path is not a file.' });
+      }
+
+      label = `python ${normalizeRelativePath(file)}`;
+      pythonArgs.push(path.relative(projectPath, filePath));
+    } else {
+      label = `python -m ${moduleName}`;
+      pythonArgs.push('-m', moduleName);
+    }
+
+    const run = processManager.start({
+      kind: 'run',
+      projectPath,
+      label,
+      command: await getPythonCommand(projectPath),
+      args: [...pythonArgs, ...args],
+      cwd: projectPath,
+      env: getRunEnvironment(projectPath)
+    });
+
+    audit(req, 'run.start', { path: toWorkspaceRelative(req, projectPath), command: label });
+    res.status(201).json({ success: true, run: run.summary() });
+  } catch (err) {
+    if (sendPathError(res, err)) return;
+
+    if (err.code === 'ENOENT') {
+      return res.status(404).json({ success: false, error: 'Project or file not found.' });
+    }
+
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// List the runs of a project
+router.get('/', (req, res) => {
+  const { project } = req.query;
+  const runs = processManager.list({ workspacePath: getWorkspacePath(req), kind: 'run' })
+    .filter(run => (!project || run.project === project) && canAccessProject(req, run.project))
+    .map(run => run.summary());
+
+  res.json({ success: true, runs, limits: { timeLimitMs: DEFAULT_TIME_LIMIT_MS, outputLimitBytes: DEFAULT_OUTPUT_LIMIT_BYTES } });
+});
+
+// Status of a run
+router.get('/:id', (req, res) => {
+  const run = findRun(req, res);
+  if (!run) return;
+
+  res.json({ success: true, run: run.summary() });
+});
+
+// Stream the output of a run as Server-Sent Events: the output so far is replayed first
+router.get('/:id/events', (req, res) => {
+  const run = findRun(req, res);
+  if (!run) return;
+
+  streamProcessEvents(req, res, run);
+});
+
+// Send text to the standard input of a run
+router.post('/:id/stdin', allowViewers, (req, res) => {
+  const run = findRun(req, res);
+  if (!run) return;
+
+  const { data, eof = false } = req.body;
+
+  if (data !== undefined && typeof data !== 'string') {
+    return res.status(400).json({ success: false, error: 'Input data must be a string.' });
+  }
+
+  if (data && !run.write(data)) {
+    return res.status(409).json({ success: false, error: 'Run is not accepting input.' });
+  }
+
+  if (eof) {
+    run.closeInput();
+  }
+
+  res.json({ success: true });
+});
+
+// Stop a run: SIGTERM first, SIGKILL if it does not exit in time
+router.post('/:id/stop', allowViewers, (req, res) => {
+  const run = findRun(req, res);
+  if (!run) return;
+
+  run.stop('stopped');
+  res.json({ success: true, run: run.summary() });
+});
+
+module.exports = router;
@@ -0,0 +1,142 @@
+// Server/routes/search_endpoints.js
+const express = require('express');
+const path = require('path');
+const {
+  resolveProjectPath,
+  resolveWorkspacePath,
+  sendPathError,
+  toWorkspaceRelative
+} = require('../utils/workspace_paths');
+const { openEventStream } = require('../utils/sse');
+const { SearchError, searchFiles, planReplace, applyReplace } = require('../services/search');
+const { audit } = require('../services/audit_log');
+const { requireQuota, forgetUsage } = require('../services/quotas');
+
+const router = express.Router();
+
+// Utility function to find the folder searched: a project, or the whole Workspace
+const resolveSearchRoot = (req, project) =>
+  (project ? resolveProjectPath(req, project) : resolveWorkspacePath(req, '', { allowRoot: true }));
+
+// Utility function answering the errors shared by the search routes
+const sendSearchError = (res, err) => {
+  if (sendPathError(res, err)) return;
+
+  if (err instanceof SearchError) {
+    return res.status(err.status).json({ success: false, error: err.message, code: err.code });
+  }
+
+  if (err.code === 'ENOENT') {
+    return res.status(404).json({ success: false, error: 'Project not found.' });
+  }
+
+  res.status(500).json({ success: false, error: err.message });
+};
+
+// Utility function reading the options shared by search and replace
+const readSearchOptions = source => ({
+  query: source.query,
+  regex: source.regex === true || source.regex === 'true',
+  caseSensitive: source.caseSensitive === true || source.caseSensitive === 'true',
+  wholeWord: source.wholeWord === true || source.wholeWord === 'true',
+  include: source.include,
+  exclude: source.exclude,
+  useGitignore: !(source.useGitignore === false || source.useGitignore === 'false'),
+  maxResults: source.maxResults
+});
+
+// Utility function to check a file of the preview the client selected for replacing
+const isSelectedFile = file => Boolean(file) && typeof file === 'object' && typeof file.path === 'string';
+
+// Search a project (or the Workspace when no project is given). Results stream as
+// `file` events, one per file with matches, followed by a `done` event. Errors are
+// sent as an `error` event so that EventSource clients can read them.
+router.get('/', async (req, res) => {
+  const send = openEventStream(req, res);
+  let cancelled = false;
+  req.on('close', () => {
+    cancelled = true;
+  });
+
+  try {
+    const root = await resolveSearchRoot(req, req.query.project);
+
+    const summary = await searchFiles(root, readSearchOptions(req.query), (file) => {
+      send('file', { ...file, path: toWorkspaceRelative(req, path.join(root, file.path)) });
+    }, () => cancelled);
+
+    send('done', summary);
+  } catch (err) {
+    const status = err.status || (err.code === 'ENOENT' ? 404 : 500);
+    send('error', { error: status === 404 ? 'Project not found.' : err.message, code: err.code, status });
+  }
+
+  res.end();
+});
+
+// Replace in a project (or the Workspace). Without `apply` the changes are only
+// previewed. With `apply`, `files` lists the previewed files to change with their
+// `modified` time: nothing is written when one of them changed since the preview.
+router.post('/replace', requireQuota, async (req, res) => {
+  const { project, replacement, apply = false, files = [] } = req.body;
+
+  try {
+    // Checked before the search, which can take long
+    if (apply) {
+      if (!Array.isArray(files) || files.length === 0) {
+        return res.status(400).json({ success: false, error: 'Files to replace in are required.' });
+      }
+
+      if (!files.every(isSelectedFile)) {
+        return res.status(400).json({ success: false, error: 'Each file to replace in must be an object with a string path.' });
+      }
+    }
+
+    const root = await resolveSearchRoot(req, project);
+    const plan = await planReplace(root, { ...readSearchOptions(req.body), replacement });
+    const planned = plan.files.map(file => ({ ...file, path: toWorkspaceRelative(req, file.absolutePath) }));
+
+    if (!apply) {
+      return res.json({
+        success: true,
+        total: plan.total,
+        files: planned.map(file => ({ path: file.path, modified: file.modified, count: file.count, changes: file.changes }))
+      });
+    }
+
+    const selected = [];
+    const stale = [];
+
+    for (const { path: filePath, modified } of files) {
+      const file = planned.find(candidate => candidate.path === filePath);
+
+      if (!file || new Date(file.modified).getTime() !== new Date(modified).getTime()) {
+        stale.push(filePath);
+      } else {
+        selected.push(file);
+      }
+    }
+
+    if (stale.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Some files changed since the preview. Preview the replacement again.',
+        stale
+      });
+    }
+
+    await applyReplace(selected, req.workspace.historyPath);
+    forgetUsage(req.workspace);
+    selected.forEach(file => audit(req, 'file.replace', { path: file.path, count: file.count }));
+
+    res.json({
+      success: true,
+      total: selected.reduce((total, file) => total + file.count, 0),
+      replaced: selected.map(file => ({ path: file.path, count: file.count }))
+    });
+  } catch (err) {
+    sendSearchError(res, err);
+  }
+});
+
+module.exports = router;
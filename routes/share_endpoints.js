@@ -0,0 +1,106 @@
+// Server/routes/share_endpoints.js
+// Sharing of one's projects with other users, and the projects others shared with
+// the user. Shared projects are then used through the API as usual, naming their
+// owner in the `X-Workspace-Owner` header (see utils/auth.js).
+const express = require('express');
+const fs = require('fs').promises;
+const path = require('path');
+const { resolveProjectPath, sendPathError } = require('../utils/workspace_paths');
+const { getUserFolders, requireOwnWorkspace } = require('../utils/auth');
+const shares = require('../services/shares');
+const { getUser } = require('../services/users');
+const { audit } = require('../services/audit_log');
+
+const router = express.Router();
+
+// Utility function answering the errors shared by every share route
+const sendShareError = (res, err) => {
+  if (sendPathError(res, err)) return;
+
+  if (err instanceof shares.ShareError) {
+    return res.status(err.status).json({ success: false, error: err.message, code: err.code });
+  }
+
+  if (err.code === 'ENOENT') {
+    return res.status(404).json({ success: false, error: 'Project not found.' });
+  }
+
+  res.status(500).json({ success: false, error: err.message });
+};
+
+// Projects of other users shared with the current user, with their owner and role
+router.get('/with-me', async (req, res) => {
+  try {
+    const sharedWithMe = await shares.listSharedWith(req.app.locals.authPath, req.user.username);
+
+    // Shares of a project that was deleted since are left out
+    const projects = await Promise.all(sharedWithMe.map(async (share) => {
+      const stat = await fs.stat(path.join(getUserFolders(req.app, share.owner).path, share.project)).catch(() => null);
+      return stat && stat.isDirectory()
+        ? { name: share.project, owner: share.owner, role: share.role, sharedAt: share.sharedAt, modified: stat.mtime }
+        : null;
+    }));
+
+    res.json({ success: true, projects: projects.filter(Boolean) });
+  } catch (err) {
+    sendShareError(res, err);
+  }
+});
+
+// Sharing is done by the owner, from their own workspace
+router.use(requireOwnWorkspace);
+
+// Users one of the current user's projects is shared with
+router.get('/', async (req, res) => {
+  try {
+    const projectPath = await resolveProjectPath(req, req.query.project);
+    const projectShares = await shares.listProjectShares(req.app.locals.authPath, req.user.username, path.basename(projectPath));
+
+    res.json({ success: true, shares: projectShares, roles: shares.SHARE_ROLES });
+  } catch (err) {
+    sendShareError(res, err);
+  }
+});
+
+// Share a project with a user, or change their role on it
+router.put('/', async (req, res) => {
+  const { project, username, role } = req.body;
+  const { authPath } = req.app.locals;
+
+  try {
+    const projectPath = await resolveProjectPath(req, project);
+
+    if (typeof username !== 'string' || !(await getUser(authPath, username))) {
+      return res.status(404).json({ success: false, error: `User '${username}' not found.`, code: 'USER_NOT_FOUND' });
+    }
+
+    const share = await shares.shareProject(authPath, {
+      owner: req.user.username,
+      project: path.basename(projectPath),
+      username,
+      role
+    });
+    audit(req, 'share.create', { path: share.project, username, role });
+
+    res.json({ success: true, message: `'${share.project}' shared with '${username}' as ${role}.`, share });
+  } catch (err) {
+    sendShareError(res, err);
+  }
+});
+
+// Stop sharing a project with a user
+router.delete('/', async (req, res) => {
+  const { project, username } = req.body;
+
+  try {
+    const projectPath = await resolveProjectPath(req, project);
+    await shares.unshareProject(req.app.locals.authPath, { owner: req.user.username, project: path.basename(projectPath), username });
+    audit(req, 'share.delete', { path: path.basename(projectPath), username });
+
+    res.json({ success: true, message: `'${path.basename(projectPath)}' is not shared with '${username}' anymore.` });
+  } catch (err) {
+    sendShareError(res, err);
+  }
+});
+
+module.exports = router;
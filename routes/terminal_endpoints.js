@@ -0,0 +1,135 @@
+// Server/routes/terminal_endpoints.js
+// Terminals of a project. Sessions are created and killed over HTTP, and used over
+// the WebSocket /api/terminals/attach?id=<session id> with JSON text frames:
+//
+//   browser -> server   input { data }, resize { cols, rows }
+//   server -> browser   output { data }, exit { session }
+//
+// The output printed while no browser was attached is replayed first.
+const express = require('express');
+const { WebSocketServer } = require('ws');
+const {
+  WorkspaceAccessError,
+  getWorkspacePath,
+  resolveProjectPath,
+  toWorkspaceRelative,
+  sendPathError
+} = require('../utils/workspace_paths');
+const { TerminalError, terminals } = require('../services/terminal');
+const { audit } = require('../services/audit_log');
+const { requireQuota } = require('../services/quotas');
+const { parseMessage } = require('../utils/upgrades');
+
+const router = express.Router();
+
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+
+const sockets = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+
+// Utility function to find a terminal of the current user by id
+const findTerminal = (req, id) => terminals.get(id, { workspacePath: getWorkspacePath(req), username: req.user.username });
+
+// Utility function answering the errors shared by every terminal route
+const sendTerminalError = (res, err) => {
+  if (sendPathError(res, err)) return;
+
+  if (err instanceof TerminalError) {
+    return res.status(err.status).json({ success: false, error: err.message, code: err.code });
+  }
+
+  if (err.code === 'ENOENT') {
+    return res.status(404).json({ success: false, error: 'Project not found.' });
+  }
+
+  res.status(500).json({ success: false, error: err.message });
+};
+
+// Terminals of the current user in a project
+router.get('/', async (req, res) => {
+  try {
+    const projectPath = await resolveProjectPath(req, req.query.project);
+    const sessions = terminals.list({ projectPath, username: req.user.username });
+
+    res.json({ success: true, terminals: sessions.map(session => session.summary()) });
+  } catch (err) {
+    sendTerminalError(res, err);
+  }
+});
+
+// Start a shell in a project, with its venv activated
+router.post('/', requireQuota, async (req, res) => {
+  const { project, cols, rows } = req.body;
+
+  try {
+    const projectPath = await resolveProjectPath(req, project);
+    const session = await terminals.create({ projectPath, username: req.user.username, cols, rows });
+    audit(req, 'terminal.open', { path: toWorkspaceRelative(req, projectPath) });
+
+    res.status(201).json({ success: true, terminal: session.summary() });
+  } catch (err) {
+    sendTerminalError(res, err);
+  }
+});
+
+router.delete('/:id', (req, res) => {
+  const session = findTerminal(req, req.params.id);
+
+  if (!session) {
+    return res.status(404).json({ success: false, error: 'Terminal not found.' });
+  }
+
+  session.kill();
+  res.json({ success: true });
+});
+
+const attach = (ws, session) => {
+  const send = (message) => {
+    if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+  };
+
+  const onOutput = data => send({ type: 'output', data });
+  const onExit = (summary) => {
+    send({ type: 'exit', session: summary });
+    ws.close();
+  };
+
+  if (session.scrollback) send({ type: 'output', data: session.scrollback });
+  session.on('output', onOutput);
+  session.on('exit', onExit);
+
+  ws.on('message', (data) => {
+    const message = parseMessage(data);
+    if (!message) return;
+
+    if (message.type === 'input' && typeof message.data === 'string') {
+      session.write(message.data);
+    } else if (message.type === 'resize') {
+      session.resize(message.cols, message.rows);
+    }
+  });
+
+  // The shell keeps running, for the next page to attach to it
+  ws.on('close', () => {
+    session.off('output', onOutput);
+    session.off('exit', onExit);
+  });
+};
+
+// Upgrade handler of /api/terminals/attach, see utils/upgrades.js
+const upgradeTerminal = async (req, socket, head, url) => {
+  const session = findTerminal(req, url.searchParams.get('id'));
+
+  if (!session) {
+    throw new TerminalError('Terminal not found.', 404, 'NOT_FOUND');
+  }
+
+  // Whoever started it may have lost the editor role since
+  const { shared } = req.workspace;
+  if (shared && shared.get(session.project) !== 'editor') {
+    throw new WorkspaceAccessError(`You can only view the project '${session.project}'.`);
+  }
+
+  sockets.handleUpgrade(req, socket, head, ws => attach(ws, session));
+};
+
+module.exports = { router, upgradeTerminal };
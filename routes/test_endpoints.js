@@ -0,0 +1,156 @@
+// Server/routes/test_endpoints.js
+const express = require('express');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const {
+  canAccessProject,
+  getWorkspacePath,
+  resolveInside,
+  resolveProjectPath,
+  toWorkspaceRelative,
+  sendPathError
+} = require('../utils/workspace_paths');
+const { streamProcessEvents } = require('../utils/sse');
+const { parseJUnitReport } = require('../utils/junit_xml');
+const { processManager } = require('../services/process_manager');
+const { getPythonCommand, getRunEnvironment } = require('../services/python_env');
+const { allowViewers } = require('../utils/auth');
+const { audit } = require('../services/audit_log');
+const { requireQuota } = require('../services/quotas');
+const { config } = require('../utils/config');
+
+const router = express.Router();
+
+// Test suites may legitimately run longer than a program
+const TEST_TIME_LIMIT_MS = config.run.testTimeLimitMs;
+
+// pytest exit codes that still produce a meaningful report
+const NO_TESTS_COLLECTED = 5;
+
+// Utility function to check a pytest target: a folder, a file or a node id such as
+// tests/test_main.py::TestGreeting::test_hello[param]. Its path part must stay in the project.
+// Targets also follow `--` on the command line: none of them is read as an option.
+const resolveTarget = async (projectPath, target) => {
+  if (typeof target !== 'string' || target.includes('\0')) return null;
+
+  const trimmed = target.trim();
+  if (!trimmed || trimmed.startsWith('-')) return null;
+
+  const [targetPath, ...selectors] = trimmed.split('::');
+  await resolveInside(projectPath, targetPath);
+
+  return [targetPath.replace(/\\/g, '/'), ...selectors].join('::');
+};
+
+// Utility function to find a test run by id and answer 404 when it is unknown
+const findTestRun = (req, res) => {
+  const testRun = processManager.get(req.params.id, { workspacePath: getWorkspacePath(req), kind: 'test' });
+
+  if (!testRun || !canAccessProject(req, testRun.project)) {
+    res.status(404).json({ success: false, error: 'Test run not found.' });
+    return null;
+  }
+
+  return testRun;
+};
+
+// Run pytest on a whole project or on some folders, files or test ids of it
+router.post('/run', allowViewers, requireQuota, async (req, res) => {
+  const { project, targets = [] } = req.body;
+
+  if (!Array.isArray(targets)) {
+    return res.status(400).json({ success: false, error: 'Targets must be an array of paths or test ids.' });
+  }
+
+  try {
+    const projectPath = await resolveProjectPath(req, project);
+
+    const resolvedTargets = await Promise.all(targets.map(target => resolveTarget(projectPath, target)));
+    if (resolvedTargets.includes(null)) {
+      return res.status(400).json({ success: false, error: 'Invalid test target.' });
+    }
+
+    if (processManager.list({ projectPath, kind: 'test' }).some(testRun => testRun.status !== 'exited')) {
+      return res.status(409).json({ success: false, error: 'Tests are already running for this project.' });
+    }
+
+    const command = await getPythonCommand(projectPath);
+
+    // A private folder, so that no other user of the machine can read or replace the report
+    const reportFolder = await fs.mkdtemp(path.join(os.tmpdir(), 'bocide-junit-'));
+    const reportPath = path.join(reportFolder, 'report.xml');
+
+    const testRun = processManager.start({
+      kind: 'test',
+      projectPath,
+      label: `pytest ${resolvedTargets.join(' ')}`.trim(),
+      command,
+      args: [
+        '-m', 'pytest',
+        `--junitxml=${reportPath}`,
+        // xunit1 keeps the file and line attributes of each test case
+        '-o', 'junit_family=xunit1',
+        '--color=no',
+        '--',
+        ...resolvedTargets
+      ],
+      cwd: projectPath,
+      timeLimitMs: TEST_TIME_LIMIT_MS,
+      // src/ is importable by the tests, as it is by the programs run
+      env: getRunEnvironment(projectPath),
+      onFinish: async (finished) => {
+        try {
+          finished.results = parseJUnitReport(await fs.readFile(reportPath, 'utf8'));
+        } catch (err) {
+          // No report: pytest is missing, crashed or was stopped
+          finished.results = null;
+        } finally {
+          await fs.rm(reportFolder, { recursive: true, force: true });
+        }
+
+        if (finished.exitCode === NO_TESTS_COLLECTED && finished.results) {
+          finished.record('stdout', Buffer.from('No tests were collected.\n'));
+        }
+      }
+    });
+
+    audit(req, 'tests.run', { path: toWorkspaceRelative(req, projectPath), command: testRun.label });
+    res.status(202).json({ success: true, run: testRun.summary() });
+  } catch (err) {
+    if (sendPathError(res, err)) return;
+
+    if (err.code === 'ENOENT') {
+      return res.status(404).json({ success: false, error: 'Project not found.' });
+    }
+
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Status of a test run, with its structured results once it finished
+router.get('/:id', (req, res) => {
+  const testRun = findTestRun(req, res);
+  if (!testRun) return;
+
+  res.json({ success: true, run: testRun.summary(), results: testRun.results || null });
+});
+
+// Stream the pytest output of a test run
+router.get('/:id/events', (req, res) => {
+  const testRun = findTestRun(req, res);
+  if (!testRun) return;
+
+  streamProcessEvents(req, res, testRun);
+});
+
+// Stop a test run
+router.post('/:id/stop', allowViewers, (req, res) => {
+  const testRun = findTestRun(req, res);
+  if (!testRun) return;
+
+  testRun.stop('stopped');
+  res.json({ success: true, run: testRun.summary() });
+});
+
+module.exports = router;
@@ -0,0 +1,76 @@
+// Server/routes/trash_endpoints.js
+const express = require('express');
+const { getTrashPath, getWorkspacePath, sendPathError } = require('../utils/workspace_paths');
+const trash = require('../services/trash');
+const { requireOwnWorkspace } = require('../utils/auth');
+const { audit } = require('../services/audit_log');
+const { QuotaError, checkQuota, forgetUsage } = require('../services/quotas');
+
+const router = express.Router();
+
+// The trash of a workspace is its owner's only
+router.use(requireOwnWorkspace);
+
+// Utility function answering the errors shared by every trash route
+const sendTrashError = (res, err) => {
+  if (sendPathError(res, err)) return;
+
+  if (err instanceof trash.TrashError || err instanceof QuotaError) {
+    return res.status(err.status).json({ success: false, error: err.message, code: err.code });
+  }
+
+  res.status(500).json({ success: false, error: err.message });
+};
+
+// Items of the trash, most recently deleted first
+router.get('/', async (req, res) => {
+  try {
+    const items = await trash.listTrash(getTrashPath(req));
+    res.json({ success: true, items, retentionDays: trash.TRASH_RETENTION_DAYS });
+  } catch (err) {
+    sendTrashError(res, err);
+  }
+});
+
+// Put an item back where it was. `conflict=rename` restores it under a free name
+// when its original location was taken in the meantime. The item counts in the
+// quota of the workspace again.
+router.post('/:id/restore', async (req, res) => {
+  try {
+    await checkQuota(req.workspace, await trash.getItemSize(getTrashPath(req), req.params.id));
+
+    const { item, path } = await trash.restoreFromTrash(getTrashPath(req), getWorkspacePath(req), req.params.id, {
+      rename: req.body.conflict === 'rename'
+    });
+    forgetUsage(req.workspace);
+    audit(req, 'trash.restore', { path, item: item.id });
+
+    res.json({ success: true, message: `'${path}' restored.`, item, path });
+  } catch (err) {
+    sendTrashError(res, err);
+  }
+});
+
+// Delete an item for good
+router.delete('/:id', async (req, res) => {
+  try {
+    const item = await trash.purgeItem(getTrashPath(req), req.params.id);
+    audit(req, 'trash.purge', { path: item.originalPath, item: item.id });
+    res.json({ success: true, message: `'${item.originalPath}' deleted permanently.`, item });
+  } catch (err) {
+    sendTrashError(res, err);
+  }
+});
+
+// Delete every item for good
+router.delete('/', async (req, res) => {
+  try {
+    const purged = await trash.emptyTrash(getTrashPath(req));
+    audit(req, 'trash.empty', { purged });
+    res.json({ success: true, message: 'Trash emptied.', purged });
+  } catch (err) {
+    sendTrashError(res, err);
+  }
+});
+
+module.exports = router;
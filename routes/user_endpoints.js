@@ -0,0 +1,92 @@
+// Server/routes/user_endpoints.js
+// Management of the accounts, for admins only (see server.js)
+const express = require('express');
+const fs = require('fs').promises;
+const users = require('../services/users');
+const { deleteUserSessions } = require('../services/sessions');
+const { removeUserShares } = require('../services/shares');
+const { deleteUserSettings } = require('../services/editor_settings');
+const { getUserWorkspace } = require('../utils/auth');
+const { audit } = require('../services/audit_log');
+
+const router = express.Router();
+
+// Utility function answering the errors shared by every user route
+const sendUserError = (res, err) => {
+  if (err instanceof users.UserError) {
+    return res.status(err.status).json({ success: false, error: err.message, code: err.code });
+  }
+
+  res.status(500).json({ success: false, error: err.message });
+};
+
+router.get('/', async (req, res) => {
+  try {
+    res.json({ success: true, users: await users.listUsers(req.app.locals.authPath), roles: users.ROLES });
+  } catch (err) {
+    sendUserError(res, err);
+  }
+});
+
+router.post('/', async (req, res) => {
+  const { username, password, role } = req.body;
+
+  try {
+    const user = await users.createUser(req.app.locals.authPath, { username, password, role });
+    await getUserWorkspace(req.app, user.username);
+    audit(req, 'user.create', { username: user.username, role: user.role });
+
+    res.status(201).json({ success: true, message: `User '${user.username}' created.`, user });
+  } catch (err) {
+    sendUserError(res, err);
+  }
+});
+
+// Change the role and/or the password of a user. A new password logs them out everywhere.
+router.put('/:username', async (req, res) => {
+  const { role, password } = req.body;
+  const { authPath } = req.app.locals;
+
+  try {
+    const user = await users.updateUser(authPath, req.params.username, { role, password });
+
+    if (password !== undefined) {
+      await deleteUserSessions(authPath, user.username, user.username === req.user.username ? req.sessionToken : undefined);
+    }
+    audit(req, 'user.update', { username: user.username, role, passwordChanged: password !== undefined });
+
+    res.json({ success: true, message: `User '${user.username}' updated.`, user });
+  } catch (err) {
+    sendUserError(res, err);
+  }
+});
+
+// Delete an account. Its projects are kept on disk unless `deleteFiles=true`:
+// an account created later under the same name gets them back.
+router.delete('/:username', async (req, res) => {
+  const { authPath } = req.app.locals;
+
+  if (req.params.username === req.user.username) {
+    return res.status(409).json({ success: false, error: 'You cannot delete your own account.', code: 'DELETE_SELF' });
+  }
+
+  try {
+    const user = await users.deleteUser(authPath, req.params.username);
+    await deleteUserSessions(authPath, user.username);
+    await removeUserShares(authPath, user.username);
+    await deleteUserSettings(authPath, user.username);
+
+    if (req.query.deleteFiles === 'true') {
+      const workspace = await getUserWorkspace(req.app, user.username);
+      await Promise.all([workspace.path, workspace.trashPath, workspace.historyPath]
+        .map(folder => fs.rm(folder, { recursive: true, force: true })));
+    }
+    audit(req, 'user.delete', { username: user.username, deleteFiles: req.query.deleteFiles === 'true' });
+
+    res.json({ success: true, message: `User '${user.username}' deleted.`, user });
+  } catch (err) {
+    sendUserError(res, err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,598 @@
+// Server/routes/v1_endpoints.js
+// Version 1 of the API: projects, templates, the folders and files of projects, and
+// the settings of the editor.
+// Paths of files are relative to their project. Requests are checked against the
+// schemas of the routes, and errors carry a code (utils/api_errors.js). The OpenAPI
+// document is served at /api/v1/openapi.json, see server.js.
+const path = require('path');
+const {
+  normalizeRelativePath,
+  resolveProjectPath,
+  resolveWorkspaceChild,
+  resolveWorkspacePath,
+  toWorkspaceRelative
+} = require('../utils/workspace_paths');
+const { checkName } = require('../utils/folder_names');
+const { listTemplates } = require('../utils/project_templates');
+const { isNotebookPath, serializeNotebook, createEmptyNotebook } = require('../utils/notebooks');
+const { ApiError } = require('../utils/api_errors');
+const { ApiRouter } = require('../utils/api_router');
+const {
+  FileError,
+  listFolder,
+  createFolder,
+  createFile,
+  readFile,
+  writeFile,
+  moveFile,
+  copyFile,
+  deleteEntry
+} = require('../services/workspace_files');
+const {
+  describeProject,
+  listProjects,
+  createProject,
+  renameProject,
+  duplicateProject,
+  markProjectOpened,
+  deleteProject
+} = require('../services/projects');
+const { MANIFEST_FOLDER, MAX_DESCRIPTION_LENGTH, updateManifest } = require('../services/project_manifest');
+const {
+  SETTING_DEFAULTS,
+  USER_SETTINGS_SCHEMA,
+  PROJECT_SETTINGS_SCHEMA,
+  readUserSettings,
+  writeUserSettings,
+  readProjectSettings,
+  writeProjectSettings
+} = require('../services/editor_settings');
+const { audit } = require('../services/audit_log');
+const { checkQuota } = require('../services/quotas');
+
+const api = new ApiRouter();
+
+// ----- Schemas -----
+
+const PROJECT_NAME = { type: 'string', minLength: 1, description: 'Name of the project' };
+const NEW_PROJECT_NAME = { type: 'string', minLength: 1, description: 'Kept as sent: no case change' };
+const DESCRIPTION = { type: 'string', maxLength: MAX_DESCRIPTION_LENGTH };
+const PATH = { type: 'string', minLength: 1, description: 'Path in the project, with forward slashes' };
+const FOLDER_PATH = { type: 'string', description: 'Path of a folder in the project, with forward slashes; empty for the project itself' };
+
+const Entry = api.schema('Entry', {
+  type: 'object',
+  required: ['name', 'path', 'type', 'size', 'modified'],
+  properties: {
+    name: { type: 'string' },
+    path: { type: 'string', description: 'Path in the project' },
+    type: { type: 'string', enum: ['file', 'folder'] },
+    size: { type: 'integer' },
+    modified: { type: 'string', format: 'date-time', description: 'Sent back when saving, to detect conflicts' }
+  }
+});
+
+const File = api.schema('File', {
+  type: 'object',
+  required: ['path', 'content', 'size', 'modified'],
+  properties: {
+    path: { type: 'string' },
+    content: { type: 'string' },
+    size: { type: 'integer' },
+    modified: { type: 'string', format: 'date-time' }
+  }
+});
+
+const Project = api.schema('Project', {
+  type: 'object',
+  required: ['name', 'modified', 'template', 'description', 'created', 'lastOpened', 'size', 'files', 'truncated', 'branch'],
+  properties: {
+    name: { type: 'string' },
+    modified: { type: 'string', format: 'date-time', description: 'Of the project folder itself' },
+    template: { type: ['string', 'null'], description: 'Template the project was created from' },
+    description: { type: 'string' },
+    created: { type: 'string', format: 'date-time' },
+    lastOpened: { type: ['string', 'null'], format: 'date-time', description: 'Last time its owner opened it' },
+    size: { type: 'integer', description: 'Bytes of its files, without .git, .venv and caches, measured in the last 10 minutes' },
+    files: { type: 'integer' },
+    truncated: { type: 'boolean', description: 'Too many files to count them all: size and files are lower bounds' },
+    branch: { type: ['string', 'null'], description: 'Git branch checked out, null when not a repository or detached' },
+    role: { type: 'string', enum: ['viewer', 'editor'], description: 'In a workspace shared with you' }
+  }
+});
+
+const Template = api.schema('Template', {
+  type: 'object',
+  required: ['name', 'label'],
+  properties: {
+    name: { type: 'string' },
+    label: { type: 'string' },
+    description: { type: 'string' },
+    variables: {
+      type: 'object',
+      description: 'Variables of the template by name, sent back as `variables` when creating a project',
+      additionalProperties: {
+        type: 'object',
+        required: ['label', 'type'],
+        properties: {
+          label: { type: 'string' },
+          type: { type: 'string', enum: ['string', 'boolean', 'choice'] },
+          default: { description: 'A boolean for `boolean` variables, a string otherwise' },
+          options: { type: 'array', items: { type: 'string' }, description: 'Values of a `choice` variable' }
+        }
+      }
+    }
+  }
+});
+
+const UserSettings = api.schema('UserSettings', {
+  ...USER_SETTINGS_SCHEMA,
+  description: 'Settings differing from the defaults, by key'
+});
+
+const ProjectSettings = api.schema('ProjectSettings', {
+  ...PROJECT_SETTINGS_SCHEMA,
+  description: 'Settings of the project, overriding those of the user'
+});
+
+const TrashItem = api.schema('TrashItem', {
+  type: 'object',
+  required: ['id', 'name', 'kind', 'originalPath', 'deletedAt'],
+  properties: {
+    id: { type: 'string', description: 'Restores the item with POST /api/trash/{id}/restore' },
+    name: { type: 'string' },
+    kind: { type: 'string', enum: ['file', 'folder'] },
+    originalPath: { type: 'string' },
+    deletedAt: { type: 'string', format: 'date-time' },
+    size: { type: 'integer', description: 'Bytes of the item, counted in the budget of the trash' }
+  }
+});
+
+// ----- Paths -----
+
+// Utility function to resolve a project that must exist
+const resolveProject = async (req, project) => {
+  try {
+    return await resolveProjectPath(req, project);
+  } catch (err) {
+    if (err.code === 'ENOENT') throw new FileError(`Project '${project}' not found.`, 404, 'NOT_FOUND');
+    throw err;
+  }
+};
+
+// Utility function to resolve a path of a project, relative to the project
+const resolveInProject = async (req, project, relativePath) => {
+  const projectPath = await resolveProject(req, project);
+  const normalized = normalizeRelativePath(relativePath);
+
+  return {
+    absolutePath: normalized ? await resolveWorkspacePath(req, `${project}/${normalized}`) : projectPath,
+    relativePath: normalized
+  };
+};
+
+// Utility function to check a name sent by the client, kept as sent
+const checkNewName = (name) => {
+  const error = checkName(name);
+  if (error) throw new ApiError(error, 'INVALID_NAME');
+};
+
+// Utility function to check the name of a new project: a project cannot take the name
+// of the manifest folders
+const checkNewProjectName = (name) => {
+  checkNewName(name);
+  if (name.toLowerCase() === MANIFEST_FOLDER) throw new ApiError(`'${name}' is a reserved name.`, 'INVALID_NAME');
+};
+
+const toEntry = (relativePath, entry) => ({ ...entry, path: relativePath });
+
+// ----- Projects -----
+
+api.route({
+  method: 'get',
+  path: '/projects',
+  id: 'listProjects',
+  tag: 'Projects',
+  summary: 'List the projects of the workspace',
+  response: { projects: { type: 'array', items: Project } }
+}, async req => ({ projects: await listProjects(req.workspace) }));
+
+api.route({
+  method: 'post',
+  path: '/projects',
+  id: 'createProject',
+  tag: 'Projects',
+  summary: 'Create a project, optionally from a template',
+  body: {
+    type: 'object',
+    required: ['name'],
+    additionalProperties: false,
+    properties: {
+      name: NEW_PROJECT_NAME,
+      template: { type: 'string', description: 'Name of a template of GET /templates' },
+      variables: { type: 'object', description: 'Values of the variables of the template' },
+      description: DESCRIPTION
+    }
+  },
+  status: 201,
+  response: {
+    project: Project,
+    created: { type: 'array', items: { type: 'string' }, description: 'Files and folders of the template' }
+  },
+  errors: ['INVALID_NAME', 'FORBIDDEN', 'CONFLICT', 'BAD_REQUEST', 'QUOTA_EXCEEDED']
+}, async (req, { body }) => {
+  checkNewProjectName(body.name);
+
+  const projectPath = await resolveWorkspaceChild(req, '', body.name);
+  const created = await createProject(req.workspace, projectPath, {
+    template: body.template,
+    variables: body.variables,
+    description: body.description
+  });
+  audit(req, 'project.create', { path: body.name, template: body.template });
+
+  return { project: await describeProject(req.workspace, projectPath), created };
+});
+
+api.route({
+  method: 'patch',
+  path: '/projects/:project',
+  id: 'updateProject',
+  tag: 'Projects',
+  summary: 'Rename a project or change its description. Only its owner can rename it.',
+  params: { project: PROJECT_NAME },
+  body: {
+    type: 'object',
+    additionalProperties: false,
+    properties: { name: NEW_PROJECT_NAME, description: DESCRIPTION }
+  },
+  response: { project: Project },
+  errors: ['NOT_FOUND', 'CONFLICT', 'INVALID_NAME', 'FORBIDDEN', 'QUOTA_EXCEEDED']
+}, async (req, { params, body }) => {
+  let projectPath = await resolveProject(req, params.project);
+
+  if (body.name !== undefined) {
+    checkNewProjectName(body.name);
+    const newPath = await resolveWorkspaceChild(req, '', body.name);
+
+    await renameProject(req.app.locals.authPath, req.workspace, projectPath, newPath);
+    audit(req, 'project.rename', { path: toWorkspaceRelative(req, projectPath), to: body.name });
+    projectPath = newPath;
+  }
+
+  if (body.description !== undefined) {
+    await checkQuota(req.workspace, Buffer.byteLength(body.description));
+    await updateManifest(projectPath, { description: body.description });
+  }
+
+  return { project: await describeProject(req.workspace, projectPath) };
+});
+
+api.route({
+  method: 'post',
+  path: '/projects/:project/duplicate',
+  id: 'duplicateProject',
+  tag: 'Projects',
+  summary: 'Copy a project under a new name, without its virtual environment and caches',
+  params: { project: PROJECT_NAME },
+  body: {
+    type: 'object',
+    required: ['name'],
+    additionalProperties: false,
+    properties: { name: NEW_PROJECT_NAME }
+  },
+  status: 201,
+  response: { project: Project },
+  errors: ['NOT_FOUND', 'CONFLICT', 'INVALID_NAME', 'FORBIDDEN', 'QUOTA_EXCEEDED']
+}, async (req, { params, body }) => {
+  checkNewProjectName(body.name);
+
+  const projectPath = await resolveProject(req, params.project);
+  const newPath = await resolveWorkspaceChild(req, '', body.name);
+  await duplicateProject(req.workspace, projectPath, newPath);
+  audit(req, 'project.duplicate', { path: toWorkspaceRelative(req, projectPath), to: body.name });
+
+  return { project: await describeProject(req.workspace, newPath) };
+});
+
+api.route({
+  method: 'post',
+  path: '/projects/:project/opened',
+  id: 'markProjectOpened',
+  tag: 'Projects',
+  summary: 'Record that the project was opened, for the recent projects. Only its owner\'s openings count.',
+  params: { project: PROJECT_NAME },
+  response: { lastOpened: { type: ['string', 'null'], format: 'date-time' } },
+  errors: ['NOT_FOUND', 'FORBIDDEN']
+}, async (req, { params }) => {
+  const projectPath = await resolveProject(req, params.project);
+  if (req.workspace.shared) return { lastOpened: null };
+
+  return { lastOpened: (await markProjectOpened(projectPath)).lastOpened };
+});
+
+api.route({
+  method: 'delete',
+  path: '/projects/:project',
+  id: 'deleteProject',
+  tag: 'Projects',
+  summary: 'Move a project to the trash. It is not shared anymore.',
+  params: { project: PROJECT_NAME },
+  response: { trash: TrashItem },
+  errors: ['NOT_FOUND', 'FORBIDDEN', 'QUOTA_EXCEEDED']
+}, async (req, { params }) => {
+  const projectPath = await resolveProject(req, params.project);
+  const trash = await deleteProject(req.app.locals.authPath, req.workspace, projectPath);
+  audit(req, 'project.delete', { path: toWorkspaceRelative(req, projectPath) });
+
+  return { trash };
+});
+
+api.route({
+  method: 'get',
+  path: '/templates',
+  id: 'listTemplates',
+  tag: 'Projects',
+  summary: 'List the templates projects are created from',
+  response: { templates: { type: 'array', items: Template } }
+}, async () => ({ templates: await listTemplates() }));
+
+// ----- Folders -----
+
+api.route({
+  method: 'get',
+  path: '/projects/:project/folders/:path(*)',
+  id: 'listFolder',
+  tag: 'Files',
+  summary: 'List the files and folders of a folder',
+  params: { project: PROJECT_NAME, path: FOLDER_PATH },
+  response: { entries: { type: 'array', items: Entry } },
+  errors: ['NOT_FOUND', 'NOT_A_FOLDER', 'INVALID_PATH', 'FORBIDDEN']
+}, async (req, { params }) => {
+  const { absolutePath, relativePath } = await resolveInProject(req, params.project, params.path);
+  const entries = await listFolder(absolutePath, { project: relativePath === '' });
+
+  return { entries: entries.map(entry => toEntry(path.posix.join(relativePath, entry.name), entry)) };
+});
+
+api.route({
+  method: 'post',
+  path: '/projects/:project/folders',
+  id: 'createFolder',
+  tag: 'Files',
+  summary: 'Create a folder, in an existing one',
+  params: { project: PROJECT_NAME },
+  body: {
+    type: 'object',
+    required: ['path'],
+    additionalProperties: false,
+    properties: { path: PATH }
+  },
+  status: 201,
+  response: { entry: Entry },
+  errors: ['NOT_FOUND', 'CONFLICT', 'INVALID_NAME', 'INVALID_PATH', 'FORBIDDEN', 'QUOTA_EXCEEDED']
+}, async (req, { params, body }) => {
+  checkNewName(path.posix.basename(body.path));
+  const { absolutePath, relativePath } = await resolveInProject(req, params.project, body.path);
+  const folder = await createFolder(req.workspace, absolutePath);
+  audit(req, 'folder.create', { path: toWorkspaceRelative(req, absolutePath) });
+
+  return { entry: toEntry(relativePath, folder) };
+});
+
+api.route({
+  method: 'delete',
+  path: '/projects/:project/folders/:path(*)',
+  id: 'deleteFolder',
+  tag: 'Files',
+  summary: 'Move a folder to the trash',
+  params: { project: PROJECT_NAME, path: PATH },
+  response: { trash: TrashItem },
+  errors: ['NOT_FOUND', 'NOT_A_FOLDER', 'INVALID_PATH', 'FORBIDDEN', 'QUOTA_EXCEEDED']
+}, async (req, { params }) => {
+  const { absolutePath } = await resolveInProject(req, params.project, params.path);
+  const trash = await deleteEntry(req.workspace, absolutePath, 'folder');
+  audit(req, 'folder.delete', { path: toWorkspaceRelative(req, absolutePath) });
+
+  return { trash };
+});
+
+// ----- Files -----
+
+api.route({
+  method: 'get',
+  path: '/projects/:project/files/:path(*)',
+  id: 'readFile',
+  tag: 'Files',
+  summary: 'Read a file',
+  params: { project: PROJECT_NAME, path: PATH },
+  response: { file: File },
+  errors: ['NOT_FOUND', 'NOT_A_FILE', 'INVALID_PATH', 'FORBIDDEN']
+}, async (req, { params }) => {
+  const { absolutePath, relativePath } = await resolveInProject(req, params.project, params.path);
+  return { file: { path: relativePath, ...await readFile(absolutePath) } };
+});
+
+api.route({
+  method: 'post',
+  path: '/projects/:project/files',
+  id: 'createFile',
+  tag: 'Files',
+  summary: 'Create a file, empty, with a content, or as a copy of another file',
+  params: { project: PROJECT_NAME },
+  body: {
+    type: 'object',
+    required: ['path'],
+    additionalProperties: false,
+    properties: {
+      path: PATH,
+      content: { type: 'string', description: 'Content of the new file. New notebooks (.ipynb) get one empty cell.' },
+      copyFrom: { ...PATH, description: 'Path of a file of the project to copy' }
+    }
+  },
+  status: 201,
+  response: { entry: Entry },
+  errors: ['NOT_FOUND', 'CONFLICT', 'INVALID_NAME', 'INVALID_PATH', 'FORBIDDEN', 'QUOTA_EXCEEDED']
+}, async (req, { params, body }) => {
+  if (body.content !== undefined && body.copyFrom !== undefined) {
+    throw new ApiError('Send either content or copyFrom.', 'VALIDATION_FAILED');
+  }
+
+  checkNewName(path.posix.basename(body.path));
+  const { absolutePath, relativePath } = await resolveInProject(req, params.project, body.path);
+
+  if (body.copyFrom !== undefined) {
+    const source = await resolveInProject(req, params.project, body.copyFrom);
+    const copy = await copyFile(req.workspace, source.absolutePath, absolutePath);
+    audit(req, 'file.copy', { path: toWorkspaceRelative(req, source.absolutePath), to: toWorkspaceRelative(req, absolutePath) });
+
+    return { entry: toEntry(relativePath, copy) };
+  }
+
+  // An empty file is not a notebook Jupyter can open
+  const content = body.content === undefined && isNotebookPath(relativePath) ? serializeNotebook(createEmptyNotebook()) : body.content;
+  const file = await createFile(req.workspace, absolutePath, content);
+  audit(req, 'file.create', { path: toWorkspaceRelative(req, absolutePath) });
+
+  return { entry: toEntry(relativePath, file) };
+});
+
+api.route({
+  method: 'put',
+  path: '/projects/:project/files/:path(*)',
+  id: 'writeFile',
+  tag: 'Files',
+  summary: 'Save an existing file',
+  params: { project: PROJECT_NAME, path: PATH },
+  body: {
+    type: 'object',
+    required: ['content'],
+    additionalProperties: false,
+    properties: {
+      content: { type: 'string' },
+      expectedModified: {
+        type: 'string',
+        description: 'The `modified` date the file had when read: the save fails with CONFLICT if it changed since'
+      }
+    }
+  },
+  response: { entry: Entry },
+  errors: ['NOT_FOUND', 'NOT_A_FILE', 'CONFLICT', 'INVALID_PATH', 'FORBIDDEN', 'QUOTA_EXCEEDED']
+}, async (req, { params, body }) => {
+  const { absolutePath, relativePath } = await resolveInProject(req, params.project, params.path);
+  const saved = await writeFile(req.workspace, absolutePath, body.content, { expectedModified: body.expectedModified });
+
+  return { entry: toEntry(relativePath, { name: path.posix.basename(relativePath), type: 'file', ...saved }) };
+});
+
+api.route({
+  method: 'patch',
+  path: '/projects/:project/files/:path(*)',
+  id: 'moveFile',
+  tag: 'Files',
+  summary: 'Rename or move a file, into an existing folder of the project',
+  params: { project: PROJECT_NAME, path: PATH },
+  body: {
+    type: 'object',
+    required: ['path'],
+    additionalProperties: false,
+    properties: { path: { ...PATH, description: 'New path of the file in the project' } }
+  },
+  response: { entry: Entry },
+  errors: ['NOT_FOUND', 'NOT_A_FILE', 'CONFLICT', 'INVALID_NAME', 'INVALID_PATH', 'FORBIDDEN']
+}, async (req, { params, body }) => {
+  checkNewName(path.posix.basename(body.path));
+  const source = await resolveInProject(req, params.project, params.path);
+  const target = await resolveInProject(req, params.project, body.path);
+  const moved = await moveFile(req.workspace, source.absolutePath, target.absolutePath);
+  audit(req, 'file.move', { path: toWorkspaceRelative(req, source.absolutePath), to: toWorkspaceRelative(req, target.absolutePath) });
+
+  return { entry: toEntry(target.relativePath, moved) };
+});
+
+api.route({
+  method: 'delete',
+  path: '/projects/:project/files/:path(*)',
+  id: 'deleteFile',
+  tag: 'Files',
+  summary: 'Move a file to the trash',
+  params: { project: PROJECT_NAME, path: PATH },
+  response: { trash: TrashItem },
+  errors: ['NOT_FOUND', 'NOT_A_FILE', 'INVALID_PATH', 'FORBIDDEN', 'QUOTA_EXCEEDED']
+}, async (req, { params }) => {
+  const { absolutePath } = await resolveInProject(req, params.project, params.path);
+  const trash = await deleteEntry(req.workspace, absolutePath, 'file');
+  audit(req, 'file.delete', { path: toWorkspaceRelative(req, absolutePath) });
+
+  return { trash };
+});
+
+// ----- Settings -----
+
+api.route({
+  method: 'get',
+  path: '/settings',
+  id: 'getSettings',
+  tag: 'Settings',
+  summary: 'Settings of the signed-in user, with the defaults of every setting',
+  response: {
+    settings: UserSettings,
+    defaults: { type: 'object', description: 'Value of every setting the user did not set' }
+  }
+}, async req => ({
+  settings: await readUserSettings(req.app.locals.authPath, req.user.username),
+  defaults: SETTING_DEFAULTS
+}));
+
+api.route({
+  method: 'put',
+  path: '/settings',
+  id: 'saveSettings',
+  tag: 'Settings',
+  summary: 'Replace the settings of the signed-in user. Settings left out get their default.',
+  body: USER_SETTINGS_SCHEMA,
+  response: { settings: UserSettings }
+}, async (req, { body }) => ({
+  settings: await writeUserSettings(req.app.locals.authPath, req.user.username, body)
+}));
+
+api.route({
+  method: 'get',
+  path: '/projects/:project/settings',
+  id: 'getProjectSettings',
+  tag: 'Settings',
+  summary: 'Settings of a project, shared by everyone working on it',
+  params: { project: PROJECT_NAME },
+  response: { settings: ProjectSettings },
+  errors: ['NOT_FOUND', 'FORBIDDEN']
+}, async (req, { params }) => ({
+  settings: await readProjectSettings(await resolveProject(req, params.project))
+}));
+
+api.route({
+  method: 'put',
+  path: '/projects/:project/settings',
+  id: 'saveProjectSettings',
+  tag: 'Settings',
+  summary: 'Replace the settings of a project. They are kept in .bocide/settings.json, for its repository.',
+  params: { project: PROJECT_NAME },
+  body: PROJECT_SETTINGS_SCHEMA,
+  response: { settings: ProjectSettings },
+  errors: ['NOT_FOUND', 'FORBIDDEN', 'QUOTA_EXCEEDED']
+}, async (req, { params, body }) => {
+  const projectPath = await resolveProject(req, params.project);
+  await checkQuota(req.workspace, Buffer.byteLength(JSON.stringify(body)));
+  const settings = await writeProjectSettings(projectPath, body);
+  audit(req, 'settings.update', { path: toWorkspaceRelative(req, projectPath), settings });
+
+  return { settings };
+});
+
+const openApiDocument = api.openApi({
+  title: 'BocIDE API',
+  version: '1.0.0',
+  description: 'Projects and files of the workspace of the signed-in user, and their settings. Every response has `success`; '
+    + 'errors also have `error` and a `code`.'
+}, '/api/v1');
+
+module.exports = { router: api.router, openApiDocument };
@@ -0,0 +1,255 @@
+// Server/routes/venv_endpoints.js
+const express = require('express');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { canAccessProject, getWorkspacePath, resolveProjectPath, toWorkspaceRelative, sendPathError } = require('../utils/workspace_paths');
+const { streamProcessEvents } = require('../utils/sse');
+const { processManager } = require('../services/process_manager');
+const { audit } = require('../services/audit_log');
+const { requireQuota } = require('../services/quotas');
+const {
+  VENV_FOLDER,
+  REQUIREMENTS_FILE,
+  getSystemPython,
+  getVenvPython,
+  hasVenv,
+  getPackageSourceArgs,
+  parseRequirement,
+  readRequirements,
+  addRequirement,
+  removeRequirement
+} = require('../services/python_env');
+const { config } = require('../utils/config');
+
+const execFileAsync = promisify(execFile);
+const router = express.Router();
+
+// Creating a venv or installing packages can take a while
+const INSTALL_TIME_LIMIT_MS = config.run.installTimeLimitMs;
+const PIP_ARGS = ['-m', 'pip', '--disable-pip-version-check', '--no-input'];
+
+// Utility function answering the errors shared by every environment route
+const sendEnvError = (res, err) => {
+  if (sendPathError(res, err)) return;
+
+  if (err.code === 'ENOENT') {
+    return res.status(404).json({ success: false, error: 'Project not found.' });
+  }
+
+  res.status(500).json({ success: false, error: err.message });
+};
+
+// Utility function to start an install job, one at a time per project. `action` names
+// it in the audit log.
+const startJob = (req, res, projectPath, action, options) => {
+  if (processManager.list({ projectPath, kind: 'install' }).some(job => job.status !== 'exited')) {
+    res.status(409).json({ success: false, error: 'Another environment operation is running for this project.' });
+    return;
+  }
+
+  const job = processManager.start({
+    kind: 'install',
+    projectPath,
+    cwd: projectPath,
+    timeLimitMs: INSTALL_TIME_LIMIT_MS,
+    env: { PYTHONUNBUFFERED: '1', PYTHONIOENCODING: 'utf-8' },
+    ...options
+  });
+
+  audit(req, action, { path: toWorkspaceRelative(req, projectPath), command: options.label });
+  res.status(202).json({ success: true, job: job.summary() });
+};
+
+// Utility function to check the venv exists before using pip
+const requireVenv = async (res, projectPath) => {
+  if (await hasVenv(projectPath)) return true;
+
+  res.status(409).json({ success: false, error: 'This project has no virtual environment yet.' });
+  return false;
+};
+
+// Utility function to find an install job by id and answer 404 when it is unknown
+const findJob = (req, res) => {
+  const job = processManager.get(req.params.id, { workspacePath: getWorkspacePath(req), kind: 'install' });
+
+  if (!job || !canAccessProject(req, job.project)) {
+    res.status(404).json({ success: false, error: 'Job not found.' });
+    return null;
+  }
+
+  return job;
+};
+
+// Environment of a project: venv, interpreter and requirements
+router.get('/status', async (req, res) => {
+  try {
+    const projectPath = await resolveProjectPath(req, req.query.project);
+    const exists = await hasVenv(projectPath);
+    const python = exists ? getVenvPython(projectPath) : getSystemPython();
+    let version = null;
+
+    try {
+      const { stdout, stderr } = await execFileAsync(python, ['--version'], { timeout: 10000 });
+      version = (stdout || stderr).trim();
+    } catch (err) {
+      // Reported as a missing interpreter
+    }
+
+    res.json({
+      success: true,
+      venv: exists ? VENV_FOLDER : null,
+      python: exists ? path.relative(projectPath, python) : python,
+      version,
+      requirements: await readRequirements(projectPath)
+    });
+  } catch (err) {
+    sendEnvError(res, err);
+  }
+});
+
+// Create the virtual environment of a project
+router.post('/create', requireQuota, async (req, res) => {
+  try {
+    const projectPath = await resolveProjectPath(req, req.body.project);
+
+    if (await hasVenv(projectPath)) {
+      return res.status(409).json({ success: false, error: 'This project already has a virtual environment.' });
+    }
+
+    startJob(req, res, projectPath, 'venv.create', {
+      label: `python -m venv ${VENV_FOLDER}`,
+      command: getSystemPython(),
+      args: ['-m', 'venv', VENV_FOLDER]
+    });
+  } catch (err) {
+    sendEnvError(res, err);
+  }
+});
+
+// Install everything listed in requirements.txt into the venv
+router.post('/install', requireQuota, async (req, res) => {
+  try {
+    const projectPath = await resolveProjectPath(req, req.body.project);
+    if (!await requireVenv(res, projectPath)) return;
+
+    startJob(req, res, projectPath, 'packages.install', {
+      label: `pip install -r ${REQUIREMENTS_FILE}`,
+      command: getVenvPython(projectPath),
+      args: [...PIP_ARGS, 'install', '-r', REQUIREMENTS_FILE, ...getPackageSourceArgs()]
+    });
+  } catch (err) {
+    sendEnvError(res, err);
+  }
+});
+
+// Packages installed in the venv
+router.get('/packages', async (req, res) => {
+  try {
+    const projectPath = await resolveProjectPath(req, req.query.project);
+    if (!await requireVenv(res, projectPath)) return;
+
+    const { stdout } = await execFileAsync(getVenvPython(projectPath), [...PIP_ARGS, 'list', '--format=json'], {
+      cwd: projectPath,
+      timeout: 30000,
+      maxBuffer: 10 * 1024 * 1024
+    });
+
+    res.json({ success: true, packages: JSON.parse(stdout) });
+  } catch (err) {
+    sendEnvError(res, err);
+  }
+});
+
+// Requirements listed in requirements.txt
+router.get('/requirements', async (req, res) => {
+  try {
+    const projectPath = await resolveProjectPath(req, req.query.project);
+    res.json({ success: true, requirements: await readRequirements(projectPath) });
+  } catch (err) {
+    sendEnvError(res, err);
+  }
+});
+
+// Install a package and add it to requirements.txt once the install succeeded
+router.post('/requirements', requireQuota, async (req, res) => {
+  const requirement = parseRequirement(req.body.requirement);
+
+  if (!requirement) {
+    return res.status(400).json({ success: false, error: 'Invalid requirement, expected e.g. requests or numpy>=1.26' });
+  }
+
+  try {
+    const projectPath = await resolveProjectPath(req, req.body.project);
+    if (!await requireVenv(res, projectPath)) return;
+
+    startJob(req, res, projectPath, 'package.install', {
+      label: `pip install ${requirement.spec}`,
+      command: getVenvPython(projectPath),
+      args: [...PIP_ARGS, 'install', requirement.spec, ...getPackageSourceArgs()],
+      onFinish: async (job) => {
+        if (job.exitCode !== 0) return;
+
+        await addRequirement(projectPath, requirement);
+        job.record('stdout', Buffer.from(`Added '${requirement.spec}' to ${REQUIREMENTS_FILE}\n`));
+      }
+    });
+  } catch (err) {
+    sendEnvError(res, err);
+  }
+});
+
+// Uninstall a package and remove it from requirements.txt
+router.delete('/requirements', async (req, res) => {
+  const requirement = parseRequirement(req.body.name);
+
+  if (!requirement || requirement.name !== requirement.spec) {
+    return res.status(400).json({ success: false, error: 'Invalid package name.' });
+  }
+
+  try {
+    const projectPath = await resolveProjectPath(req, req.body.project);
+    if (!await requireVenv(res, projectPath)) return;
+
+    startJob(req, res, projectPath, 'package.uninstall', {
+      label: `pip uninstall ${requirement.name}`,
+      command: getVenvPython(projectPath),
+      args: [...PIP_ARGS, 'uninstall', '--yes', requirement.name],
+      onFinish: async (job) => {
+        if (job.exitCode !== 0) return;
+
+        await removeRequirement(projectPath, requirement.name);
+        job.record('stdout', Buffer.from(`Removed '${requirement.name}' from ${REQUIREMENTS_FILE}\n`));
+      }
+    });
+  } catch (err) {
+    sendEnvError(res, err);
+  }
+});
+
+// Status of an environment job
+router.get('/jobs/:id', (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+
+  res.json({ success: true, job: job.summary() });
+});
+
+// Stream the log of an environment job, like the output of a run
+router.get('/jobs/:id/events', (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+
+  streamProcessEvents(req, res, job);
+});
+
+// Cancel an environment job
+router.post('/jobs/:id/stop', (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+
+  job.stop('stopped');
+  res.json({ success: true, job: job.summary() });
+});
+
+module.exports = router;
@@ -0,0 +1,73 @@
+// Server/routes/watch_endpoints.js
+const express = require('express');
+const path = require('path');
+const { canAccessProject, getWorkspacePath, normalizeRelativePath, sendPathError } = require('../utils/workspace_paths');
+const { openEventStream } = require('../utils/sse');
+const { workspaceWatcher } = require('../services/workspace_watcher');
+
+const router = express.Router();
+
+// Stream the file system changes of the workspace as `fs` events, optionally only
+// those of one project. In a shared workspace, only those of the shared projects. Paths are relative to the workspace, like everywhere else.
+router.get('/events', (req, res) => {
+  let prefix = '';
+
+  try {
+    prefix = normalizeRelativePath(req.query.project);
+  } catch (err) {
+    if (sendPathError(res, err)) return;
+  }
+
+  // The watcher covers the workspaces of every user
+  const workspace = path.relative(workspaceWatcher.root, getWorkspacePath(req)).split(path.sep).join('/');
+  const toWorkspacePath = entryPath => entryPath && entryPath.startsWith(`${workspace}/`)
+    ? entryPath.slice(workspace.length + 1)
+    : null;
+
+  // The event as seen from the workspace, or null when it happened elsewhere
+  const toWorkspaceEvent = (event) => {
+    const entryPath = toWorkspacePath(event.path);
+    const from = event.from ? toWorkspacePath(event.from) : null;
+
+    if (entryPath !== null && from !== null) return { ...event, path: entryPath, from };
+    if (from !== null) return { type: 'delete', kind: event.kind, path: from };
+    if (entryPath === null) return null;
+
+    // Moved in from another workspace
+    const change = { ...event, type: event.type === 'rename' ? 'create' : event.type, path: entryPath };
+    delete change.from;
+    return change;
+  };
+
+  const send = openEventStream(req, res);
+  const inProject = entryPath => (!prefix || entryPath === prefix || entryPath.startsWith(`${prefix}/`))
+    && canAccessProject(req, entryPath.split('/')[0]);
+
+  // A rename between a visible project and another one is seen as a delete or a create,
+  // so that the path of the other one is never sent
+  const toVisibleEvent = (event) => {
+    const visible = inProject(event.path);
+    if (!event.from) return visible ? event : null;
+
+    const fromVisible = inProject(event.from);
+    if (visible && fromVisible) return event;
+    if (fromVisible) return { type: 'delete', kind: event.kind, path: event.from };
+    if (!visible) return null;
+
+    const change = { ...event, type: 'create' };
+    delete change.from;
+    return change;
+  };
+
+  const onChange = (workspaceEvent) => {
+    const workspaceChange = toWorkspaceEvent(workspaceEvent);
+    const event = workspaceChange && toVisibleEvent(workspaceChange);
+
+    if (event) send('fs', event);
+  };
+
+  workspaceWatcher.on('change', onChange);
+  req.on('close', () => workspaceWatcher.off('change', onChange));
+});
+
+module.exports = router;
@@ -4,45 +4,132 @@ const cors = require('cors');
 const path = require('path');
 const fs = require('fs').promises;
 
+// Settings first: most modules read them when loaded, see utils/config.js
+let config;
+try {
+    ({ config } = require('./utils/config'));
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
+
 // Import route modules
 const folderRoutes = require('./routes/file_system_endpoints');
+const projectRoutes = require('./routes/project_management_endpoints');
+const runRoutes = require('./routes/run_endpoints');
+const venvRoutes = require('./routes/venv_endpoints');
+const testRoutes = require('./routes/test_endpoints');
+const gitRoutes = require('./routes/git_endpoints');
+const watchRoutes = require('./routes/watch_endpoints');
+const searchRoutes = require('./routes/search_endpoints');
+const archiveRoutes = require('./routes/archive_endpoints');
+const qualityRoutes = require('./routes/code_quality_endpoints');
+const trashRoutes = require('./routes/trash_endpoints');
+const historyRoutes = require('./routes/history_endpoints');
+const authRoutes = require('./routes/auth_endpoints');
+const userRoutes = require('./routes/user_endpoints');
+const shareRoutes = require('./routes/share_endpoints');
+const { router: terminalRoutes, upgradeTerminal } = require('./routes/terminal_endpoints');
+const { router: notebookRoutes, upgradeKernel } = require('./routes/notebook_endpoints');
+const { router: v1Routes, openApiDocument } = require('./routes/v1_endpoints');
+const { health, router: metricsRoutes } = require('./routes/health_endpoints');
+const auditRoutes = require('./routes/audit_endpoints');
+const { upgradeLanguageServer } = require('./routes/language_server_endpoints');
+const { upgradeCollaboration } = require('./routes/collaboration_endpoints');
+const { upgradeDebugger } = require('./routes/debugger_endpoints');
+const { processManager } = require('./services/process_manager');
+const { workspaceWatcher } = require('./services/workspace_watcher');
+const { stopAllLanguageServers } = require('./services/language_server');
+const { stopAllDebugSessions } = require('./services/debugger');
+const { startRetention } = require('./services/trash');
+const { documents } = require('./services/collaboration');
+const { terminals } = require('./services/terminal');
+const { kernels } = require('./services/notebook_kernels');
+const { authenticate, requireAdmin } = require('./utils/auth');
+const { attachUpgrades } = require('./utils/upgrades');
+const { ApiError, sendApiError } = require('./utils/api_errors');
+const { logger } = require('./utils/logger');
 
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.port;
+
+// Workspace path, with one folder per user
+const WORKSPACE_PATH = config.workspacePath;
+
+// Deleted items, kept out of the Workspace so they never show up as projects
+const TRASH_PATH = config.trashPath;
+
+// Snapshots of every saved file, see services/local_history.js
+const HISTORY_PATH = config.historyPath;
 
-// Workspace path (relative to server directory)
-const WORKSPACE_PATH = path.join(__dirname, 'Workspace');
+// Accounts and sessions, see services/users.js and services/sessions.js
+const AUTH_PATH = config.authPath;
 
-// Middleware
-app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+// Middleware: the API is same-origin only without `corsOrigins`
+if (config.corsOrigins.length > 0) {
+    app.use(cors({ origin: config.corsOrigins, credentials: true }));
+}
+app.use(express.json({ limit: config.bodyLimitBytes }));
 app.use(express.urlencoded({ extended: true }));
 
 // Serve static files from public folder
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Make workspace path available to routes
-app.locals.workspacePath = WORKSPACE_PATH;
+// Terminal emulator of the integrated terminal, see public/js/terminal_panel.js
+app.use('/vendor/xterm', express.static(path.join(__dirname, 'node_modules', '@xterm', 'xterm')));
+app.use('/vendor/xterm-addon-fit', express.static(path.join(__dirname, 'node_modules', '@xterm', 'addon-fit')));
+// Markdown cells and HTML outputs of notebooks, see public/js/notebook_view.js
+app.use('/vendor/marked', express.static(path.join(__dirname, 'node_modules', 'marked')));
+app.use('/vendor/dompurify', express.static(path.join(__dirname, 'node_modules', 'dompurify')));
+
+// Roots of the folders of every user. Routes use the workspace of the request
+// instead, set by utils/auth.js.
+app.locals.workspaceRoot = WORKSPACE_PATH;
+app.locals.trashRoot = TRASH_PATH;
+app.locals.historyRoot = HISTORY_PATH;
+app.locals.authPath = AUTH_PATH;
 
 // Initialize workspace directory
 async function initializeWorkspace() {
     try {
         await fs.access(WORKSPACE_PATH);
-        console.log('✅ Workspace directory exists');
     } catch (error) {
         try {
             await fs.mkdir(WORKSPACE_PATH, { recursive: true });
-            console.log('✅ Workspace directory created');
+            logger.info('Workspace directory created', { path: WORKSPACE_PATH });
         } catch (createError) {
-            console.error('❌ Failed to create Workspace directory:', createError);
+            logger.error('Failed to create the Workspace directory', { path: WORKSPACE_PATH, error: createError });
             process.exit(1);
         }
     }
 }
 
-// API Routes
+// API Routes: only login, logout, the health check and the description of the API
+// are open to anyone
+app.use('/api/auth', authRoutes);
+app.get('/api/health', health);
+app.get('/api/v1/openapi.json', (req, res) => res.json(openApiDocument));
+app.use('/api', authenticate);
+app.use('/api/v1', v1Routes);
+app.use('/api/users', requireAdmin, userRoutes);
+app.use('/api/metrics', requireAdmin, metricsRoutes);
+app.use('/api/audit', requireAdmin, auditRoutes);
+app.use('/api/shares', shareRoutes);
 app.use('/api/folders', folderRoutes);
+app.use('/api/projects', projectRoutes);
+app.use('/api/run', runRoutes);
+app.use('/api/venv', venvRoutes);
+app.use('/api/tests', testRoutes);
+app.use('/api/git', gitRoutes);
+app.use('/api/watch', watchRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/archive', archiveRoutes);
+app.use('/api/quality', qualityRoutes);
+app.use('/api/trash', trashRoutes);
+app.use('/api/history', historyRoutes);
+app.use('/api/terminals', terminalRoutes);
+app.use('/api/notebooks', notebookRoutes);
 
 
 // Default route - serve main frontend
@@ -52,44 +139,53 @@ app.get('/', (req, res) => {
 
 // 404 handler for API routes
 app.use('/api/*', (req, res) => {
-    res.status(404).json({
-        success: false,
-        error: `API endpoint ${req.originalUrl} not found`
-    });
+    sendApiError(res, new ApiError(`API endpoint ${req.originalUrl} not found`, 'NOT_FOUND'));
 });
 
-// Global error handler
+// Global error handler: invalid JSON bodies, and errors routes did not catch
 app.use((error, req, res, next) => {
-    console.error('Server Error:', error);
-    res.status(500).json({
-        success: false,
-        error: 'Internal server error'
-    });
+    sendApiError(res, error);
 });
 
 // Start server
 async function startServer() {
     try {
         await initializeWorkspace();
-        
-        app.listen(PORT, () => {
-            console.log('\n🚀 ===== IDE SERVER STARTED =====');
-            console.log(`📡 Server: http://localhost:${PORT}`);
-            console.log(`🌐 Frontend: http://localhost:${PORT}`);
-            console.log(`🔌 API Base: http://localhost:${PORT}/api`);
-            console.log(`📁 Workspace: ${WORKSPACE_PATH}`);
-            console.log('=====================================\n');
+        await workspaceWatcher.start(WORKSPACE_PATH);
+        documents.followChanges(workspaceWatcher);
+        startRetention(TRASH_PATH);
+
+        const server = app.listen(PORT, () => {
+            logger.info('Server started', { url: `http://localhost:${PORT}`, workspace: WORKSPACE_PATH });
+        });
+
+        // Language servers, debug adapters, collaborative editing, terminals and notebook
+        // kernels talk to the browser over WebSocket
+        attachUpgrades(server, app, {
+            '/api/lsp': upgradeLanguageServer,
+            '/api/debug': upgradeDebugger,
+            '/api/collab': upgradeCollaboration,
+            '/api/terminals/attach': upgradeTerminal,
+            '/api/notebooks/kernels/attach': upgradeKernel
         });
     } catch (error) {
-        console.error('❌ Failed to start server:', error);
+        logger.error('Failed to start the server', { error });
         process.exit(1);
     }
 }
 
 // Handle graceful shutdown
 process.on('SIGINT', () => {
-    console.log('\n🛑 Server shutting down gracefully...');
+    logger.info('Server shutting down');
+    processManager.stopAll();
+    workspaceWatcher.stop();
+    stopAllLanguageServers();
+    stopAllDebugSessions();
+    terminals.killAll();
+    kernels.killAll();
+    // Edits not written yet
+    documents.saveAllSync();
     process.exit(0);
 });
 
-startServer().catch(console.error);
\ No newline at end of file
+startServer().catch(error => logger.error('Failed to start the server', { error }));
\ No newline at end of file
@@ -0,0 +1,196 @@
+// Server/services/archive.js
+// Zip archives of Workspace folders: streamed export and checked extraction.
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const archiver = require('archiver');
+const yauzl = require('yauzl');
+const { resolveInside } = require('../utils/workspace_paths');
+const { QuotaError } = require('./quotas');
+const { logger } = require('../utils/logger');
+const { config } = require('../utils/config');
+
+// Folders rebuilt on each machine, never exported
+const EXCLUDED_FROM_EXPORT = ['.venv', '__pycache__', '.pytest_cache', 'node_modules'];
+
+const MAX_ARCHIVE_ENTRIES = config.archives.maxEntries;
+const MAX_EXTRACTED_BYTES = config.archives.maxExtractedBytes;
+
+class ArchiveError extends Error {
+  constructor(message, status = 400, code = 'INVALID_ARCHIVE') {
+    super(message);
+    this.name = 'ArchiveError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const isVirtualEnv = async (folderPath) => {
+  try {
+    await fs.promises.access(path.join(folderPath, 'pyvenv.cfg'));
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+// Add a folder to an archive under `prefix`, keeping empty folders
+const addFolder = async (archive, folderPath, prefix) => {
+  const entries = await fs.promises.readdir(folderPath, { withFileTypes: true });
+
+  if (entries.length === 0) {
+    archive.append(null, { name: `${prefix}/`, type: 'directory' });
+    return;
+  }
+
+  for (const entry of entries) {
+    const absolutePath = path.join(folderPath, entry.name);
+    const name = `${prefix}/${entry.name}`;
+
+    // Links could point anywhere on the server
+    if (entry.isSymbolicLink()) continue;
+
+    if (entry.isDirectory()) {
+      if (EXCLUDED_FROM_EXPORT.includes(entry.name) || await isVirtualEnv(absolutePath)) continue;
+      await addFolder(archive, absolutePath, name);
+    } else if (entry.isFile()) {
+      archive.file(absolutePath, { name });
+    }
+  }
+};
+
+/**
+ * Stream a folder as a zip archive. Entries are stored below a folder named
+ * like the exported one, so that extracting the archive recreates it.
+ *
+ * @param {string} folderPath Absolute path of the folder
+ * @param {import('stream').Writable} destination
+ * @returns {import('archiver').Archiver} The archive, to abort it when the client leaves
+ */
+const exportFolder = (folderPath, destination) => {
+  const archive = archiver('zip', { zlib: { level: 6 } });
+
+  archive.pipe(destination);
+  archive.on('warning', err => logger.warn('Archive warning', { error: err }));
+
+  addFolder(archive, folderPath, path.basename(folderPath))
+    .then(() => archive.finalize())
+    .catch(err => archive.emit('error', err));
+
+  return archive;
+};
+
+// ----- Extraction -----
+
+const openZip = zipPath => new Promise((resolve, reject) => {
+  // Entries are listed first and extracted afterwards: the file must stay open in between
+  yauzl.open(zipPath, { lazyEntries: true, autoClose: false, validateEntrySizes: true }, (err, zipFile) => {
+    if (err) reject(new ArchiveError(`Invalid zip archive: ${err.message}`));
+    else resolve(zipFile);
+  });
+});
+
+const readEntries = zipFile => new Promise((resolve, reject) => {
+  const entries = [];
+
+  zipFile.on('entry', (entry) => {
+    entries.push(entry);
+    if (entries.length > MAX_ARCHIVE_ENTRIES) {
+      reject(new ArchiveError(`Archive has more than ${MAX_ARCHIVE_ENTRIES} entries.`, 413, 'ARCHIVE_TOO_LARGE'));
+      return;
+    }
+    zipFile.readEntry();
+  });
+  zipFile.on('end', () => resolve(entries));
+  // yauzl rejects absolute and `..` entry names itself
+  zipFile.on('error', err => reject(new ArchiveError(`Invalid zip archive: ${err.message}`)));
+
+  zipFile.readEntry();
+});
+
+const openEntryStream = (zipFile, entry) => new Promise((resolve, reject) => {
+  zipFile.openReadStream(entry, (err, stream) => (err ? reject(err) : resolve(stream)));
+});
+
+const isSymlinkEntry = entry => ((entry.externalFileAttributes >>> 16) & 0o170000) === 0o120000;
+
+// Archives made by macOS Finder carry metadata next to the real content
+const isMetadataEntry = entry => entry.fileName.startsWith('__MACOSX/') || path.posix.basename(entry.fileName) === '.DS_Store';
+
+// Name of the single top-level folder holding every entry, if there is one
+const findSingleRoot = (names) => {
+  const roots = new Set(names.map(name => name.split('/')[0]));
+  if (roots.size !== 1) return null;
+
+  const [root] = roots;
+  return names.every(name => name === `${root}/` || name.startsWith(`${root}/`)) ? root : null;
+};
+
+/**
+ * Extract a zip archive into an existing folder. Entry names are resolved inside
+ * the folder (no zip-slip), symlinks are skipped and the declared and actual
+ * sizes are capped (no zip bombs). A single top-level folder is unwrapped, so
+ * that an exported project imports as the project itself.
+ *
+ * @param {string} zipPath
+ * @param {string} destination Absolute path of the folder to extract into
+ * @param {object} [options]
+ * @param {?number} [options.maxBytes] Space left for the content, such as the rest of
+ *   a quota; nothing is extracted when the archive declares more. null for no limit.
+ * @returns {Promise<{ files: number, skipped: string[] }>}
+ * @throws {QuotaError} When the content takes more than `maxBytes`
+ */
+const extractZip = async (zipPath, destination, { maxBytes = null } = {}) => {
+  const zipFile = await openZip(zipPath);
+
+  try {
+    const entries = (await readEntries(zipFile)).filter(entry => !isMetadataEntry(entry));
+    const root = findSingleRoot(entries.map(entry => entry.fileName));
+
+    const declaredBytes = entries.reduce((total, entry) => total + entry.uncompressedSize, 0);
+    if (declaredBytes > MAX_EXTRACTED_BYTES) {
+      throw new ArchiveError('Archive content is too large.', 413, 'ARCHIVE_TOO_LARGE');
+    }
+
+    // Actual sizes cannot exceed the declared ones, see below
+    if (maxBytes !== null && declaredBytes > maxBytes) {
+      throw new QuotaError('Not enough space left in the workspace for the content of the archive.');
+    }
+
+    const result = { files: 0, skipped: [] };
+
+    for (const entry of entries) {
+      const name = root ? entry.fileName.slice(root.length + 1) : entry.fileName;
+      if (!name) continue;
+
+      if (isSymlinkEntry(entry)) {
+        result.skipped.push(name);
+        continue;
+      }
+
+      const target = await resolveInside(destination, name);
+
+      if (name.endsWith('/')) {
+        await fs.promises.mkdir(target, { recursive: true });
+        continue;
+      }
+
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+      try {
+        // validateEntrySizes makes the stream fail if it holds more than declared
+        await pipeline(await openEntryStream(zipFile, entry), fs.createWriteStream(target, { flags: 'wx' }));
+      } catch (err) {
+        if (err.code === 'EEXIST') throw new ArchiveError(`Archive contains '${name}' twice.`);
+        throw err;
+      }
+      result.files++;
+    }
+
+    return result;
+  } finally {
+    zipFile.close();
+  }
+};
+
+module.exports = { ArchiveError, EXCLUDED_FROM_EXPORT, exportFolder, extractZip };
@@ -0,0 +1,99 @@
+// Server/services/audit_log.js
+// Who did what to which path, one JSON object per line in the audit log
+// (`audit.path` of utils/config.js):
+//
+//   { time, user, workspace, action, path, ...details }
+//
+// `workspace` is the owner of the workspace the action happened in, another user than
+// `user` in a shared project, and `path` is relative to it. Actions are named
+// <subject>.<verb>: project.create, file.delete, run.start, git.commit...
+//
+// Entries are appended in order through one queue. Beyond `audit.maxBytes` the log is
+// moved to <path>.1, replacing the previous one. A failure to write is logged, it
+// never fails the action itself.
+const fs = require('fs').promises;
+const path = require('path');
+const { config } = require('../utils/config');
+const { logger } = require('../utils/logger');
+const { createQueue } = require('../utils/serial_queue');
+
+const enqueue = createQueue();
+
+// Bytes of the log, once known
+let size = null;
+
+const append = entry => enqueue(async () => {
+  const { path: logPath, maxBytes } = config.audit;
+  const line = `${JSON.stringify(entry)}\n`;
+
+  if (size === null) {
+    await fs.mkdir(path.dirname(logPath), { recursive: true });
+    size = await fs.stat(logPath).then(stat => stat.size, () => 0);
+  }
+
+  if (size > 0 && size + Buffer.byteLength(line) > maxBytes) {
+    await fs.rename(logPath, `${logPath}.1`);
+    size = 0;
+  }
+
+  await fs.appendFile(logPath, line);
+  size += Buffer.byteLength(line);
+});
+
+/**
+ * Record an action of the user of a request.
+ *
+ * @param {import('express').Request} req After `authenticate`
+ * @param {string} action
+ * @param {object} [details] `path` relative to the workspace, and anything telling the
+ *   action apart: `to` of a move, `commit` of a commit...
+ */
+const audit = (req, action, details = {}) => {
+  const entry = {
+    time: new Date().toISOString(),
+    user: req.user.username,
+    workspace: req.workspace.owner,
+    action,
+    ...details
+  };
+
+  append(entry).catch(err => logger.error('Failed to write the audit log', { action, error: err }));
+};
+
+/**
+ * Last entries of the audit log, newest first. Only the current log is read, not the
+ * one it replaced.
+ *
+ * @param {object} [filters]
+ * @param {string} [filters.user] Only the actions of this user
+ * @param {string} [filters.workspace] Only the actions in this workspace
+ * @param {number} [filters.limit=100]
+ * @returns {Promise<object[]>}
+ */
+const readAudit = async ({ user, workspace, limit = 100 } = {}) => {
+  // After the entries being appended
+  await enqueue(() => {});
+
+  let text;
+  try {
+    text = await fs.readFile(config.audit.path, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  return text.split('\n')
+    .filter(Boolean)
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch (err) {
+        return null;
+      }
+    })
+    .filter(entry => entry && (!user || entry.user === user) && (!workspace || entry.workspace === workspace))
+    .reverse()
+    .slice(0, limit);
+};
+
+module.exports = { audit, readAudit };
@@ -0,0 +1,231 @@
+// Server/services/code_quality.js
+// Formatting (ruff format or black) and linting (ruff or flake8) of a project's
+// Python files. Tools run as modules of the project's interpreter, so they come
+// from its venv, and read their own settings from pyproject.toml. The tools used
+// are chosen in the `[tool.bocide]` table of that file. flake8 ignores
+// pyproject.toml, so its `[tool.flake8]` table is passed as options.
+const fs = require('fs').promises;
+const path = require('path');
+const { execFile } = require('child_process');
+const TOML = require('smol-toml');
+const { getPythonCommand } = require('./python_env');
+
+const CONFIG_FILE = 'pyproject.toml';
+const FORMATTERS = ['ruff', 'black'];
+const LINTERS = ['ruff', 'flake8'];
+const DEFAULT_CONFIG = { formatter: 'ruff', linter: 'ruff' };
+
+const TOOL_TIME_LIMIT_MS = 30000;
+const TOOL_OUTPUT_LIMIT_BYTES = 20 * 1024 * 1024;
+
+// Code of ruff's syntax errors; older versions give them no code
+const RUFF_SYNTAX_ERROR = 'invalid-syntax';
+
+// flake8 output, one problem per line
+const FLAKE8_FORMAT = '%(path)s:%(row)d:%(col)d:%(code)s:%(text)s';
+const FLAKE8_LINE = /^(.*):(\d+):(\d+):(\w+):(.*)$/;
+// flake8 codes of code that cannot run: syntax errors, undefined names...
+const FLAKE8_ERRORS = /^(E9|F63|F7|F82)/;
+// Settings of `[tool.flake8]` given to flake8 on its command line
+const FLAKE8_OPTIONS = ['max-line-length', 'max-complexity', 'select', 'extend-select', 'ignore', 'extend-ignore'];
+
+class CodeQualityError extends Error {
+  constructor(message, status = 500, code = 'CODE_QUALITY_ERROR') {
+    super(message);
+    this.name = 'CodeQualityError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Read the `[tool.bocide]` table of the project's pyproject.toml. A missing
+ * file or table means the defaults.
+ *
+ * @param {string} projectPath
+ * @returns {Promise<{ formatter: string, linter: string, flake8: object }>}
+ * @throws {CodeQualityError} When the file is invalid or names an unknown tool
+ */
+const readConfig = async (projectPath) => {
+  let content;
+  try {
+    content = await fs.readFile(path.join(projectPath, CONFIG_FILE), 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return { ...DEFAULT_CONFIG };
+    throw err;
+  }
+
+  let tools;
+  try {
+    tools = TOML.parse(content).tool || {};
+  } catch (err) {
+    throw new CodeQualityError(`${CONFIG_FILE} is invalid: ${err.message.split('\n')[0]}`, 400, 'INVALID_CONFIG');
+  }
+
+  const config = { ...DEFAULT_CONFIG, ...tools.bocide };
+
+  if (!FORMATTERS.includes(config.formatter)) {
+    throw new CodeQualityError(`Unknown formatter '${config.formatter}' in ${CONFIG_FILE}. Use one of: ${FORMATTERS.join(', ')}.`, 400, 'INVALID_CONFIG');
+  }
+  if (!LINTERS.includes(config.linter)) {
+    throw new CodeQualityError(`Unknown linter '${config.linter}' in ${CONFIG_FILE}. Use one of: ${LINTERS.join(', ')}.`, 400, 'INVALID_CONFIG');
+  }
+
+  return { formatter: config.formatter, linter: config.linter, flake8: tools.flake8 || {} };
+};
+
+// Command line options of a `[tool.flake8]` table; lists are joined with commas
+const toFlake8Args = options => FLAKE8_OPTIONS
+  .filter(name => options[name] !== undefined)
+  .map(name => `--${name}=${[].concat(options[name]).join(',')}`);
+
+/**
+ * Run `python -m <tool>` in a project, feeding `input` on stdin.
+ * Resolves with the exit code and output; rejects when the tool is missing.
+ */
+const runTool = async (projectPath, tool, args, input = null) => {
+  const python = await getPythonCommand(projectPath);
+
+  return new Promise((resolve, reject) => {
+    const child = execFile(python, ['-m', tool, ...args], {
+      cwd: projectPath,
+      timeout: TOOL_TIME_LIMIT_MS,
+      maxBuffer: TOOL_OUTPUT_LIMIT_BYTES,
+      env: { ...process.env, PYTHONIOENCODING: 'utf-8', NO_COLOR: '1' }
+    }, (err, stdout, stderr) => {
+      if (err && typeof err.code !== 'number') {
+        return reject(new CodeQualityError(err.killed ? `${tool} took too long.` : err.message));
+      }
+
+      if (/No module named/.test(stderr) && new RegExp(`\\b${tool}\\b`).test(stderr)) {
+        return reject(new CodeQualityError(
+          `${tool} is not installed in the project's environment. Add it to the project's packages.`,
+          409,
+          'TOOL_MISSING'
+        ));
+      }
+
+      resolve({ exitCode: err ? err.code : 0, stdout, stderr });
+    });
+
+    child.stdin.on('error', () => {});
+    child.stdin.end(input === null ? '' : input);
+  });
+};
+
+// The first line a tool prints on stderr, without its `error:` prefix
+const toolMessage = stderr => stderr.trim().split('\n')[0].replace(/^error:\s*/i, '');
+
+/**
+ * Format a file's content (not saved: the editor may hold unsaved edits).
+ *
+ * @param {string} projectPath
+ * @param {string} relativePath Path of the file in the project, used to pick the tool's settings
+ * @param {string} content
+ * @returns {Promise<{ formatter: string, content: string }>}
+ * @throws {CodeQualityError} With status 422 when the code cannot be parsed
+ */
+const formatSource = async (projectPath, relativePath, content) => {
+  const { formatter } = await readConfig(projectPath);
+  const args = formatter === 'ruff'
+    ? ['format', '--stdin-filename', relativePath, '-']
+    : ['--quiet', '--stdin-filename', relativePath, '-'];
+
+  const { exitCode, stdout, stderr } = await runTool(projectPath, formatter, args, content);
+
+  if (exitCode !== 0) {
+    throw new CodeQualityError(toolMessage(stderr) || `${formatter} failed.`, 422, 'FORMAT_FAILED');
+  }
+
+  return { formatter, content: stdout };
+};
+
+// Project-relative path of a file named by a tool (absolute or relative to the project)
+const toProjectPath = (projectPath, fileName) =>
+  path.relative(projectPath, path.resolve(projectPath, fileName)).split(path.sep).join('/');
+
+const parseRuffProblems = (projectPath, stdout) => JSON.parse(stdout || '[]').map(item => ({
+  path: toProjectPath(projectPath, item.filename),
+  line: item.location.row,
+  column: item.location.column,
+  endLine: item.end_location.row,
+  endColumn: item.end_location.column,
+  code: item.code || RUFF_SYNTAX_ERROR,
+  message: item.message,
+  severity: !item.code || item.code === RUFF_SYNTAX_ERROR ? 'error' : 'warning',
+  url: item.url || null,
+  fix: item.fix && item.fix.edits.length > 0 ? {
+    message: item.fix.message || `Fix ${item.code}`,
+    safe: item.fix.applicability === 'safe',
+    edits: item.fix.edits.map(edit => ({
+      line: edit.location.row,
+      column: edit.location.column,
+      endLine: edit.end_location.row,
+      endColumn: edit.end_location.column,
+      text: edit.content
+    }))
+  } : null
+}));
+
+const parseFlake8Problems = (projectPath, stdout) => stdout.split(/\r?\n/)
+  .map(line => line.match(FLAKE8_LINE))
+  .filter(Boolean)
+  .map(([, fileName, line, column, code, message]) => ({
+    path: toProjectPath(projectPath, fileName),
+    line: Number(line),
+    column: Number(column),
+    endLine: Number(line),
+    endColumn: Number(column),
+    code,
+    message: message.trim(),
+    severity: FLAKE8_ERRORS.test(code) ? 'error' : 'warning',
+    url: null,
+    fix: null
+  }));
+
+/**
+ * Lint one file, or the whole project when no path is given. With `content`,
+ * the file is linted as given instead of as saved.
+ *
+ * Positions are 1-based; columns count characters. Fixes are text edits in the
+ * same coordinates, to apply to the linted content.
+ *
+ * @param {string} projectPath
+ * @param {{ path?: string, content?: string }} [target]
+ * @returns {Promise<{ linter: string, problems: object[] }>}
+ */
+const lint = async (projectPath, { path: relativePath, content } = {}) => {
+  const { linter, flake8 } = await readConfig(projectPath);
+  const fromStdin = relativePath && typeof content === 'string';
+  let args;
+
+  if (linter === 'ruff') {
+    args = ['check', '--output-format', 'json', '--exit-zero', '--no-cache'];
+    args.push(...(fromStdin ? ['--stdin-filename', relativePath, '-'] : [relativePath || '.']));
+  } else {
+    args = [`--format=${FLAKE8_FORMAT}`, '--extend-exclude', '.venv,node_modules', ...toFlake8Args(flake8)];
+    args.push(...(fromStdin ? ['--stdin-display-name', relativePath, '-'] : [relativePath || '.']));
+  }
+
+  const { exitCode, stdout, stderr } = await runTool(projectPath, linter, args, fromStdin ? content : null);
+
+  // flake8 exits with 1 when it found problems
+  if (exitCode !== 0 && !(linter === 'flake8' && exitCode === 1)) {
+    throw new CodeQualityError(toolMessage(stderr) || `${linter} failed.`, 422, 'LINT_FAILED');
+  }
+
+  const problems = linter === 'ruff' ? parseRuffProblems(projectPath, stdout) : parseFlake8Problems(projectPath, stdout);
+  problems.sort((a, b) => a.path.localeCompare(b.path) || a.line - b.line || a.column - b.column);
+
+  return { linter, problems };
+};
+
+module.exports = {
+  CONFIG_FILE,
+  FORMATTERS,
+  LINTERS,
+  CodeQualityError,
+  readConfig,
+  formatSource,
+  lint
+};
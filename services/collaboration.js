@@ -0,0 +1,442 @@
+// Server/services/collaboration.js
+// Files edited by several users at once. While someone edits a file, it is a shared
+// document kept in memory, with numbered revisions.
+//
+// Editors send operations (see public/js/text_operation.js) made on the last revision
+// they know. The server transforms them against the operations applied since, applies
+// them, acknowledges them to their author and forwards them to the other editors, so
+// that every copy ends up the same. The text is written to the file once edits pause,
+// and changes made to the file by anything else (a save through the file API, git,
+// another editor) reach the editors as operations too.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { TextOperation } = require('../public/js/text_operation');
+const { recordSnapshot } = require('./local_history');
+const { checkQuota, recordWrite } = require('./quotas');
+const { isInside } = require('../utils/workspace_paths');
+const { logger } = require('../utils/logger');
+const { config } = require('../utils/config');
+
+// Pause in the edits after which a document is written to its file
+const SAVE_DELAY_MS = config.collaboration.saveDelayMs;
+
+// Operations kept to catch up editors that reconnect; those further behind get the whole text
+const HISTORY_LENGTH = config.collaboration.historyLength;
+
+class CollaborationError extends Error {
+  constructor(message, status = 500, code = 'COLLABORATION_ERROR') {
+    super(message);
+    this.name = 'CollaborationError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+class SharedDocument {
+  /**
+   * @param {string} absolutePath
+   * @param {string} text Content of the file
+   * @param {Date} modified Modification time of the file
+   * @param {object} options
+   * @param {object} options.workspace Workspace owning the file, whose quota saves check
+   * @param {string} options.historyPath Local history of the workspace owning the file
+   * @param {string} options.filePath Path of the file in that workspace
+   */
+  constructor(absolutePath, text, modified, { workspace, historyPath, filePath }) {
+    // Tells editors reconnecting after a server restart that their revisions mean nothing here
+    this.id = crypto.randomUUID();
+    this.absolutePath = absolutePath;
+    this.workspace = workspace;
+    this.historyPath = historyPath;
+    this.filePath = filePath;
+
+    this.text = text;
+    this.revision = 0;
+    // Content, revision and modification time of the file as last written
+    this.savedText = text;
+    this.savedRevision = 0;
+    this.modified = modified;
+    // Edits on savedText that revision savedRevision holds already, left by a change of
+    // the file merged with edits not saved yet; null when there are none
+    this.unsavedBase = null;
+    // { operation, session, seq } of the last revisions, see HISTORY_LENGTH
+    this.history = [];
+
+    // Client id -> { id, username, session, canEdit, selection, send }
+    this.clients = new Map();
+    this.saveTimer = null;
+    this.saving = Promise.resolve();
+  }
+
+  // Revision of the oldest operation still in the history
+  get historyStart() {
+    return this.revision - this.history.length;
+  }
+
+  static describe(client) {
+    return { id: client.id, username: client.username, selection: client.selection };
+  }
+
+  broadcast(message, exceptId = null) {
+    this.clients.forEach((client) => {
+      if (client.id !== exceptId) client.send(message);
+    });
+  }
+
+  /**
+   * Add an editor. One coming back with the document id and revision it knew gets
+   * the operations it missed, any other the whole text.
+   *
+   * @param {object} client { id, username, session, canEdit, send }
+   * @param {object} [known] { document, revision }
+   */
+  join(client, { document, revision } = {}) {
+    const upToDate = document === this.id && Number.isInteger(revision) &&
+      revision >= this.historyStart && revision <= this.revision;
+
+    this.clients.set(client.id, { ...client, selection: null });
+
+    client.send({
+      type: 'joined',
+      document: this.id,
+      revision: this.revision,
+      ...(upToDate ? { operations: this.history.slice(revision - this.historyStart) } : { text: this.text }),
+      saved: this.text === this.savedText,
+      clients: Array.from(this.clients.values()).filter(other => other.id !== client.id).map(SharedDocument.describe)
+    });
+
+    this.broadcast({ type: 'join', client: SharedDocument.describe(this.clients.get(client.id)) }, client.id);
+  }
+
+  leave(clientId) {
+    if (!this.clients.delete(clientId)) return;
+    this.broadcast({ type: 'leave', clientId });
+  }
+
+  getClient(clientId) {
+    const client = this.clients.get(clientId);
+    if (!client) {
+      throw new CollaborationError('The document is not open.', 409, 'NOT_JOINED');
+    }
+    return client;
+  }
+
+  /**
+   * Apply an operation of an editor, made on `revision`.
+   *
+   * @throws {CollaborationError} RESYNC when the revision is unknown: the editor must join again
+   */
+  receive(clientId, { revision, operation, seq, selection }) {
+    const client = this.getClient(clientId);
+
+    if (!client.canEdit) {
+      throw new CollaborationError('You can only view this file.', 403, 'FORBIDDEN');
+    }
+
+    if (!Number.isInteger(revision) || revision < this.historyStart || revision > this.revision) {
+      throw new CollaborationError('Unknown revision, the document must be loaded again.', 409, 'RESYNC');
+    }
+
+    let transformed;
+    try {
+      transformed = this.history
+        .slice(revision - this.historyStart)
+        .reduce((current, entry) => TextOperation.transform(current, entry.operation)[0], TextOperation.fromJSON(operation));
+    } catch (err) {
+      throw new CollaborationError(`Invalid operation: ${err.message}`, 400, 'INVALID_OPERATION');
+    }
+
+    if (transformed.baseLength !== this.text.length) {
+      throw new CollaborationError('Invalid operation: it does not match the document.', 400, 'INVALID_OPERATION');
+    }
+
+    this.apply(transformed, { session: client.session, seq });
+    if (selection) client.selection = this.clampSelection(selection);
+
+    client.send({ type: 'ack', revision: this.revision });
+    this.broadcast({
+      type: 'operation',
+      revision: this.revision,
+      operation: transformed,
+      clientId,
+      session: client.session,
+      seq,
+      selection: client.selection
+    }, clientId);
+  }
+
+  apply(operation, author) {
+    this.text = operation.apply(this.text);
+    this.history.push({ operation, ...author });
+    if (this.history.length > HISTORY_LENGTH) this.history.shift();
+    this.revision++;
+
+    // Other editors' selections move with the text
+    this.clients.forEach((client) => {
+      if (!client.selection) return;
+      client.selection = {
+        anchor: operation.transformIndex(client.selection.anchor),
+        head: operation.transformIndex(client.selection.head)
+      };
+    });
+
+    this.scheduleSave();
+  }
+
+  clampSelection(selection) {
+    const clamp = value => Math.max(0, Math.min(Number.isInteger(value) ? value : 0, this.text.length));
+    return { anchor: clamp(selection.anchor), head: clamp(selection.head) };
+  }
+
+  select(clientId, selection) {
+    const client = this.getClient(clientId);
+    client.selection = selection ? this.clampSelection(selection) : null;
+    this.broadcast({ type: 'selection', clientId, selection: client.selection }, clientId);
+  }
+
+  // Edits of the document not written to its file yet, as one operation on savedText;
+  // null when the history does not reach back to the last save
+  unsavedOperation() {
+    if (this.savedRevision < this.historyStart) return null;
+
+    return this.history
+      .slice(this.savedRevision - this.historyStart)
+      .reduce((unsaved, entry) => unsaved.compose(entry.operation), this.unsavedBase || new TextOperation().retain(this.savedText.length));
+  }
+
+  // The file was changed by something else. The change is made to the document as if
+  // it happened at the same time as the edits still waiting for their save, which are
+  // kept and written on top of it.
+  applyExternal(text, modified) {
+    this.modified = modified;
+
+    if (text === this.text) {
+      this.savedText = text;
+      this.savedRevision = this.revision;
+      this.unsavedBase = null;
+      this.broadcast({ type: 'saved', revision: this.revision, modified });
+      return;
+    }
+
+    const unsaved = this.unsavedOperation();
+    let operation = null;
+    let rebased = null;
+
+    if (unsaved) {
+      [operation, rebased] = TextOperation.transform(TextOperation.fromDiff(this.savedText, text), unsaved);
+    } else {
+      // Too many edits since the last save to tell them apart: the file wins
+      operation = TextOperation.fromDiff(this.text, text);
+    }
+
+    if (!operation.isNoop()) {
+      this.apply(operation, { session: null, seq: null });
+      this.broadcast({ type: 'operation', revision: this.revision, operation, clientId: null, session: null, seq: null });
+    }
+
+    this.savedText = text;
+    this.savedRevision = this.revision;
+    this.unsavedBase = rebased && !rebased.isNoop() ? rebased : null;
+
+    if (this.text === text) {
+      this.broadcast({ type: 'saved', revision: this.revision, modified });
+    } else {
+      this.scheduleSave();
+    }
+  }
+
+  scheduleSave() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => this.save(), SAVE_DELAY_MS);
+  }
+
+  /**
+   * Write the document to its file, after any save in progress.
+   *
+   * @param {object} [options]
+   * @param {boolean} [options.snapshot=false] Keep a local history snapshot of it too
+   * @returns {Promise<void>} Never rejects, editors are told about failures
+   */
+  save({ snapshot = false } = {}) {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
+    this.saving = this.saving
+      .then(async () => {
+        const { text, revision } = this;
+
+        if (text !== this.savedText) {
+          // Refused writes stay unsaved: the next edit tries again
+          const bytes = Buffer.byteLength(text) - Buffer.byteLength(this.savedText);
+          await checkQuota(this.workspace, bytes);
+
+          await fs.promises.writeFile(this.absolutePath, text, 'utf8');
+          recordWrite(this.workspace, bytes);
+          this.savedText = text;
+          this.savedRevision = revision;
+          this.unsavedBase = null;
+          this.modified = (await fs.promises.stat(this.absolutePath)).mtime;
+
+          this.broadcast({ type: 'saved', revision, modified: this.modified });
+        }
+
+        if (snapshot) {
+          await recordSnapshot(this.historyPath, this.filePath, text)
+            .catch(err => logger.error('Failed to keep the history of a file', { path: this.filePath, error: err }));
+        }
+      })
+      .catch((err) => {
+        if (err.code !== 'QUOTA_EXCEEDED') logger.error('Failed to save a collaborative document', { path: this.filePath, error: err });
+        this.broadcast({
+          type: 'error',
+          error: `The file could not be saved: ${err.message}`,
+          code: err.code === 'QUOTA_EXCEEDED' ? err.code : 'SAVE_FAILED'
+        });
+      });
+
+    return this.saving;
+  }
+
+  // Synchronous last save, when the server stops
+  saveSync() {
+    clearTimeout(this.saveTimer);
+    if (this.text === this.savedText) return;
+
+    try {
+      fs.writeFileSync(this.absolutePath, this.text, 'utf8');
+      this.savedText = this.text;
+      this.savedRevision = this.revision;
+      this.unsavedBase = null;
+    } catch (err) {
+      logger.error('Failed to save a collaborative document', { path: this.filePath, error: err });
+    }
+  }
+
+  // The file is gone: editors stop editing it
+  close(reason) {
+    clearTimeout(this.saveTimer);
+    this.broadcast({ type: 'closed', reason });
+    this.clients.clear();
+  }
+}
+
+class DocumentManager {
+  constructor() {
+    // Absolute path -> SharedDocument, and documents being read
+    this.documents = new Map();
+    this.loading = new Map();
+    // Absolute path -> last save of a document nobody edits anymore
+    this.closing = new Map();
+  }
+
+  /**
+   * The shared document of a file, read from disk when nobody edits it yet.
+   *
+   * @param {string} absolutePath
+   * @param {object} options See SharedDocument
+   * @returns {Promise<SharedDocument>}
+   */
+  open(absolutePath, options) {
+    if (this.documents.has(absolutePath)) {
+      return Promise.resolve(this.documents.get(absolutePath));
+    }
+
+    if (!this.loading.has(absolutePath)) {
+      const loading = (async () => {
+        // Wait for the last save of a previous session of the file
+        await this.closing.get(absolutePath);
+        const text = await fs.promises.readFile(absolutePath, 'utf8');
+        const { mtime } = await fs.promises.stat(absolutePath);
+
+        const document = new SharedDocument(absolutePath, text, mtime, options);
+        this.documents.set(absolutePath, document);
+        return document;
+      })();
+
+      this.loading.set(absolutePath, loading);
+      loading.then(
+        () => this.loading.delete(absolutePath),
+        () => this.loading.delete(absolutePath)
+      );
+    }
+
+    return this.loading.get(absolutePath);
+  }
+
+  // Remove an editor from a document; the last one to leave saves it and frees it
+  leave(document, clientId) {
+    document.leave(clientId);
+    if (document.clients.size > 0 || this.documents.get(document.absolutePath) !== document) return;
+
+    this.documents.delete(document.absolutePath);
+
+    const saving = document.save({ snapshot: true });
+    this.closing.set(document.absolutePath, saving);
+    saving.then(() => {
+      if (this.closing.get(document.absolutePath) === saving) this.closing.delete(document.absolutePath);
+    });
+  }
+
+  // Documents of a file, or of the files of a folder
+  findAll(absolutePath) {
+    return Array.from(this.documents.values()).filter(document => isInside(absolutePath, document.absolutePath));
+  }
+
+  // Write the documents of a file or folder to disk, before it is moved or copied
+  saveAll(absolutePath) {
+    return Promise.all(this.findAll(absolutePath).map(document => document.save()));
+  }
+
+  saveAllSync() {
+    this.documents.forEach(document => document.saveSync());
+  }
+
+  closeAll(absolutePath, reason) {
+    this.findAll(absolutePath).forEach((document) => {
+      this.documents.delete(document.absolutePath);
+      document.close(reason);
+    });
+  }
+
+  /**
+   * Follow the changes of the Workspace made outside of the documents.
+   *
+   * @param {import('events').EventEmitter} watcher The workspace watcher, see workspace_watcher.js
+   */
+  followChanges(watcher) {
+    watcher.on('change', (event) => {
+      const absolutePath = path.join(watcher.root, ...event.path.split('/'));
+
+      if (event.type === 'delete') {
+        this.closeAll(absolutePath, 'deleted');
+      } else if (event.type === 'rename') {
+        this.closeAll(path.join(watcher.root, ...event.from.split('/')), 'renamed');
+      } else if (event.type === 'change' && this.documents.has(absolutePath)) {
+        this.reload(this.documents.get(absolutePath));
+      }
+    });
+  }
+
+  async reload(document) {
+    try {
+      const text = await fs.promises.readFile(document.absolutePath, 'utf8');
+      const { mtime } = await fs.promises.stat(document.absolutePath);
+
+      // Our own saves come back here too
+      if (text !== document.savedText && this.documents.get(document.absolutePath) === document) {
+        document.applyExternal(text, mtime);
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT') logger.error('Failed to reload a collaborative document', { path: document.filePath, error: err });
+    }
+  }
+}
+
+const documents = new DocumentManager();
+
+module.exports = {
+  CollaborationError,
+  SharedDocument,
+  documents
+};
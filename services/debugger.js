@@ -0,0 +1,294 @@
+// Server/services/debugger.js
+// Debug sessions of Python programs: the adapter of debugpy speaking the Debug Adapter
+// Protocol (DAP) over stdio, one per connected browser. As with the language servers
+// (services/language_server.js), the browser names files `project:///<path in the
+// project>` and never sees the paths of the project on the server.
+const { spawn, execFile } = require('child_process');
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const { isInside, normalizeRelativePath, resolveInside } = require('../utils/workspace_paths');
+const { createMessageReader, writeMessage } = require('../utils/message_framing');
+const {
+  SOURCE_FOLDER,
+  getPythonCommand,
+  getRunEnvironment,
+  hasVenv,
+  isValidModuleName
+} = require('./python_env');
+const { logger } = require('../utils/logger');
+const { config } = require('../utils/config');
+
+const CLIENT_SCHEME = 'project:';
+
+// Each session runs the debugged program and an adapter next to it
+const MAX_DEBUG_SESSIONS = config.debugger.maxSessions;
+const SHUTDOWN_GRACE_MS = 2000;
+const DEBUGPY_CHECK_TIMEOUT_MS = 10 * 1000;
+
+const isWindows = process.platform === 'win32';
+
+class DebuggerError extends Error {
+  constructor(message, status = 500, code = 'DEBUGGER_ERROR') {
+    super(message);
+    this.name = 'DebuggerError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Utility function to check that an interpreter can import debugpy
+const canImportDebugpy = python => new Promise((resolve) => {
+  execFile(python, ['-c', 'import debugpy.adapter'], { timeout: DEBUGPY_CHECK_TIMEOUT_MS, windowsHide: true }, err => resolve(!err));
+});
+
+// Keys holding DAP Source and Module objects, whose `path` names a file
+const PATH_HOLDERS = new Set(['source', 'sources', 'module', 'modules']);
+
+// Apply `convert` to the `path` of every Source and Module object of a message: those
+// of breakpoints, stack frames, scopes, output and module events...
+const rewritePaths = (value, convert, key) => {
+  if (Array.isArray(value)) return value.map(item => rewritePaths(item, convert, key));
+  if (!value || typeof value !== 'object') return value;
+
+  const holdsPath = PATH_HOLDERS.has(key);
+  const result = {};
+  for (const [name, item] of Object.entries(value)) {
+    result[name] = holdsPath && name === 'path' && typeof item === 'string' ? convert(item) : rewritePaths(item, convert, name);
+  }
+  return result;
+};
+
+const sessions = new Set();
+
+/**
+ * A debug adapter started for one project. Messages of the browser go in through
+ * `send`, those of the adapter come out as `message` events; `exit` is emitted when
+ * the adapter stops. The browser can only launch the code of the project's src/
+ * folder: the interpreter, working directory and environment are set here.
+ */
+class DebugSession extends EventEmitter {
+  constructor(projectPath) {
+    super();
+    this.projectPath = projectPath;
+    this.realProjectPath = projectPath;
+    this.python = null;
+    this.child = null;
+    this.seq = 1;
+  }
+
+  async start() {
+    if (sessions.size >= MAX_DEBUG_SESSIONS) {
+      throw new DebuggerError('Too many debug sessions are running. Stop one and try again.', 503, 'TOO_MANY_DEBUG_SESSIONS');
+    }
+
+    this.python = await getPythonCommand(this.projectPath);
+    if (!(await canImportDebugpy(this.python))) {
+      const where = (await hasVenv(this.projectPath)) ? "the project's venv" : 'the Python interpreter of the IDE';
+      throw new DebuggerError(`debugpy is not installed in ${where}. Add it to the packages of the project.`, 503, 'DEBUGPY_MISSING');
+    }
+    this.realProjectPath = await fs.realpath(this.projectPath);
+
+    const child = spawn(this.python, ['-m', 'debugpy.adapter'], {
+      cwd: this.projectPath,
+      stdio: ['pipe', 'pipe', 'pipe'],
+      // Own process group, so stopping also ends the debugged program
+      detached: !isWindows,
+      windowsHide: true
+    });
+    this.child = child;
+    sessions.add(this);
+
+    child.stdout.on('data', createMessageReader(message => this.receive(message), 'debug adapter'));
+    child.stderr.resume();
+    child.stdin.on('error', () => {});
+
+    const onExit = (code, signal) => {
+      if (this.child !== child) return;
+      this.child = null;
+      sessions.delete(this);
+      this.emit('exit', { code, signal });
+    };
+
+    child.on('error', (err) => {
+      logger.error('Debug adapter failed', { error: err });
+      onExit(null, null);
+    });
+    child.on('exit', onExit);
+  }
+
+  // Path in the project of a project: URI
+  toRelativePath(uri) {
+    if (!uri.startsWith(CLIENT_SCHEME)) {
+      throw new DebuggerError('Sources must be given as project: URIs.', 400, 'INVALID_PATH');
+    }
+
+    try {
+      return normalizeRelativePath(decodeURIComponent(uri.slice(CLIENT_SCHEME.length).replace(/^\/+/, '')));
+    } catch (err) {
+      throw new DebuggerError(`Invalid URI: ${uri}`, 400, 'INVALID_PATH');
+    }
+  }
+
+  toServerPath(uri) {
+    return path.join(this.projectPath, this.toRelativePath(uri));
+  }
+
+  // Files outside of the project (the standard library...) are left as they are
+  toClientPath(absolutePath) {
+    const root = [this.projectPath, this.realProjectPath].find(candidate => isInside(candidate, absolutePath));
+    if (!root) return absolutePath;
+
+    const relativePath = path.relative(root, absolutePath).split(path.sep).map(encodeURIComponent).join('/');
+    return `${CLIENT_SCHEME}///${relativePath}`;
+  }
+
+  /**
+   * Arguments of the `launch` request, from those the browser may choose: a file
+   * of src/ (`program`, a project: URI) or a module, its arguments, `stopOnEntry`
+   * and `justMyCode`.
+   *
+   * @param {object} args
+   * @returns {Promise<object>}
+   */
+  async buildLaunchArguments(args = {}) {
+    const { program, module: moduleName, args: programArgs = [], stopOnEntry = false, justMyCode = true } = args;
+
+    if (!program === !moduleName) {
+      throw new DebuggerError('Either program or module is required.', 400, 'INVALID_LAUNCH');
+    }
+
+    if (!Array.isArray(programArgs) || !programArgs.every(arg => typeof arg === 'string')) {
+      throw new DebuggerError('Arguments must be an array of strings.', 400, 'INVALID_LAUNCH');
+    }
+
+    const launch = {
+      type: 'python',
+      request: 'launch',
+      python: [this.python],
+      cwd: this.projectPath,
+      env: getRunEnvironment(this.projectPath),
+      args: programArgs,
+      console: 'internalConsole',
+      redirectOutput: true,
+      stopOnEntry: Boolean(stopOnEntry),
+      justMyCode: Boolean(justMyCode),
+      showReturnValue: true
+    };
+
+    if (moduleName !== undefined) {
+      if (!isValidModuleName(moduleName)) {
+        throw new DebuggerError('Invalid module name.', 400, 'INVALID_LAUNCH');
+      }
+      return { ...launch, module: moduleName };
+    }
+
+    if (typeof program !== 'string') {
+      throw new DebuggerError('Invalid program.', 400, 'INVALID_LAUNCH');
+    }
+
+    const sourcePath = path.join(this.projectPath, SOURCE_FOLDER);
+    const programPath = await resolveInside(this.projectPath, this.toRelativePath(program));
+
+    if (!isInside(sourcePath, programPath) || programPath === sourcePath) {
+      throw new DebuggerError(`Only files inside ${SOURCE_FOLDER}/ can be debugged.`, 400, 'INVALID_LAUNCH');
+    }
+
+    const stat = await fs.stat(programPath);
+    if (!stat.isFile()) {
+      throw new DebuggerError('Specified path is not a file.', 400, 'INVALID_LAUNCH');
+    }
+
+    return { ...launch, program: programPath };
+  }
+
+  /**
+   * Forward a message of the browser to the debug adapter.
+   *
+   * @param {object} message DAP message with project: URIs
+   * @throws {DebuggerError} For sources outside of the project and refused launches
+   */
+  async send(message) {
+    if (message.type === 'request' && message.command === 'attach') {
+      throw new DebuggerError('Only programs of the project can be debugged.', 400, 'INVALID_LAUNCH');
+    }
+
+    const rewritten = rewritePaths(message, uri => this.toServerPath(uri));
+
+    if (rewritten.type === 'request' && rewritten.command === 'launch') {
+      rewritten.arguments = await this.buildLaunchArguments(message.arguments);
+    }
+
+    this.write(rewritten);
+  }
+
+  receive(message) {
+    // The program runs in the adapter's console: no terminal or child session to start
+    if (message.type === 'request') {
+      this.write({
+        seq: this.seq++,
+        type: 'response',
+        request_seq: message.seq,
+        command: message.command,
+        success: false,
+        message: `'${message.command}' is not supported.`
+      });
+      return;
+    }
+
+    const rewritten = rewritePaths(message, absolutePath => this.toClientPath(absolutePath));
+
+    // Named after the path of the debugged program
+    if (rewritten.type === 'event' && rewritten.event === 'process' && typeof rewritten.body.name === 'string') {
+      rewritten.body.name = this.toClientPath(rewritten.body.name);
+    }
+
+    this.emit('message', rewritten);
+  }
+
+  write(message) {
+    if (!this.child) return;
+
+    writeMessage(this.child.stdin, message);
+  }
+
+  kill(signal) {
+    try {
+      if (isWindows) {
+        this.child.kill(signal);
+      } else {
+        process.kill(-this.child.pid, signal);
+      }
+    } catch (err) {
+      if (err.code !== 'ESRCH') throw err;
+    }
+  }
+
+  // End the debugged program and the adapter, forcing them if they do not stop
+  stop() {
+    const { child } = this;
+    if (!child) return;
+
+    this.write({ seq: this.seq++, type: 'request', command: 'disconnect', arguments: { terminateDebuggee: true } });
+    setTimeout(() => {
+      if (this.child === child) this.kill('SIGKILL');
+    }, SHUTDOWN_GRACE_MS).unref();
+  }
+}
+
+// Stop every debug session, when the IDE server shuts down
+const stopAllDebugSessions = () => {
+  sessions.forEach(session => {
+    if (session.child) session.kill('SIGKILL');
+  });
+};
+
+// Debug sessions running, for /api/metrics
+const countDebugSessions = () => sessions.size;
+
+module.exports = {
+  DebuggerError,
+  DebugSession,
+  stopAllDebugSessions,
+  countDebugSessions
+};
@@ -0,0 +1,134 @@
+// Server/services/editor_settings.js
+// Settings of the editor, kept on the server so that they follow their user from one
+// browser to another:
+//
+//   <auth>/settings/<username>.json     Settings of a user
+//   <project>/.bocide/settings.json     Settings of a project, overriding those of its users
+//
+// Both files only hold the settings that differ from the defaults, as flat keys:
+// { "editor.tabSize": 2, "workbench.theme": "light" }. Projects only override how
+// their files are written (EDITOR_SETTINGS with `project`), not how the IDE looks.
+// Unlike the rest of the manifest folder, project settings are meant to be
+// committed, for the whole team to share them.
+const fs = require('fs').promises;
+const path = require('path');
+const { validate } = require('../utils/api_schema');
+const { writeFileAtomic } = require('../utils/atomic_write');
+const { createQueue } = require('../utils/serial_queue');
+const { MANIFEST_FOLDER, writeManifestIgnore } = require('./project_manifest');
+
+const SETTINGS_FOLDER = 'settings';
+const PROJECT_SETTINGS_FILE = 'settings.json';
+
+const KEYMAP_PRESETS = ['vscode', 'vim', 'emacs'];
+const THEMES = ['dark', 'light'];
+
+const EDITOR_SETTINGS = [
+  { key: 'editor.tabSize', schema: { type: 'integer', minimum: 1, maximum: 8 }, default: 4, project: true },
+  { key: 'editor.insertSpaces', schema: { type: 'boolean', description: 'Tab inserts spaces rather than a tab character' }, default: true, project: true },
+  { key: 'editor.formatOnSave', schema: { type: 'boolean', description: 'Format Python files before saving them' }, default: false, project: true },
+  { key: 'editor.fontFamily', schema: { type: 'string', minLength: 1, maxLength: 200 }, default: "'Fira Code', Consolas, 'Courier New', monospace" },
+  { key: 'editor.fontSize', schema: { type: 'integer', minimum: 8, maximum: 32 }, default: 14 },
+  { key: 'workbench.theme', schema: { type: 'string', enum: THEMES }, default: 'dark' },
+  { key: 'keymap.preset', schema: { type: 'string', enum: KEYMAP_PRESETS, description: 'Shortcuts of the IDE actions, and editing keys for vim and emacs' }, default: 'vscode' },
+  {
+    key: 'keymap.bindings',
+    schema: {
+      type: 'object',
+      additionalProperties: { type: 'string', maxLength: 100 },
+      description: 'Shortcuts replacing those of the preset, by command id, e.g. { "file.save": "Ctrl+Alt+S" }; an empty one removes it'
+    },
+    default: {}
+  }
+];
+
+const SETTING_DEFAULTS = Object.fromEntries(EDITOR_SETTINGS.map(setting => [setting.key, setting.default]));
+
+// Utility function to make the JSON Schema of a settings file
+const settingsSchema = settings => ({
+  type: 'object',
+  additionalProperties: false,
+  properties: Object.fromEntries(settings.map(setting => [setting.key, setting.schema]))
+});
+
+const USER_SETTINGS_SCHEMA = settingsSchema(EDITOR_SETTINGS);
+const PROJECT_SETTINGS_SCHEMA = settingsSchema(EDITOR_SETTINGS.filter(setting => setting.project));
+
+const enqueue = createQueue();
+
+// Utility function to read a settings file. Settings broken by hand are left out
+// one by one, the others still apply.
+const readSettings = async (file, schema) => {
+  let stored;
+  try {
+    stored = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT' || err instanceof SyntaxError) return {};
+    throw err;
+  }
+
+  if (!stored || typeof stored !== 'object' || Array.isArray(stored)) return {};
+
+  return Object.fromEntries(Object.entries(stored).filter(([key, value]) => schema.properties[key]
+    && validate(schema.properties[key], value).errors.length === 0));
+};
+
+const writeSettings = async (file, settings) => {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await writeFileAtomic(file, `${JSON.stringify(settings, null, 2)}\n`);
+};
+
+const userSettingsPath = (authPath, username) => path.join(authPath, SETTINGS_FOLDER, `${username}.json`);
+const projectSettingsPath = projectPath => path.join(projectPath, MANIFEST_FOLDER, PROJECT_SETTINGS_FILE);
+
+const readUserSettings = (authPath, username) => readSettings(userSettingsPath(authPath, username), USER_SETTINGS_SCHEMA);
+
+/**
+ * Replace the settings of a user.
+ *
+ * @param {string} authPath
+ * @param {string} username
+ * @param {object} settings Checked against USER_SETTINGS_SCHEMA
+ * @returns {Promise<object>}
+ */
+const writeUserSettings = (authPath, username, settings) => enqueue(async () => {
+  await writeSettings(userSettingsPath(authPath, username), settings);
+  return settings;
+});
+
+const deleteUserSettings = (authPath, username) => fs.rm(userSettingsPath(authPath, username), { force: true });
+
+const readProjectSettings = projectPath => readSettings(projectSettingsPath(projectPath), PROJECT_SETTINGS_SCHEMA);
+
+/**
+ * Replace the settings of a project. Without any, the file is removed.
+ *
+ * @param {string} projectPath
+ * @param {object} settings Checked against PROJECT_SETTINGS_SCHEMA
+ * @returns {Promise<object>}
+ */
+const writeProjectSettings = (projectPath, settings) => enqueue(async () => {
+  const file = projectSettingsPath(projectPath);
+
+  if (Object.keys(settings).length === 0) {
+    await fs.rm(file, { force: true });
+    return settings;
+  }
+
+  await writeSettings(file, settings);
+  await writeManifestIgnore(projectPath);
+  return settings;
+});
+
+module.exports = {
+  KEYMAP_PRESETS,
+  THEMES,
+  SETTING_DEFAULTS,
+  USER_SETTINGS_SCHEMA,
+  PROJECT_SETTINGS_SCHEMA,
+  readUserSettings,
+  writeUserSettings,
+  deleteUserSettings,
+  readProjectSettings,
+  writeProjectSettings
+};
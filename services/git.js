@@ -0,0 +1,375 @@
+// Server/services/git.js
+// Runs the local `git` binary against a project. Every project is its own repository:
+// a project without a .git folder is reported as such, never as part of a parent repo.
+const fs = require('fs').promises;
+const path = require('path');
+const { execFile } = require('child_process');
+const { deleteEntry } = require('./workspace_files');
+const { pathExists } = require('../utils/workspace_paths');
+
+const GIT_TIME_LIMIT_MS = 30000;
+const GIT_OUTPUT_LIMIT_BYTES = 20 * 1024 * 1024;
+
+class GitError extends Error {
+  constructor(message, status = 500, code = 'GIT_ERROR') {
+    super(message);
+    this.name = 'GitError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const getGitCommand = () => process.env.GIT || 'git';
+
+/**
+ * Run git in a project and resolve with its stdout.
+ * A failing command rejects with a GitError carrying git's own message.
+ *
+ * @param {string} projectPath
+ * @param {string[]} args
+ * @param {{ allowExitCodes?: number[] }} [options] exit codes that are not failures
+ * @returns {Promise<string>}
+ */
+const runGit = (projectPath, args, { allowExitCodes = [] } = {}) => new Promise((resolve, reject) => {
+  execFile(getGitCommand(), args, {
+    cwd: projectPath,
+    timeout: GIT_TIME_LIMIT_MS,
+    maxBuffer: GIT_OUTPUT_LIMIT_BYTES,
+    env: {
+      ...process.env,
+      // Never stop on an editor, pager or credential prompt
+      GIT_TERMINAL_PROMPT: '0',
+      GIT_EDITOR: 'true',
+      GIT_PAGER: 'cat',
+      // Paths from the client are file names, never pathspec magic such as :(exclude)
+      GIT_LITERAL_PATHSPECS: '1',
+      LC_ALL: 'C'
+    }
+  }, (err, stdout, stderr) => {
+    if (!err || allowExitCodes.includes(err.code)) return resolve(stdout);
+
+    if (err.code === 'ENOENT') {
+      return reject(new GitError('git is not installed on the server.'));
+    }
+
+    const message = (stderr || err.message).trim().replace(/^(fatal|error): /gm, '');
+    reject(new GitError(message, 409));
+  });
+});
+
+const isRepository = async (projectPath) => {
+  try {
+    await fs.access(path.join(projectPath, '.git'));
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+const requireRepository = async (projectPath) => {
+  if (!await isRepository(projectPath)) {
+    throw new GitError('This project is not a git repository.', 409, 'NOT_A_REPOSITORY');
+  }
+};
+
+/**
+ * Branch checked out in a project, read from .git/HEAD without running git: cheap
+ * enough for every project of the dashboard.
+ *
+ * @param {string} projectPath
+ * @returns {Promise<?string>} null when the project is not a repository or HEAD is detached
+ */
+const getCurrentBranch = async (projectPath) => {
+  let head;
+  try {
+    head = await fs.readFile(path.join(projectPath, '.git', 'HEAD'), 'utf8');
+  } catch (err) {
+    return null;
+  }
+
+  const match = head.match(/^ref: refs\/heads\/(.+)$/m);
+  return match ? match[1].trim() : null;
+};
+
+const hasCommits = async (projectPath) => {
+  try {
+    await runGit(projectPath, ['rev-parse', '--verify', '--quiet', 'HEAD']);
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+// Single letter states of `git status --porcelain` turned into words
+const STATES = {
+  M: 'modified',
+  T: 'modified',
+  A: 'added',
+  D: 'deleted',
+  R: 'renamed',
+  C: 'copied',
+  U: 'conflicted',
+  '?': 'untracked',
+  '!': 'ignored'
+};
+
+// Parse the `## branch...upstream [ahead 1, behind 2]` header line
+const parseBranchHeader = (header) => {
+  const text = header.slice(3);
+  const initial = text.match(/^(?:No commits yet|Initial commit) on (.+)$/);
+  if (initial) return { branch: initial[1], upstream: null, ahead: 0, behind: 0 };
+
+  const match = text.match(/^(.+?)(?:\.\.\.(\S+))?(?: \[(.*)\])?$/);
+  const counts = match[3] || '';
+  const count = (name) => Number((counts.match(new RegExp(`${name} (\\d+)`)) || [])[1] || 0);
+
+  return {
+    branch: match[1] === 'HEAD (no branch)' ? null : match[1],
+    upstream: match[2] || null,
+    ahead: count('ahead'),
+    behind: count('behind')
+  };
+};
+
+/**
+ * Branch and per-file state of a project repository.
+ *
+ * @param {string} projectPath
+ * @returns {Promise<{branch: ?string, upstream: ?string, ahead: number, behind: number, files: object[]}>}
+ */
+const getStatus = async (projectPath) => {
+  await requireRepository(projectPath);
+
+  const output = await runGit(projectPath, ['status', '--porcelain=v1', '-z', '--branch', '--untracked-files=all']);
+  const entries = output.split('\0');
+  const status = { branch: null, upstream: null, ahead: 0, behind: 0, files: [] };
+
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    if (!entry) continue;
+
+    if (entry.startsWith('## ')) {
+      Object.assign(status, parseBranchHeader(entry));
+      continue;
+    }
+
+    const index = entry[0];
+    const worktree = entry[1];
+    const file = { path: entry.slice(3), index, worktree, origPath: null };
+
+    // Renames and copies are followed by their original path
+    if (index === 'R' || index === 'C') {
+      file.origPath = entries[++i];
+    }
+
+    const conflicted = index === 'U' || worktree === 'U' || (index === 'A' && worktree === 'A') || (index === 'D' && worktree === 'D');
+    file.state = conflicted ? 'conflicted' : STATES[worktree !== ' ' ? worktree : index];
+    file.staged = index !== ' ' && index !== '?' && !conflicted;
+    file.unstaged = worktree !== ' ';
+
+    status.files.push(file);
+  }
+
+  return status;
+};
+
+const init = async (projectPath) => {
+  if (await isRepository(projectPath)) {
+    throw new GitError('This project is already a git repository.', 409);
+  }
+
+  await runGit(projectPath, ['init']);
+};
+
+/**
+ * Unified diff of one file, or of the whole project when `filePath` is empty.
+ * Staged changes compare the index with HEAD, unstaged ones the working tree with the index.
+ * Untracked files are shown as entirely added.
+ */
+const getDiff = async (projectPath, filePath, { staged = false, context = 3 } = {}) => {
+  await requireRepository(projectPath);
+
+  const pathArgs = filePath ? ['--', filePath] : [];
+  const options = ['--no-color', '--no-ext-diff', `--unified=${context}`];
+
+  if (staged) {
+    return runGit(projectPath, ['diff', '--cached', ...options, ...pathArgs]);
+  }
+
+  if (filePath) {
+    const untracked = await runGit(projectPath, ['ls-files', '--others', '--exclude-standard', '--', filePath]);
+
+    if (untracked.trim()) {
+      // `--no-index` exits with 1 when the files differ, which they always do here
+      return runGit(projectPath, ['diff', '--no-index', ...options, '--', '/dev/null', filePath], { allowExitCodes: [1] });
+    }
+  }
+
+  return runGit(projectPath, ['diff', ...options, ...pathArgs]);
+};
+
+const stage = async (projectPath, paths) => {
+  await requireRepository(projectPath);
+  await runGit(projectPath, ['add', '--all', '--', ...paths]);
+};
+
+const unstage = async (projectPath, paths) => {
+  await requireRepository(projectPath);
+
+  // Before the first commit there is no HEAD to reset to
+  if (await hasCommits(projectPath)) {
+    await runGit(projectPath, ['reset', '--quiet', 'HEAD', '--', ...paths]);
+  } else {
+    await runGit(projectPath, ['rm', '--cached', '--quiet', '-r', '--ignore-unmatch', '--', ...paths]);
+  }
+};
+
+/**
+ * Throw away the changes of some files: tracked files go back to their committed
+ * version, untracked files are moved to the trash.
+ *
+ * @param {string} projectPath
+ * @param {string[]} paths Relative to the project
+ * @param {object} workspace `req.workspace`, whose trash gets the untracked files
+ * @returns {Promise<string[]>} The files discarded
+ */
+const discard = async (projectPath, paths, workspace) => {
+  const status = await getStatus(projectPath);
+  const selected = status.files.filter(file => paths.some(p => file.path === p || file.path.startsWith(`${p.replace(/\/$/, '')}/`)));
+
+  // Files missing from HEAD are removed; a renamed file also gets its old path back
+  const newPaths = selected
+    .filter(file => file.state === 'untracked' || ['A', 'R', 'C'].includes(file.index))
+    .map(file => file.path);
+  const restoredPaths = selected
+    .map(file => (file.index === 'R' ? file.origPath : file.path))
+    .filter(file => !newPaths.includes(file));
+
+  if (restoredPaths.length > 0) {
+    await runGit(projectPath, ['checkout', 'HEAD', '--', ...restoredPaths]);
+  }
+
+  if (newPaths.length > 0) {
+    await runGit(projectPath, ['rm', '--cached', '--quiet', '--ignore-unmatch', '--', ...newPaths]);
+
+    // One trash item per file, as when deleting them from the file tree
+    for (const file of newPaths) {
+      const absolutePath = path.join(projectPath, file);
+      if (await pathExists(absolutePath)) await deleteEntry(workspace, absolutePath, 'file');
+    }
+  }
+
+  return selected.map(file => file.path);
+};
+
+const getIdentity = async (projectPath) => {
+  try {
+    const name = (await runGit(projectPath, ['config', 'user.name'])).trim();
+    const email = (await runGit(projectPath, ['config', 'user.email'])).trim();
+    return name && email ? { name, email } : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Identity used for the commits of one project, stored in its own .git/config
+const setIdentity = async (projectPath, { name, email }) => {
+  await requireRepository(projectPath);
+  await runGit(projectPath, ['config', 'user.name', name]);
+  await runGit(projectPath, ['config', 'user.email', email]);
+};
+
+const commit = async (projectPath, message) => {
+  await requireRepository(projectPath);
+
+  if (!await getIdentity(projectPath)) {
+    throw new GitError('Set the author name and email before committing.', 409, 'MISSING_IDENTITY');
+  }
+
+  await runGit(projectPath, ['commit', '--quiet', '-m', message]);
+  return (await getLog(projectPath, { limit: 1 }))[0];
+};
+
+/**
+ * Latest commits of the current branch.
+ *
+ * @returns {Promise<{hash: string, shortHash: string, author: string, email: string, date: string, subject: string}[]>}
+ */
+const getLog = async (projectPath, { limit = 50 } = {}) => {
+  await requireRepository(projectPath);
+  if (!await hasCommits(projectPath)) return [];
+
+  const output = await runGit(projectPath, ['log', `--max-count=${limit}`, '--format=%H%x1f%h%x1f%an%x1f%ae%x1f%aI%x1f%s%x1e']);
+
+  return output.split('\x1e').map(record => record.trim()).filter(Boolean).map((record) => {
+    const [hash, shortHash, author, email, date, subject] = record.split('\x1f');
+    return { hash, shortHash, author, email, date, subject };
+  });
+};
+
+const getBranches = async (projectPath) => {
+  await requireRepository(projectPath);
+
+  const output = await runGit(projectPath, ['branch', '--list', '--format=%(HEAD)%1f%(refname:short)']);
+  const branches = output.split('\n').filter(Boolean).map((line) => {
+    const [head, name] = line.split('\x1f');
+    return { name, current: head === '*' };
+  });
+
+  // A fresh repository has a current branch without any ref yet
+  if (!branches.some(branch => branch.current)) {
+    const { branch } = await getStatus(projectPath);
+    if (branch) branches.unshift({ name: branch, current: true });
+  }
+
+  return branches;
+};
+
+const checkBranchName = async (projectPath, name) => {
+  if (typeof name !== 'string' || !name || name.startsWith('-')) {
+    throw new GitError('Invalid branch name.', 400, 'INVALID_BRANCH');
+  }
+
+  try {
+    await runGit(projectPath, ['check-ref-format', '--branch', name]);
+  } catch (err) {
+    throw new GitError('Invalid branch name.', 400, 'INVALID_BRANCH');
+  }
+};
+
+const createBranch = async (projectPath, name, { checkout = true } = {}) => {
+  await requireRepository(projectPath);
+  await checkBranchName(projectPath, name);
+
+  if (checkout) {
+    await runGit(projectPath, ['checkout', '--quiet', '-b', name]);
+  } else {
+    await runGit(projectPath, ['branch', name]);
+  }
+};
+
+const switchBranch = async (projectPath, name) => {
+  await requireRepository(projectPath);
+  await checkBranchName(projectPath, name);
+  await runGit(projectPath, ['checkout', '--quiet', name, '--']);
+};
+
+module.exports = {
+  GitError,
+  runGit,
+  isRepository,
+  getCurrentBranch,
+  getStatus,
+  init,
+  getDiff,
+  stage,
+  unstage,
+  discard,
+  getIdentity,
+  setIdentity,
+  commit,
+  getLog,
+  getBranches,
+  createBranch,
+  switchBranch
+};
@@ -0,0 +1,201 @@
+# Server/services/kernel_bridge.py
+# Runs a Jupyter kernel for the IDE server (services/notebook_kernels.js) and relays it
+# as JSON lines. Started with the interpreter of the project, which needs ipykernel.
+#
+#   stdin    execute { run, code }, interrupt, restart
+#   stdout   ready, status { state }, started { run, execution_count },
+#            output { run, output }, clear { run, wait }, reply { run, status },
+#            restarted, dead, error { message }
+#
+# Outputs are nbformat v4 output objects. The kernel is shut down when stdin closes.
+import asyncio
+import json
+import sys
+
+from jupyter_client.manager import AsyncKernelManager
+
+KERNEL_NAME = 'python3'
+READY_TIMEOUT_S = 60
+ALIVE_CHECK_INTERVAL_S = 1
+
+
+def send(message):
+    sys.stdout.write(json.dumps(message) + '\n')
+    sys.stdout.flush()
+
+
+def to_output(msg_type, content):
+    """nbformat output of an IOPub message, None for the other messages."""
+    if msg_type == 'stream':
+        return {'output_type': 'stream', 'name': content['name'], 'text': content['text']}
+    if msg_type == 'display_data':
+        return {'output_type': 'display_data', 'data': content['data'], 'metadata': content.get('metadata', {})}
+    if msg_type == 'execute_result':
+        return {
+            'output_type': 'execute_result',
+            'execution_count': content['execution_count'],
+            'data': content['data'],
+            'metadata': content.get('metadata', {}),
+        }
+    if msg_type == 'error':
+        return {
+            'output_type': 'error',
+            'ename': content['ename'],
+            'evalue': content['evalue'],
+            'traceback': content['traceback'],
+        }
+    return None
+
+
+class Bridge:
+    def __init__(self, cwd):
+        self.cwd = cwd
+        self.manager = AsyncKernelManager(kernel_name=KERNEL_NAME)
+        self.client = None
+        # msg_id of the execute requests -> { run, reply, idle }
+        self.runs = {}
+        self.dead = False
+        # Set by the kernel_info reply of a restarted kernel
+        self.restarted = None
+
+    async def start(self):
+        await self.manager.start_kernel(cwd=self.cwd)
+        self.client = self.manager.client()
+        self.client.start_channels()
+        await self.client.wait_for_ready(timeout=READY_TIMEOUT_S)
+        send({'type': 'ready'})
+
+    def execute(self, run, code):
+        msg_id = self.client.execute(code, store_history=True, allow_stdin=False, stop_on_error=True)
+        self.runs[msg_id] = {'run': run, 'reply': None, 'idle': False}
+
+    # A run is over once its reply came and the kernel went idle after its last output
+    def finish(self, msg_id):
+        state = self.runs.get(msg_id)
+        if not state or state['reply'] is None:
+            return
+        if not state['idle'] and state['reply'] != 'aborted':
+            return
+
+        del self.runs[msg_id]
+        send({'type': 'reply', 'run': state['run'], 'status': state['reply']})
+
+    def abort_all(self):
+        for state in self.runs.values():
+            send({'type': 'reply', 'run': state['run'], 'status': 'aborted'})
+        self.runs.clear()
+
+    async def read_iopub(self):
+        while True:
+            msg = await self.client.get_iopub_msg()
+            msg_type = msg['msg_type']
+            content = msg['content']
+            msg_id = msg['parent_header'].get('msg_id')
+            state = self.runs.get(msg_id)
+
+            if msg_type == 'status':
+                send({'type': 'status', 'state': content['execution_state']})
+                if state and content['execution_state'] == 'idle':
+                    state['idle'] = True
+                    self.finish(msg_id)
+                continue
+
+            if not state:
+                continue
+
+            if msg_type == 'execute_input':
+                send({'type': 'started', 'run': state['run'], 'execution_count': content['execution_count']})
+            elif msg_type == 'clear_output':
+                send({'type': 'clear', 'run': state['run'], 'wait': content.get('wait', False)})
+            else:
+                output = to_output(msg_type, content)
+                if output:
+                    send({'type': 'output', 'run': state['run'], 'output': output})
+
+    async def read_shell(self):
+        while True:
+            msg = await self.client.get_shell_msg()
+            msg_id = msg['parent_header'].get('msg_id')
+            if msg['msg_type'] == 'kernel_info_reply' and self.restarted:
+                self.restarted.set()
+            if msg['msg_type'] != 'execute_reply' or msg_id not in self.runs:
+                continue
+
+            self.runs[msg_id]['reply'] = msg['content']['status']
+            self.finish(msg_id)
+
+    async def watch_kernel(self):
+        while True:
+            await asyncio.sleep(ALIVE_CHECK_INTERVAL_S)
+            alive = await self.manager.is_alive()
+            if not alive and not self.dead:
+                self.dead = True
+                self.abort_all()
+                send({'type': 'dead'})
+
+    async def restart(self):
+        self.abort_all()
+        self.restarted = asyncio.Event()
+        await self.manager.restart_kernel(now=True)
+
+        # read_shell() takes the replies, so wait_for_ready() cannot be used: ask until the
+        # kernel answers, as it does
+        loop = asyncio.get_running_loop()
+        deadline = loop.time() + READY_TIMEOUT_S
+        while not self.restarted.is_set():
+            if loop.time() > deadline:
+                raise RuntimeError('the restarted kernel did not answer.')
+            self.client.kernel_info()
+            try:
+                await asyncio.wait_for(self.restarted.wait(), ALIVE_CHECK_INTERVAL_S)
+            except asyncio.TimeoutError:
+                pass
+
+        self.restarted = None
+        self.dead = False
+        send({'type': 'restarted'})
+
+    async def handle(self, request):
+        op = request.get('op')
+        if op == 'execute' and not self.dead:
+            self.execute(request['run'], request['code'])
+        elif op == 'execute':
+            send({'type': 'reply', 'run': request['run'], 'status': 'aborted'})
+        elif op == 'interrupt':
+            await self.manager.interrupt_kernel()
+        elif op == 'restart':
+            await self.restart()
+
+    async def read_requests(self):
+        loop = asyncio.get_running_loop()
+        while True:
+            line = await loop.run_in_executor(None, sys.stdin.readline)
+            if not line:
+                return
+            try:
+                await self.handle(json.loads(line))
+            except Exception as error:  # Reported to the browser, the kernel keeps running
+                send({'type': 'error', 'message': str(error)})
+
+    async def run(self):
+        await self.start()
+        tasks = [asyncio.create_task(task) for task in (self.read_iopub(), self.read_shell(), self.watch_kernel())]
+        try:
+            await self.read_requests()
+        finally:
+            for task in tasks:
+                task.cancel()
+            self.client.stop_channels()
+            await self.manager.shutdown_kernel(now=True)
+
+
+def main():
+    try:
+        asyncio.run(Bridge(sys.argv[1]).run())
+    except Exception as error:
+        send({'type': 'error', 'message': f'The kernel failed: {error}'})
+        sys.exit(1)
+
+
+if __name__ == '__main__':
+    main()
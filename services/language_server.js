@@ -0,0 +1,256 @@
+// Server/services/language_server.js
+// Python language servers (pyright or pylsp) speaking LSP JSON-RPC over stdio, one
+// per connected editor. Document URIs are rewritten in both directions: the browser
+// only knows `project:///<path in the project>`, never the server's file paths.
+const { spawn } = require('child_process');
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const { pathToFileURL, fileURLToPath } = require('url');
+const { isInside, normalizeRelativePath } = require('../utils/workspace_paths');
+const { createMessageReader, writeMessage } = require('../utils/message_framing');
+const { VENV_FOLDER, getPythonCommand, getVenvExecutable, hasVenv } = require('./python_env');
+const { logger } = require('../utils/logger');
+const { config } = require('../utils/config');
+
+const CLIENT_SCHEME = 'project:';
+
+// Each server holds the analysis of a whole project in memory
+const MAX_LANGUAGE_SERVERS = config.languageServers.maxServers;
+const SHUTDOWN_GRACE_MS = 2000;
+
+// Keys holding document URIs in LSP messages
+const URI_KEYS = new Set(['uri', 'rootUri', 'targetUri', 'scopeUri', 'oldUri', 'newUri']);
+
+class LanguageServerError extends Error {
+  constructor(message, status = 500, code = 'LANGUAGE_SERVER_ERROR') {
+    super(message);
+    this.name = 'LanguageServerError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Find the language server of a project, in this order: the command of
+ * PYTHON_LANGUAGE_SERVER, pylsp installed in the project's venv, then the
+ * pyright bundled with the IDE.
+ *
+ * @param {string} projectPath
+ * @returns {Promise<{ name: string, command: string, args: string[] }>}
+ */
+const findLanguageServer = async (projectPath) => {
+  if (process.env.PYTHON_LANGUAGE_SERVER) {
+    const [command, ...args] = process.env.PYTHON_LANGUAGE_SERVER.split(/\s+/).filter(Boolean);
+    return { name: path.basename(command), command, args };
+  }
+
+  const pylsp = getVenvExecutable(projectPath, 'pylsp');
+  try {
+    await fs.access(pylsp);
+    return { name: 'pylsp', command: pylsp, args: [] };
+  } catch (err) {
+    // Not installed in the venv
+  }
+
+  try {
+    return { name: 'pyright', command: process.execPath, args: [require.resolve('pyright/langserver.index.js'), '--stdio'] };
+  } catch (err) {
+    throw new LanguageServerError('No Python language server is installed.', 503, 'LANGUAGE_SERVER_MISSING');
+  }
+};
+
+// Apply `convert` to every document URI of a message, keys of WorkspaceEdit.changes included
+const rewriteUris = (value, convert, key) => {
+  if (Array.isArray(value)) return value.map(item => rewriteUris(item, convert));
+
+  if (!value || typeof value !== 'object') {
+    return typeof value === 'string' && URI_KEYS.has(key) ? convert(value) : value;
+  }
+
+  const result = {};
+  for (const [name, item] of Object.entries(value)) {
+    result[key === 'changes' ? convert(name) : name] = rewriteUris(item, convert, name);
+  }
+  return result;
+};
+
+const sessions = new Set();
+
+/**
+ * A language server started for one project. Messages of the browser go in
+ * through `send`, those of the server come out as `message` events; `exit` is
+ * emitted when the server stops. Configuration requests of the server are
+ * answered here, with the interpreter of the project's venv when it has one.
+ */
+class LanguageServerSession extends EventEmitter {
+  constructor(projectPath) {
+    super();
+    this.projectPath = projectPath;
+    this.realProjectPath = projectPath;
+    this.server = null;
+    this.settings = null;
+    this.child = null;
+  }
+
+  async start() {
+    if (sessions.size >= MAX_LANGUAGE_SERVERS) {
+      throw new LanguageServerError('Too many language servers are running. Close a project and try again.', 503, 'TOO_MANY_LANGUAGE_SERVERS');
+    }
+
+    this.server = await findLanguageServer(this.projectPath);
+    this.realProjectPath = await fs.realpath(this.projectPath);
+    this.settings = await this.buildSettings();
+
+    const child = spawn(this.server.command, this.server.args, { cwd: this.projectPath, stdio: ['pipe', 'pipe', 'pipe'] });
+    this.child = child;
+    sessions.add(this);
+
+    child.stdout.on('data', createMessageReader(message => this.receive(message), 'language server'));
+    // Language servers log to stderr; their diagnostics come through LSP
+    child.stderr.resume();
+    child.stdin.on('error', () => {});
+
+    const onExit = (code, signal) => {
+      if (this.child !== child) return;
+      this.child = null;
+      sessions.delete(this);
+      this.emit('exit', { code, signal });
+    };
+
+    child.on('error', (err) => {
+      logger.error('Language server failed', { server: this.server.name, error: err });
+      onExit(null, null);
+    });
+    child.on('exit', onExit);
+  }
+
+  // Settings for pyright (`python`) and pylsp (`pylsp`), with the interpreter of the project
+  async buildSettings() {
+    const venv = await hasVenv(this.projectPath);
+
+    return {
+      python: {
+        pythonPath: await getPythonCommand(this.projectPath),
+        // src/ is on the import path of the programs run by the IDE
+        analysis: { extraPaths: ['src'] }
+      },
+      pylsp: {
+        plugins: {
+          jedi: {
+            environment: venv ? path.join(this.projectPath, VENV_FOLDER) : null,
+            extra_paths: [path.join(this.projectPath, 'src')]
+          }
+        }
+      }
+    };
+  }
+
+  // Value of a dotted configuration section, `python.analysis` for instance
+  getSettings(section) {
+    if (!section) return this.settings;
+    const value = section.split('.').reduce((current, key) => (current && typeof current === 'object' ? current[key] : undefined), this.settings);
+    return value === undefined ? null : value;
+  }
+
+  toServerUri(uri) {
+    if (uri.startsWith('file:')) {
+      throw new LanguageServerError('Documents must be given as project: URIs.', 400, 'INVALID_URI');
+    }
+    if (!uri.startsWith(CLIENT_SCHEME)) return uri;
+
+    let relativePath;
+    try {
+      relativePath = decodeURIComponent(uri.slice(CLIENT_SCHEME.length).replace(/^\/+/, ''));
+    } catch (err) {
+      throw new LanguageServerError(`Invalid URI: ${uri}`, 400, 'INVALID_URI');
+    }
+
+    return pathToFileURL(path.join(this.projectPath, normalizeRelativePath(relativePath))).href;
+  }
+
+  // Locations outside of the project (the standard library...) are left as they are
+  toClientUri(uri) {
+    if (!uri.startsWith('file:')) return uri;
+
+    const absolutePath = fileURLToPath(uri);
+    const root = [this.projectPath, this.realProjectPath].find(candidate => isInside(candidate, absolutePath));
+    if (!root) return uri;
+
+    const relativePath = path.relative(root, absolutePath).split(path.sep).map(encodeURIComponent).join('/');
+    return `${CLIENT_SCHEME}///${relativePath}`;
+  }
+
+  /**
+   * Forward a message of the browser to the language server.
+   *
+   * @param {object} message JSON-RPC message with project: URIs
+   * @throws {LanguageServerError} For URIs outside of the project
+   */
+  send(message) {
+    const rewritten = rewriteUris(message, uri => this.toServerUri(uri));
+
+    if (rewritten.method === 'initialize') {
+      const rootUri = pathToFileURL(this.projectPath).href;
+      rewritten.params = {
+        ...rewritten.params,
+        processId: process.pid,
+        rootPath: this.projectPath,
+        rootUri,
+        workspaceFolders: [{ uri: rootUri, name: path.basename(this.projectPath) }]
+      };
+    }
+
+    this.write(rewritten);
+
+    // pylsp reads its settings from this notification, pyright asks for them again
+    if (rewritten.method === 'initialized') {
+      this.write({ jsonrpc: '2.0', method: 'workspace/didChangeConfiguration', params: { settings: this.settings } });
+    }
+  }
+
+  receive(message) {
+    if (message.method === 'workspace/configuration' && message.id !== undefined) {
+      const items = (message.params && message.params.items) || [];
+      this.write({ jsonrpc: '2.0', id: message.id, result: items.map(item => this.getSettings(item.section)) });
+      return;
+    }
+
+    this.emit('message', rewriteUris(message, uri => this.toClientUri(uri)));
+  }
+
+  write(message) {
+    if (!this.child) return;
+
+    writeMessage(this.child.stdin, message);
+  }
+
+  // Ask the server to exit, and kill it if it does not
+  stop() {
+    const { child } = this;
+    if (!child) return;
+
+    this.write({ jsonrpc: '2.0', id: 'shutdown', method: 'shutdown' });
+    this.write({ jsonrpc: '2.0', method: 'exit' });
+    setTimeout(() => child.kill(), SHUTDOWN_GRACE_MS).unref();
+  }
+}
+
+// Stop every language server, when the IDE server shuts down
+const stopAllLanguageServers = () => {
+  sessions.forEach(session => {
+    if (session.child) session.child.kill();
+  });
+};
+
+// Language servers running, for /api/metrics
+const countLanguageServers = () => sessions.size;
+
+module.exports = {
+  LanguageServerError,
+  LanguageServerSession,
+  findLanguageServer,
+  rewriteUris,
+  stopAllLanguageServers,
+  countLanguageServers
+};
@@ -0,0 +1,287 @@
+// Server/services/local_history.js
+// Automatic local history: every save of a project file keeps a gzip compressed
+// snapshot, stored once per content hash and kept next to the Workspace:
+//
+//   <history>/objects/<sha256>.gz   Content of a snapshot
+//   <history>/files/<sha1>.json     { path, snapshots: [{ id, savedAt, size }] } of one file,
+//                                   newest first; `id` is the content hash
+//
+// Paths are relative to the Workspace, with forward slashes. Writes go through one
+// queue so that concurrent saves cannot lose each other's index updates.
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { config } = require('../utils/config');
+const { createQueue } = require('../utils/serial_queue');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const OBJECTS_FOLDER = 'objects';
+const FILES_FOLDER = 'files';
+
+const HISTORY_MAX_SNAPSHOTS_PER_FILE = config.history.maxSnapshotsPerFile;
+// Larger files are not snapshotted
+const HISTORY_MAX_FILE_BYTES = config.history.maxFileBytes;
+
+class HistoryError extends Error {
+  constructor(message, status = 500, code = 'HISTORY_ERROR') {
+    super(message);
+    this.name = 'HistoryError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const enqueue = createQueue();
+
+// History folder -> bytes of its objects, known once measured
+const usage = new Map();
+
+const hashContent = content => crypto.createHash('sha256').update(content).digest('hex');
+
+const indexPath = (historyPath, filePath) =>
+  path.join(historyPath, FILES_FOLDER, `${crypto.createHash('sha1').update(filePath).digest('hex')}.json`);
+
+const objectPath = (historyPath, id) => path.join(historyPath, OBJECTS_FOLDER, `${id}.gz`);
+
+const readIndex = async (historyPath, filePath) => {
+  try {
+    return JSON.parse(await fs.readFile(indexPath(historyPath, filePath), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return { path: filePath, snapshots: [] };
+    throw err;
+  }
+};
+
+const writeIndex = async (historyPath, index) => {
+  const target = indexPath(historyPath, index.path);
+
+  if (index.snapshots.length === 0) {
+    await fs.rm(target, { force: true });
+    return;
+  }
+
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  await fs.writeFile(target, JSON.stringify(index));
+};
+
+const readAllIndexes = async (historyPath) => {
+  let names;
+  try {
+    names = await fs.readdir(path.join(historyPath, FILES_FOLDER));
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const indexes = await Promise.all(names
+    .filter(name => name.endsWith('.json'))
+    .map(name => fs.readFile(path.join(historyPath, FILES_FOLDER, name), 'utf8')
+      .then(JSON.parse)
+      .catch(() => null)));
+
+  return indexes.filter(Boolean);
+};
+
+// Size of every stored object, by id
+const statObjects = async (historyPath) => {
+  let names;
+  try {
+    names = await fs.readdir(path.join(historyPath, OBJECTS_FOLDER));
+  } catch (err) {
+    if (err.code === 'ENOENT') return new Map();
+    throw err;
+  }
+
+  const sizes = await Promise.all(names.map(async (name) => {
+    const stat = await fs.stat(path.join(historyPath, OBJECTS_FOLDER, name)).catch(() => null);
+    return [name.replace(/\.gz$/, ''), stat ? stat.size : 0];
+  }));
+
+  return new Map(sizes);
+};
+
+/**
+ * Drop the oldest snapshots until every object fits in `quotas.historyBytes` (the
+ * latest snapshot of each file is always kept), then delete the objects no
+ * snapshot refers to anymore.
+ */
+const collectGarbage = async (historyPath) => {
+  const indexes = await readAllIndexes(historyPath);
+  const objects = await statObjects(historyPath);
+
+  // Id -> number of snapshots using it
+  const references = new Map();
+  indexes.forEach(index => index.snapshots.forEach(({ id }) => references.set(id, (references.get(id) || 0) + 1)));
+
+  let usedBytes = Array.from(references.keys()).reduce((total, id) => total + (objects.get(id) || 0), 0);
+  const maxBytes = config.quotas.historyBytes;
+
+  if (usedBytes > maxBytes) {
+    const candidates = indexes
+      .flatMap(index => index.snapshots.slice(1).map(snapshot => ({ index, snapshot })))
+      .sort((a, b) => a.snapshot.savedAt.localeCompare(b.snapshot.savedAt));
+    const changed = new Set();
+
+    for (const { index, snapshot } of candidates) {
+      if (usedBytes <= maxBytes) break;
+
+      index.snapshots = index.snapshots.filter(candidate => candidate !== snapshot);
+      changed.add(index);
+
+      references.set(snapshot.id, references.get(snapshot.id) - 1);
+      if (references.get(snapshot.id) === 0) {
+        references.delete(snapshot.id);
+        usedBytes -= objects.get(snapshot.id) || 0;
+      }
+    }
+
+    await Promise.all(Array.from(changed).map(index => writeIndex(historyPath, index)));
+  }
+
+  await Promise.all(Array.from(objects.keys())
+    .filter(id => !references.has(id))
+    .map(id => fs.rm(objectPath(historyPath, id), { force: true })));
+
+  usage.set(historyPath, usedBytes);
+};
+
+/**
+ * Keep a snapshot of a file's content. Nothing is stored when the content is the
+ * latest snapshot already, or when it is larger than HISTORY_MAX_FILE_BYTES.
+ *
+ * @param {string} historyPath
+ * @param {string} filePath Relative to the Workspace
+ * @param {string|Buffer} content
+ * @returns {Promise<object|null>} The new snapshot, or null when none was needed
+ */
+const recordSnapshot = (historyPath, filePath, content) => enqueue(async () => {
+  const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+  if (data.length > HISTORY_MAX_FILE_BYTES) return null;
+
+  const id = hashContent(data);
+  const index = await readIndex(historyPath, filePath);
+
+  if (index.snapshots[0] && index.snapshots[0].id === id) return null;
+
+  if (!usage.has(historyPath)) {
+    const objects = await statObjects(historyPath);
+    usage.set(historyPath, Array.from(objects.values()).reduce((total, size) => total + size, 0));
+  }
+
+  const target = objectPath(historyPath, id);
+  try {
+    await fs.access(target);
+  } catch (err) {
+    const compressed = await gzip(data);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, compressed);
+    usage.set(historyPath, usage.get(historyPath) + compressed.length);
+  }
+
+  // Going back to an earlier content moves that snapshot to the top
+  const snapshot = { id, savedAt: new Date().toISOString(), size: data.length };
+  const previous = index.snapshots.filter(candidate => candidate.id !== id);
+  index.snapshots = [snapshot, ...previous].slice(0, HISTORY_MAX_SNAPSHOTS_PER_FILE);
+  await writeIndex(historyPath, index);
+
+  // Objects are shared between files: whether one is still used needs every index
+  if (previous.length >= HISTORY_MAX_SNAPSHOTS_PER_FILE || usage.get(historyPath) > config.quotas.historyBytes) {
+    await collectGarbage(historyPath);
+  }
+
+  return snapshot;
+});
+
+/**
+ * Snapshots of a file, newest first.
+ *
+ * @param {string} historyPath
+ * @param {string} filePath Relative to the Workspace
+ * @returns {Promise<object[]>}
+ */
+const listSnapshots = async (historyPath, filePath) => (await readIndex(historyPath, filePath)).snapshots;
+
+/**
+ * Content of one snapshot of a file.
+ *
+ * @param {string} historyPath
+ * @param {string} filePath Relative to the Workspace
+ * @param {string} id
+ * @returns {Promise<{ snapshot: object, content: string }>}
+ * @throws {HistoryError} With status 404 when the file has no such snapshot
+ */
+const readSnapshot = async (historyPath, filePath, id) => {
+  const { snapshots } = await readIndex(historyPath, filePath);
+  const snapshot = snapshots.find(candidate => candidate.id === id);
+
+  if (!snapshot) {
+    throw new HistoryError('Snapshot not found.', 404, 'SNAPSHOT_NOT_FOUND');
+  }
+
+  try {
+    const content = await gunzip(await fs.readFile(objectPath(historyPath, id)));
+    return { snapshot, content: content.toString('utf8') };
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      throw new HistoryError('Snapshot not found.', 404, 'SNAPSHOT_NOT_FOUND');
+    }
+    throw err;
+  }
+};
+
+/**
+ * Keep the history of a file that was renamed or moved. Snapshots already kept
+ * for the new path come after those of the old one.
+ *
+ * @param {string} historyPath
+ * @param {string} fromPath Relative to the Workspace
+ * @param {string} toPath Relative to the Workspace
+ */
+const moveHistory = (historyPath, fromPath, toPath) => enqueue(() => moveIndex(historyPath, fromPath, toPath));
+
+// Same as moveHistory, out of the queue
+const moveIndex = async (historyPath, fromPath, toPath) => {
+  const from = await readIndex(historyPath, fromPath);
+  if (from.snapshots.length === 0 || fromPath === toPath) return;
+
+  const to = await readIndex(historyPath, toPath);
+  const ids = new Set(from.snapshots.map(snapshot => snapshot.id));
+
+  to.snapshots = [...from.snapshots, ...to.snapshots.filter(snapshot => !ids.has(snapshot.id))]
+    .slice(0, HISTORY_MAX_SNAPSHOTS_PER_FILE);
+  from.snapshots = [];
+
+  await writeIndex(historyPath, to);
+  await writeIndex(historyPath, from);
+};
+
+/**
+ * Keep the history of the files of a folder that was renamed or moved, a project
+ * for instance.
+ *
+ * @param {string} historyPath
+ * @param {string} fromFolder Relative to the Workspace
+ * @param {string} toFolder Relative to the Workspace
+ */
+const moveFolderHistory = (historyPath, fromFolder, toFolder) => enqueue(async () => {
+  const indexes = (await readAllIndexes(historyPath)).filter(index => index.path.startsWith(`${fromFolder}/`));
+
+  for (const index of indexes) {
+    await moveIndex(historyPath, index.path, `${toFolder}${index.path.slice(fromFolder.length)}`);
+  }
+});
+
+module.exports = {
+  HISTORY_MAX_SNAPSHOTS_PER_FILE,
+  HISTORY_MAX_FILE_BYTES,
+  HistoryError,
+  recordSnapshot,
+  listSnapshots,
+  readSnapshot,
+  moveHistory,
+  moveFolderHistory
+};
@@ -0,0 +1,344 @@
+// Server/services/notebook_kernels.js
+// Jupyter kernels running the code cells of notebooks (.ipynb). Each kernel is started
+// by services/kernel_bridge.py with the project's interpreter, in the folder of its
+// notebook as Jupyter does, and outlives the WebSocket of the browser so a reloaded
+// page finds its variables again. A user has at most one kernel per notebook.
+const { EventEmitter } = require('events');
+const { spawn, execFile } = require('child_process');
+const crypto = require('crypto');
+const path = require('path');
+const readline = require('readline');
+const { getPythonCommand, getRunEnvironment, hasVenv } = require('./python_env');
+const { config } = require('../utils/config');
+
+// Kernels nobody attached to and that ran nothing for this long are shut down
+const IDLE_TIMEOUT_MS = config.kernels.idleTimeoutMs;
+const MAX_KERNELS_PER_USER = config.kernels.maxKernels;
+// Messages kept while no browser is attached, replayed to the next one
+const MAX_BACKLOG_MESSAGES = 1000;
+
+const BRIDGE_PATH = path.join(__dirname, 'kernel_bridge.py');
+const IDLE_CHECK_INTERVAL_MS = 60 * 1000;
+const KERNEL_CHECK_TIMEOUT_MS = 10 * 1000;
+const SHUTDOWN_GRACE_MS = 3000;
+
+const isWindows = process.platform === 'win32';
+
+class KernelError extends Error {
+  constructor(message, status = 500, code = 'KERNEL_ERROR') {
+    super(message);
+    this.name = 'KernelError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Utility function to check that an interpreter can start a Jupyter kernel
+const canStartKernel = python => new Promise((resolve) => {
+  execFile(python, ['-c', 'import ipykernel, jupyter_client'], { timeout: KERNEL_CHECK_TIMEOUT_MS, windowsHide: true }, err => resolve(!err));
+});
+
+/**
+ * A kernel of one notebook. Emits `message` with the messages for the browser:
+ *
+ *   status { kernel }                       state changed (starting, idle, busy, restarting, dead)
+ *   started { cellId, executionCount }      a cell began running
+ *   output { cellId, output }               nbformat output of a cell
+ *   clear { cellId, wait }                  the cell cleared its outputs
+ *   reply { cellId, status }                a cell finished: ok, error or aborted
+ *   error { message }
+ *
+ * and `exit` once the kernel is gone.
+ */
+class KernelSession extends EventEmitter {
+  constructor({ projectPath, notebookPath, username }) {
+    super();
+    this.id = crypto.randomUUID();
+    this.projectPath = projectPath;
+    this.project = path.basename(projectPath);
+    this.notebookPath = notebookPath;
+    this.username = username;
+
+    this.state = 'starting';
+    this.reason = null;
+    this.startedAt = new Date();
+    this.lastActivity = Date.now();
+
+    this.child = null;
+    // Run number of the bridge -> id of the notebook cell
+    this.runs = new Map();
+    this.nextRun = 1;
+    this.attached = 0;
+    this.backlog = [];
+  }
+
+  async start() {
+    const python = await getPythonCommand(this.projectPath);
+    if (!(await canStartKernel(python))) {
+      const where = (await hasVenv(this.projectPath)) ? "the project's venv" : 'the Python interpreter of the IDE';
+      throw new KernelError(`ipykernel is not installed in ${where}. Add it to the packages of the project.`, 503, 'KERNEL_UNAVAILABLE');
+    }
+
+    const child = spawn(python, [BRIDGE_PATH, path.dirname(path.join(this.projectPath, this.notebookPath))], {
+      cwd: this.projectPath,
+      env: { ...process.env, ...getRunEnvironment(this.projectPath) },
+      stdio: ['pipe', 'pipe', 'pipe'],
+      // Own process group; the kernel watches the bridge and exits with it
+      detached: !isWindows,
+      windowsHide: true
+    });
+    this.child = child;
+
+    readline.createInterface({ input: child.stdout }).on('line', (line) => {
+      try {
+        this.receive(JSON.parse(line));
+      } catch (err) {
+        // Not a message of the bridge
+      }
+    });
+    child.stderr.resume();
+    child.stdin.on('error', () => {});
+
+    child.on('error', (err) => {
+      this.record({ type: 'error', message: `The kernel could not start: ${err.message}` });
+      this.finish();
+    });
+    child.on('exit', () => this.finish());
+
+    return this;
+  }
+
+  receive(message) {
+    this.lastActivity = Date.now();
+
+    switch (message.type) {
+      case 'ready':
+        this.setState('idle');
+        break;
+      case 'status':
+        this.setState(message.state);
+        break;
+      case 'restarted':
+        this.setState('idle');
+        break;
+      case 'dead':
+        this.setState('dead');
+        break;
+      case 'started':
+        this.record({ type: 'started', cellId: this.runs.get(message.run), executionCount: message.execution_count });
+        break;
+      case 'output':
+        this.record({ type: 'output', cellId: this.runs.get(message.run), output: message.output });
+        break;
+      case 'clear':
+        this.record({ type: 'clear', cellId: this.runs.get(message.run), wait: Boolean(message.wait) });
+        break;
+      case 'reply':
+        this.record({ type: 'reply', cellId: this.runs.get(message.run), status: message.status });
+        this.runs.delete(message.run);
+        break;
+      case 'error':
+        this.record({ type: 'error', message: message.message });
+        break;
+      default:
+        break;
+    }
+  }
+
+  setState(state) {
+    if (this.state === state || this.state === 'exited') return;
+
+    this.state = state;
+    this.record({ type: 'status', kernel: this.summary() });
+  }
+
+  // Send a message to the browsers, or keep it until one attaches
+  record(message) {
+    if (this.attached === 0) {
+      this.backlog.push(message);
+      if (this.backlog.length > MAX_BACKLOG_MESSAGES) this.backlog.shift();
+    }
+
+    this.emit('message', message);
+  }
+
+  // A browser attached: returns the messages it missed
+  attach() {
+    this.attached++;
+    const backlog = this.backlog;
+    this.backlog = [];
+    return backlog;
+  }
+
+  detach() {
+    this.attached = Math.max(0, this.attached - 1);
+    this.lastActivity = Date.now();
+  }
+
+  write(message) {
+    if (!this.child || this.state === 'exited') return false;
+
+    this.lastActivity = Date.now();
+    this.child.stdin.write(`${JSON.stringify(message)}\n`);
+    return true;
+  }
+
+  execute(cellId, code) {
+    const run = this.nextRun++;
+    this.runs.set(run, cellId);
+
+    if (!this.write({ op: 'execute', run, code })) {
+      this.record({ type: 'reply', cellId, status: 'aborted' });
+      this.runs.delete(run);
+    }
+  }
+
+  interrupt() {
+    this.write({ op: 'interrupt' });
+  }
+
+  restart() {
+    if (this.write({ op: 'restart' })) this.setState('restarting');
+  }
+
+  // Closing stdin shuts the kernel down cleanly; it is killed if it does not stop
+  kill(reason = 'shutdown') {
+    const { child } = this;
+    if (!child || this.state === 'exited') return;
+
+    this.reason = reason;
+    child.stdin.end();
+    setTimeout(() => {
+      if (this.child !== child) return;
+      try {
+        if (isWindows) {
+          child.kill('SIGKILL');
+        } else {
+          process.kill(-child.pid, 'SIGKILL');
+        }
+      } catch (err) {
+        // Already gone
+      }
+    }, SHUTDOWN_GRACE_MS).unref();
+  }
+
+  finish() {
+    if (this.state === 'exited') return;
+
+    this.child = null;
+    this.reason = this.reason || 'exited';
+    this.runs.forEach(cellId => this.emit('message', { type: 'reply', cellId, status: 'aborted' }));
+    this.runs.clear();
+    this.state = 'exited';
+    this.emit('exit', this.summary());
+  }
+
+  isIdle(now) {
+    return this.attached === 0 && this.runs.size === 0 && now - this.lastActivity >= IDLE_TIMEOUT_MS;
+  }
+
+  summary() {
+    return {
+      id: this.id,
+      project: this.project,
+      path: this.notebookPath,
+      state: this.state,
+      reason: this.reason,
+      startedAt: this.startedAt
+    };
+  }
+}
+
+// Projects are direct children of a workspace
+const matches = (session, { workspacePath, projectPath, notebookPath, username }) =>
+  (!workspacePath || path.dirname(session.projectPath) === workspacePath)
+  && (!projectPath || session.projectPath === projectPath)
+  && (!notebookPath || session.notebookPath === notebookPath)
+  && (!username || session.username === username);
+
+class KernelManager {
+  constructor() {
+    this.sessions = new Map();
+    this.idleTimer = null;
+  }
+
+  /**
+   * Start the kernel of a notebook, or return the one already running for the user.
+   *
+   * @param {object} options
+   * @param {string} options.projectPath Absolute path of the project
+   * @param {string} options.notebookPath Path of the notebook in the project
+   * @param {string} options.username User the kernel belongs to: only they can attach to it
+   * @returns {Promise<KernelSession>}
+   */
+  async create({ projectPath, notebookPath, username }) {
+    const [running] = this.list({ projectPath, notebookPath, username });
+    if (running) return running;
+
+    if (this.list({ username }).length >= MAX_KERNELS_PER_USER) {
+      throw new KernelError(`At most ${MAX_KERNELS_PER_USER} kernels can run at once. Shut one down and try again.`, 429, 'TOO_MANY_KERNELS');
+    }
+
+    const session = new KernelSession({ projectPath, notebookPath, username });
+    this.sessions.set(session.id, session);
+    session.on('exit', () => this.sessions.delete(session.id));
+
+    try {
+      await session.start();
+    } catch (err) {
+      this.sessions.delete(session.id);
+      throw err;
+    }
+
+    this.watchIdleSessions();
+    return session;
+  }
+
+  /**
+   * @param {string} id
+   * @param {object} [filters] As for list(): null when the kernel does not match them
+   * @returns {KernelSession|null}
+   */
+  get(id, filters = {}) {
+    const session = this.sessions.get(id);
+    return session && matches(session, filters) ? session : null;
+  }
+
+  /**
+   * @param {object} [filters]
+   * @param {string} [filters.workspacePath] Only the kernels of the projects of this workspace
+   * @param {string} [filters.projectPath] Only the kernels of this project
+   * @param {string} [filters.notebookPath] Only the kernels of this notebook
+   * @param {string} [filters.username] Only the kernels of this user
+   * @returns {KernelSession[]}
+   */
+  list(filters = {}) {
+    return Array.from(this.sessions.values()).filter(session => matches(session, filters));
+  }
+
+  // Shut down the kernels of a project, or every kernel
+  killAll(filters = {}, reason = 'shutdown') {
+    this.list(filters).forEach(session => session.kill(reason));
+  }
+
+  watchIdleSessions() {
+    if (this.idleTimer) return;
+
+    this.idleTimer = setInterval(() => {
+      const now = Date.now();
+      this.list().filter(session => session.isIdle(now)).forEach(session => session.kill('idle'));
+
+      if (this.sessions.size === 0) {
+        clearInterval(this.idleTimer);
+        this.idleTimer = null;
+      }
+    }, IDLE_CHECK_INTERVAL_MS);
+    this.idleTimer.unref();
+  }
+}
+
+module.exports = {
+  IDLE_TIMEOUT_MS,
+  KernelError,
+  kernels: new KernelManager()
+};
@@ -0,0 +1,261 @@
+// Server/services/process_manager.js
+// Keeps track of the child processes started on behalf of the browser (code runs,
+// installs...) and buffers their output so clients can attach to a stream late.
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+const { StringDecoder } = require('string_decoder');
+const crypto = require('crypto');
+const path = require('path');
+const { config } = require('../utils/config');
+
+const DEFAULT_TIME_LIMIT_MS = config.run.timeLimitMs;
+const DEFAULT_OUTPUT_LIMIT_BYTES = config.run.outputLimitBytes;
+
+// Delay between SIGTERM and SIGKILL when stopping a process
+const KILL_GRACE_MS = 2000;
+
+// Finished processes are kept this long so their output can still be fetched
+const FINISHED_TTL_MS = 10 * 60 * 1000;
+
+const isWindows = process.platform === 'win32';
+
+class ManagedProcess extends EventEmitter {
+  constructor({ kind, projectPath, label, command, args, cwd, env, timeLimitMs, outputLimitBytes, onFinish }) {
+    super();
+    this.id = crypto.randomUUID();
+    this.kind = kind;
+    this.projectPath = projectPath;
+    this.project = path.basename(projectPath);
+    this.label = label;
+    this.command = command;
+    this.args = args;
+    this.cwd = cwd;
+    this.env = env;
+    this.timeLimitMs = timeLimitMs;
+    this.outputLimitBytes = outputLimitBytes;
+    this.onFinish = onFinish;
+
+    this.status = 'starting';
+    this.output = [];
+    this.outputBytes = 0;
+    // Characters split between two chunks are only decoded once complete
+    this.decoders = { stdout: new StringDecoder('utf8'), stderr: new StringDecoder('utf8') };
+    this.exitCode = null;
+    this.signal = null;
+    this.reason = null;
+    this.startedAt = new Date();
+    this.endedAt = null;
+
+    this.child = null;
+    this.timeLimitTimer = null;
+    this.killTimer = null;
+  }
+
+  start() {
+    this.child = spawn(this.command, this.args, {
+      cwd: this.cwd,
+      env: this.env,
+      // Own process group, so stopping also ends the processes the script started
+      detached: !isWindows,
+      windowsHide: true
+    });
+
+    this.status = 'running';
+
+    this.child.stdout.on('data', chunk => this.record('stdout', chunk));
+    this.child.stderr.on('data', chunk => this.record('stderr', chunk));
+    this.child.stdin.on('error', () => {}); // Writing to a process that just exited
+
+    this.child.on('error', (err) => {
+      this.record('stderr', Buffer.from(`Failed to start '${this.command}': ${err.message}\n`));
+      this.finish(null, null, 'spawn-error');
+    });
+
+    this.child.on('close', (code, signal) => this.finish(code, signal));
+
+    if (this.timeLimitMs > 0) {
+      this.timeLimitTimer = setTimeout(() => this.stop('timeout'), this.timeLimitMs);
+    }
+
+    return this;
+  }
+
+  record(stream, chunk) {
+    if (this.outputBytes >= this.outputLimitBytes) return;
+
+    const remaining = this.outputLimitBytes - this.outputBytes;
+    const kept = chunk.length > remaining ? chunk.subarray(0, remaining) : chunk;
+    let data = this.decoders[stream].write(kept);
+    this.outputBytes += kept.length;
+
+    if (kept.length < chunk.length) {
+      data += `\n[Output limit of ${this.outputLimitBytes} bytes reached]\n`;
+      this.stop('output-limit');
+    }
+
+    if (data === '') return;
+
+    const entry = { stream, data };
+    this.output.push(entry);
+    this.emit('output', entry);
+  }
+
+  write(data) {
+    if (this.status !== 'running' || !this.child.stdin.writable) {
+      return false;
+    }
+
+    this.child.stdin.write(data);
+    return true;
+  }
+
+  closeInput() {
+    if (this.status === 'running') {
+      this.child.stdin.end();
+    }
+  }
+
+  kill(signal) {
+    try {
+      if (isWindows) {
+        this.child.kill(signal);
+      } else {
+        process.kill(-this.child.pid, signal);
+      }
+    } catch (err) {
+      if (err.code !== 'ESRCH') throw err;
+    }
+  }
+
+  // Ask the process to stop, then force it after a grace period
+  stop(reason = 'stopped') {
+    if (this.status !== 'running') return;
+
+    this.reason = this.reason || reason;
+    this.status = 'stopping';
+    this.kill('SIGTERM');
+
+    this.killTimer = setTimeout(() => this.kill('SIGKILL'), KILL_GRACE_MS);
+  }
+
+  async finish(code, signal, reason) {
+    if (this.endedAt) return;
+
+    clearTimeout(this.timeLimitTimer);
+    clearTimeout(this.killTimer);
+
+    this.exitCode = code;
+    this.signal = signal;
+    this.reason = this.reason || reason || (code === 0 ? 'completed' : 'failed');
+    this.endedAt = new Date();
+
+    // Follow-up work (e.g. updating a file) completes before clients hear about the exit
+    if (this.onFinish) {
+      try {
+        await this.onFinish(this);
+      } catch (err) {
+        this.record('stderr', Buffer.from(`${err.message}\n`));
+      }
+    }
+
+    this.status = 'exited';
+    this.emit('exit', this.summary());
+  }
+
+  summary() {
+    return {
+      id: this.id,
+      kind: this.kind,
+      project: this.project,
+      label: this.label,
+      status: this.status,
+      exitCode: this.exitCode,
+      signal: this.signal,
+      reason: this.reason,
+      startedAt: this.startedAt,
+      endedAt: this.endedAt,
+      timeLimitMs: this.timeLimitMs,
+      outputLimitBytes: this.outputLimitBytes
+    };
+  }
+}
+
+// Projects are direct children of a workspace
+const matches = (managed, { workspacePath, projectPath, kind }) =>
+  (!workspacePath || path.dirname(managed.projectPath) === workspacePath)
+  && (!projectPath || managed.projectPath === projectPath)
+  && (!kind || managed.kind === kind);
+
+class ProcessManager {
+  constructor() {
+    this.processes = new Map();
+  }
+
+  /**
+   * Spawn a process and start recording its output.
+   *
+   * @param {object} options
+   * @param {string} options.kind What the process is for ('run', 'install'...)
+   * @param {string} options.projectPath Absolute path of the project the process belongs to
+   * @param {string} options.label Human readable description
+   * @param {string} options.command Executable to start
+   * @param {string[]} [options.args]
+   * @param {string} options.cwd Working directory
+   * @param {object} [options.env] Extra environment variables
+   * @param {number} [options.timeLimitMs] 0 disables the limit
+   * @param {number} [options.outputLimitBytes]
+   * @param {(managed: ManagedProcess) => Promise<void>} [options.onFinish] Awaited once the process exited
+   * @returns {ManagedProcess}
+   */
+  start({ env = {}, args = [], timeLimitMs = DEFAULT_TIME_LIMIT_MS, outputLimitBytes = DEFAULT_OUTPUT_LIMIT_BYTES, ...options }) {
+    const managed = new ManagedProcess({
+      ...options,
+      args,
+      env: { ...process.env, ...env },
+      timeLimitMs,
+      outputLimitBytes
+    });
+
+    this.processes.set(managed.id, managed);
+    managed.on('exit', () => {
+      setTimeout(() => this.processes.delete(managed.id), FINISHED_TTL_MS).unref();
+    });
+
+    return managed.start();
+  }
+
+  /**
+   * @param {string} id
+   * @param {object} [filters] As for list(): null when the process does not match them
+   * @returns {ManagedProcess|null}
+   */
+  get(id, filters = {}) {
+    const managed = this.processes.get(id);
+    return managed && matches(managed, filters) ? managed : null;
+  }
+
+  /**
+   * @param {object} [filters]
+   * @param {string} [filters.workspacePath] Only the processes of the projects of this workspace
+   * @param {string} [filters.projectPath] Only the processes of this project
+   * @param {string} [filters.kind]
+   * @returns {ManagedProcess[]}
+   */
+  list(filters = {}) {
+    return Array.from(this.processes.values()).filter(managed => matches(managed, filters));
+  }
+
+  active() {
+    return this.list().filter(managed => managed.status !== 'exited');
+  }
+
+  stopAll() {
+    this.active().forEach(managed => managed.stop('shutdown'));
+  }
+}
+
+module.exports = {
+  DEFAULT_TIME_LIMIT_MS,
+  DEFAULT_OUTPUT_LIMIT_BYTES,
+  processManager: new ProcessManager()
+};
@@ -0,0 +1,73 @@
+// Server/services/project_manifest.js
+// What the dashboard knows about a project besides its files, kept in the project so
+// that it follows renames, duplicates and exports:
+//
+//   <project>/.bocide/project.json   { template, description, created, lastOpened }
+//   <project>/.bocide/.gitignore     Keeps the folder out of the project's repository
+//
+// The folder also holds the settings of the project, the one file of it that goes to
+// the repository, see services/editor_settings.js.
+//
+// Projects made before manifests existed, or by hand, have none until one is written:
+// they read as made from no template, on the date of their folder.
+const fs = require('fs').promises;
+const path = require('path');
+const { writeFileAtomic } = require('../utils/atomic_write');
+const { createQueue } = require('../utils/serial_queue');
+
+const MANIFEST_FOLDER = '.bocide';
+const MANIFEST_FILE = 'project.json';
+
+const MAX_DESCRIPTION_LENGTH = 500;
+
+const enqueue = createQueue();
+
+const manifestPath = projectPath => path.join(projectPath, MANIFEST_FOLDER, MANIFEST_FILE);
+
+// Write the .gitignore of the manifest folder, which must exist
+const writeManifestIgnore = projectPath => fs.writeFile(path.join(projectPath, MANIFEST_FOLDER, '.gitignore'), '*\n!settings.json\n');
+
+/**
+ * Manifest of a project, with the defaults of the fields it does not have.
+ *
+ * @param {string} projectPath
+ * @returns {Promise<{ template: ?string, description: string, created: string, lastOpened: ?string }>}
+ */
+const readManifest = async (projectPath) => {
+  let stored = {};
+  try {
+    stored = JSON.parse(await fs.readFile(manifestPath(projectPath), 'utf8'));
+  } catch (err) {
+    // A manifest broken by hand is ignored, not fatal to the dashboard
+    if (err.code !== 'ENOENT' && !(err instanceof SyntaxError)) throw err;
+  }
+
+  const stat = await fs.stat(projectPath);
+
+  return {
+    template: typeof stored.template === 'string' ? stored.template : null,
+    description: typeof stored.description === 'string' ? stored.description : '',
+    created: typeof stored.created === 'string' ? stored.created : (stat.birthtime.getTime() ? stat.birthtime : stat.ctime).toISOString(),
+    lastOpened: typeof stored.lastOpened === 'string' ? stored.lastOpened : null
+  };
+};
+
+/**
+ * Change fields of the manifest of a project, creating it if needed.
+ *
+ * @param {string} projectPath
+ * @param {object} changes Fields of the manifest, see readManifest
+ * @returns {Promise<object>} The manifest after the changes
+ */
+const updateManifest = (projectPath, changes) => enqueue(async () => {
+  const manifest = { ...await readManifest(projectPath), ...changes };
+  const target = manifestPath(projectPath);
+
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  await writeManifestIgnore(projectPath);
+  await writeFileAtomic(target, JSON.stringify(manifest, null, 2));
+
+  return manifest;
+});
+
+module.exports = { MANIFEST_FOLDER, MAX_DESCRIPTION_LENGTH, readManifest, updateManifest, writeManifestIgnore };
@@ -0,0 +1,280 @@
+// Server/services/projects.js
+// Projects are the folders at the root of a workspace. Used by /api/v1 and the
+// deprecated routes it replaces; `workspace` is `req.workspace` (utils/auth.js).
+const fs = require('fs').promises;
+const path = require('path');
+const { FileError, listFolder, createFolder, deleteEntry } = require('./workspace_files');
+const { removeProjectShares, renameProjectShares } = require('./shares');
+const { readManifest, updateManifest } = require('./project_manifest');
+const { getCurrentBranch } = require('./git');
+const { moveFolderHistory } = require('./local_history');
+const { documents } = require('./collaboration');
+const { checkQuota, forgetUsage } = require('./quotas');
+const { IGNORED_FOLDERS } = require('./workspace_watcher');
+const { EXCLUDED_FROM_EXPORT } = require('./archive');
+const { loadTemplate, resolveVariables, renderTemplate } = require('../utils/project_templates');
+const { logger } = require('../utils/logger');
+const { config } = require('../utils/config');
+
+// Files counted in the size of a project, beyond which it is reported as a lower bound
+const PROJECT_STATS_MAX_FILES = config.projects.statsMaxFiles;
+// Age of the size of a project beyond which it is measured again
+const PROJECT_STATS_TTL_MS = config.projects.statsTtlMs;
+
+// Utility function to add up the files of a project, as search and the file tree see
+// them: without the folders of IGNORED_FOLDERS, nor links
+const measureProject = async (projectPath) => {
+  const stats = { size: 0, files: 0, truncated: false };
+  const folders = [projectPath];
+
+  while (folders.length > 0) {
+    const folderPath = folders.pop();
+
+    let entries;
+    try {
+      entries = await fs.readdir(folderPath, { withFileTypes: true });
+    } catch (err) {
+      continue;
+    }
+
+    for (const entry of entries) {
+      const absolutePath = path.join(folderPath, entry.name);
+
+      if (entry.isDirectory() && !IGNORED_FOLDERS.includes(entry.name)) {
+        folders.push(absolutePath);
+      } else if (entry.isFile()) {
+        if (stats.files === PROJECT_STATS_MAX_FILES) return { ...stats, truncated: true };
+
+        stats.files += 1;
+        stats.size += (await fs.stat(absolutePath).catch(() => ({ size: 0 }))).size;
+      }
+    }
+  }
+
+  return stats;
+};
+
+// Last measure of each project, by path: walking every project on each listing of the
+// dashboard is too slow. The listing only reads, as viewers of a shared workspace list
+// the projects of its owner.
+const measures = new Map();
+
+// Utility function to get the size of a project, measuring it again when the last
+// measure is older than PROJECT_STATS_TTL_MS or the project was opened since
+const readProjectStats = async (projectPath) => {
+  const cached = measures.get(projectPath);
+  if (cached && Date.now() - cached.measured < PROJECT_STATS_TTL_MS) return cached.stats;
+
+  const stats = await measureProject(projectPath);
+  measures.set(projectPath, { stats, measured: Date.now() });
+  return stats;
+};
+
+/**
+ * Everything the dashboard shows of a project: its manifest (services/project_manifest.js),
+ * its size and number of files, and its git branch.
+ *
+ * @param {object} workspace
+ * @param {string} projectPath
+ * @returns {Promise<object>}
+ */
+const describeProject = async (workspace, projectPath) => {
+  const name = path.basename(projectPath);
+  const [stat, manifest, stats, branch] = await Promise.all([
+    fs.stat(projectPath),
+    readManifest(projectPath),
+    readProjectStats(projectPath),
+    getCurrentBranch(projectPath)
+  ]);
+
+  return {
+    name,
+    modified: stat.mtime,
+    ...manifest,
+    ...stats,
+    branch,
+    ...(workspace.shared && { role: workspace.shared.get(name) })
+  };
+};
+
+/**
+ * Projects of a workspace. In a workspace shared with the user, only the projects
+ * shared with them, with their role.
+ *
+ * @param {object} workspace
+ * @returns {Promise<object[]>} See describeProject
+ */
+const listProjects = async (workspace) => {
+  const entries = await listFolder(workspace.path);
+
+  return Promise.all(entries
+    .filter(entry => entry.type === 'folder')
+    .filter(entry => !workspace.shared || workspace.shared.has(entry.name))
+    .map(entry => describeProject(workspace, path.join(workspace.path, entry.name))));
+};
+
+// Utility function to refuse changes to the projects of a shared workspace that only
+// their owner can make
+const requireOwner = (workspace, message) => {
+  if (workspace.shared) throw new FileError(message, 403, 'FORBIDDEN');
+};
+
+// Utility function to check that no project has a name yet
+const requireFreeName = async (projectPath) => {
+  try {
+    await fs.lstat(projectPath);
+  } catch (err) {
+    if (err.code === 'ENOENT') return;
+    throw err;
+  }
+
+  throw new FileError(`A project named '${path.basename(projectPath)}' already exists.`, 409, 'CONFLICT');
+};
+
+/**
+ * Generate the files of a template in a project folder.
+ *
+ * @param {string} projectPath
+ * @param {string} templateName
+ * @param {object} [variables] Values of the variables of the template
+ * @returns {Promise<string[]>} The created files and folders
+ * @throws {TemplateError} For unknown templates and invalid variables
+ */
+const applyTemplate = async (projectPath, templateName, variables = {}) => {
+  const template = await loadTemplate(templateName);
+  const values = resolveVariables(template, {
+    ...variables,
+    project_name: variables.project_name || path.basename(projectPath)
+  });
+
+  await fs.mkdir(projectPath, { recursive: true });
+  return renderTemplate(template, projectPath, values);
+};
+
+/**
+ * Create a project folder, with the files of a template and its manifest. Nothing is
+ * left behind when the template cannot be applied.
+ *
+ * @param {object} workspace
+ * @param {string} projectPath
+ * @param {object} [options]
+ * @param {string} [options.template] Name of the template
+ * @param {object} [options.variables] Values of the variables of the template
+ * @param {string} [options.description]
+ * @returns {Promise<string[]>} The files and folders created by the template
+ */
+const createProject = async (workspace, projectPath, { template, variables, description = '' } = {}) => {
+  await createFolder(workspace, projectPath);
+
+  try {
+    const created = template ? await applyTemplate(projectPath, template, variables) : [];
+    await updateManifest(projectPath, { template: template || null, description, created: new Date().toISOString() });
+    forgetUsage(workspace);
+    return created;
+  } catch (err) {
+    await fs.rm(projectPath, { recursive: true, force: true });
+    throw err;
+  }
+};
+
+/**
+ * Rename a project. Only its owner can; its shares and the local history of its files
+ * follow it, and its collaborative sessions are written to disk first.
+ *
+ * @param {string} authPath See services/shares.js
+ * @param {object} workspace
+ * @param {string} projectPath
+ * @param {string} newPath
+ */
+const renameProject = async (authPath, workspace, projectPath, newPath) => {
+  requireOwner(workspace, 'Only the owner can rename a shared project.');
+  if (newPath === projectPath) return;
+
+  // Case only renames are the same folder on case insensitive file systems
+  if (newPath.toLowerCase() !== projectPath.toLowerCase()) await requireFreeName(newPath);
+
+  await documents.saveAll(projectPath);
+  await fs.rename(projectPath, newPath);
+  measures.delete(projectPath);
+
+  const name = path.basename(projectPath);
+  const newName = path.basename(newPath);
+  await renameProjectShares(authPath, workspace.owner, name, newName);
+  moveFolderHistory(workspace.historyPath, name, newName)
+    .catch(err => logger.error('Failed to move the history of a project', { error: err }));
+};
+
+// Utility function to tell the folders a duplicate leaves out: those rebuilt on each
+// machine, as in exports, and virtual environments under any name
+const isDuplicated = async (source) => {
+  const stat = await fs.lstat(source);
+
+  // Links could point anywhere on the server
+  if (stat.isSymbolicLink()) return false;
+  if (!stat.isDirectory()) return true;
+  if (EXCLUDED_FROM_EXPORT.includes(path.basename(source))) return false;
+
+  return fs.access(path.join(source, 'pyvenv.cfg')).then(() => false, () => true);
+};
+
+/**
+ * Copy a project under a new name, without its virtual environment and caches. The
+ * copy keeps the template and description of the original, and is not shared.
+ *
+ * @param {object} workspace
+ * @param {string} projectPath
+ * @param {string} newPath
+ */
+const duplicateProject = async (workspace, projectPath, newPath) => {
+  requireOwner(workspace, 'Only the owner can duplicate a shared project.');
+  await requireFreeName(newPath);
+  await checkQuota(workspace, (await measureProject(projectPath)).size);
+
+  await documents.saveAll(projectPath);
+  const manifest = await readManifest(projectPath);
+
+  try {
+    await fs.cp(projectPath, newPath, { recursive: true, errorOnExist: true, force: false, filter: isDuplicated });
+    await updateManifest(newPath, { ...manifest, created: new Date().toISOString(), lastOpened: null });
+  } catch (err) {
+    await fs.rm(newPath, { recursive: true, force: true });
+    throw err;
+  } finally {
+    forgetUsage(workspace);
+  }
+};
+
+// Remember when a project was last opened, for the recent projects of the dashboard.
+// Its files are likely to change: its size is measured again on the next listing.
+const markProjectOpened = (projectPath) => {
+  measures.delete(projectPath);
+  return updateManifest(projectPath, { lastOpened: new Date().toISOString() });
+};
+
+/**
+ * Move a project to the trash. Only its owner can, and it is not shared anymore.
+ *
+ * @param {string} authPath See services/shares.js
+ * @param {object} workspace
+ * @param {string} projectPath
+ * @returns {Promise<object>} The trash item
+ */
+const deleteProject = async (authPath, workspace, projectPath) => {
+  requireOwner(workspace, 'Only the owner can delete a shared project.');
+
+  const item = await deleteEntry(workspace, projectPath, 'folder');
+  measures.delete(projectPath);
+  await removeProjectShares(authPath, workspace.owner, path.basename(projectPath));
+  return item;
+};
+
+module.exports = {
+  describeProject,
+  listProjects,
+  applyTemplate,
+  createProject,
+  renameProject,
+  duplicateProject,
+  markProjectOpened,
+  deleteProject
+};
@@ -0,0 +1,147 @@
+// Server/services/python_env.js
+// Decides which Python interpreter runs the code of a project, and keeps the
+// project's virtual environment and requirements.txt in sync.
+const fs = require('fs').promises;
+const path = require('path');
+
+// Virtual environment folder inside each project
+const VENV_FOLDER = '.venv';
+const REQUIREMENTS_FILE = 'requirements.txt';
+
+const isWindows = process.platform === 'win32';
+
+// Interpreter used when nothing more specific is configured
+const getSystemPython = () => process.env.PYTHON || (isWindows ? 'python' : 'python3');
+
+// Program installed in the virtual environment of a project (python, pip, pylsp...)
+const getVenvExecutable = (projectPath, name) => (isWindows
+  ? path.join(projectPath, VENV_FOLDER, 'Scripts', `${name}.exe`)
+  : path.join(projectPath, VENV_FOLDER, 'bin', name));
+
+// Interpreter inside the virtual environment of a project
+const getVenvPython = (projectPath) => getVenvExecutable(projectPath, 'python');
+
+const hasVenv = async (projectPath) => {
+  try {
+    await fs.access(getVenvPython(projectPath));
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+// Interpreter for a project: its venv when there is one, the system Python otherwise
+const getPythonCommand = async (projectPath) => (await hasVenv(projectPath) ? getVenvPython(projectPath) : getSystemPython());
+
+// Code is only run from this folder of a project
+const SOURCE_FOLDER = 'src';
+
+// Utility function to validate a dotted module name such as `package.module`
+const isValidModuleName = (name) => typeof name === 'string' && /^[A-Za-z_][\w]*(\.[A-Za-z_][\w]*)*$/.test(name);
+
+// Environment variables of the programs run, or debugged, by the IDE
+const getRunEnvironment = (projectPath) => ({
+  PYTHONUNBUFFERED: '1',
+  PYTHONIOENCODING: 'utf-8',
+  // Modules of src/ import each other whether started as a file or with -m
+  PYTHONPATH: [path.join(projectPath, SOURCE_FOLDER), process.env.PYTHONPATH].filter(Boolean).join(path.delimiter)
+});
+
+// Options telling pip where packages come from. A local wheel directory keeps installs
+// working offline; otherwise pip uses its own configuration (PIP_INDEX_URL...).
+const getPackageSourceArgs = () => {
+  const wheelhouse = process.env.WHEELHOUSE_PATH;
+  return wheelhouse ? ['--no-index', '--find-links', wheelhouse] : [];
+};
+
+// Package names are compared the way pip does (PEP 503)
+const normalizePackageName = (name) => name.toLowerCase().replace(/[-_.]+/g, '-');
+
+// Requirement specifiers accepted from the client: a name, optional extras and version
+// constraints. Anything looking like a pip option or a path is refused.
+const REQUIREMENT_PATTERN = /^([A-Za-z0-9][A-Za-z0-9._-]*)(\[[A-Za-z0-9._,-]+\])?\s*((===?|~=|!=|<=|>=|<|>)\s*[A-Za-z0-9.*+!_-]+(\s*,\s*(===?|~=|!=|<=|>=|<|>)\s*[A-Za-z0-9.*+!_-]+)*)?$/;
+
+const parseRequirement = (spec) => {
+  if (typeof spec !== 'string') return null;
+
+  const match = spec.trim().match(REQUIREMENT_PATTERN);
+  return match ? { name: match[1], spec: spec.trim() } : null;
+};
+
+const readRequirementsFile = async (projectPath) => {
+  try {
+    return await fs.readFile(path.join(projectPath, REQUIREMENTS_FILE), 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return '';
+    throw err;
+  }
+};
+
+// List the packages required by requirements.txt, ignoring comments and pip options
+const readRequirements = async (projectPath) => {
+  const content = await readRequirementsFile(projectPath);
+
+  return content.split(/\r?\n/)
+    .map(line => line.replace(/\s+#.*$/, '').trim())
+    .filter(line => line && !line.startsWith('#') && !line.startsWith('-'))
+    .map(line => {
+      const nameMatch = line.match(/^[A-Za-z0-9][A-Za-z0-9._-]*/);
+      return nameMatch ? { name: nameMatch[0], spec: line } : null;
+    })
+    .filter(Boolean);
+};
+
+// Add a requirement, replacing the line of the same package if there is one
+const addRequirement = async (projectPath, requirement) => {
+  const content = await readRequirementsFile(projectPath);
+  const wanted = normalizePackageName(requirement.name);
+  const lines = content ? content.replace(/\r?\n$/, '').split(/\r?\n/) : [];
+
+  let replaced = false;
+  const updated = lines.map((line) => {
+    const nameMatch = line.trim().match(/^[A-Za-z0-9][A-Za-z0-9._-]*/);
+    if (nameMatch && normalizePackageName(nameMatch[0]) === wanted) {
+      replaced = true;
+      return requirement.spec;
+    }
+    return line;
+  });
+
+  if (!replaced) {
+    updated.push(requirement.spec);
+  }
+
+  await fs.writeFile(path.join(projectPath, REQUIREMENTS_FILE), `${updated.join('\n')}\n`);
+};
+
+// Remove every line requiring a package
+const removeRequirement = async (projectPath, name) => {
+  const content = await readRequirementsFile(projectPath);
+  const unwanted = normalizePackageName(name);
+
+  const updated = content.split(/\r?\n/).filter((line) => {
+    const nameMatch = line.trim().match(/^[A-Za-z0-9][A-Za-z0-9._-]*/);
+    return !nameMatch || normalizePackageName(nameMatch[0]) !== unwanted;
+  });
+
+  await fs.writeFile(path.join(projectPath, REQUIREMENTS_FILE), updated.join('\n'));
+};
+
+module.exports = {
+  VENV_FOLDER,
+  REQUIREMENTS_FILE,
+  SOURCE_FOLDER,
+  getSystemPython,
+  getVenvExecutable,
+  getVenvPython,
+  hasVenv,
+  getPythonCommand,
+  isValidModuleName,
+  getRunEnvironment,
+  getPackageSourceArgs,
+  normalizePackageName,
+  parseRequirement,
+  readRequirements,
+  addRequirement,
+  removeRequirement
+};
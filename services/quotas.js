@@ -0,0 +1,186 @@
+// Server/services/quotas.js
+// Disk quotas of the workspaces (`quotas` of utils/config.js). The trash and the local
+// history of a user are not part of their workspace: each has a budget of its own,
+// getTrashQuota and `quotas.historyBytes`, so that deleting files never makes room for
+// more than it frees. Writes made through the IDE check the space they need first: file
+// routes and collaborative saves with their exact size, uploads with the size received,
+// imports with the size their archive declares. Actions that write an unknown amount,
+// such as runs, terminals, installs or git, use the requireQuota middleware, which
+// refuses to start them once the workspace is full; what they write while running is
+// not limited.
+//
+// Measuring a workspace walks all its files, .venv and .git included: measures are
+// kept for USAGE_TTL_MS, updated with the writes made through the IDE meanwhile.
+const fs = require('fs').promises;
+const path = require('path');
+const { config } = require('../utils/config');
+const { sendApiError } = require('../utils/api_errors');
+
+const USAGE_TTL_MS = config.quotas.usageTtlMs;
+
+class QuotaError extends Error {
+  constructor(message, status = 507, code = 'QUOTA_EXCEEDED') {
+    super(message);
+    this.name = 'QuotaError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Workspace path -> { bytes, measuredAt }, or the promise of a measure in progress
+const usage = new Map();
+
+// Utility function to format a size for messages
+const formatSize = (bytes) => {
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${Math.round(bytes / 1024)} KB`;
+};
+
+// Utility function to add up the size of the files below a folder, without following links
+const measureFolder = async (folderPath) => {
+  let bytes = 0;
+  const folders = [folderPath];
+
+  while (folders.length > 0) {
+    const current = folders.pop();
+
+    let entries;
+    try {
+      entries = await fs.readdir(current, { withFileTypes: true });
+    } catch (err) {
+      continue;
+    }
+
+    for (const entry of entries) {
+      const absolutePath = path.join(current, entry.name);
+
+      if (entry.isDirectory()) {
+        folders.push(absolutePath);
+      } else if (entry.isFile()) {
+        bytes += (await fs.lstat(absolutePath).catch(() => ({ size: 0 }))).size;
+      }
+    }
+  }
+
+  return bytes;
+};
+
+// Utility function to measure a file, or the files below a folder
+const measurePath = async (absolutePath) => {
+  const stat = await fs.lstat(absolutePath);
+  return stat.isDirectory() ? measureFolder(absolutePath) : stat.size;
+};
+
+/**
+ * Quota of the workspace of a user.
+ *
+ * @param {string} owner
+ * @returns {number|null} Bytes, null without limit
+ */
+const getQuota = (owner) => {
+  const { workspaceBytes, users } = config.quotas;
+  const bytes = Object.prototype.hasOwnProperty.call(users, owner) ? users[owner] : workspaceBytes;
+  return bytes > 0 ? bytes : null;
+};
+
+/**
+ * Space of the trash of a user: `quotas.trashBytes`, else the quota of their workspace.
+ *
+ * @param {string} owner
+ * @returns {number|null} Bytes, null without limit
+ */
+const getTrashQuota = (owner) => {
+  const { trashBytes } = config.quotas;
+  return trashBytes > 0 ? trashBytes : getQuota(owner);
+};
+
+/**
+ * Bytes used by a workspace, measured at most USAGE_TTL_MS ago.
+ *
+ * @param {string} workspacePath
+ * @returns {Promise<number>}
+ */
+const getUsage = async (workspacePath) => {
+  const known = usage.get(workspacePath);
+  if (known instanceof Promise) return known;
+  if (known && Date.now() - known.measuredAt < USAGE_TTL_MS) return known.bytes;
+
+  const measure = measureFolder(workspacePath).then((bytes) => {
+    usage.set(workspacePath, { bytes, measuredAt: Date.now() });
+    return bytes;
+  }, (err) => {
+    usage.delete(workspacePath);
+    throw err;
+  });
+
+  usage.set(workspacePath, measure);
+  return measure;
+};
+
+/**
+ * Refuse a write of `bytes` that would take a workspace over its quota. With 0 bytes,
+ * only refuse once the workspace is full.
+ *
+ * @param {object} workspace `req.workspace`, the quota being the one of its owner
+ * @param {number} [bytes=0]
+ * @throws {QuotaError}
+ */
+const checkQuota = async (workspace, bytes = 0) => {
+  const quota = getQuota(workspace.owner);
+  if (quota === null) return;
+
+  const used = await getUsage(workspace.path);
+  if (used + Math.max(bytes, 0) > quota || used >= quota) {
+    throw new QuotaError(`Not enough space left in the workspace: ${formatSize(used)} of ${formatSize(quota)} used.`);
+  }
+};
+
+/**
+ * Bytes a workspace may still take before reaching its quota.
+ *
+ * @param {object} workspace `req.workspace`
+ * @returns {Promise<number|null>} null without limit
+ */
+const getFreeSpace = async (workspace) => {
+  const quota = getQuota(workspace.owner);
+  if (quota === null) return null;
+
+  return Math.max(quota - await getUsage(workspace.path), 0);
+};
+
+// Count a write made through the IDE in the measure of its workspace, until the next one
+const recordWrite = (workspace, bytes) => {
+  const known = usage.get(workspace.path);
+  if (known && !(known instanceof Promise)) known.bytes = Math.max(known.bytes + bytes, 0);
+};
+
+// Measure a workspace again on its next check, after changes of unknown size
+const forgetUsage = (workspace) => {
+  if (!(usage.get(workspace.path) instanceof Promise)) usage.delete(workspace.path);
+};
+
+// Express middleware, after `authenticate`: refuse to start something that writes in
+// the workspace once it is full
+const requireQuota = async (req, res, next) => {
+  try {
+    await checkQuota(req.workspace);
+    next();
+  } catch (err) {
+    sendApiError(res, err);
+  }
+};
+
+module.exports = {
+  QuotaError,
+  formatSize,
+  measurePath,
+  getQuota,
+  getTrashQuota,
+  getUsage,
+  checkQuota,
+  getFreeSpace,
+  recordWrite,
+  forgetUsage,
+  requireQuota
+};
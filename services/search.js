@@ -0,0 +1,439 @@
+// Server/services/search.js
+// Text search and replace across the files of a project or of the whole Workspace.
+// Queries are matched line by line, like the search of most editors.
+// Expressions are matched in a worker thread (search_worker.js), stopped when one is too slow.
+const fs = require('fs').promises;
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { IGNORED_FOLDERS } = require('./workspace_watcher');
+const { recordSnapshot } = require('./local_history');
+const { logger } = require('../utils/logger');
+
+// Files bigger than this or containing null bytes are not searched
+const MAX_FILE_BYTES = 2 * 1024 * 1024;
+const DEFAULT_MAX_RESULTS = 5000;
+// Time the expression may take on one file before the query is given up as too slow
+const MATCH_TIMEOUT_MS = 2000;
+
+class SearchError extends Error {
+  constructor(message, status = 400, code = 'INVALID_QUERY') {
+    super(message);
+    this.name = 'SearchError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build the regular expression of a query.
+ *
+ * @param {{ query: string, regex?: boolean, caseSensitive?: boolean, wholeWord?: boolean }} options
+ * @returns {RegExp} A global expression
+ * @throws {SearchError} For an empty query or an invalid regular expression
+ */
+const compileQuery = ({ query, regex = false, caseSensitive = false, wholeWord = false }) => {
+  if (typeof query !== 'string' || query === '') {
+    throw new SearchError('Search query is required.');
+  }
+
+  let source = regex ? query : escapeRegExp(query);
+  if (wholeWord) source = `\\b(?:${source})\\b`;
+
+  try {
+    return new RegExp(source, caseSensitive ? 'g' : 'gi');
+  } catch (err) {
+    throw new SearchError(err.message);
+  }
+};
+
+// ----- Globs -----
+
+// Translate a glob (`*`, `**`, `?`, `{a,b}`) into regular expression source
+const globSource = (glob) => {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*' && glob[i + 1] === '*') {
+      // `**/` matches any number of folders, a trailing `**` anything
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{' && glob.indexOf('}', i) > i) {
+      const end = glob.indexOf('}', i);
+      source += `(?:${glob.slice(i + 1, end).split(',').map(globSource).join('|')})`;
+      i = end;
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  return source;
+};
+
+/**
+ * Compile comma separated globs into one matcher. A glob without `/` matches a file
+ * or folder name anywhere (`*.py`, `build`), one with `/` matches from the searched
+ * folder (`src/**`). Matching a folder also matches everything below it.
+ *
+ * @param {string|string[]} globs
+ * @returns {?(relativePath: string) => boolean} null when there is no glob
+ */
+const compileGlobs = (globs) => {
+  const list = (Array.isArray(globs) ? globs : String(globs || '').split(','))
+    .map(glob => glob.trim().replace(/\\/g, '/'))
+    .filter(Boolean);
+
+  if (list.length === 0) return null;
+
+  const patterns = list.map((glob) => {
+    const anchored = glob.replace(/\/+$/, '').includes('/');
+    const source = globSource(glob.replace(/^\/+|\/+$/g, ''));
+    return new RegExp(`${anchored ? '^' : '(?:^|/)'}${source}(?:/.*)?$`);
+  });
+
+  return relativePath => patterns.some(pattern => pattern.test(relativePath));
+};
+
+// ----- .gitignore -----
+
+// Parse a .gitignore file. Supports comments, negation, folder-only and anchored rules.
+const parseGitignore = content => content.split(/\r?\n/)
+  .map(line => line.replace(/(?<!\\)\s+$/, ''))
+  .filter(line => line && !line.startsWith('#'))
+  .map((line) => {
+    const negate = line.startsWith('!');
+    let pattern = negate ? line.slice(1) : line;
+    const folderOnly = pattern.endsWith('/');
+    pattern = pattern.replace(/\/+$/, '');
+
+    const anchored = pattern.includes('/');
+    const source = globSource(pattern.replace(/^\/+/, '').replace(/^\\/, ''));
+
+    return { negate, folderOnly, regex: new RegExp(`${anchored ? '^' : '(?:^|/)'}${source}$`) };
+  });
+
+// Rules are checked from the outermost .gitignore to the innermost, the last match wins
+const isGitignored = (ignoreStack, absolutePath, isFolder) => {
+  let ignored = false;
+
+  for (const { base, rules } of ignoreStack) {
+    const relativePath = path.relative(base, absolutePath).split(path.sep).join('/');
+
+    for (const rule of rules) {
+      if (rule.folderOnly && !isFolder) continue;
+      if (rule.regex.test(relativePath)) ignored = !rule.negate;
+    }
+  }
+
+  return ignored;
+};
+
+// ----- Walking -----
+
+const isVirtualEnv = async (folderPath) => {
+  try {
+    await fs.access(path.join(folderPath, 'pyvenv.cfg'));
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+const readGitignore = async (folderPath) => {
+  try {
+    return parseGitignore(await fs.readFile(path.join(folderPath, '.gitignore'), 'utf8'));
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * List the files to search below `root`, in a stable order.
+ * Symlinks, tool folders, virtual environments and, unless disabled, .gitignored paths are skipped.
+ *
+ * @param {string} root
+ * @param {object} options
+ * @param {?Function} options.include
+ * @param {?Function} options.exclude
+ * @param {boolean} options.useGitignore
+ * @param {() => boolean} [options.isCancelled]
+ * @returns {AsyncGenerator<{ absolutePath: string, relativePath: string }>}
+ */
+async function* walkFiles(root, { include, exclude, useGitignore, isCancelled = () => false }) {
+  async function* walk(folderPath, ignoreStack) {
+    if (isCancelled()) return;
+
+    const rules = useGitignore ? await readGitignore(folderPath) : null;
+    const stack = rules ? [...ignoreStack, { base: folderPath, rules }] : ignoreStack;
+
+    let entries;
+    try {
+      entries = await fs.readdir(folderPath, { withFileTypes: true });
+    } catch (err) {
+      return;
+    }
+
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+      const absolutePath = path.join(folderPath, entry.name);
+      const relativePath = path.relative(root, absolutePath).split(path.sep).join('/');
+
+      if (entry.isSymbolicLink()) continue;
+      if (exclude && exclude(relativePath)) continue;
+
+      if (entry.isDirectory()) {
+        if (IGNORED_FOLDERS.includes(entry.name) || await isVirtualEnv(absolutePath)) continue;
+        if (isGitignored(stack, absolutePath, true)) continue;
+
+        yield* walk(absolutePath, stack);
+      } else if (entry.isFile()) {
+        if (isGitignored(stack, absolutePath, false)) continue;
+        if (include && !include(relativePath)) continue;
+
+        yield { absolutePath, relativePath };
+      }
+    }
+  }
+
+  yield* walk(root, []);
+}
+
+// Read a file as text, or null for binary and oversized files
+const readTextFile = async (absolutePath) => {
+  const stat = await fs.stat(absolutePath);
+  if (stat.size > MAX_FILE_BYTES) return null;
+
+  const buffer = await fs.readFile(absolutePath);
+  if (buffer.subarray(0, 8000).includes(0)) return null;
+
+  return { content: buffer.toString('utf8'), stat };
+};
+
+/**
+ * Start a worker thread matching a query (search_worker.js). Requests are sent one
+ * at a time; one taking longer than MATCH_TIMEOUT_MS stops the worker and fails.
+ *
+ * @param {RegExp} regex Expression of compileQuery
+ * @param {{ replacement?: string, literal?: boolean }} [replace]
+ * @returns {{ run: (message: object) => Promise<any>, close: () => Promise<number> }}
+ */
+const startMatcher = (regex, { replacement, literal = false } = {}) => {
+  const worker = new Worker(path.join(__dirname, 'search_worker.js'), {
+    workerData: { source: regex.source, flags: regex.flags, replacement, literal }
+  });
+  let pending = null;
+
+  const settle = (err, result) => {
+    if (!pending) return;
+    const { resolve, reject, timer } = pending;
+    pending = null;
+    clearTimeout(timer);
+
+    if (err) reject(err);
+    else resolve(result);
+  };
+
+  worker.on('message', result => settle(null, result));
+  worker.on('error', err => settle(err));
+  worker.on('exit', () => settle(new SearchError('Search stopped unexpectedly.', 500, 'INTERNAL')));
+
+  const run = message => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      settle(new SearchError('The search expression takes too long to match. Try a simpler one.', 400, 'QUERY_TIMEOUT'));
+      worker.terminate();
+    }, MATCH_TIMEOUT_MS);
+
+    pending = { resolve, reject, timer };
+    worker.postMessage(message);
+  });
+
+  return { run, close: () => worker.terminate() };
+};
+
+// Run `task` with a matcher, stopping its worker afterwards
+const withMatcher = async (regex, replace, task) => {
+  const matcher = startMatcher(regex, replace);
+
+  try {
+    return await task(matcher);
+  } finally {
+    await matcher.close();
+  }
+};
+
+/**
+ * Search the files below `root`, calling `onFile` for each file with matches.
+ *
+ * @param {string} root
+ * @param {object} options Query options of compileQuery plus include, exclude, useGitignore, maxResults
+ * @param {(file: { path: string, matches: object[] }) => void} onFile
+ * @param {() => boolean} [isCancelled]
+ * @returns {Promise<{ files: number, matches: number, searched: number, truncated: boolean }>}
+ * @throws {SearchError} QUERY_TIMEOUT when the expression is too slow on a file
+ */
+const searchFiles = async (root, options, onFile, isCancelled = () => false) => {
+  const regex = compileQuery(options);
+  const maxResults = Math.min(Number(options.maxResults) || DEFAULT_MAX_RESULTS, DEFAULT_MAX_RESULTS);
+  const summary = { files: 0, matches: 0, searched: 0, truncated: false };
+
+  const files = walkFiles(root, {
+    include: compileGlobs(options.include),
+    exclude: compileGlobs(options.exclude),
+    useGitignore: options.useGitignore !== false,
+    isCancelled
+  });
+
+  return withMatcher(regex, {}, async (matcher) => {
+    for await (const { absolutePath, relativePath } of files) {
+      if (isCancelled()) break;
+
+      let file;
+      try {
+        file = await readTextFile(absolutePath);
+      } catch (err) {
+        continue;
+      }
+      if (!file) continue;
+
+      summary.searched++;
+      const matches = await matcher.run({ type: 'search', content: file.content, limit: maxResults - summary.matches });
+
+      if (matches.length > 0) {
+        summary.files++;
+        summary.matches += matches.length;
+        onFile({ path: relativePath, modified: file.stat.mtime, matches });
+      }
+
+      if (summary.matches >= maxResults) {
+        summary.truncated = true;
+        break;
+      }
+    }
+
+    return summary;
+  });
+};
+
+/**
+ * Compute a replacement without writing anything.
+ *
+ * @param {string} root
+ * @param {object} options Search options plus `replacement`. With `regex`, `$1`... refer to groups.
+ * @returns {Promise<{ files: object[], total: number }>} Each file with its new content and changed lines
+ * @throws {SearchError} QUERY_TIMEOUT when the expression is too slow on a file
+ */
+const planReplace = async (root, options) => {
+  const regex = compileQuery(options);
+
+  if (typeof options.replacement !== 'string') {
+    throw new SearchError('Replacement text is required.');
+  }
+
+  const plan = { files: [], total: 0 };
+
+  const files = walkFiles(root, {
+    include: compileGlobs(options.include),
+    exclude: compileGlobs(options.exclude),
+    useGitignore: options.useGitignore !== false
+  });
+
+  return withMatcher(regex, { replacement: options.replacement, literal: !options.regex }, async (matcher) => {
+    for await (const { absolutePath, relativePath } of files) {
+      let file;
+      try {
+        file = await readTextFile(absolutePath);
+      } catch (err) {
+        continue;
+      }
+      if (!file) continue;
+
+      const result = await matcher.run({ type: 'replace', content: file.content });
+      if (result.changes.length === 0) continue;
+
+      const count = result.changes.reduce((total, change) => total + change.count, 0);
+      plan.total += count;
+      plan.files.push({
+        path: relativePath,
+        absolutePath,
+        modified: file.stat.mtime,
+        count,
+        original: file.content,
+        content: result.content,
+        changes: result.changes
+      });
+    }
+
+    return plan;
+  });
+};
+
+/**
+ * Write planned replacements all together. Every file is first written next to
+ * its target; targets are only replaced once all of them were written, and
+ * restored if one of the renames fails. Like saves, the content replaced and the
+ * new one are kept in the local history of project files.
+ *
+ * @param {object[]} files Planned files of planReplace, their `path` relative to the Workspace
+ * @param {string} historyPath
+ */
+const applyReplace = async (files, historyPath) => {
+  // Files at the workspace root belong to no project. Failures are logged, they must not fail the replace.
+  const snapshot = (file, content) => {
+    if (!file.path.includes('/')) return Promise.resolve();
+
+    return recordSnapshot(historyPath, file.path, content)
+      .catch(err => logger.error('Failed to keep the history of a file', { path: file.path, error: err }));
+  };
+
+  const temporary = files.map(file => `${file.absolutePath}.${process.pid}.${Date.now()}.tmp`);
+
+  try {
+    await Promise.all(files.map(async (file, index) => {
+      const { mode } = await fs.stat(file.absolutePath);
+      await fs.writeFile(temporary[index], file.content, { mode });
+    }));
+  } catch (err) {
+    await Promise.all(temporary.map(tmp => fs.rm(tmp, { force: true })));
+    throw err;
+  }
+
+  await Promise.all(files.map(file => snapshot(file, file.original)));
+  const replaced = [];
+
+  try {
+    for (let i = 0; i < files.length; i++) {
+      await fs.rename(temporary[i], files[i].absolutePath);
+      replaced.push(files[i]);
+    }
+  } catch (err) {
+    await Promise.all(replaced.map(file => fs.writeFile(file.absolutePath, file.original)));
+    await Promise.all(temporary.map(tmp => fs.rm(tmp, { force: true })));
+    throw err;
+  }
+
+  files.forEach(file => snapshot(file, file.content));
+};
+
+module.exports = {
+  SearchError,
+  compileQuery,
+  compileGlobs,
+  parseGitignore,
+  walkFiles,
+  searchFiles,
+  planReplace,
+  applyReplace
+};
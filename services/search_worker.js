@@ -0,0 +1,87 @@
+// Server/services/search_worker.js
+// Worker thread of services/search.js, matching the expression of a query against the
+// content of files. Some regular expressions take exponential time on some lines: in
+// a worker, the search can stop them after a time limit without blocking the server.
+const { parentPort, workerData } = require('worker_threads');
+
+// Longer lines (minified code, data) are skipped: they make regular expressions slow
+const MAX_LINE_LENGTH = 10000;
+// Characters of context kept on each side of a match in previews
+const PREVIEW_CONTEXT = 60;
+
+const regex = new RegExp(workerData.source, workerData.flags);
+// Literal searches replace with the text as is, `$` included
+const replace = workerData.literal ? () => workerData.replacement : workerData.replacement;
+
+// Matches of the expression in one line, never looping on empty matches
+const findInLine = (text) => {
+  const matches = [];
+  regex.lastIndex = 0;
+
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    if (match[0] === '') {
+      regex.lastIndex++;
+      continue;
+    }
+    matches.push({ index: match.index, length: match[0].length });
+  }
+
+  return matches;
+};
+
+// Part of a line around a match, with the match position inside the preview
+const buildPreview = (text, index, length) => {
+  const start = Math.max(0, index - PREVIEW_CONTEXT);
+  const end = Math.min(text.length, index + length + PREVIEW_CONTEXT);
+
+  return {
+    text: (start > 0 ? '…' : '') + text.slice(start, end) + (end < text.length ? '…' : ''),
+    matchStart: index - start + (start > 0 ? 1 : 0),
+    matchLength: length
+  };
+};
+
+// Matches of a text with their previews, at most `limit` of them
+const searchLines = (content, limit) => {
+  const matches = [];
+
+  content.split('\n').forEach((rawLine, lineIndex) => {
+    const line = rawLine.endsWith('\r') ? rawLine.slice(0, -1) : rawLine;
+    if (line.length > MAX_LINE_LENGTH || matches.length >= limit) return;
+
+    findInLine(line).forEach(({ index, length }) => {
+      if (matches.length >= limit) return;
+      matches.push({ line: lineIndex + 1, column: index + 1, length, preview: buildPreview(line, index, length) });
+    });
+  });
+
+  return matches;
+};
+
+// Apply the replacement to every line of a text, keeping its line endings
+const replaceInLines = (content) => {
+  const changes = [];
+
+  const lines = content.split('\n').map((rawLine, lineIndex) => {
+    const carriageReturn = rawLine.endsWith('\r') ? '\r' : '';
+    const line = carriageReturn ? rawLine.slice(0, -1) : rawLine;
+    if (line.length > MAX_LINE_LENGTH) return rawLine;
+
+    const count = findInLine(line).length;
+    if (count === 0) return rawLine;
+
+    regex.lastIndex = 0;
+    const replaced = line.replace(regex, replace);
+    if (replaced !== line) {
+      changes.push({ line: lineIndex + 1, count, before: line, after: replaced });
+    }
+    return replaced + carriageReturn;
+  });
+
+  return { content: lines.join('\n'), changes };
+};
+
+parentPort.on('message', ({ type, content, limit }) => {
+  parentPort.postMessage(type === 'replace' ? replaceInLines(content) : searchLines(content, limit));
+});
@@ -0,0 +1,131 @@
+// Server/services/sessions.js
+// Login sessions. The client holds a random token, in a cookie or an
+// `Authorization: Bearer` header; only its SHA-256 is kept, in memory and in
+//
+//   <auth>/sessions.json   { sessions: [{ hash, username, createdAt, expiresAt }] }
+//
+// so that logins survive a restart of the server.
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { writeFileAtomic } = require('../utils/atomic_write');
+const { createQueue } = require('../utils/serial_queue');
+const { config } = require('../utils/config');
+
+const SESSIONS_FILE = 'sessions.json';
+const TOKEN_BYTES = 32;
+
+const SESSION_TTL_MS = config.sessions.ttlMs;
+
+// Auth folder -> Map of token hash -> session, once loaded
+const stores = new Map();
+
+const enqueue = createQueue();
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+const loadStore = async (authPath) => {
+  if (stores.has(authPath)) return stores.get(authPath);
+
+  let sessions = [];
+  try {
+    sessions = JSON.parse(await fs.readFile(path.join(authPath, SESSIONS_FILE), 'utf8')).sessions;
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+
+  // Another request may have loaded it in the meantime
+  if (!stores.has(authPath)) {
+    stores.set(authPath, new Map(sessions.map(session => [session.hash, session])));
+  }
+  return stores.get(authPath);
+};
+
+// Save the sessions that did not expire yet
+const saveStore = (authPath) => enqueue(async () => {
+  const store = await loadStore(authPath);
+  const now = Date.now();
+
+  store.forEach((session, hash) => {
+    if (session.expiresAt <= now) store.delete(hash);
+  });
+
+  await fs.mkdir(authPath, { recursive: true, mode: 0o700 });
+  await writeFileAtomic(path.join(authPath, SESSIONS_FILE), JSON.stringify({ sessions: Array.from(store.values()) }), { mode: 0o600 });
+});
+
+/**
+ * Open a session for a user.
+ *
+ * @param {string} authPath
+ * @param {string} username
+ * @returns {Promise<{ token: string, expiresAt: number }>} The token is not stored, only its hash
+ */
+const createSession = async (authPath, username) => {
+  const token = crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+  const now = Date.now();
+  const session = { hash: hashToken(token), username, createdAt: now, expiresAt: now + SESSION_TTL_MS };
+
+  (await loadStore(authPath)).set(session.hash, session);
+  await saveStore(authPath);
+
+  return { token, expiresAt: session.expiresAt };
+};
+
+/**
+ * @param {string} authPath
+ * @param {string} token
+ * @returns {Promise<object|null>} `{ username, createdAt, expiresAt }`, or null when unknown or expired
+ */
+const getSession = async (authPath, token) => {
+  if (typeof token !== 'string' || !token) return null;
+
+  const session = (await loadStore(authPath)).get(hashToken(token));
+  if (!session || session.expiresAt <= Date.now()) return null;
+
+  return { username: session.username, createdAt: session.createdAt, expiresAt: session.expiresAt };
+};
+
+/**
+ * Close a session, on logout.
+ *
+ * @param {string} authPath
+ * @param {string} token
+ */
+const deleteSession = async (authPath, token) => {
+  if (typeof token !== 'string' || !(await loadStore(authPath)).delete(hashToken(token))) return;
+  await saveStore(authPath);
+};
+
+/**
+ * Close every session of a user, but `exceptToken`: after a password change, or
+ * when the account is deleted.
+ *
+ * @param {string} authPath
+ * @param {string} username
+ * @param {string} [exceptToken]
+ * @returns {Promise<number>} How many sessions were closed
+ */
+const deleteUserSessions = async (authPath, username, exceptToken) => {
+  const store = await loadStore(authPath);
+  const kept = exceptToken ? hashToken(exceptToken) : null;
+  let closed = 0;
+
+  store.forEach((session, hash) => {
+    if (session.username === username && hash !== kept) {
+      store.delete(hash);
+      closed++;
+    }
+  });
+
+  if (closed > 0) await saveStore(authPath);
+  return closed;
+};
+
+module.exports = {
+  SESSION_TTL_MS,
+  createSession,
+  getSession,
+  deleteSession,
+  deleteUserSessions
+};
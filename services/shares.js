@@ -0,0 +1,165 @@
+// Server/services/shares.js
+// Projects shared with other users, kept next to the accounts:
+//
+//   <auth>/shares.json   { shares: [{ owner, project, username, role, sharedAt }] }
+//
+// `project` is the name of a project folder of the owner's workspace. Viewers can
+// read the files of the project and run its code, editors can change them too.
+const fs = require('fs').promises;
+const path = require('path');
+const { writeFileAtomic } = require('../utils/atomic_write');
+const { createQueue } = require('../utils/serial_queue');
+
+const SHARES_FILE = 'shares.json';
+const SHARE_ROLES = ['viewer', 'editor'];
+
+class ShareError extends Error {
+  constructor(message, status = 500, code = 'SHARE_ERROR') {
+    super(message);
+    this.name = 'ShareError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const enqueue = createQueue();
+
+const readShares = async (authPath) => {
+  try {
+    return JSON.parse(await fs.readFile(path.join(authPath, SHARES_FILE), 'utf8')).shares;
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+};
+
+const writeShares = async (authPath, shares) => {
+  await fs.mkdir(authPath, { recursive: true, mode: 0o700 });
+
+  await writeFileAtomic(path.join(authPath, SHARES_FILE), JSON.stringify({ shares }, null, 2), { mode: 0o600 });
+};
+
+// Remove the shares matching `predicate` and return how many there were
+const removeShares = (authPath, predicate) => enqueue(async () => {
+  const shares = await readShares(authPath);
+  const kept = shares.filter(share => !predicate(share));
+
+  if (kept.length !== shares.length) await writeShares(authPath, kept);
+  return shares.length - kept.length;
+});
+
+/**
+ * Users a project is shared with.
+ *
+ * @param {string} authPath
+ * @param {string} owner
+ * @param {string} project
+ * @returns {Promise<object[]>} `{ owner, project, username, role, sharedAt }`, by username
+ */
+const listProjectShares = async (authPath, owner, project) => (await readShares(authPath))
+  .filter(share => share.owner === owner && share.project === project)
+  .sort((a, b) => a.username.localeCompare(b.username));
+
+/**
+ * Projects of other users shared with a user.
+ *
+ * @param {string} authPath
+ * @param {string} username
+ * @returns {Promise<object[]>}
+ */
+const listSharedWith = async (authPath, username) => (await readShares(authPath))
+  .filter(share => share.username === username);
+
+/**
+ * Roles of a user on the projects of an owner.
+ *
+ * @param {string} authPath
+ * @param {string} owner
+ * @param {string} username
+ * @returns {Promise<Map<string, string>>} Project -> role
+ */
+const getSharedProjects = async (authPath, owner, username) => new Map((await readShares(authPath))
+  .filter(share => share.owner === owner && share.username === username)
+  .map(share => [share.project, share.role]));
+
+/**
+ * Share a project with a user, or change their role on it.
+ *
+ * @param {string} authPath
+ * @param {object} share
+ * @param {string} share.owner
+ * @param {string} share.project
+ * @param {string} share.username Must not be the owner
+ * @param {string} share.role 'viewer' or 'editor'
+ * @returns {Promise<object>} The share
+ */
+const shareProject = (authPath, { owner, project, username, role }) => {
+  if (!SHARE_ROLES.includes(role)) {
+    return Promise.reject(new ShareError(`Role must be one of: ${SHARE_ROLES.join(', ')}.`, 400, 'INVALID_ROLE'));
+  }
+
+  if (username === owner) {
+    return Promise.reject(new ShareError('A project cannot be shared with its owner.', 400, 'INVALID_USER'));
+  }
+
+  return enqueue(async () => {
+    const shares = await readShares(authPath);
+    let share = shares.find(candidate => candidate.owner === owner && candidate.project === project && candidate.username === username);
+
+    if (share) {
+      share.role = role;
+    } else {
+      share = { owner, project, username, role, sharedAt: new Date().toISOString() };
+      shares.push(share);
+    }
+
+    await writeShares(authPath, shares);
+    return share;
+  });
+};
+
+/**
+ * Stop sharing a project with a user.
+ *
+ * @throws {ShareError} With status 404 when the project was not shared with them
+ */
+const unshareProject = async (authPath, { owner, project, username }) => {
+  const removed = await removeShares(authPath, share => share.owner === owner && share.project === project && share.username === username);
+
+  if (removed === 0) {
+    throw new ShareError(`Project '${project}' is not shared with '${username}'.`, 404, 'SHARE_NOT_FOUND');
+  }
+};
+
+// Forget the shares of a deleted project, so that a new project of the same name is not shared
+const removeProjectShares = (authPath, owner, project) =>
+  removeShares(authPath, share => share.owner === owner && share.project === project);
+
+// Keep the shares of a renamed project
+const renameProjectShares = (authPath, owner, project, newName) => enqueue(async () => {
+  const shares = await readShares(authPath);
+  const renamed = shares.filter(share => share.owner === owner && share.project === project);
+
+  renamed.forEach((share) => {
+    share.project = newName;
+  });
+
+  if (renamed.length > 0) await writeShares(authPath, shares);
+});
+
+// Forget the shares of a deleted account, as owner and as recipient
+const removeUserShares = (authPath, username) =>
+  removeShares(authPath, share => share.owner === username || share.username === username);
+
+module.exports = {
+  SHARE_ROLES,
+  ShareError,
+  listProjectShares,
+  listSharedWith,
+  getSharedProjects,
+  shareProject,
+  unshareProject,
+  removeProjectShares,
+  renameProjectShares,
+  removeUserShares
+};
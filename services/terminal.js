@@ -0,0 +1,275 @@
+// Server/services/terminal.js
+// Shell sessions of the integrated terminal. Each shell runs in a pseudo-terminal
+// started in its project folder with the project's venv activated, and outlives the
+// WebSocket of the browser so a reloaded page can attach to it again.
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const path = require('path');
+const { SOURCE_FOLDER, VENV_FOLDER, hasVenv } = require('./python_env');
+const { config } = require('../utils/config');
+
+// Sessions nobody typed in and that printed nothing for this long are killed
+const IDLE_TIMEOUT_MS = config.terminals.idleTimeoutMs;
+const MAX_SESSIONS_PER_USER = config.terminals.maxSessions;
+// Output replayed to a browser attaching to a running session
+const SCROLLBACK_CHARS = config.terminals.scrollbackChars;
+
+const IDLE_CHECK_INTERVAL_MS = 60 * 1000;
+const MAX_COLUMNS = 500;
+const MAX_ROWS = 200;
+
+const isWindows = process.platform === 'win32';
+
+class TerminalError extends Error {
+  constructor(message, status = 500, code = 'TERMINAL_ERROR') {
+    super(message);
+    this.name = 'TerminalError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// node-pty is a native module: the rest of the IDE works without it
+let pty = null;
+const loadPty = () => {
+  if (!pty) {
+    try {
+      pty = require('node-pty');
+    } catch (err) {
+      throw new TerminalError('The terminal is not available: the node-pty package is not installed.', 503, 'TERMINAL_UNAVAILABLE');
+    }
+  }
+  return pty;
+};
+
+const getShell = () => process.env.TERMINAL_SHELL
+  || (isWindows ? process.env.COMSPEC || 'powershell.exe' : process.env.SHELL || '/bin/bash');
+
+// Command sourcing the activate script of a venv, for the kind of shell. Typed in the
+// shell rather than set in its environment, since rc files (pyenv, conda...) change PATH
+// after the shell started. The leading space keeps it out of the history of shells
+// ignoring such commands (bash with HISTCONTROL=ignorespace...).
+const getActivateCommand = (shell) => {
+  const name = path.basename(shell).toLowerCase().replace(/\.exe$/, '');
+
+  if (name === 'fish') return ` source ${VENV_FOLDER}/bin/activate.fish`;
+  if (name === 'cmd') return `${VENV_FOLDER}\\Scripts\\activate.bat`;
+  if (name === 'powershell' || name === 'pwsh') {
+    return isWindows ? ` & ${VENV_FOLDER}\\Scripts\\Activate.ps1` : ` . ${VENV_FOLDER}/bin/Activate.ps1`;
+  }
+  return isWindows ? ` . ${VENV_FOLDER}/Scripts/activate` : ` . ${VENV_FOLDER}/bin/activate`;
+};
+
+// Utility function to check a terminal size sent by the browser
+const isValidSize = (cols, rows) => Number.isInteger(cols) && Number.isInteger(rows)
+  && cols > 0 && cols <= MAX_COLUMNS && rows > 0 && rows <= MAX_ROWS;
+
+class TerminalSession extends EventEmitter {
+  constructor({ projectPath, username, cols, rows }) {
+    super();
+    this.id = crypto.randomUUID();
+    this.projectPath = projectPath;
+    this.project = path.basename(projectPath);
+    this.username = username;
+    this.shell = getShell();
+    this.cols = cols;
+    this.rows = rows;
+
+    this.status = 'starting';
+    this.scrollback = '';
+    this.exitCode = null;
+    this.signal = null;
+    this.reason = null;
+    this.startedAt = new Date();
+    this.lastActivity = Date.now();
+
+    this.pty = null;
+  }
+
+  async start() {
+    const env = {
+      ...process.env,
+      TERM: 'xterm-256color',
+      COLORTERM: 'truecolor',
+      // Modules of src/ can be imported, as in the programs run by the IDE
+      PYTHONPATH: [path.join(this.projectPath, SOURCE_FOLDER), process.env.PYTHONPATH].filter(Boolean).join(path.delimiter)
+    };
+
+    this.pty = loadPty().spawn(this.shell, [], {
+      name: 'xterm-256color',
+      cols: this.cols,
+      rows: this.rows,
+      cwd: this.projectPath,
+      env
+    });
+
+    this.status = 'running';
+    this.pty.onData(data => this.record(data));
+    this.pty.onExit(({ exitCode, signal }) => this.finish(exitCode, signal));
+
+    // Read by the shell once it is ready
+    if (await hasVenv(this.projectPath)) {
+      this.pty.write(`${getActivateCommand(this.shell)}\r`);
+    }
+
+    return this;
+  }
+
+  record(data) {
+    this.lastActivity = Date.now();
+    this.scrollback += data;
+    if (this.scrollback.length > SCROLLBACK_CHARS) {
+      this.scrollback = this.scrollback.slice(-SCROLLBACK_CHARS);
+    }
+
+    this.emit('output', data);
+  }
+
+  write(data) {
+    if (this.status !== 'running') return false;
+
+    this.lastActivity = Date.now();
+    this.pty.write(data);
+    return true;
+  }
+
+  resize(cols, rows) {
+    if (this.status !== 'running' || !isValidSize(cols, rows)) return;
+    if (cols === this.cols && rows === this.rows) return;
+
+    this.cols = cols;
+    this.rows = rows;
+    this.pty.resize(cols, rows);
+  }
+
+  kill(reason = 'killed') {
+    if (this.status !== 'running') return;
+
+    this.reason = reason;
+    this.status = 'stopping';
+    try {
+      this.pty.kill();
+    } catch (err) {
+      // Already gone
+    }
+  }
+
+  finish(exitCode, signal) {
+    if (this.status === 'exited') return;
+
+    this.exitCode = exitCode;
+    this.signal = signal || null;
+    this.reason = this.reason || 'exited';
+    this.status = 'exited';
+    this.emit('exit', this.summary());
+  }
+
+  isIdle(now) {
+    return now - this.lastActivity >= IDLE_TIMEOUT_MS;
+  }
+
+  summary() {
+    return {
+      id: this.id,
+      project: this.project,
+      shell: path.basename(this.shell),
+      status: this.status,
+      cols: this.cols,
+      rows: this.rows,
+      exitCode: this.exitCode,
+      signal: this.signal,
+      reason: this.reason,
+      startedAt: this.startedAt
+    };
+  }
+}
+
+// Projects are direct children of a workspace
+const matches = (session, { workspacePath, projectPath, username }) =>
+  (!workspacePath || path.dirname(session.projectPath) === workspacePath)
+  && (!projectPath || session.projectPath === projectPath)
+  && (!username || session.username === username);
+
+class TerminalManager {
+  constructor() {
+    this.sessions = new Map();
+    this.idleTimer = null;
+  }
+
+  /**
+   * Start a shell in a project folder.
+   *
+   * @param {object} options
+   * @param {string} options.projectPath Absolute path of the project
+   * @param {string} options.username User the session belongs to: only they can attach to it
+   * @param {number} [options.cols]
+   * @param {number} [options.rows]
+   * @returns {Promise<TerminalSession>}
+   */
+  async create({ projectPath, username, cols = 80, rows = 24 }) {
+    if (!isValidSize(cols, rows)) {
+      throw new TerminalError('Invalid terminal size.', 400, 'INVALID_SIZE');
+    }
+
+    if (this.list({ username }).length >= MAX_SESSIONS_PER_USER) {
+      throw new TerminalError(`At most ${MAX_SESSIONS_PER_USER} terminals can be open at once. Close one and try again.`, 429, 'TOO_MANY_TERMINALS');
+    }
+
+    loadPty();
+    const session = new TerminalSession({ projectPath, username, cols, rows });
+    await session.start();
+
+    this.sessions.set(session.id, session);
+    session.on('exit', () => this.sessions.delete(session.id));
+    this.watchIdleSessions();
+
+    return session;
+  }
+
+  /**
+   * @param {string} id
+   * @param {object} [filters] As for list(): null when the session does not match them
+   * @returns {TerminalSession|null}
+   */
+  get(id, filters = {}) {
+    const session = this.sessions.get(id);
+    return session && matches(session, filters) ? session : null;
+  }
+
+  /**
+   * @param {object} [filters]
+   * @param {string} [filters.workspacePath] Only the sessions of the projects of this workspace
+   * @param {string} [filters.projectPath] Only the sessions of this project
+   * @param {string} [filters.username] Only the sessions of this user
+   * @returns {TerminalSession[]}
+   */
+  list(filters = {}) {
+    return Array.from(this.sessions.values()).filter(session => matches(session, filters));
+  }
+
+  // Kill the sessions of a project, or every session
+  killAll(filters = {}, reason = 'shutdown') {
+    this.list(filters).forEach(session => session.kill(reason));
+  }
+
+  watchIdleSessions() {
+    if (this.idleTimer) return;
+
+    this.idleTimer = setInterval(() => {
+      const now = Date.now();
+      this.list().filter(session => session.isIdle(now)).forEach(session => session.kill('idle'));
+
+      if (this.sessions.size === 0) {
+        clearInterval(this.idleTimer);
+        this.idleTimer = null;
+      }
+    }, IDLE_CHECK_INTERVAL_MS);
+    this.idleTimer.unref();
+  }
+}
+
+module.exports = {
+  IDLE_TIMEOUT_MS,
+  TerminalError,
+  terminals: new TerminalManager()
+};
@@ -0,0 +1,268 @@
+// Server/services/trash.js
+// Deleted files, folders and projects are moved to a trash folder kept next to the
+// Workspace, out of the projects list, until they are restored or purged. Each item
+// is a folder named after its id:
+//
+//   <trash>/<id>/meta.json   { id, name, kind, originalPath, deletedAt, size }
+//   <trash>/<id>/item        The deleted file or folder
+//
+// `originalPath` is relative to the Workspace, with forward slashes, and `size` is
+// the bytes of the item. The trash may be given a budget: the oldest items are then
+// purged to make room for the new ones, see getTrashQuota of services/quotas.js.
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { isInside, resolveInside, pathExists, findFreePath } = require('../utils/workspace_paths');
+const { createQueue } = require('../utils/serial_queue');
+const { logger } = require('../utils/logger');
+const { QuotaError, formatSize, measurePath } = require('./quotas');
+const { config } = require('../utils/config');
+
+const META_FILE = 'meta.json';
+const ITEM_NAME = 'item';
+
+// Items older than this are purged for good
+const TRASH_RETENTION_DAYS = config.trash.retentionDays;
+const RETENTION_CHECK_MS = 60 * 60 * 1000;
+
+class TrashError extends Error {
+  constructor(message, status = 500, code = 'TRASH_ERROR') {
+    super(message);
+    this.name = 'TrashError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Items are added one at a time, each making room for itself
+const enqueue = createQueue();
+
+// Utility function to check an id received from the client before using it as a folder name
+const isValidId = id => typeof id === 'string' && /^[a-z0-9]+-[a-f0-9]+$/.test(id);
+
+const createId = () => `${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`;
+
+// Move across file systems too, where rename fails with EXDEV
+const movePath = async (from, to) => {
+  try {
+    await fs.rename(from, to);
+  } catch (err) {
+    if (err.code !== 'EXDEV') throw err;
+
+    await fs.cp(from, to, { recursive: true, errorOnExist: true, force: false, verbatimSymlinks: true });
+    await fs.rm(from, { recursive: true, force: true });
+  }
+};
+
+const readItem = async (trashPath, id) => {
+  if (!isValidId(id)) {
+    throw new TrashError('Trash item not found.', 404, 'TRASH_ITEM_NOT_FOUND');
+  }
+
+  try {
+    return JSON.parse(await fs.readFile(path.join(trashPath, id, META_FILE), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      throw new TrashError('Trash item not found.', 404, 'TRASH_ITEM_NOT_FOUND');
+    }
+    throw err;
+  }
+};
+
+// Utility function to get the bytes of an item; items trashed before sizes were kept
+// are measured
+const itemSize = (trashPath, item) => (typeof item.size === 'number'
+  ? item.size
+  : measurePath(path.join(trashPath, item.id, ITEM_NAME)).catch(() => 0));
+
+// Purge the oldest items until `bytes` more fit in `maxBytes`
+const makeRoom = async (trashPath, bytes, maxBytes) => {
+  const items = await listTrash(trashPath);
+  const sizes = await Promise.all(items.map(item => itemSize(trashPath, item)));
+  let used = sizes.reduce((total, size) => total + size, 0);
+
+  // Oldest last
+  while (items.length > 0 && used + bytes > maxBytes) {
+    const oldest = items.pop();
+    used -= sizes.pop();
+
+    await fs.rm(path.join(trashPath, oldest.id), { recursive: true, force: true });
+    logger.info('Purged a trash item to make room', { trash: trashPath, item: oldest.id, path: oldest.originalPath });
+  }
+};
+
+/**
+ * Move a file or folder of the Workspace to the trash.
+ *
+ * @param {string} trashPath Trash folder, created when missing
+ * @param {string} workspacePath
+ * @param {string} absolutePath Already resolved inside the Workspace
+ * @param {object} [options]
+ * @param {number|null} [options.maxBytes=null] Budget of the trash, null without limit
+ * @returns {Promise<object>} The metadata of the new trash item
+ * @throws {QuotaError} When the item alone is larger than `maxBytes`
+ */
+const moveToTrash = (trashPath, workspacePath, absolutePath, { maxBytes = null } = {}) => enqueue(async () => {
+  if (isInside(trashPath, absolutePath)) {
+    throw new TrashError('Items of the trash cannot be trashed.', 400, 'INVALID_TRASH_ITEM');
+  }
+
+  const stat = await fs.lstat(absolutePath);
+  const id = createId();
+  const itemFolder = path.join(trashPath, id);
+
+  const meta = {
+    id,
+    name: path.basename(absolutePath),
+    kind: stat.isDirectory() ? 'folder' : 'file',
+    originalPath: path.relative(workspacePath, absolutePath).split(path.sep).join('/'),
+    deletedAt: new Date().toISOString(),
+    size: await measurePath(absolutePath)
+  };
+
+  if (maxBytes !== null) {
+    if (meta.size > maxBytes) {
+      throw new QuotaError(`'${meta.name}' is too large for the trash: ${formatSize(meta.size)}, the trash holds ${formatSize(maxBytes)}.`);
+    }
+    await makeRoom(trashPath, meta.size, maxBytes);
+  }
+
+  await fs.mkdir(itemFolder, { recursive: true });
+
+  try {
+    await movePath(absolutePath, path.join(itemFolder, ITEM_NAME));
+  } catch (err) {
+    await fs.rm(itemFolder, { recursive: true, force: true });
+    throw err;
+  }
+
+  await fs.writeFile(path.join(itemFolder, META_FILE), JSON.stringify(meta, null, 2));
+  return meta;
+});
+
+/**
+ * List the items of the trash, most recently deleted first.
+ *
+ * @param {string} trashPath
+ * @returns {Promise<object[]>}
+ */
+const listTrash = async (trashPath) => {
+  let entries;
+  try {
+    entries = await fs.readdir(trashPath, { withFileTypes: true });
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const items = await Promise.all(entries
+    .filter(entry => entry.isDirectory() && isValidId(entry.name))
+    .map(entry => readItem(trashPath, entry.name).catch(() => null)));
+
+  return items
+    .filter(Boolean)
+    .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+};
+
+/**
+ * Bytes of a trash item, which its restore adds to the workspace.
+ *
+ * @param {string} trashPath
+ * @param {string} id
+ * @returns {Promise<number>}
+ */
+const getItemSize = async (trashPath, id) => itemSize(trashPath, await readItem(trashPath, id));
+
+/**
+ * Put a trash item back where it was deleted from, recreating missing parent folders.
+ *
+ * @param {string} trashPath
+ * @param {string} workspacePath
+ * @param {string} id
+ * @param {object} [options]
+ * @param {boolean} [options.rename=false] Restore next to an entry that took the
+ *   original name, instead of failing with 409
+ * @returns {Promise<{ item: object, path: string }>} The item and where it was restored,
+ *   relative to the Workspace
+ */
+const restoreFromTrash = async (trashPath, workspacePath, id, { rename = false } = {}) => {
+  const item = await readItem(trashPath, id);
+
+  // The parent folders may have been replaced by symlinks since
+  let target = await resolveInside(workspacePath, item.originalPath);
+
+  if (await pathExists(target)) {
+    if (!rename) {
+      throw new TrashError(`'${item.originalPath}' already exists.`, 409, 'RESTORE_CONFLICT');
+    }
+    target = await findFreePath(target);
+  }
+
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  await movePath(path.join(trashPath, id, ITEM_NAME), target);
+  await fs.rm(path.join(trashPath, id), { recursive: true, force: true });
+
+  return { item, path: path.relative(workspacePath, target).split(path.sep).join('/') };
+};
+
+/**
+ * Delete a trash item for good.
+ *
+ * @param {string} trashPath
+ * @param {string} id
+ * @returns {Promise<object>} The metadata of the purged item
+ */
+const purgeItem = async (trashPath, id) => {
+  const item = await readItem(trashPath, id);
+  await fs.rm(path.join(trashPath, id), { recursive: true, force: true });
+  return item;
+};
+
+// Delete every item of the trash, and return how many there were
+const emptyTrash = async (trashPath) => {
+  const items = await listTrash(trashPath);
+  await Promise.all(items.map(item => fs.rm(path.join(trashPath, item.id), { recursive: true, force: true })));
+  return items.length;
+};
+
+// Delete the items older than the retention period, and return how many there were
+const purgeExpired = async (trashPath, retentionDays = TRASH_RETENTION_DAYS) => {
+  const limit = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+  const expired = (await listTrash(trashPath)).filter(item => new Date(item.deletedAt).getTime() < limit);
+
+  await Promise.all(expired.map(item => fs.rm(path.join(trashPath, item.id), { recursive: true, force: true })));
+  return expired.length;
+};
+
+// Apply the retention period to the trash of every user, found in `trashRoot`, now and
+// then every hour, until the returned timer is cleared
+const startRetention = (trashRoot) => {
+  const purge = async () => {
+    try {
+      const folders = await fs.readdir(trashRoot, { withFileTypes: true });
+      for (const folder of folders.filter(entry => entry.isDirectory())) {
+        await purgeExpired(path.join(trashRoot, folder.name));
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT') logger.error('Failed to purge the trash', { error: err });
+    }
+  };
+
+  purge();
+  const timer = setInterval(purge, RETENTION_CHECK_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  TrashError,
+  moveToTrash,
+  listTrash,
+  getItemSize,
+  restoreFromTrash,
+  purgeItem,
+  emptyTrash,
+  purgeExpired,
+  startRetention
+};
@@ -0,0 +1,259 @@
+// Server/services/users.js
+// Local user accounts, kept in one JSON file next to the Workspace:
+//
+//   <auth>/users.json   { users: [{ username, role, passwordHash, createdAt }] }
+//
+// Passwords are hashed with scrypt and a random salt, stored as `scrypt$<salt>$<hash>`
+// in base64. Writes go through one queue so that concurrent changes cannot lose
+// each other's updates.
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { promisify } = require('util');
+const { writeFileAtomic } = require('../utils/atomic_write');
+const { createQueue } = require('../utils/serial_queue');
+
+const scrypt = promisify(crypto.scrypt);
+
+const USERS_FILE = 'users.json';
+const ROLES = ['admin', 'user'];
+const MIN_PASSWORD_LENGTH = 8;
+
+const SALT_BYTES = 16;
+const KEY_BYTES = 64;
+
+// Usernames are used as folder names for the workspace of each user
+const isValidUsername = username => typeof username === 'string' && /^[a-z0-9][a-z0-9_-]{1,31}$/.test(username);
+
+class UserError extends Error {
+  constructor(message, status = 500, code = 'USER_ERROR') {
+    super(message);
+    this.name = 'UserError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const enqueue = createQueue();
+
+const readUsers = async (authPath) => {
+  try {
+    return JSON.parse(await fs.readFile(path.join(authPath, USERS_FILE), 'utf8')).users;
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+};
+
+const writeUsers = async (authPath, users) => {
+  await fs.mkdir(authPath, { recursive: true, mode: 0o700 });
+
+  await writeFileAtomic(path.join(authPath, USERS_FILE), JSON.stringify({ users }, null, 2), { mode: 0o600 });
+};
+
+// What the client gets to see of a user
+const toPublicUser = ({ username, role, createdAt }) => ({ username, role, createdAt });
+
+const validatePassword = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new UserError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long.`, 400, 'INVALID_PASSWORD');
+  }
+};
+
+const validateRole = (role) => {
+  if (!ROLES.includes(role)) {
+    throw new UserError(`Role must be one of: ${ROLES.join(', ')}.`, 400, 'INVALID_ROLE');
+  }
+};
+
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const hash = await scrypt(password, salt, KEY_BYTES);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+};
+
+const verifyPassword = async (password, passwordHash) => {
+  const [scheme, salt, hash] = passwordHash.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+// Compared against when the username is unknown, so that the answer takes as long
+// as for a wrong password and does not tell which usernames exist
+let dummyHash = null;
+
+const findUser = (users, username) => {
+  const user = users.find(candidate => candidate.username === username);
+
+  if (!user) {
+    throw new UserError(`User '${username}' not found.`, 404, 'USER_NOT_FOUND');
+  }
+
+  return user;
+};
+
+// Refuse a change that would leave nobody able to manage users
+const ensureAnotherAdmin = (users, username) => {
+  if (!users.some(user => user.role === 'admin' && user.username !== username)) {
+    throw new UserError('The last admin cannot be removed or demoted.', 409, 'LAST_ADMIN');
+  }
+};
+
+/**
+ * Whether any account exists yet. Until one does, the first admin can be created
+ * without logging in, see routes/auth_endpoints.js.
+ *
+ * @param {string} authPath
+ * @returns {Promise<boolean>}
+ */
+const hasUsers = async authPath => (await readUsers(authPath)).length > 0;
+
+/**
+ * Every user, by username.
+ *
+ * @param {string} authPath
+ * @returns {Promise<object[]>} `{ username, role, createdAt }` of each user
+ */
+const listUsers = async authPath => (await readUsers(authPath))
+  .map(toPublicUser)
+  .sort((a, b) => a.username.localeCompare(b.username));
+
+/**
+ * @param {string} authPath
+ * @param {string} username
+ * @returns {Promise<object|null>} `{ username, role, createdAt }`, or null when unknown
+ */
+const getUser = async (authPath, username) => {
+  const user = (await readUsers(authPath)).find(candidate => candidate.username === username);
+  return user ? toPublicUser(user) : null;
+};
+
+/**
+ * Create an account.
+ *
+ * @param {string} authPath
+ * @param {object} user
+ * @param {string} user.username Lowercase letters, digits, '-' and '_'
+ * @param {string} user.password
+ * @param {string} [user.role='user'] 'admin' or 'user'
+ * @param {object} [options]
+ * @param {boolean} [options.onlyIfFirst=false] Fail with 409 when an account exists already
+ * @returns {Promise<object>} The new user
+ */
+const createUser = async (authPath, { username, password, role = 'user' }, { onlyIfFirst = false } = {}) => {
+  if (!isValidUsername(username)) {
+    throw new UserError('Usernames are 2 to 32 lowercase letters, digits, \'-\' or \'_\', starting with a letter or digit.', 400, 'INVALID_USERNAME');
+  }
+  validatePassword(password);
+  validateRole(role);
+
+  // Hashing is slow, keep it out of the queue
+  const passwordHash = await hashPassword(password);
+
+  return enqueue(async () => {
+    const users = await readUsers(authPath);
+
+    if (onlyIfFirst && users.length > 0) {
+      throw new UserError('The first account was created already.', 409, 'SETUP_DONE');
+    }
+
+    if (users.some(user => user.username === username)) {
+      throw new UserError(`User '${username}' already exists.`, 409, 'USER_EXISTS');
+    }
+
+    const user = { username, role, passwordHash, createdAt: new Date().toISOString() };
+    await writeUsers(authPath, [...users, user]);
+
+    return toPublicUser(user);
+  });
+};
+
+/**
+ * Change the role and/or the password of a user.
+ *
+ * @param {string} authPath
+ * @param {string} username
+ * @param {object} changes
+ * @param {string} [changes.role]
+ * @param {string} [changes.password]
+ * @returns {Promise<object>} The updated user
+ */
+const updateUser = async (authPath, username, { role, password }) => {
+  if (role !== undefined) validateRole(role);
+  if (password !== undefined) validatePassword(password);
+
+  const passwordHash = password !== undefined ? await hashPassword(password) : null;
+
+  return enqueue(async () => {
+    const users = await readUsers(authPath);
+    const user = findUser(users, username);
+
+    if (role !== undefined && role !== 'admin' && user.role === 'admin') {
+      ensureAnotherAdmin(users, username);
+    }
+
+    if (role !== undefined) user.role = role;
+    if (passwordHash) user.passwordHash = passwordHash;
+    await writeUsers(authPath, users);
+
+    return toPublicUser(user);
+  });
+};
+
+/**
+ * Delete an account. Its files are left alone.
+ *
+ * @param {string} authPath
+ * @param {string} username
+ * @returns {Promise<object>} The deleted user
+ */
+const deleteUser = (authPath, username) => enqueue(async () => {
+  const users = await readUsers(authPath);
+  const user = findUser(users, username);
+
+  if (user.role === 'admin') {
+    ensureAnotherAdmin(users, username);
+  }
+
+  await writeUsers(authPath, users.filter(candidate => candidate !== user));
+  return toPublicUser(user);
+});
+
+/**
+ * Check a username and password.
+ *
+ * @param {string} authPath
+ * @param {string} username
+ * @param {string} password
+ * @returns {Promise<object|null>} The user, or null when the credentials are wrong
+ */
+const verifyCredentials = async (authPath, username, password) => {
+  if (typeof username !== 'string' || typeof password !== 'string') return null;
+
+  const user = (await readUsers(authPath)).find(candidate => candidate.username === username);
+
+  if (!user) {
+    dummyHash = dummyHash || await hashPassword(crypto.randomBytes(SALT_BYTES).toString('hex'));
+    await verifyPassword(password, dummyHash);
+    return null;
+  }
+
+  return await verifyPassword(password, user.passwordHash) ? toPublicUser(user) : null;
+};
+
+module.exports = {
+  ROLES,
+  MIN_PASSWORD_LENGTH,
+  UserError,
+  isValidUsername,
+  hasUsers,
+  listUsers,
+  getUser,
+  createUser,
+  updateUser,
+  deleteUser,
+  verifyCredentials
+};
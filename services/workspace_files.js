@@ -0,0 +1,259 @@
+// Server/services/workspace_files.js
+// Files and folders of a workspace, for the file routes of /api/v1 and their deprecated
+// aliases in routes/file_system_endpoints.js. Paths are absolute, resolved by the routes
+// through utils/workspace_paths.js, and `workspace` is `req.workspace` (utils/auth.js).
+// Saved files are kept in the local history, and the collaborative sessions of a file
+// are written to disk before it moves. Writes check the quota of the workspace first,
+// see services/quotas.js.
+const fs = require('fs').promises;
+const { constants: fsConstants } = require('fs');
+const path = require('path');
+const { moveToTrash } = require('./trash');
+const { recordSnapshot, moveHistory } = require('./local_history');
+const { documents } = require('./collaboration');
+const { checkQuota, getTrashQuota, recordWrite, forgetUsage } = require('./quotas');
+const { MANIFEST_FOLDER } = require('./project_manifest');
+const { pathExists } = require('../utils/workspace_paths');
+const { logger } = require('../utils/logger');
+
+class FileError extends Error {
+  constructor(message, status = 500, code = 'FILE_ERROR') {
+    super(message);
+    this.name = 'FileError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Utility function to get a path relative to the workspace, with forward slashes
+const toRelative = (workspace, absolutePath) => path.relative(workspace.path, absolutePath).split(path.sep).join('/');
+
+// Utility function to check whether a file changed since the client last read it.
+// `expected` is the `modified` value of a listing, a read or a previous save.
+const isStale = (stat, expected) => {
+  if (expected === undefined || expected === null) return false;
+
+  const expectedTime = new Date(expected).getTime();
+  return Number.isNaN(expectedTime) || stat.mtime.getTime() !== expectedTime;
+};
+
+// Utility function to stat a path that must exist, with the errors of the API
+const statEntry = async (absolutePath, type) => {
+  let stat;
+  try {
+    stat = await fs.stat(absolutePath);
+  } catch (err) {
+    if (err.code === 'ENOENT' || err.code === 'ENOTDIR') {
+      throw new FileError(type === 'folder' ? 'Folder not found.' : 'File not found.', 404, 'NOT_FOUND');
+    }
+    throw err;
+  }
+
+  if (type === 'file' && !stat.isFile()) {
+    throw new FileError('Specified path is not a file.', 400, 'NOT_A_FILE');
+  }
+  if (type === 'folder' && !stat.isDirectory()) {
+    throw new FileError('Specified path is not a folder.', 400, 'NOT_A_FOLDER');
+  }
+
+  return stat;
+};
+
+const describe = (name, stat) => ({
+  name,
+  type: stat.isDirectory() ? 'folder' : 'file',
+  size: stat.size,
+  modified: stat.mtime
+});
+
+// Utility function to keep local history snapshots of a saved project file. Files at the
+// workspace root belong to no project. Failures are logged, they must not fail the save.
+const snapshotFile = (workspace, absolutePath, content) => {
+  const filePath = toRelative(workspace, absolutePath);
+  if (!filePath.includes('/')) return;
+
+  recordSnapshot(workspace.historyPath, filePath, content)
+    .catch(err => logger.error('Failed to keep the history of a file', { path: filePath, error: err }));
+};
+
+/**
+ * Entries of a folder. In a project folder, the folder of its manifest is left out: the
+ * dashboard manages it, see services/project_manifest.js.
+ *
+ * @param {string} folderPath
+ * @param {object} [options]
+ * @param {boolean} [options.project=false] Whether the folder is a project folder
+ * @returns {Promise<Array<{ name: string, type: string, size: number, modified: Date }>>}
+ */
+const listFolder = async (folderPath, { project = false } = {}) => {
+  await statEntry(folderPath, 'folder');
+  const entries = (await fs.readdir(folderPath)).filter(name => !project || name !== MANIFEST_FOLDER);
+
+  return Promise.all(entries.map(async name => describe(name, await fs.stat(path.join(folderPath, name)))));
+};
+
+// Create a folder in an existing one
+const createFolder = async (workspace, folderPath) => {
+  await statEntry(path.dirname(folderPath), 'folder');
+  await checkQuota(workspace);
+
+  try {
+    await fs.mkdir(folderPath);
+  } catch (err) {
+    if (err.code === 'EEXIST') {
+      throw new FileError(`'${path.basename(folderPath)}' already exists.`, 409, 'CONFLICT');
+    }
+    throw err;
+  }
+
+  return describe(path.basename(folderPath), await fs.stat(folderPath));
+};
+
+// Create a file in an existing folder, failing if it exists
+const createFile = async (workspace, filePath, content = '') => {
+  await statEntry(path.dirname(filePath), 'folder');
+  await checkQuota(workspace, Buffer.byteLength(content));
+
+  try {
+    await fs.writeFile(filePath, content, { flag: 'wx' });
+  } catch (err) {
+    if (err.code === 'EEXIST') {
+      throw new FileError(`'${path.basename(filePath)}' already exists.`, 409, 'CONFLICT');
+    }
+    throw err;
+  }
+
+  const created = await fs.stat(filePath);
+  recordWrite(workspace, created.size);
+  return describe(path.basename(filePath), created);
+};
+
+/**
+ * @param {string} filePath
+ * @returns {Promise<{ content: string, size: number, modified: Date }>}
+ */
+const readFile = async (filePath) => {
+  const stat = await statEntry(filePath, 'file');
+  const content = await fs.readFile(filePath, 'utf8');
+  return { content, size: stat.size, modified: stat.mtime };
+};
+
+/**
+ * Save an existing file. When `expectedModified` is given, the save is refused if the
+ * file changed on disk since, instead of silently overwriting it.
+ *
+ * @param {object} workspace
+ * @param {string} filePath
+ * @param {string} content
+ * @param {object} [options]
+ * @param {string} [options.expectedModified]
+ * @returns {Promise<{ size: number, modified: Date }>}
+ * @throws {FileError} CONFLICT, with the `modified` date of the file on disk in `details`
+ */
+const writeFile = async (workspace, filePath, content, { expectedModified } = {}) => {
+  // Same as isStale, throwing the CONFLICT error of the API
+  const checkNotModified = (stat) => {
+    if (!isStale(stat, expectedModified)) return;
+
+    throw Object.assign(
+      new FileError(`File '${toRelative(workspace, filePath)}' was modified since it was opened.`, 409, 'CONFLICT'),
+      { details: { modified: stat.mtime } }
+    );
+  };
+
+  const stat = await statEntry(filePath, 'file');
+  checkNotModified(stat);
+
+  await checkQuota(workspace, Buffer.byteLength(content) - stat.size);
+
+  // The content on disk may come from outside of the IDE, keep it before it is overwritten
+  const previous = await fs.readFile(filePath);
+
+  // Another save may have landed while the quota was checked: look again right before writing
+  const current = await statEntry(filePath, 'file');
+  checkNotModified(current);
+
+  snapshotFile(workspace, filePath, previous);
+  await fs.writeFile(filePath, content, 'utf8');
+  const saved = await fs.stat(filePath);
+  recordWrite(workspace, saved.size - current.size);
+  snapshotFile(workspace, filePath, content);
+
+  return { size: saved.size, modified: saved.mtime };
+};
+
+// Rename or move a file, into an existing folder, without overwriting anything
+const moveFile = async (workspace, fromPath, toPath) => {
+  await statEntry(fromPath, 'file');
+
+  const destination = await fs.stat(path.dirname(toPath)).catch(() => null);
+  if (!destination || !destination.isDirectory()) {
+    throw new FileError('Destination folder not found.', 404, 'NOT_FOUND');
+  }
+
+  if (toPath !== fromPath && await pathExists(toPath)) {
+    throw new FileError(`'${path.basename(toPath)}' already exists in the destination folder.`, 409, 'CONFLICT');
+  }
+
+  // Edits of a collaborative session not written yet go along
+  await documents.saveAll(fromPath);
+  await fs.rename(fromPath, toPath);
+
+  moveHistory(workspace.historyPath, toRelative(workspace, fromPath), toRelative(workspace, toPath))
+    .catch(err => logger.error('Failed to move the history of a file', { error: err }));
+
+  return describe(path.basename(toPath), await fs.stat(toPath));
+};
+
+// Copy a file, without overwriting anything
+const copyFile = async (workspace, fromPath, toPath) => {
+  const stat = await statEntry(fromPath, 'file');
+  await statEntry(path.dirname(toPath), 'folder');
+  await checkQuota(workspace, stat.size);
+  await documents.saveAll(fromPath);
+
+  try {
+    // COPYFILE_EXCL fails if the target already exists
+    await fs.copyFile(fromPath, toPath, fsConstants.COPYFILE_EXCL);
+  } catch (err) {
+    if (err.code === 'EEXIST') {
+      throw new FileError(`'${path.basename(toPath)}' already exists in the destination folder.`, 409, 'CONFLICT');
+    }
+    throw err;
+  }
+
+  const copied = await fs.stat(toPath);
+  recordWrite(workspace, copied.size);
+  return describe(path.basename(toPath), copied);
+};
+
+/**
+ * Move a file or folder to the trash of the workspace.
+ *
+ * @param {object} workspace
+ * @param {string} absolutePath
+ * @param {string} type `file` or `folder`: what the path must be
+ * @returns {Promise<object>} The trash item, whose id restores it
+ */
+const deleteEntry = async (workspace, absolutePath, type) => {
+  await statEntry(absolutePath, type);
+  const item = await moveToTrash(workspace.trashPath, workspace.path, absolutePath, {
+    maxBytes: getTrashQuota(workspace.owner)
+  });
+
+  // The trash has a budget of its own, the item does not count in the quota anymore
+  forgetUsage(workspace);
+  return item;
+};
+
+module.exports = {
+  FileError,
+  listFolder,
+  createFolder,
+  createFile,
+  readFile,
+  writeFile,
+  moveFile,
+  copyFile,
+  deleteEntry
+};
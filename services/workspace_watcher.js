@@ -0,0 +1,138 @@
+// Server/services/workspace_watcher.js
+// Watches the Workspace recursively and emits one `change` event per file system
+// change, whoever made it: the IDE, a running script, git or another editor.
+const EventEmitter = require('events');
+const path = require('path');
+const chokidar = require('chokidar');
+const { logger } = require('../utils/logger');
+
+// Folders that change a lot and are never shown as project content. `.bocide` holds
+// the manifest of the project, see services/project_manifest.js.
+const IGNORED_FOLDERS = ['.git', '.venv', 'node_modules', '__pycache__', '.pytest_cache', '.bocide'];
+
+// A delete followed this quickly by a create of the same inode is reported as a rename
+const RENAME_WINDOW_MS = 100;
+
+class WorkspaceWatcher extends EventEmitter {
+  constructor() {
+    super();
+    this.root = null;
+    this.watcher = null;
+
+    // Relative path -> inode of everything seen so far, to recognize renames
+    this.inodes = new Map();
+    // Inode -> delete waiting to become a rename
+    this.pendingDeletes = new Map();
+  }
+
+  /**
+   * Start watching a folder. Events carry paths relative to it.
+   *
+   * @param {string} root
+   * @returns {Promise<void>} Resolved once the initial scan is done
+   */
+  start(root) {
+    this.root = root;
+    this.watcher = chokidar.watch(root, {
+      ignoreInitial: false,
+      alwaysStat: true,
+      followSymlinks: false,
+      ignored: (watchedPath) => path.relative(root, watchedPath).split(path.sep).some(segment => IGNORED_FOLDERS.includes(segment)),
+      // Report files once their writer is done with them
+      awaitWriteFinish: { stabilityThreshold: 100, pollInterval: 50 }
+    });
+
+    let ready = false;
+
+    this.watcher.on('all', (type, absolutePath, stat) => {
+      const relativePath = path.relative(root, absolutePath).split(path.sep).join('/');
+      if (!relativePath) return;
+
+      // The initial scan only records inodes
+      if (!ready) {
+        if (stat) this.inodes.set(relativePath, stat.ino);
+        return;
+      }
+
+      this.handle(type, relativePath, stat);
+    });
+
+    this.watcher.on('error', err => logger.error('Workspace watcher error', { error: err }));
+
+    return new Promise(resolve => this.watcher.once('ready', () => {
+      ready = true;
+      resolve();
+    }));
+  }
+
+  handle(type, relativePath, stat) {
+    const kind = type === 'addDir' || type === 'unlinkDir' ? 'folder' : 'file';
+
+    if (type === 'unlink' || type === 'unlinkDir') {
+      const ino = this.inodes.get(relativePath);
+      this.forget(relativePath);
+
+      if (ino === undefined) {
+        this.emitChange({ type: 'delete', kind, path: relativePath });
+        return;
+      }
+
+      const timer = setTimeout(() => {
+        this.pendingDeletes.delete(ino);
+        this.emitChange({ type: 'delete', kind, path: relativePath });
+      }, RENAME_WINDOW_MS);
+
+      this.pendingDeletes.set(ino, { timer, path: relativePath });
+      return;
+    }
+
+    if (stat) this.inodes.set(relativePath, stat.ino);
+    const modified = stat ? stat.mtime : null;
+
+    if (type === 'change') {
+      this.emitChange({ type: 'change', kind, path: relativePath, modified });
+      return;
+    }
+
+    // add or addDir: either a new entry or the second half of a rename
+    const pending = stat && this.pendingDeletes.get(stat.ino);
+
+    if (pending) {
+      clearTimeout(pending.timer);
+      this.pendingDeletes.delete(stat.ino);
+      this.emitChange({ type: 'rename', kind, path: relativePath, from: pending.path, modified });
+      return;
+    }
+
+    this.emitChange({ type: 'create', kind, path: relativePath, modified });
+  }
+
+  // Drop the inodes of a deleted entry and of everything below it
+  forget(relativePath) {
+    const prefix = `${relativePath}/`;
+
+    for (const known of this.inodes.keys()) {
+      if (known === relativePath || known.startsWith(prefix)) {
+        this.inodes.delete(known);
+      }
+    }
+  }
+
+  emitChange(event) {
+    this.emit('change', event);
+  }
+
+  async stop() {
+    this.pendingDeletes.forEach(pending => clearTimeout(pending.timer));
+    this.pendingDeletes.clear();
+
+    if (this.watcher) {
+      await this.watcher.close();
+      this.watcher = null;
+    }
+  }
+}
+
+const workspaceWatcher = new WorkspaceWatcher();
+
+module.exports = { WorkspaceWatcher, workspaceWatcher, IGNORED_FOLDERS };
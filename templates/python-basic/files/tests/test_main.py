@@ -0,0 +1,6 @@
+from main import main
+
+
+def test_main_prints_greeting(capsys):
+    main()
+    assert "{{project_name}}" in capsys.readouterr().out
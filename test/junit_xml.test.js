@@ -0,0 +1,78 @@
+// Server/test/junit_xml.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { parseJUnitReport } = require('../utils/junit_xml');
+
+const EMPTY_SUMMARY = { total: 0, passed: 0, failed: 0, errors: 0, skipped: 0, duration: 0 };
+
+test('reads the results of a pytest report', () => {
+  const { summary, tests } = parseJUnitReport(`<?xml version="1.0" encoding="utf-8"?>
+<testsuites>
+  <testsuite name="pytest" tests="4">
+    <testcase classname="tests.test_main.TestGreeting" name="test_hello" file="tests/test_main.py" line="4" time="0.25"/>
+    <testcase classname="tests.test_main" name="test_sum" file="tests/test_main.py" line="10" time="0.5">
+      <failure message="assert 3 == 4">def test_sum():
+&gt;       assert add(1, 2) == 4
+E       assert 3 == 4
+
+tests/test_main.py:12: AssertionError</failure>
+    </testcase>
+    <testcase classname="tests.test_main" name="test_setup" file="tests\\test_main.py" line="14"><error message="fixture failed"/></testcase>
+    <testcase classname="tests.test_main" name="test_later" file="tests/test_main.py" line="20"><skipped message="not yet"/></testcase>
+  </testsuite>
+</testsuites>`);
+
+  assert.deepStrictEqual(summary, { total: 4, passed: 1, failed: 1, errors: 1, skipped: 1, duration: 0.75 });
+  assert.deepStrictEqual(tests.map(({ id, status, line }) => ({ id, status, line })), [
+    { id: 'tests/test_main.py::TestGreeting::test_hello', status: 'passed', line: 5 },
+    { id: 'tests/test_main.py::test_sum', status: 'failed', line: 11 },
+    { id: 'tests/test_main.py::test_setup', status: 'error', line: 15 },
+    { id: 'tests/test_main.py::test_later', status: 'skipped', line: 21 }
+  ]);
+  assert.strictEqual(tests[1].message, 'assert 3 == 4');
+  assert.match(tests[1].traceback, /^def test_sum\(\):\n>       assert add/);
+  assert.deepStrictEqual(tests[1].location, { file: 'tests/test_main.py', line: 12 });
+  assert.strictEqual(tests[2].file, 'tests/test_main.py');
+});
+
+test('decodes escaped characters in names, messages and tracebacks', () => {
+  const [result] = parseJUnitReport(`<testcase classname="tests.test_main" name="test_&lt;tag&gt;[a&amp;b]" file='tests/test_main.py'>
+  <failure message="assert &quot;a&quot; == &apos;b&apos; &#233;&#x263A;">tests/test_main.py:3: AssertionError &amp; more</failure>
+</testcase>`).tests;
+
+  assert.strictEqual(result.name, 'test_<tag>[a&b]');
+  assert.strictEqual(result.message, 'assert "a" == \'b\' é☺');
+  assert.strictEqual(result.traceback, 'tests/test_main.py:3: AssertionError & more');
+});
+
+test('keeps CDATA sections, unknown entities and invalid references as written', () => {
+  const [result] = parseJUnitReport(`<testcase name="test_&unknown; &amp;amp; &#x110000; &#99999999999;">
+  <failure><![CDATA[<not a tag> & &lt;raw&gt;]]></failure>
+</testcase>`).tests;
+
+  assert.strictEqual(result.name, 'test_&unknown; &amp; &#x110000; &#99999999999;');
+  assert.strictEqual(result.traceback, '<not a tag> & &lt;raw&gt;');
+});
+
+test('reads no tests from empty or non XML reports', () => {
+  for (const xml of ['', 'not xml at all', '<?xml version="1.0"?>', '<!-- <testcase name="commented"/> -->']) {
+    assert.deepStrictEqual(parseJUnitReport(xml), { summary: EMPTY_SUMMARY, tests: [] });
+  }
+});
+
+test('reads what it can of truncated and malformed reports', () => {
+  const truncated = parseJUnitReport('<testsuite><testcase name="test_a"><failure message="boom">trace');
+  assert.deepStrictEqual(truncated.tests.map(({ name, status, traceback }) => ({ name, status, traceback })), [
+    { name: 'test_a', status: 'failed', traceback: 'trace' }
+  ]);
+
+  const unbalanced = parseJUnitReport('</testsuite></testcase><testcase name="test_b" time="slow"/><testcase name="test_c"><skipped/></testcase>');
+  assert.deepStrictEqual(unbalanced.tests.map(({ name, status, duration }) => ({ name, status, duration })), [
+    { name: 'test_b', status: 'passed', duration: 0 },
+    { name: 'test_c', status: 'skipped', duration: 0 }
+  ]);
+
+  // A tag whose attributes cannot be read is not a test case
+  assert.deepStrictEqual(parseJUnitReport('<testcase name="test_d" broken><error>e</error></testcase>').tests, []);
+});
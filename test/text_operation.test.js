@@ -0,0 +1,120 @@
+// Server/test/text_operation.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { TextOperation } = require('../public/js/text_operation');
+
+const DOCUMENTS = ['', 'a', 'hello', 'hello world', 'line 1\nline 2\nline 3\n'];
+
+// Deterministic pseudo-random numbers, so that a failure can be replayed
+const createRandom = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+};
+
+// An operation on `text` of random retains, deletes and inserts
+const randomOperation = (text, random) => {
+  const operation = new TextOperation();
+  let index = 0;
+
+  while (index < text.length) {
+    const length = 1 + Math.floor(random() * (text.length - index));
+    const choice = random();
+
+    if (choice < 0.3) {
+      operation.insert('xyz'.slice(0, 1 + Math.floor(random() * 3)));
+    }
+    if (choice < 0.6) {
+      operation.retain(length);
+    } else {
+      operation.delete(length);
+    }
+    index += length;
+  }
+
+  if (random() < 0.4) operation.insert('!');
+  return operation;
+};
+
+// Random pairs of operations made at the same time on each document
+const concurrentPairs = () => {
+  const random = createRandom(42);
+  const pairs = [];
+
+  for (const text of DOCUMENTS) {
+    for (let round = 0; round < 50; round++) {
+      pairs.push({ text, a: randomOperation(text, random), b: randomOperation(text, random) });
+    }
+  }
+
+  return pairs;
+};
+
+test('applies retains, deletes and inserts', () => {
+  const operation = new TextOperation().retain(6).delete(5).insert('there').retain(1);
+
+  assert.strictEqual(operation.apply('hello world!'), 'hello there!');
+  assert.strictEqual(operation.baseLength, 12);
+  assert.strictEqual(operation.targetLength, 12);
+  assert.throws(() => operation.apply('hello'), /length/);
+});
+
+test('builds the operation between two texts', () => {
+  for (const [before, after] of [['', 'abc'], ['abc', ''], ['hello world', 'hello there world'], ['aaa', 'aa'], ['same', 'same']]) {
+    assert.strictEqual(TextOperation.fromDiff(before, after).apply(before), after);
+  }
+});
+
+test('reads operations back from their JSON form', () => {
+  const operation = new TextOperation().retain(2).insert('ab').delete(3).retain(1);
+
+  assert.deepStrictEqual(TextOperation.fromJSON(JSON.parse(JSON.stringify(operation))), operation);
+  for (const invalid of [null, 'abc', [1.5], [0], [''], [{}], [true]]) {
+    assert.throws(() => TextOperation.fromJSON(invalid));
+  }
+});
+
+test('converges when concurrent operations are transformed (TP1)', () => {
+  for (const { text, a, b } of concurrentPairs()) {
+    const [a1, b1] = TextOperation.transform(a, b);
+
+    assert.strictEqual(b1.apply(a.apply(text)), a1.apply(b.apply(text)), `a: ${JSON.stringify(a)}, b: ${JSON.stringify(b)} on ${JSON.stringify(text)}`);
+    assert.deepStrictEqual(a.compose(b1), b.compose(a1));
+  }
+});
+
+test('puts the inserts of the first operation first at the same place', () => {
+  const a = new TextOperation().insert('a').retain(2);
+  const b = new TextOperation().insert('b').retain(2);
+  const [a1, b1] = TextOperation.transform(a, b);
+
+  assert.strictEqual(b1.apply(a.apply('xy')), 'abxy');
+  assert.strictEqual(a1.apply(b.apply('xy')), 'abxy');
+});
+
+test('composes into an operation equivalent to applying both', () => {
+  const random = createRandom(7);
+
+  for (const text of DOCUMENTS) {
+    for (let round = 0; round < 50; round++) {
+      const a = randomOperation(text, random);
+      const b = randomOperation(a.apply(text), random);
+      const composed = a.compose(b);
+
+      assert.strictEqual(composed.apply(text), b.apply(a.apply(text)), `a: ${JSON.stringify(a)}, b: ${JSON.stringify(b)} on ${JSON.stringify(text)}`);
+      assert.strictEqual(composed.baseLength, a.baseLength);
+      assert.strictEqual(composed.targetLength, b.targetLength);
+    }
+  }
+});
+
+test('refuses operations on other documents', () => {
+  const a = new TextOperation().retain(3);
+  const b = new TextOperation().retain(4);
+
+  assert.throws(() => TextOperation.transform(a, b), /same document/);
+  assert.throws(() => a.compose(b), /result of the first/);
+});
@@ -0,0 +1,128 @@
+// Server/test/workspace_paths.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const {
+  INVALID_PATH,
+  WorkspacePathError,
+  normalizeRelativePath,
+  resolveInside
+} = require('../utils/workspace_paths');
+
+let sandbox;
+let root;
+let outside;
+
+before(async () => {
+  sandbox = await fs.mkdtemp(path.join(os.tmpdir(), 'bocide-paths-'));
+  root = path.join(sandbox, 'Workspace');
+  outside = path.join(sandbox, 'outside');
+
+  await fs.mkdir(path.join(root, 'demo', 'src'), { recursive: true });
+  await fs.writeFile(path.join(root, 'demo', 'src', 'main.py'), 'print("hi")\n');
+  await fs.mkdir(outside);
+  await fs.writeFile(path.join(outside, 'secret.txt'), 'secret');
+
+  // Links escaping the workspace, and one staying inside it
+  await fs.symlink(outside, path.join(root, 'demo', 'escape-dir'));
+  await fs.symlink(path.join(outside, 'secret.txt'), path.join(root, 'demo', 'escape-file'));
+  await fs.symlink('/', path.join(root, 'demo', 'escape-root'));
+  await fs.symlink(path.join(root, 'demo', 'src'), path.join(root, 'demo', 'src-link'));
+});
+
+after(async () => {
+  await fs.rm(sandbox, { recursive: true, force: true });
+});
+
+const assertRejected = async (relativePath, options) => {
+  await assert.rejects(resolveInside(root, relativePath, options), (err) => {
+    assert.ok(err instanceof WorkspacePathError, `expected a WorkspacePathError for ${JSON.stringify(relativePath)}`);
+    assert.strictEqual(err.code, INVALID_PATH);
+    assert.strictEqual(err.status, 400);
+    return true;
+  });
+};
+
+test('resolves regular paths inside the workspace', async () => {
+  assert.strictEqual(await resolveInside(root, 'demo/src/main.py'), path.join(root, 'demo', 'src', 'main.py'));
+  assert.strictEqual(await resolveInside(root, 'demo\\src'), path.join(root, 'demo', 'src'));
+  assert.strictEqual(await resolveInside(root, './demo//src/'), path.join(root, 'demo', 'src'));
+});
+
+test('resolves paths that do not exist yet', async () => {
+  assert.strictEqual(await resolveInside(root, 'demo/new/file.py'), path.join(root, 'demo', 'new', 'file.py'));
+});
+
+test('only resolves the workspace root when allowed', async () => {
+  assert.strictEqual(await resolveInside(root, '', { allowRoot: true }), root);
+  assert.strictEqual(await resolveInside(root, undefined, { allowRoot: true }), root);
+  await assertRejected('');
+  await assertRejected('.');
+  await assertRejected('./');
+  await assertRejected('demo/..', { allowRoot: true });
+});
+
+test('rejects parent directory traversal', async () => {
+  for (const hostile of [
+    '..',
+    '../',
+    '../..',
+    '../outside/secret.txt',
+    'demo/../../outside',
+    'demo/src/../../..',
+    '..\\..\\outside',
+    'demo\\..\\..\\outside',
+    'demo/./../../outside'
+  ]) {
+    await assertRejected(hostile, { allowRoot: true });
+  }
+});
+
+test('rejects absolute paths', async () => {
+  for (const hostile of [
+    '/etc/passwd',
+    '/',
+    path.join(outside, 'secret.txt'),
+    root,
+    '\\\\server\\share',
+    '\\etc\\passwd',
+    'C:\\Windows\\system32',
+    'c:/windows'
+  ]) {
+    await assertRejected(hostile, { allowRoot: true });
+  }
+});
+
+test('rejects null bytes', async () => {
+  await assertRejected('demo/src/main.py\0.txt');
+  await assertRejected('\0');
+  await assertRejected('demo\0/../..');
+});
+
+test('rejects non string paths', async () => {
+  for (const hostile of [42, {}, ['demo'], true]) {
+    await assertRejected(hostile, { allowRoot: true });
+  }
+});
+
+test('rejects symlinks leading out of the workspace', async () => {
+  await assertRejected('demo/escape-dir');
+  await assertRejected('demo/escape-dir/secret.txt');
+  await assertRejected('demo/escape-dir/not-yet-created.txt');
+  await assertRejected('demo/escape-file');
+  await assertRejected('demo/escape-root/etc/passwd');
+});
+
+test('accepts symlinks staying inside the workspace', async () => {
+  assert.strictEqual(await resolveInside(root, 'demo/src-link/main.py'), path.join(root, 'demo', 'src-link', 'main.py'));
+});
+
+test('normalizes separators and dot segments', () => {
+  assert.strictEqual(normalizeRelativePath('demo\\src\\.\\main.py'), 'demo/src/main.py');
+  assert.strictEqual(normalizeRelativePath('demo//src/'), 'demo/src');
+  assert.strictEqual(normalizeRelativePath(undefined), '');
+  assert.throws(() => normalizeRelativePath('a/../b'), WorkspacePathError);
+});
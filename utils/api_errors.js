@@ -0,0 +1,93 @@
+// Server/utils/api_errors.js
+// Errors of the API. Every error is answered as { success: false, error, code }, with
+// `details` for some of them. `code` is one of ERROR_CODES, for clients to tell
+// errors apart without parsing messages. Unexpected errors are logged and answered
+// with a generic message: their text may hold paths of the server.
+const { logger } = require('./logger');
+
+const ERROR_CODES = {
+  BAD_REQUEST: 400,
+  VALIDATION_FAILED: 400,
+  INVALID_JSON: 400,
+  INVALID_NAME: 400,
+  INVALID_PATH: 400,
+  NOT_A_FILE: 400,
+  NOT_A_FOLDER: 400,
+  UNAUTHENTICATED: 401,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  CONFLICT: 409,
+  PAYLOAD_TOO_LARGE: 413,
+  TOO_MANY_REQUESTS: 429,
+  INTERNAL: 500,
+  UNAVAILABLE: 503,
+  QUOTA_EXCEEDED: 507
+};
+
+// Code of the errors that only carry an HTTP status
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHENTICATED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  429: 'TOO_MANY_REQUESTS',
+  503: 'UNAVAILABLE',
+  507: 'QUOTA_EXCEEDED'
+};
+
+class ApiError extends Error {
+  constructor(message, code = 'INTERNAL', details = undefined) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = ERROR_CODES[code] || 500;
+    this.details = details;
+  }
+}
+
+/**
+ * The ApiError to answer for any error thrown by a route: errors of this module,
+ * errors of the services carrying a `status` (WorkspacePathError, KernelError...),
+ * file system errors, and errors of the body parser.
+ *
+ * @param {Error} err
+ * @returns {ApiError}
+ */
+const toApiError = (err) => {
+  if (err instanceof ApiError) return err;
+
+  if (err.type === 'entity.parse.failed') {
+    return new ApiError('The body is not valid JSON.', 'INVALID_JSON');
+  }
+
+  if (err.type === 'entity.too.large') {
+    return new ApiError('The body is too large.', 'PAYLOAD_TOO_LARGE');
+  }
+
+  if (Number.isInteger(err.status) && (err.status < 500 || err.status === 503 || err.status === 507)) {
+    const code = typeof err.code === 'string' && /^[A-Z_]+$/.test(err.code) ? err.code : STATUS_CODES[err.status] || 'BAD_REQUEST';
+    return Object.assign(new ApiError(err.message, code, err.details), { status: err.status });
+  }
+
+  if (err.code === 'ENOENT') return new ApiError('Not found.', 'NOT_FOUND');
+  if (err.code === 'EEXIST') return new ApiError('Already exists.', 'CONFLICT');
+  if (err.code === 'ENOTDIR') return new ApiError('A parent of the path is not a folder.', 'NOT_A_FOLDER');
+
+  logger.error('Unexpected API error', { error: err });
+  return new ApiError('Internal server error.', 'INTERNAL');
+};
+
+// Express helper: answer an error thrown by a route
+const sendApiError = (res, err) => {
+  const { status, message, code, details } = toApiError(err);
+  res.status(status).json({ success: false, error: message, code, ...(details !== undefined && { details }) });
+};
+
+module.exports = {
+  ERROR_CODES,
+  ApiError,
+  toApiError,
+  sendApiError
+};
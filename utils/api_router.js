@@ -0,0 +1,209 @@
+// Server/utils/api_router.js
+// Routes of the versioned API (/api/v1). Each route declares the schemas of its path
+// parameters, query and body, checked before its handler runs, and of its response:
+// the OpenAPI document of the API is made from the same declarations, so it cannot
+// drift from the code. Handlers return the fields of the response or throw; see
+// utils/api_errors.js for the errors.
+const express = require('express');
+const { allowViewers } = require('./auth');
+const { ApiError, ERROR_CODES, sendApiError } = require('./api_errors');
+const { validate } = require('./api_schema');
+
+// Utility function to turn an Express path into an OpenAPI one: /files/:path(*) -> /files/{path}
+const toOpenApiPath = routePath => routePath.replace(/:(\w+)(\([^)]*\))?/g, '{$1}');
+
+const ERROR_SCHEMA = {
+  type: 'object',
+  required: ['success', 'error', 'code'],
+  properties: {
+    success: { type: 'boolean', enum: [false] },
+    error: { type: 'string', description: 'Message for humans' },
+    code: { type: 'string', enum: Object.keys(ERROR_CODES), description: 'What went wrong, for programs' },
+    details: {
+      description: 'For VALIDATION_FAILED, what is wrong with the request: [{ path, message }]. '
+        + 'For a CONFLICT on save, the `modified` date of the file on disk.'
+    }
+  }
+};
+
+class ApiRouter {
+  constructor() {
+    this.router = express.Router();
+    this.routes = [];
+    this.schemas = {};
+  }
+
+  /**
+   * Declare a schema shared by several routes, listed in the components of the document.
+   *
+   * @param {string} name
+   * @param {object} schema
+   * @returns {object} A reference to the schema, for the responses
+   */
+  schema(name, schema) {
+    this.schemas[name] = schema;
+    return { $ref: `#/components/schemas/${name}` };
+  }
+
+  /**
+   * @param {object} spec
+   * @param {string} spec.method get, post, put, patch or delete
+   * @param {string} spec.path Express path, `:name(*)` taking the rest of the path, slashes included
+   * @param {string} spec.id operationId of the route
+   * @param {string} spec.tag
+   * @param {string} spec.summary
+   * @param {object} [spec.params] Schemas of the path parameters, by name
+   * @param {object} [spec.query] Schema of the query string, an object
+   * @param {object} [spec.body] Schema of the JSON body
+   * @param {number} [spec.status=200] Status of a success
+   * @param {object} [spec.response] Properties of the response besides `success`
+   * @param {string[]} [spec.errors] Codes of the errors the route answers besides validation ones
+   * @param {boolean} [spec.viewers=false] Open to the viewers of a shared project although it is
+   *   not a GET, see allowViewers in utils/auth.js
+   * @param {(req: import('express').Request, input: { params: object, query: object, body: object }) => Promise<object>} handler
+   */
+  route(spec, handler) {
+    this.routes.push(spec);
+
+    const middlewares = spec.viewers ? [allowViewers] : [];
+    const paramsSchema = spec.params && { type: 'object', properties: spec.params, required: Object.keys(spec.params) };
+
+    this.router[spec.method](spec.path, ...middlewares, async (req, res) => {
+      try {
+        const errors = [];
+        const check = (schema, value, at, options) => {
+          const result = validate(schema, value, { at, ...options });
+          errors.push(...result.errors);
+          return result.value;
+        };
+
+        const input = {
+          params: paramsSchema ? check(paramsSchema, req.params, 'params') : {},
+          query: spec.query ? check(spec.query, req.query, 'query', { coerce: true }) : {},
+          body: spec.body ? check(spec.body, req.body === undefined ? {} : req.body, 'body') : {}
+        };
+
+        if (errors.length > 0) {
+          throw new ApiError(`Invalid request: ${errors.map(error => `${error.path} ${error.message}`).join(', ')}.`, 'VALIDATION_FAILED', errors);
+        }
+
+        const result = await handler(req, input);
+        res.status(spec.status || 200).json({ success: true, ...result });
+      } catch (err) {
+        sendApiError(res, err);
+      }
+    });
+  }
+
+  /**
+   * OpenAPI 3.1 document of the declared routes.
+   *
+   * @param {object} info The `info` object of the document
+   * @param {string} basePath Where the router is mounted, e.g. /api/v1
+   * @returns {object}
+   */
+  openApi(info, basePath) {
+    const paths = {};
+
+    this.routes.forEach((spec) => {
+      const openApiPath = toOpenApiPath(spec.path);
+      paths[openApiPath] = paths[openApiPath] || {};
+      paths[openApiPath][spec.method] = this.describe(spec);
+    });
+
+    return {
+      openapi: '3.1.0',
+      info,
+      servers: [{ url: basePath }],
+      security: [{ session: [] }, { bearer: [] }],
+      tags: Array.from(new Set(this.routes.map(spec => spec.tag))).map(name => ({ name })),
+      paths,
+      components: {
+        securitySchemes: {
+          session: { type: 'apiKey', in: 'cookie', name: 'bocide_session', description: 'Set by POST /api/auth/login' },
+          bearer: { type: 'http', scheme: 'bearer', description: 'Token of a session, for other clients than the browser' }
+        },
+        parameters: {
+          WorkspaceOwner: {
+            name: 'X-Workspace-Owner',
+            in: 'header',
+            required: false,
+            description: 'Work in the workspace of this user, on the projects they shared with you',
+            schema: { type: 'string' }
+          }
+        },
+        schemas: { Error: ERROR_SCHEMA, ...this.schemas }
+      }
+    };
+  }
+
+  describe(spec) {
+    const parameters = [
+      ...Object.entries(spec.params || {}).map(([name, schema]) => ({
+        name,
+        in: 'path',
+        required: true,
+        description: schema.description,
+        schema
+      })),
+      ...Object.entries((spec.query && spec.query.properties) || {}).map(([name, schema]) => ({
+        name,
+        in: 'query',
+        required: ((spec.query && spec.query.required) || []).includes(name),
+        description: schema.description,
+        schema
+      })),
+      { $ref: '#/components/parameters/WorkspaceOwner' }
+    ];
+
+    const success = {
+      description: spec.summary,
+      content: {
+        'application/json': {
+          schema: {
+            type: 'object',
+            required: ['success', ...Object.keys(spec.response || {})],
+            properties: { success: { type: 'boolean', enum: [true] }, ...spec.response }
+          }
+        }
+      }
+    };
+
+    // Errors by status: 400 for invalid requests, 401 for all
+    const codes = ['VALIDATION_FAILED', 'UNAUTHENTICATED', 'INTERNAL', ...(spec.errors || [])];
+    const byStatus = {};
+    codes.forEach((code) => {
+      const status = ERROR_CODES[code];
+      byStatus[status] = (byStatus[status] || []).concat(code);
+    });
+
+    const responses = { [spec.status || 200]: success };
+    Object.entries(byStatus).forEach(([status, statusCodes]) => {
+      responses[status] = {
+        description: statusCodes.join(', '),
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+      };
+    });
+
+    return {
+      operationId: spec.id,
+      tags: [spec.tag],
+      summary: spec.summary,
+      parameters,
+      ...(spec.body && {
+        requestBody: { required: true, content: { 'application/json': { schema: spec.body } } }
+      }),
+      responses
+    };
+  }
+}
+
+// Express middleware for the routes replaced by /api/v1: they keep working, and tell
+// clients where to go (RFC 8594 and RFC 9745)
+const deprecated = successor => (req, res, next) => {
+  res.set('Deprecation', 'true');
+  res.set('Link', `<${successor}>; rel="successor-version"`);
+  next();
+};
+
+module.exports = { ApiRouter, deprecated };
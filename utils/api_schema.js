@@ -0,0 +1,127 @@
+// Server/utils/api_schema.js
+// Validation of the requests of the API against the schemas of its routes, which
+// also make its OpenAPI document (utils/api_router.js). Schemas are JSON Schema,
+// limited to what the routes need:
+//
+//   type (string, integer, number, boolean, object, array), enum, minLength,
+//   maxLength, pattern, minimum, maximum, properties, required,
+//   additionalProperties (false or a schema), items, default, description
+
+// Utility function to name the JSON type of a value as JSON Schema does
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (type, value) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+// Query strings only hold strings: read numbers and booleans out of them
+const coerce = (schema, value) => {
+  if (typeof value !== 'string') return value;
+
+  if ((schema.type === 'integer' || schema.type === 'number') && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (schema.type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+};
+
+const check = (schema, value, at, errors, options) => {
+  if (options.coerce) value = coerce(schema, value);
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    errors.push({ path: at, message: `must be ${schema.type === 'integer' || schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type}` });
+    return value;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: at, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path: at, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters long` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path: at, message: `must be at most ${schema.maxLength} characters long` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push({ path: at, message: `must match ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: at, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: at, message: `must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    return value.map((item, index) => check(schema.items, item, `${at}[${index}]`, errors, options));
+  }
+
+  if (typeOf(value) === 'object' && (schema.properties || schema.additionalProperties !== undefined)) {
+    return checkObject(schema, value, at, errors, options);
+  }
+
+  return value;
+};
+
+const checkObject = (schema, value, at, errors, options) => {
+  const properties = schema.properties || {};
+  const result = {};
+  const prefix = at ? `${at}.` : '';
+
+  (schema.required || [])
+    .filter(name => value[name] === undefined)
+    .forEach(name => errors.push({ path: `${prefix}${name}`, message: 'is required' }));
+
+  Object.entries(properties).forEach(([name, property]) => {
+    if (value[name] !== undefined) {
+      result[name] = check(property, value[name], `${prefix}${name}`, errors, options);
+    } else if (property.default !== undefined) {
+      result[name] = property.default;
+    }
+  });
+
+  Object.keys(value).filter(name => !(name in properties)).forEach((name) => {
+    if (schema.additionalProperties === false) {
+      errors.push({ path: `${prefix}${name}`, message: 'is not allowed' });
+    } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+      result[name] = check(schema.additionalProperties, value[name], `${prefix}${name}`, errors, options);
+    } else {
+      result[name] = value[name];
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Validate a value against a schema.
+ *
+ * @param {object} schema
+ * @param {*} value
+ * @param {object} [options]
+ * @param {string} [options.at=''] Name of the value in the error paths (body, query...)
+ * @param {boolean} [options.coerce=false] Read numbers and booleans out of strings, for query strings
+ * @returns {{ value: *, errors: Array<{ path: string, message: string }> }} The value with
+ *   the defaults of the schema applied, and what is wrong with it
+ */
+const validate = (schema, value, { at = '', coerce: coerceStrings = false } = {}) => {
+  const errors = [];
+  const checked = check(schema, value, at, errors, { coerce: coerceStrings });
+  return { value: checked, errors };
+};
+
+module.exports = { validate };
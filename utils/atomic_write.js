@@ -0,0 +1,24 @@
+// Server/utils/atomic_write.js
+// Files written then renamed into place, so a crash never leaves a truncated file behind.
+const fs = require('fs').promises;
+
+/**
+ * Write a file through a temporary file next to it.
+ *
+ * @param {string} target
+ * @param {string|Buffer} data
+ * @param {object} [options] Options of fs.writeFile, `mode` for instance
+ */
+const writeFileAtomic = async (target, data, options) => {
+  const temporary = `${target}.${process.pid}.tmp`;
+
+  try {
+    await fs.writeFile(temporary, data, options);
+    await fs.rename(temporary, target);
+  } catch (err) {
+    await fs.rm(temporary, { force: true });
+    throw err;
+  }
+};
+
+module.exports = { writeFileAtomic };
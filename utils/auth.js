@@ -0,0 +1,161 @@
+// Server/utils/auth.js
+// Authentication of the requests: the session token comes from the session cookie
+// set at login, or from an `Authorization: Bearer <token>` header for other clients.
+// Each user works in a folder of their own below the Workspace root, and so do
+// their trash and local history.
+//
+// A request works in the workspace of another user when it names them in the
+// `X-Workspace-Owner` header, or in the `owner` query parameter where headers cannot
+// be set (EventSource, WebSocket, links). Only the projects they shared with the
+// user are reachable there, see canAccessProject in utils/workspace_paths.js.
+const fs = require('fs').promises;
+const path = require('path');
+const { getSession } = require('../services/sessions');
+const { getUser, isValidUsername } = require('../services/users');
+const { WorkspacePathError, sendPathError } = require('./workspace_paths');
+const { getSharedProjects } = require('../services/shares');
+
+const SESSION_COOKIE = 'bocide_session';
+const OWNER_HEADER = 'x-workspace-owner';
+
+// Utility function to read the cookies of a request, there is no cookie parser middleware
+const parseCookies = (header = '') => Object.fromEntries(header
+  .split(';')
+  .map(part => part.trim().split('='))
+  .filter(([name, ...value]) => name && value.length > 0)
+  .map(([name, ...value]) => {
+    try {
+      return [name, decodeURIComponent(value.join('='))];
+    } catch (err) {
+      return [name, value.join('=')];
+    }
+  }));
+
+// Utility function to find the session token of a request
+const getRequestToken = (req) => {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  return match ? match[1] : parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+};
+
+// Utility function to get the folders of a user: workspace, trash and local history
+const getUserFolders = (app, username) => {
+  const { workspaceRoot, trashRoot, historyRoot } = app.locals;
+
+  return {
+    path: path.join(workspaceRoot, username),
+    trashPath: path.join(trashRoot, username),
+    historyPath: path.join(historyRoot, username)
+  };
+};
+
+/**
+ * Folders of a user, the workspace being created when missing.
+ *
+ * @param {import('express').Application} app
+ * @param {string} username
+ * @returns {Promise<{ path: string, trashPath: string, historyPath: string }>}
+ */
+const getUserWorkspace = async (app, username) => {
+  const folders = getUserFolders(app, username);
+  await fs.mkdir(folders.path, { recursive: true });
+  return folders;
+};
+
+/**
+ * Find who sent a request and set `req.user`, `req.workspace` and `req.sessionToken`.
+ * `req.workspace` holds the folders of the workspace, its `owner`, and `shared`: null
+ * in one's own workspace, the role of the user on each shared project otherwise.
+ * Works on WebSocket upgrades too, as long as `req.app` is set.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @returns {Promise<object|null>} The user, or null without a valid session
+ */
+const authenticateRequest = async (req) => {
+  const { authPath } = req.app.locals;
+  const token = getRequestToken(req);
+  const session = await getSession(authPath, token);
+  if (!session) return null;
+
+  // Read again on each request, so that role changes and deletions apply at once
+  const user = await getUser(authPath, session.username);
+  if (!user) return null;
+
+  const owner = req.headers[OWNER_HEADER] || new URL(req.originalUrl || req.url, 'http://localhost').searchParams.get('owner');
+
+  req.user = user;
+  req.sessionToken = token;
+
+  if (!owner || owner === user.username) {
+    req.workspace = { ...await getUserWorkspace(req.app, user.username), owner: user.username, shared: null };
+  } else if (!isValidUsername(owner)) {
+    throw new WorkspacePathError('Invalid workspace owner.');
+  } else {
+    // Unknown users and users sharing nothing look the same: nothing is reachable
+    const shared = await getSharedProjects(authPath, owner, user.username);
+    req.workspace = { ...getUserFolders(req.app, owner), owner, shared };
+  }
+
+  return user;
+};
+
+// Express middleware: answer 401 to requests without a valid session
+const authenticate = async (req, res, next) => {
+  try {
+    if (await authenticateRequest(req)) return next();
+
+    res.status(401).json({ success: false, error: 'Authentication required.', code: 'UNAUTHENTICATED' });
+  } catch (err) {
+    if (sendPathError(res, err)) return;
+    next(err);
+  }
+};
+
+// Express middleware, after `authenticate`: answer 403 to users who are not admins
+const requireAdmin = (req, res, next) => {
+  if (req.user && req.user.role === 'admin') return next();
+
+  res.status(403).json({ success: false, error: 'Only admins can do this.', code: 'FORBIDDEN' });
+};
+
+// Express middleware: let viewers of a shared project use a route that does not
+// change it, although it is not a GET (running code, linting...)
+const allowViewers = (req, res, next) => {
+  req.access = 'view';
+  next();
+};
+
+// Express middleware, after `authenticate`: refuse routes that only make sense in
+// one's own workspace, such as the trash
+const requireOwnWorkspace = (req, res, next) => {
+  if (!req.workspace.shared) return next();
+
+  res.status(403).json({ success: false, error: 'Only the owner of the workspace can do this.', code: 'FORBIDDEN' });
+};
+
+const setSessionCookie = (req, res, token, expiresAt) => {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: req.secure,
+    path: '/',
+    expires: new Date(expiresAt)
+  });
+};
+
+const clearSessionCookie = (res) => {
+  res.clearCookie(SESSION_COOKIE, { httpOnly: true, sameSite: 'strict', path: '/' });
+};
+
+module.exports = {
+  SESSION_COOKIE,
+  getRequestToken,
+  getUserFolders,
+  getUserWorkspace,
+  authenticateRequest,
+  authenticate,
+  requireAdmin,
+  allowViewers,
+  requireOwnWorkspace,
+  setSessionCookie,
+  clearSessionCookie
+};
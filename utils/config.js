@@ -0,0 +1,215 @@
+// Server/utils/config.js
+// Settings of the server, read once at startup from, by increasing precedence:
+//
+//   1. the defaults below
+//   2. a JSON file: $BOCIDE_CONFIG, or bocide.config.json next to server.js when it exists
+//   3. environment variables, named in SETTINGS
+//
+// The file nests settings as their keys do:
+//
+//   { "port": 8080, "uploads": { "maxFileBytes": "20mb" }, "quotas": { "users": { "alice": "5gb" } } }
+//
+// Relative paths are relative to the folder of server.js. Sizes are a number of bytes
+// or a string such as "512kb", "10mb" or "2gb". Invalid settings stop the server with
+// a ConfigError naming each of them, instead of being silently replaced.
+const fs = require('fs');
+const path = require('path');
+
+const SERVER_FOLDER = path.join(__dirname, '..');
+const DEFAULT_CONFIG_FILE = path.join(SERVER_FOLDER, 'bocide.config.json');
+
+const MB = 1024 * 1024;
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const SETTINGS = [
+  { key: 'port', env: 'PORT', type: 'integer', default: 3000 },
+  // One folder per user below each of these, see utils/auth.js
+  { key: 'workspacePath', env: 'WORKSPACE_PATH', type: 'path', default: 'Workspace' },
+  { key: 'trashPath', env: 'TRASH_PATH', type: 'path', default: '.trash' },
+  { key: 'historyPath', env: 'HISTORY_PATH', type: 'path', default: '.history' },
+  { key: 'authPath', env: 'AUTH_PATH', type: 'path', default: '.auth' },
+  // Origins allowed to call the API from another site. Same-origin only when empty.
+  { key: 'corsOrigins', env: 'CORS_ORIGINS', type: 'list', default: [] },
+  { key: 'bodyLimitBytes', env: 'BODY_LIMIT_BYTES', type: 'bytes', default: 10 * MB },
+  { key: 'uploads.maxFileBytes', env: 'MAX_UPLOAD_FILE_BYTES', type: 'bytes', default: 50 * MB },
+  { key: 'uploads.maxTotalBytes', env: 'MAX_UPLOAD_TOTAL_BYTES', type: 'bytes', default: 200 * MB },
+  { key: 'uploads.maxFiles', env: 'MAX_UPLOAD_FILES', type: 'integer', default: 1000 },
+  { key: 'run.timeLimitMs', env: 'RUN_TIME_LIMIT_MS', type: 'integer', default: 60 * 1000 },
+  { key: 'run.outputLimitBytes', env: 'RUN_OUTPUT_LIMIT_BYTES', type: 'bytes', default: 1 * MB },
+  { key: 'run.testTimeLimitMs', env: 'TEST_TIME_LIMIT_MS', type: 'positive', default: 5 * MINUTE },
+  { key: 'run.installTimeLimitMs', env: 'INSTALL_TIME_LIMIT_MS', type: 'positive', default: 10 * MINUTE },
+  // Imported zip archives, checked before anything is extracted
+  { key: 'archives.maxEntries', env: 'MAX_ARCHIVE_ENTRIES', type: 'positive', default: 10000 },
+  { key: 'archives.maxExtractedBytes', env: 'MAX_EXTRACTED_BYTES', type: 'bytes', default: 500 * MB },
+  { key: 'sessions.ttlMs', env: 'SESSION_TTL_MS', type: 'positive', default: 7 * DAY },
+  { key: 'trash.retentionDays', env: 'TRASH_RETENTION_DAYS', type: 'positive', default: 30 },
+  { key: 'history.maxSnapshotsPerFile', env: 'HISTORY_MAX_SNAPSHOTS_PER_FILE', type: 'positive', default: 50 },
+  // Larger files are not snapshotted
+  { key: 'history.maxFileBytes', env: 'HISTORY_MAX_FILE_BYTES', type: 'bytes', default: 5 * MB },
+  // Processes kept for each user: terminals, notebook kernels, debug sessions, language servers
+  { key: 'terminals.idleTimeoutMs', env: 'TERMINAL_IDLE_TIMEOUT_MS', type: 'positive', default: 30 * MINUTE },
+  { key: 'terminals.maxSessions', env: 'TERMINAL_MAX_SESSIONS', type: 'positive', default: 8 },
+  { key: 'terminals.scrollbackChars', env: 'TERMINAL_SCROLLBACK_CHARS', type: 'positive', default: 256 * 1024 },
+  { key: 'kernels.idleTimeoutMs', env: 'KERNEL_IDLE_TIMEOUT_MS', type: 'positive', default: 60 * MINUTE },
+  { key: 'kernels.maxKernels', env: 'MAX_KERNELS', type: 'positive', default: 4 },
+  { key: 'debugger.maxSessions', env: 'MAX_DEBUG_SESSIONS', type: 'positive', default: 4 },
+  { key: 'languageServers.maxServers', env: 'MAX_LANGUAGE_SERVERS', type: 'positive', default: 4 },
+  // Collaborative sessions write the document this long after the last edit, and keep
+  // this many operations to transform late ones
+  { key: 'collaboration.saveDelayMs', env: 'COLLAB_SAVE_DELAY_MS', type: 'positive', default: 1000 },
+  { key: 'collaboration.historyLength', env: 'COLLAB_HISTORY_LENGTH', type: 'positive', default: 500 },
+  // Sizes of the projects of the dashboard: files counted at most, and how long they are kept
+  { key: 'projects.statsMaxFiles', env: 'PROJECT_STATS_MAX_FILES', type: 'positive', default: 20000 },
+  { key: 'projects.statsTtlMs', env: 'PROJECT_STATS_TTL_MS', type: 'positive', default: 10 * MINUTE },
+  // Disk space of each workspace, 0 for no limit; `users` overrides it for some users
+  { key: 'quotas.workspaceBytes', env: 'WORKSPACE_QUOTA_BYTES', type: 'bytes', default: 0 },
+  { key: 'quotas.users', type: 'sizes', default: {} },
+  // Trash of each user, its oldest items purged to make room; 0 for the quota of
+  // their workspace, without limit when it has none
+  { key: 'quotas.trashBytes', env: 'TRASH_QUOTA_BYTES', type: 'bytes', default: 0 },
+  // Compressed snapshots of the local history of each user, the oldest dropped first
+  { key: 'quotas.historyBytes', env: 'HISTORY_MAX_BYTES', type: 'bytes', default: 200 * MB },
+  // How long the measured size of a workspace is trusted before measuring it again
+  { key: 'quotas.usageTtlMs', env: 'QUOTA_USAGE_TTL_MS', type: 'positive', default: MINUTE },
+  { key: 'audit.path', env: 'AUDIT_LOG_PATH', type: 'path', default: '.audit/audit.log' },
+  // The log is moved to <path>.1 beyond this size, replacing the previous one
+  { key: 'audit.maxBytes', env: 'AUDIT_LOG_MAX_BYTES', type: 'bytes', default: 20 * MB }
+];
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: MB, gb: 1024 * MB };
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// Utility function to parse a size, from the file or the environment: 1024, "1024", "10mb"
+const parseSize = (value) => {
+  if (Number.isInteger(value) && value >= 0) return value;
+  if (typeof value !== 'string') return null;
+
+  const match = value.trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/);
+  return match ? Math.round(Number(match[1]) * SIZE_UNITS[match[2] || 'b']) : null;
+};
+
+// Parsers by type: the value, or undefined when it is invalid
+const PARSERS = {
+  integer: (value) => {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    return Number.isInteger(number) && number >= 0 ? number : undefined;
+  },
+  positive: (value) => {
+    const number = PARSERS.integer(value);
+    return number > 0 ? number : undefined;
+  },
+  bytes: value => parseSize(value) ?? undefined,
+  path: value => (typeof value === 'string' && value.trim() ? path.resolve(SERVER_FOLDER, value) : undefined),
+  list: (value) => {
+    if (typeof value === 'string') return value.split(',').map(item => item.trim()).filter(Boolean);
+    return Array.isArray(value) && value.every(item => typeof item === 'string') ? value : undefined;
+  },
+  sizes: (value) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return undefined;
+
+    const sizes = Object.entries(value).map(([name, size]) => [name, parseSize(size)]);
+    return sizes.every(([, size]) => size !== null) ? Object.fromEntries(sizes) : undefined;
+  }
+};
+
+const TYPE_NAMES = {
+  integer: 'a whole number of at least 0',
+  positive: 'a whole number of at least 1',
+  bytes: 'a size such as 1048576, "512kb" or "10mb"',
+  path: 'a path',
+  list: 'a list of strings, comma separated in the environment',
+  sizes: 'an object of sizes'
+};
+
+// Utility function to read a dotted key of a nested object
+const getKey = (object, key) => key.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), object);
+
+const setKey = (object, key, value) => {
+  const parts = key.split('.');
+  const last = parts.pop();
+  const parent = parts.reduce((current, part) => {
+    current[part] = current[part] || {};
+    return current[part];
+  }, object);
+
+  parent[last] = value;
+};
+
+// Utility function to list the keys of a file that are no setting, typos included
+const findUnknownKeys = (object, prefix = '') => Object.entries(object).flatMap(([name, value]) => {
+  const key = `${prefix}${name}`;
+  if (SETTINGS.some(setting => setting.key === key)) return [];
+
+  if (value && typeof value === 'object' && !Array.isArray(value) && SETTINGS.some(setting => setting.key.startsWith(`${key}.`))) {
+    return findUnknownKeys(value, `${key}.`);
+  }
+  return [key];
+});
+
+const readConfigFile = (file, required) => {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT' && !required) return {};
+    throw new ConfigError([`Cannot read ${file}: ${err.message}`]);
+  }
+
+  try {
+    const parsed = JSON.parse(text);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error('not a JSON object');
+    return parsed;
+  } catch (err) {
+    throw new ConfigError([`${file} is not a valid JSON object: ${err.message}`]);
+  }
+};
+
+/**
+ * Read the settings of the server.
+ *
+ * @param {object} [options]
+ * @param {object} [options.env=process.env]
+ * @param {string} [options.file] Config file, required when given: defaults to
+ *   $BOCIDE_CONFIG, or to bocide.config.json when it exists
+ * @returns {object} The settings, nested by key
+ * @throws {ConfigError} Listing every invalid setting
+ */
+const loadConfig = ({ env = process.env, file = env.BOCIDE_CONFIG } = {}) => {
+  const fileSettings = readConfigFile(file || DEFAULT_CONFIG_FILE, Boolean(file));
+  const problems = findUnknownKeys(fileSettings).map(key => `Unknown setting '${key}' in ${file || DEFAULT_CONFIG_FILE}`);
+  const config = {};
+
+  SETTINGS.forEach((setting) => {
+    const fromEnv = setting.env && env[setting.env] !== undefined && env[setting.env] !== '';
+    const raw = fromEnv ? env[setting.env] : getKey(fileSettings, setting.key);
+
+    if (raw === undefined) {
+      setKey(config, setting.key, setting.type === 'path' ? path.resolve(SERVER_FOLDER, setting.default) : setting.default);
+      return;
+    }
+
+    const value = PARSERS[setting.type](raw);
+    if (value === undefined) {
+      problems.push(`${fromEnv ? setting.env : `'${setting.key}'`} must be ${TYPE_NAMES[setting.type]}, got ${JSON.stringify(raw)}`);
+      return;
+    }
+
+    setKey(config, setting.key, value);
+  });
+
+  if (problems.length > 0) throw new ConfigError(problems);
+  return config;
+};
+
+// The settings of this server
+const config = loadConfig();
+
+module.exports = { SETTINGS, ConfigError, loadConfig, parseSize, config };
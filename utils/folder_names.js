@@ -0,0 +1,75 @@
+// Server/utils/folder_names.js
+// Names of the folders and files created from the client, projects included.
+const { MANIFEST_FOLDER } = require('../services/project_manifest');
+
+// Device names Windows refuses, with or without an extension
+const RESERVED_NAMES = ['con', 'prn', 'aux', 'nul', 'com1', 'com2', 'com3', 'com4', 'com5', 'com6', 'com7', 'com8', 'com9', 'lpt1', 'lpt2', 'lpt3', 'lpt4', 'lpt5', 'lpt6', 'lpt7', 'lpt8', 'lpt9'];
+const INVALID_CHARACTERS = /[<>:"/\\|?*\u0000-\u001f]/;
+const MAX_NAME_LENGTH = 255;
+
+// Utility function to strip the characters no file system accepts
+const stripInvalidCharacters = name => name.replace(/[<>:"/\\|?*\u0000-\u001f]/g, '');
+
+// Utility function to sanitize folder names
+const sanitizeFolderName = (name) => {
+  return stripInvalidCharacters(name)
+    .replace(/\s+/g, '-') // Replace spaces with hyphens
+    .toLowerCase()
+    .trim();
+};
+
+// Same as sanitizeFolderName, keeping the case: `Main.py` stays `Main.py`
+const sanitizeFileName = (name) => {
+  return stripInvalidCharacters(name)
+    .replace(/\s+/g, '-')
+    .trim();
+};
+
+// Utility function to validate folder name
+const validateFolderName = (name) => {
+  if (!name || typeof name !== 'string') {
+    return { valid: false, error: 'Folder name is required and must be a string' };
+  }
+
+  const sanitized = sanitizeFolderName(name);
+
+  if (!sanitized || sanitized.length === 0) {
+    return { valid: false, error: 'Invalid folder name' };
+  }
+
+  if (sanitized.length > MAX_NAME_LENGTH) {
+    return { valid: false, error: `Folder name too long (max ${MAX_NAME_LENGTH} characters)` };
+  }
+
+  if (RESERVED_NAMES.includes(sanitized.toLowerCase())) {
+    return { valid: false, error: 'Reserved folder name not allowed' };
+  }
+
+  // Inside a project, the folder would be its manifest folder
+  if (sanitized === MANIFEST_FOLDER) {
+    return { valid: false, error: `'${MANIFEST_FOLDER}' is reserved for the settings of projects` };
+  }
+
+  return { valid: true, sanitized };
+};
+
+/**
+ * Check the name of a file or folder as the client sent it, without rewriting it.
+ *
+ * @param {string} name
+ * @param {object} [options]
+ * @param {number} [options.maxLength=255]
+ * @returns {string|null} Why the name is refused, null when it is valid
+ */
+const checkName = (name, { maxLength = MAX_NAME_LENGTH } = {}) => {
+  if (typeof name !== 'string' || !name) return 'Name is required.';
+  if (name.length > maxLength) return `Name is too long (max ${maxLength} characters).`;
+  if (name === '.' || name === '..') return `'${name}' is not a valid name.`;
+  if (INVALID_CHARACTERS.test(name)) return 'Name must not contain < > : " / \\ | ? * or control characters.';
+  if (name !== name.trim() || name.endsWith('.')) return 'Name must not start or end with a space, nor end with a dot.';
+  if (RESERVED_NAMES.includes(name.split('.')[0].toLowerCase())) return `'${name}' is a reserved name.`;
+
+  return null;
+};
+
+module.exports = { sanitizeFolderName, sanitizeFileName, validateFolderName, checkName };
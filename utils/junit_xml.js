@@ -0,0 +1,127 @@
+// Server/utils/junit_xml.js
+// Turns the JUnit XML report written by `pytest --junitxml -o junit_family=xunit1`
+// into plain test results. Only the small XML subset used by such reports is handled.
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' };
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    // References to no character are kept as written
+    return code <= 0x10ffff ? String.fromCodePoint(code) : match;
+  }
+  return ENTITIES[entity] !== undefined ? ENTITIES[entity] : match;
+});
+
+const parseAttributes = (source) => {
+  const attributes = {};
+  const pattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+
+  while ((match = pattern.exec(source)) !== null) {
+    attributes[match[1]] = decodeEntities(match[2] !== undefined ? match[2] : match[3]);
+  }
+
+  return attributes;
+};
+
+// Parse XML into { name, attributes, children, text } nodes
+const parseXml = (xml) => {
+  const root = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  const pattern = /<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+  let match;
+
+  while ((match = pattern.exec(xml)) !== null) {
+    const current = stack[stack.length - 1];
+    const [, cdata, closing, name, attributes, selfClosing, text] = match;
+
+    if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (text !== undefined) {
+      current.text += decodeEntities(text);
+    } else if (name && closing) {
+      if (stack.length > 1) stack.pop();
+    } else if (name) {
+      const node = { name, attributes: parseAttributes(attributes || ''), children: [], text: '' };
+      current.children.push(node);
+      if (!selfClosing) stack.push(node);
+    }
+  }
+
+  return root;
+};
+
+const findAll = (node, name) => node.children.flatMap(child =>
+  (child.name === name ? [child] : []).concat(findAll(child, name)));
+
+// Last `path/to/file.py:12: SomeError` line of a traceback: where the failure happened
+const findFailureLocation = (traceback) => {
+  const matches = [...traceback.matchAll(/^(.+?\.py):(\d+):/gm)];
+  if (matches.length === 0) return null;
+
+  const last = matches[matches.length - 1];
+  return { file: last[1].trim(), line: Number(last[2]) };
+};
+
+// Build the pytest node id, e.g. tests/test_main.py::TestGreeting::test_hello
+const buildNodeId = (file, classname, name) => {
+  if (!file) return classname ? `${classname}::${name}` : name;
+
+  const modulePath = file.replace(/\.py$/, '').split('/').join('.');
+  const className = classname && classname.startsWith(`${modulePath}.`) ? classname.slice(modulePath.length + 1) : '';
+
+  return [file, ...(className ? className.split('.') : []), name].join('::');
+};
+
+/**
+ * Parse a pytest JUnit report.
+ *
+ * @param {string} xml
+ * @returns {{ summary: object, tests: object[] }}
+ */
+const parseJUnitReport = (xml) => {
+  const document = parseXml(xml);
+
+  const tests = findAll(document, 'testcase').map((testcase) => {
+    const { classname = '', name = '', time = '0' } = testcase.attributes;
+    const file = testcase.attributes.file ? testcase.attributes.file.replace(/\\/g, '/') : null;
+    const outcome = testcase.children.find(child => ['failure', 'error', 'skipped'].includes(child.name));
+    const traceback = outcome ? outcome.text.trim() : '';
+
+    const status = !outcome ? 'passed'
+      : outcome.name === 'failure' ? 'failed'
+        : outcome.name === 'error' ? 'error'
+          : 'skipped';
+
+    return {
+      id: buildNodeId(file, classname, name),
+      name,
+      classname,
+      file,
+      // pytest reports the 0-based line of the test definition
+      line: testcase.attributes.line !== undefined ? Number(testcase.attributes.line) + 1 : null,
+      status,
+      duration: Number(time) || 0,
+      message: outcome ? (outcome.attributes.message || '') : '',
+      traceback,
+      location: status === 'failed' || status === 'error' ? findFailureLocation(traceback) : null
+    };
+  });
+
+  const count = status => tests.filter(test => test.status === status).length;
+
+  return {
+    summary: {
+      total: tests.length,
+      passed: count('passed'),
+      failed: count('failed'),
+      errors: count('error'),
+      skipped: count('skipped'),
+      duration: tests.reduce((total, test) => total + test.duration, 0)
+    },
+    tests
+  };
+};
+
+module.exports = { parseJUnitReport, parseXml };
@@ -0,0 +1,22 @@
+// Server/utils/logger.js
+// Logs of the server: one JSON object per line, `{ time, level, message, ...fields }`,
+// on stdout, errors on stderr, for log collectors to parse. What users did is in the
+// audit log instead, see services/audit_log.js.
+
+const write = (level, message, fields = {}) => {
+  const entry = { time: new Date().toISOString(), level, message };
+
+  Object.entries(fields).forEach(([name, value]) => {
+    entry[name] = value instanceof Error ? { message: value.message, stack: value.stack } : value;
+  });
+
+  (level === 'error' ? process.stderr : process.stdout).write(`${JSON.stringify(entry)}\n`);
+};
+
+const logger = {
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields)
+};
+
+module.exports = { logger };
@@ -0,0 +1,53 @@
+// Server/utils/message_framing.js
+// `Content-Length` framed JSON messages, spoken over stdio by language servers (LSP)
+// and debug adapters (DAP).
+const { logger } = require('./logger');
+
+/**
+ * Split a framed stream into messages.
+ *
+ * @param {(message: object) => void} onMessage
+ * @param {string} peer Name of the other side, for the logs
+ * @returns {(chunk: Buffer) => void} Listener for the `data` events of the stream
+ */
+const createMessageReader = (onMessage, peer) => {
+  let buffer = Buffer.alloc(0);
+
+  return (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+
+    while (true) {
+      const headerEnd = buffer.indexOf('\r\n\r\n');
+      if (headerEnd === -1) return;
+
+      const length = buffer.slice(0, headerEnd).toString('ascii').match(/Content-Length:\s*(\d+)/i);
+      const start = headerEnd + 4;
+
+      if (!length) {
+        buffer = buffer.slice(start);
+        continue;
+      }
+
+      const end = start + Number(length[1]);
+      if (buffer.length < end) return;
+
+      const body = buffer.slice(start, end).toString('utf8');
+      buffer = buffer.slice(end);
+
+      try {
+        onMessage(JSON.parse(body));
+      } catch (err) {
+        logger.error('Invalid message', { peer, error: err });
+      }
+    }
+  };
+};
+
+// Write one message to a framed stream
+const writeMessage = (stream, message) => {
+  const body = Buffer.from(JSON.stringify(message), 'utf8');
+  stream.write(`Content-Length: ${body.length}\r\n\r\n`);
+  stream.write(body);
+};
+
+module.exports = { createMessageReader, writeMessage };
@@ -0,0 +1,48 @@
+// Server/utils/notebooks.js
+// Jupyter notebook files (.ipynb), in the nbformat 4 JSON format. The notebook view of
+// the browser (public/js/notebook_view.js) writes them the same way.
+const crypto = require('crypto');
+const path = require('path');
+
+const NOTEBOOK_EXTENSION = '.ipynb';
+
+const isNotebookPath = filePath => path.extname(filePath).toLowerCase() === NOTEBOOK_EXTENSION;
+
+// Utility function to sort the keys of nested objects, as Jupyter writes them
+const sortKeys = (value) => {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (!value || typeof value !== 'object') return value;
+
+  return Object.keys(value).sort().reduce((sorted, key) => {
+    sorted[key] = sortKeys(value[key]);
+    return sorted;
+  }, {});
+};
+
+// Same text as Jupyter: sorted keys, one space of indentation and a final newline
+const serializeNotebook = notebook => `${JSON.stringify(sortKeys(notebook), null, 1)}\n`;
+
+// Notebook with one empty code cell, run by the kernel of the project's interpreter
+const createEmptyNotebook = () => ({
+  cells: [{
+    id: crypto.randomBytes(4).toString('hex'),
+    cell_type: 'code',
+    execution_count: null,
+    metadata: {},
+    outputs: [],
+    source: []
+  }],
+  metadata: {
+    kernelspec: { display_name: 'Python 3', language: 'python', name: 'python3' },
+    language_info: { name: 'python' }
+  },
+  nbformat: 4,
+  nbformat_minor: 5
+});
+
+module.exports = {
+  NOTEBOOK_EXTENSION,
+  isNotebookPath,
+  serializeNotebook,
+  createEmptyNotebook
+};
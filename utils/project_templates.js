@@ -0,0 +1,202 @@
+// Server/utils/project_templates.js
+// Project templates are read from disk: each folder of `templates/` holds a
+// `template.json` manifest and a `files/` tree copied into the new project.
+//
+// Manifest fields:
+//   label, description   Shown in the template picker
+//   extends              Name of a template whose folders, files and variables are inherited
+//   variables            { name: { label, type: 'string' | 'boolean' | 'choice', default, options } }
+//   folders              Folders created even when empty
+//   parts                [{ path, when }] - paths only generated when the boolean variable `when` is true
+//
+// File contents and names may use `{{variable}}` and `{{#if variable}}...{{/if}}`.
+const fs = require('fs').promises;
+const path = require('path');
+const { resolveInside } = require('./workspace_paths');
+const { logger } = require('./logger');
+
+const TEMPLATES_PATH = path.join(__dirname, '..', 'templates');
+const MANIFEST_NAME = 'template.json';
+const FILES_FOLDER = 'files';
+
+// Variables every template receives, whatever its manifest declares
+const builtinVariables = {
+  project_name: { label: 'Project name', type: 'string', default: '' }
+};
+
+class TemplateError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TemplateError';
+    this.status = status;
+  }
+}
+
+// Utility function to check a template name before using it as a folder name
+const isValidTemplateName = (name) => typeof name === 'string' && /^[a-z0-9][a-z0-9-]*$/.test(name);
+
+// Recursively list the files of a folder, relative to `root`, with forward slashes
+const listFiles = async (root, relative = '') => {
+  let entries;
+  try {
+    entries = await fs.readdir(path.join(root, relative), { withFileTypes: true });
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const nested = await Promise.all(entries.map((entry) => {
+    const entryPath = relative ? `${relative}/${entry.name}` : entry.name;
+    return entry.isDirectory() ? listFiles(root, entryPath) : [entryPath];
+  }));
+
+  return nested.flat();
+};
+
+// Load a template manifest, merged with the templates it extends
+const loadTemplate = async (name, seen = new Set()) => {
+  if (!isValidTemplateName(name)) {
+    throw new TemplateError(`Unknown template '${name}'`);
+  }
+
+  if (seen.has(name)) {
+    throw new TemplateError(`Template '${name}' extends itself`, 500);
+  }
+  seen.add(name);
+
+  const templatePath = path.join(TEMPLATES_PATH, name);
+  let manifest;
+
+  try {
+    manifest = JSON.parse(await fs.readFile(path.join(templatePath, MANIFEST_NAME), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      throw new TemplateError(`Unknown template '${name}'`);
+    }
+    throw new TemplateError(`Invalid manifest for template '${name}': ${err.message}`, 500);
+  }
+
+  const parent = manifest.extends ? await loadTemplate(manifest.extends, seen) : null;
+  const ownFiles = (await listFiles(path.join(templatePath, FILES_FOLDER)))
+    .map(file => ({ path: file, source: path.join(templatePath, FILES_FOLDER, file) }));
+
+  // Files of the template override inherited files with the same path
+  const files = new Map((parent ? parent.files : []).map(file => [file.path, file]));
+  ownFiles.forEach(file => files.set(file.path, file));
+
+  return {
+    name,
+    label: manifest.label || name,
+    description: manifest.description || '',
+    variables: { ...builtinVariables, ...(parent && parent.variables), ...manifest.variables },
+    folders: [...new Set([...(parent ? parent.folders : []), ...(manifest.folders || [])])],
+    parts: [...(parent ? parent.parts : []), ...(manifest.parts || [])],
+    files: Array.from(files.values())
+  };
+};
+
+// List the available templates, without their file lists
+const listTemplates = async () => {
+  let entries;
+  try {
+    entries = await fs.readdir(TEMPLATES_PATH, { withFileTypes: true });
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const templates = await Promise.all(entries
+    .filter(entry => entry.isDirectory() && isValidTemplateName(entry.name))
+    .map(entry => loadTemplate(entry.name).catch((err) => {
+      logger.warn('Skipping an invalid template', { template: entry.name, error: err });
+      return null;
+    })));
+
+  return templates
+    .filter(Boolean)
+    .map(({ name, label, description, variables }) => ({ name, label, description, variables }))
+    .sort((a, b) => a.label.localeCompare(b.label));
+};
+
+// Check the values sent by the client against the template variables and fill in defaults
+const resolveVariables = (template, values = {}) => {
+  if (typeof values !== 'object' || values === null || Array.isArray(values)) {
+    throw new TemplateError('Template variables must be an object');
+  }
+
+  const resolved = {};
+
+  Object.entries(template.variables).forEach(([name, definition]) => {
+    const value = values[name] !== undefined ? values[name] : definition.default;
+
+    switch (definition.type) {
+      case 'boolean':
+        resolved[name] = value === true || value === 'true';
+        break;
+      case 'choice':
+        if (!(definition.options || []).includes(value)) {
+          throw new TemplateError(`Invalid value for '${name}', expected one of: ${(definition.options || []).join(', ')}`);
+        }
+        resolved[name] = value;
+        break;
+      default:
+        if (value !== undefined && typeof value !== 'string') {
+          throw new TemplateError(`Variable '${name}' must be a string`);
+        }
+        resolved[name] = (value || '').trim();
+    }
+  });
+
+  return resolved;
+};
+
+// Replace `{{#if variable}}...{{/if}}` blocks and `{{variable}}` placeholders
+const renderText = (text, variables) => text
+  .replace(/\{\{#if (\w+)\}\}([\s\S]*?)\{\{\/if\}\}/g, (match, name, body) => (variables[name] ? body : ''))
+  .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => (name in variables ? String(variables[name]) : match));
+
+// Whether a generated path belongs to a part whose condition is false
+const isExcluded = (template, relativePath, variables) => template.parts.some(part =>
+  !variables[part.when] && (relativePath === part.path || relativePath.startsWith(`${part.path}/`)));
+
+/**
+ * Generate a template inside an existing folder.
+ *
+ * @param {object} template Template returned by loadTemplate
+ * @param {string} basePath Absolute path of the project folder
+ * @param {object} variables Values returned by resolveVariables
+ * @returns {Promise<string[]>} The generated files and folders, relative to the project
+ */
+const renderTemplate = async (template, basePath, variables) => {
+  const folders = template.folders
+    .map(folder => renderText(folder, variables))
+    .filter(folder => !isExcluded(template, folder, variables));
+
+  // Rendered names go through the path resolver, variables must not move files out of the project
+  await Promise.all(folders.map(async (folder) => {
+    await fs.mkdir(await resolveInside(basePath, folder), { recursive: true });
+  }));
+
+  const files = template.files
+    .map(file => ({ ...file, target: renderText(file.path, variables) }))
+    .filter(file => !isExcluded(template, file.target, variables));
+
+  await Promise.all(files.map(async (file) => {
+    const content = await fs.readFile(file.source, 'utf8');
+    const targetPath = await resolveInside(basePath, file.target);
+
+    await fs.mkdir(path.dirname(targetPath), { recursive: true });
+    await fs.writeFile(targetPath, renderText(content, variables));
+  }));
+
+  return [...folders, ...files.map(file => file.target)];
+};
+
+module.exports = {
+  TEMPLATES_PATH,
+  TemplateError,
+  listTemplates,
+  loadTemplate,
+  resolveVariables,
+  renderTemplate
+};
@@ -0,0 +1,21 @@
+// Server/utils/serial_queue.js
+// Queues running async tasks one at a time, for the services that read, change and
+// write back a file: concurrent requests then cannot lose each other's updates.
+
+/**
+ * Make a queue. Tasks run in the order they are queued, each once the previous one is
+ * done; a task that fails only rejects its own promise.
+ *
+ * @returns {(task: () => any) => Promise<any>} Function queueing a task, resolving with its result
+ */
+const createQueue = () => {
+  let tail = Promise.resolve();
+
+  return (task) => {
+    const run = tail.then(task);
+    tail = run.catch(() => {});
+    return run;
+  };
+};
+
+module.exports = { createQueue };
@@ -0,0 +1,66 @@
+// Server/utils/sse.js
+// Minimal Server-Sent Events helper shared by the streaming endpoints.
+
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+/**
+ * Turn an Express response into an event stream.
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @returns {(event: string, data: any) => void} Function sending one event to the client
+ */
+const openEventStream = (req, res) => {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Comments keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_INTERVAL_MS);
+  req.on('close', () => clearInterval(heartbeat));
+
+  return (event, data) => {
+    if (!res.writableEnded) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+};
+
+/**
+ * Stream the output of a managed process: the output so far is replayed first,
+ * then live `output` events until a final `exit` event ends the response.
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('events').EventEmitter} managed Process from the process manager
+ */
+const streamProcessEvents = (req, res, managed) => {
+  const send = openEventStream(req, res);
+
+  managed.output.forEach(entry => send('output', entry));
+
+  if (managed.status === 'exited') {
+    send('exit', managed.summary());
+    return res.end();
+  }
+
+  const onOutput = entry => send('output', entry);
+  const onExit = (summary) => {
+    send('exit', summary);
+    res.end();
+  };
+
+  managed.on('output', onOutput);
+  managed.once('exit', onExit);
+
+  req.on('close', () => {
+    managed.off('output', onOutput);
+    managed.off('exit', onExit);
+  });
+};
+
+module.exports = { openEventStream, streamProcessEvents };
@@ -0,0 +1,79 @@
+// Server/utils/upgrades.js
+// WebSocket endpoints of the API. Upgrade requests bypass Express: they are routed
+// and authenticated here, then handed to the endpoint of their path.
+const http = require('http');
+const { authenticateRequest } = require('./auth');
+
+// WebSocket close codes
+const CLOSE_POLICY_VIOLATION = 1008;
+const CLOSE_SERVER_ERROR = 1011;
+const CLOSE_TRY_AGAIN_LATER = 1013;
+
+// Close reasons are limited to 123 bytes
+const closeReason = message => Buffer.from(message).slice(0, 123).toString();
+
+/**
+ * Parse a JSON message received on a WebSocket. Messages of the endpoints are objects:
+ * anything else, `null` included, is not one of theirs.
+ *
+ * @param {Buffer|string} data
+ * @returns {?object} null for invalid JSON and for values other than plain objects
+ */
+const parseMessage = (data) => {
+  let message;
+  try {
+    message = JSON.parse(data.toString());
+  } catch (err) {
+    return null;
+  }
+
+  return message && typeof message === 'object' && !Array.isArray(message) ? message : null;
+};
+
+// Refuse an upgrade request with a plain HTTP answer
+const rejectUpgrade = (socket, status) => {
+  socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nConnection: close\r\n\r\n`);
+};
+
+/**
+ * Answer the WebSocket upgrades of an HTTP server.
+ *
+ * @param {import('http').Server} server
+ * @param {import('express').Application} app
+ * @param {Object<string, Function>} endpoints Path -> `async (req, socket, head, url)`,
+ *   called once the request is authenticated. Errors with a `status` refuse the upgrade.
+ */
+const attachUpgrades = (server, app, endpoints) => {
+  server.on('upgrade', async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    const endpoint = endpoints[url.pathname];
+
+    if (!endpoint) {
+      rejectUpgrade(socket, 404);
+      return;
+    }
+
+    try {
+      // Express would have set `req.app`
+      req.app = app;
+
+      if (!(await authenticateRequest(req))) {
+        rejectUpgrade(socket, 401);
+        return;
+      }
+
+      await endpoint(req, socket, head, url);
+    } catch (err) {
+      rejectUpgrade(socket, err.status || (err.code === 'ENOENT' ? 404 : 500));
+    }
+  });
+};
+
+module.exports = {
+  CLOSE_POLICY_VIOLATION,
+  CLOSE_SERVER_ERROR,
+  CLOSE_TRY_AGAIN_LATER,
+  closeReason,
+  parseMessage,
+  attachUpgrades
+};
@@ -0,0 +1,129 @@
+// Server/utils/uploads.js
+// Multipart uploads. Files are received into a temporary folder first, so that
+// nothing reaches the Workspace before the whole request passed the size limits.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const busboy = require('busboy');
+const { config } = require('./config');
+
+const MAX_UPLOAD_FILE_BYTES = config.uploads.maxFileBytes;
+const MAX_UPLOAD_TOTAL_BYTES = config.uploads.maxTotalBytes;
+const MAX_UPLOAD_FILES = config.uploads.maxFiles;
+
+class UploadError extends Error {
+  constructor(message, status = 400, code = 'INVALID_UPLOAD') {
+    super(message);
+    this.name = 'UploadError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const tooLarge = message => new UploadError(message, 413, 'UPLOAD_TOO_LARGE');
+
+/**
+ * Receive the files of a multipart/form-data request. File names keep the
+ * relative path sent by the client (folder uploads), unchecked: resolve them
+ * before use. On success the caller owns `folder` and must remove it.
+ *
+ * @param {import('express').Request} req
+ * @param {object} [limits]
+ * @param {number} [limits.maxFileBytes]
+ * @param {number} [limits.maxTotalBytes]
+ * @param {number} [limits.maxFiles]
+ * @returns {Promise<{ folder: string, files: Array<{ name: string, tempPath: string, size: number }>, fields: object }>}
+ * @throws {UploadError} With status 413 when a limit is exceeded
+ */
+const receiveFiles = async (req, limits = {}) => {
+  const {
+    maxFileBytes = MAX_UPLOAD_FILE_BYTES,
+    maxTotalBytes = MAX_UPLOAD_TOTAL_BYTES,
+    maxFiles = MAX_UPLOAD_FILES
+  } = limits;
+
+  let parser;
+  try {
+    parser = busboy({ headers: req.headers, preservePath: true, limits: { fileSize: maxFileBytes, files: maxFiles } });
+  } catch (err) {
+    throw new UploadError('Expected a multipart/form-data request.');
+  }
+
+  const folder = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'bocide-upload-'));
+
+  try {
+    return await new Promise((resolve, reject) => {
+      const files = [];
+      const fields = {};
+      const writes = [];
+      let total = 0;
+      let failure = null;
+
+      // The rest of the request is still read (and dropped) so the client gets the answer
+      const fail = (err) => {
+        if (!failure) failure = err;
+      };
+
+      const settle = () => Promise.all(writes).then(() => (failure ? reject(failure) : resolve({ folder, files, fields })));
+
+      parser.on('field', (name, value) => {
+        fields[name] = value;
+      });
+
+      parser.on('file', (field, stream, info) => {
+        if (failure) {
+          stream.resume();
+          return;
+        }
+
+        const file = { name: info.filename, tempPath: path.join(folder, String(files.length)), size: 0 };
+        files.push(file);
+
+        stream.on('limit', () => fail(tooLarge(`'${info.filename}' is larger than ${maxFileBytes} bytes.`)));
+
+        const counter = new Transform({
+          transform(chunk, encoding, callback) {
+            total += chunk.length;
+            file.size += chunk.length;
+            if (total > maxTotalBytes) fail(tooLarge(`Upload is larger than ${maxTotalBytes} bytes.`));
+            callback(null, failure ? null : chunk);
+          }
+        });
+
+        writes.push(pipeline(stream, counter, fs.createWriteStream(file.tempPath)).catch(fail));
+      });
+
+      parser.on('filesLimit', () => fail(tooLarge(`Upload has more than ${maxFiles} files.`)));
+
+      parser.on('error', (err) => {
+        fail(new UploadError(`Invalid upload: ${err.message}`));
+        settle();
+      });
+      parser.on('close', settle);
+
+      req.on('aborted', () => {
+        fail(new UploadError('Upload was interrupted.'));
+        settle();
+      });
+
+      req.pipe(parser);
+    });
+  } catch (err) {
+    await fs.promises.rm(folder, { recursive: true, force: true });
+    throw err;
+  }
+};
+
+// Remove the temporary files of a received upload
+const removeUpload = upload => fs.promises.rm(upload.folder, { recursive: true, force: true });
+
+module.exports = {
+  UploadError,
+  MAX_UPLOAD_FILE_BYTES,
+  MAX_UPLOAD_TOTAL_BYTES,
+  MAX_UPLOAD_FILES,
+  receiveFiles,
+  removeUpload
+};
@@ -0,0 +1,237 @@
+// Server/utils/workspace_paths.js
+// Every path received from the client is relative to the workspace of the user who
+// sent it and must be resolved through this module before touching the file system.
+const fs = require('fs').promises;
+const path = require('path');
+
+const INVALID_PATH = 'INVALID_PATH';
+
+class WorkspacePathError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WorkspacePathError';
+    this.code = INVALID_PATH;
+    this.status = 400;
+  }
+}
+
+// Access to a project of a workspace shared with the user, see utils/auth.js
+class WorkspaceAccessError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WorkspaceAccessError';
+    this.code = 'FORBIDDEN';
+    this.status = 403;
+  }
+}
+
+// Utility function to get the workspace path of the current request, set by utils/auth.js
+const getWorkspacePath = (req) => req.workspace.path;
+
+// Utility function to get the trash folder of the workspace, see services/trash.js
+const getTrashPath = (req) => req.workspace.trashPath;
+
+// Utility function to get the local history folder of the workspace, see services/local_history.js
+const getHistoryPath = (req) => req.workspace.historyPath;
+
+// Reading requests, and those a route opened to viewers with `allowViewers` (utils/auth.js)
+const isViewAccess = req => req.access === 'view' || req.method === 'GET' || req.method === 'HEAD';
+
+// Utility function to check whether the user of a request may use a project of its
+// workspace: in their own workspace, any; in a workspace shared with them, only the
+// projects shared with them, and only for viewing unless they are an editor.
+const canAccessProject = (req, project) => {
+  const { shared } = req.workspace;
+  if (!shared) return true;
+
+  const role = shared.get(project);
+  return role === 'editor' || (role === 'viewer' && isViewAccess(req));
+};
+
+// Same as canAccessProject, throwing a WorkspaceAccessError when access is denied
+const checkProjectAccess = (req, project) => {
+  if (canAccessProject(req, project)) return;
+
+  throw new WorkspaceAccessError(req.workspace.shared.has(project)
+    ? `You can only view the project '${project}'.`
+    : 'This path is not shared with you.');
+};
+
+// Utility function to check that `target` is `root` itself or lies below it
+const isInside = (root, target) => {
+  const relative = path.relative(root, target);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+};
+
+// Normalize a client path to forward-slash segments, rejecting anything that could
+// leave the root before the file system is even consulted.
+const normalizeRelativePath = (relativePath) => {
+  if (relativePath === undefined || relativePath === null) {
+    relativePath = '';
+  }
+
+  if (typeof relativePath !== 'string') {
+    throw new WorkspacePathError('Path must be a string.');
+  }
+
+  if (relativePath.includes('\0')) {
+    throw new WorkspacePathError('Path must not contain null bytes.');
+  }
+
+  // Treat backslashes as separators so Windows-style traversal is caught too
+  const unified = relativePath.replace(/\\/g, '/');
+
+  if (unified.startsWith('/') || /^[a-zA-Z]:/.test(unified) || path.isAbsolute(relativePath)) {
+    throw new WorkspacePathError('Absolute paths are not allowed.');
+  }
+
+  const segments = unified.split('/').filter(segment => segment !== '' && segment !== '.');
+
+  if (segments.includes('..')) {
+    throw new WorkspacePathError('Path must not contain \'..\' segments.');
+  }
+
+  return segments.join('/');
+};
+
+// Walk up from `target` to the deepest path that exists and return its real location,
+// so symlinks anywhere along the way are taken into account.
+const realpathOfExistingAncestor = async (target) => {
+  let current = target;
+
+  while (true) {
+    try {
+      return await fs.realpath(current);
+    } catch (err) {
+      if (err.code !== 'ENOENT' && err.code !== 'ENOTDIR') throw err;
+
+      const parent = path.dirname(current);
+      if (parent === current) throw err;
+      current = parent;
+    }
+  }
+};
+
+/**
+ * Resolve a client supplied path against a root folder.
+ *
+ * @param {string} root Absolute path of the folder the result must stay in
+ * @param {string} relativePath Path received from the client
+ * @param {object} [options]
+ * @param {boolean} [options.allowRoot=false] Accept a path resolving to the root itself
+ * @returns {Promise<string>} The absolute path
+ * @throws {WorkspacePathError} For traversal, absolute paths, null bytes or symlink escapes
+ */
+const resolveInside = async (root, relativePath, { allowRoot = false } = {}) => {
+  const normalized = normalizeRelativePath(relativePath);
+
+  if (!normalized && !allowRoot) {
+    throw new WorkspacePathError('Path must not point to the workspace root.');
+  }
+
+  const absoluteRoot = path.resolve(root);
+  const absolutePath = path.resolve(absoluteRoot, normalized);
+
+  if (!isInside(absoluteRoot, absolutePath)) {
+    throw new WorkspacePathError('Path is outside of the workspace.');
+  }
+
+  // Symlinks must not lead out of the workspace either
+  const realRoot = await fs.realpath(absoluteRoot);
+  const realTarget = await realpathOfExistingAncestor(absolutePath);
+
+  if (!isInside(realRoot, realTarget)) {
+    throw new WorkspacePathError('Path is outside of the workspace.');
+  }
+
+  return absolutePath;
+};
+
+// Resolve a client path against the workspace of the current request
+const resolveWorkspacePath = async (req, relativePath, options) => {
+  checkProjectAccess(req, normalizeRelativePath(relativePath).split('/')[0]);
+  return resolveInside(getWorkspacePath(req), relativePath, options);
+};
+
+// Resolve `name` inside the client supplied `folderPath`
+const resolveWorkspaceChild = async (req, folderPath, name) => {
+  if (typeof name !== 'string' || !name || name === '.' || name === '..' || /[\\/]/.test(name)) {
+    throw new WorkspacePathError('Invalid name.');
+  }
+
+  const folder = normalizeRelativePath(folderPath);
+  return resolveWorkspacePath(req, folder ? `${folder}/${name}` : name);
+};
+
+// Resolve a project folder: a direct child of the Workspace that must exist.
+// Rejects with ENOENT when the project does not exist.
+const resolveProjectPath = async (req, project) => {
+  const normalized = normalizeRelativePath(project);
+
+  if (!normalized || normalized.includes('/')) {
+    throw new WorkspacePathError('Invalid project name.');
+  }
+
+  const projectPath = await resolveWorkspacePath(req, normalized);
+  const stat = await fs.stat(projectPath);
+
+  if (!stat.isDirectory()) {
+    throw Object.assign(new Error(`Project '${normalized}' not found`), { code: 'ENOENT' });
+  }
+
+  return projectPath;
+};
+
+// Path of an absolute location relative to the Workspace of the current request, with forward slashes
+const toWorkspaceRelative = (req, absolutePath) =>
+  path.relative(getWorkspacePath(req), absolutePath).split(path.sep).join('/');
+
+// Utility function to check whether something exists at a given path
+const pathExists = async (absolutePath) => {
+  try {
+    await fs.lstat(absolutePath);
+    return true;
+  } catch (err) {
+    if (err.code === 'ENOENT') return false;
+    throw err;
+  }
+};
+
+// Utility function to find a free name next to a taken one: `name (1).ext`, `name (2).ext`...
+const findFreePath = async (absolutePath) => {
+  const { dir, name, ext } = path.parse(absolutePath);
+
+  for (let index = 1; ; index++) {
+    const candidate = path.join(dir, `${name} (${index})${ext}`);
+    if (!await pathExists(candidate)) return candidate;
+  }
+};
+
+// Express helper: answer with the path error, or return false to let the caller handle `err`
+const sendPathError = (res, err) => {
+  if (!(err instanceof WorkspacePathError) && !(err instanceof WorkspaceAccessError)) return false;
+
+  res.status(err.status).json({ success: false, error: err.message, code: err.code });
+  return true;
+};
+
+module.exports = {
+  INVALID_PATH,
+  WorkspacePathError,
+  WorkspaceAccessError,
+  getWorkspacePath,
+  getTrashPath,
+  getHistoryPath,
+  canAccessProject,
+  checkProjectAccess,
+  isInside,
+  normalizeRelativePath,
+  resolveInside,
+  resolveWorkspacePath,
+  resolveWorkspaceChild,
+  resolveProjectPath,
+  toWorkspaceRelative,
+  pathExists,
+  findFreePath,
+  sendPathError
+};